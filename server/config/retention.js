@@ -0,0 +1,174 @@
+const fs = require('fs');
+const logger = require('../logging/logger');
+const { getRoomPlaceId } = require('../utils/roles');
+
+/**
+ * Retention policy
+ * How long room messages are kept, per room type with overrides per placeId:
+ * - maxMessages: newest messages kept in a room (null = no limit)
+ * - maxAgeSeconds: messages expire this long after they are sent, through a MongoDB TTL
+ *   index on Message.expiresAt (null = never). A change only applies to new messages.
+ * - emptyRoomGraceSeconds: a room's messages are deleted once it has been empty this
+ *   long (null = never; party rooms are only deleted when the party disbands)
+ *
+ * Defaults can be changed with RETENTION_<TYPE>_MAX_MESSAGES, RETENTION_<TYPE>_MAX_AGE_SECONDS
+ * and RETENTION_<TYPE>_EMPTY_GRACE_SECONDS (TYPE = SERVER, GLOBAL or PARTY; "none" for no
+ * limit), or with a JSON file named by RETENTION_CONFIG:
+ *   {
+ *     "server": { "maxMessages": 100 },
+ *     "places": { "606849621": { "global": { "maxMessages": 500, "maxAgeSeconds": 86400 } } }
+ *   }
+ * Environment variables win over the file. Place overrides only come from the file.
+ */
+
+const ROOM_TYPES = ['server', 'global', 'party'];
+
+// Per-place overrides: parties are not tied to a place, and the place of a server room is
+// only what its clients claim (see roles.js)
+const PLACE_ROOM_TYPES = ['global'];
+
+const DEFAULT_POLICIES = {
+  server: { maxMessages: 50, maxAgeSeconds: null, emptyRoomGraceSeconds: 60 },
+  global: { maxMessages: 50, maxAgeSeconds: null, emptyRoomGraceSeconds: 60 },
+  party: { maxMessages: 50, maxAgeSeconds: null, emptyRoomGraceSeconds: null }
+};
+
+const POLICY_FIELDS = {
+  maxMessages: 'MAX_MESSAGES',
+  maxAgeSeconds: 'MAX_AGE_SECONDS',
+  emptyRoomGraceSeconds: 'EMPTY_GRACE_SECONDS'
+};
+
+/**
+ * Check a policy value: a positive integer, or null for no limit
+ * Returns undefined when the value is unusable
+ */
+function parsePolicyValue(value) {
+  if (value === null || value === 'none') return null;
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isSafeInteger(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Apply the valid fields of an override on top of a policy
+ */
+function mergePolicy(policy, override, source) {
+  const merged = { ...policy };
+  if (!override || typeof override !== 'object') return merged;
+
+  for (const field of Object.keys(POLICY_FIELDS)) {
+    if (override[field] === undefined) continue;
+
+    const value = parsePolicyValue(override[field]);
+    if (value === undefined) {
+      logger.warn('Ignoring invalid retention setting', { source, field });
+      continue;
+    }
+    merged[field] = value;
+  }
+  return merged;
+}
+
+/**
+ * Read the JSON file named by RETENTION_CONFIG
+ */
+function readConfigFile(path) {
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to read retention config, using defaults', { path, error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Build the retention config from the environment (and the file it names)
+ */
+function loadRetentionConfig(env = process.env) {
+  const file = env.RETENTION_CONFIG ? readConfigFile(env.RETENTION_CONFIG) : {};
+
+  const defaults = {};
+  for (const type of ROOM_TYPES) {
+    const fromEnv = {};
+    for (const [field, suffix] of Object.entries(POLICY_FIELDS)) {
+      const value = env[`RETENTION_${type.toUpperCase()}_${suffix}`];
+      if (value !== undefined && value !== '') {
+        fromEnv[field] = value;
+      }
+    }
+
+    const fromFile = mergePolicy(DEFAULT_POLICIES[type], file[type], `file:${type}`);
+    defaults[type] = mergePolicy(fromFile, fromEnv, `env:${type}`);
+  }
+
+  const places = {};
+  for (const [placeId, overrides] of Object.entries(file.places || {})) {
+    if (!/^\d{1,20}$/.test(placeId) || !overrides || typeof overrides !== 'object') {
+      logger.warn('Ignoring invalid retention place override', { placeId });
+      continue;
+    }
+
+    places[placeId] = {};
+    for (const type of PLACE_ROOM_TYPES) {
+      if (overrides[type]) {
+        places[placeId][type] = mergePolicy({}, overrides[type], `file:places.${placeId}.${type}`);
+      }
+    }
+  }
+
+  return { defaults, places };
+}
+
+let retentionConfig = null;
+
+/**
+ * Get the active retention config, loading it on first use
+ */
+function getRetentionConfig() {
+  if (!retentionConfig) {
+    retentionConfig = loadRetentionConfig();
+  }
+  return retentionConfig;
+}
+
+/**
+ * Replace the active retention config (e.g. in tests)
+ */
+function setRetentionConfig(config) {
+  retentionConfig = config;
+}
+
+/**
+ * Policy of a room type, with the place's overrides applied
+ */
+function getRetentionPolicy(chatType, placeId = null) {
+  const { defaults, places } = getRetentionConfig();
+  const override = placeId ? places[String(placeId)]?.[chatType] : null;
+  return { ...defaults[chatType], ...override };
+}
+
+/**
+ * Policy of a room by its ID
+ */
+async function getRoomRetention(roomId) {
+  const [chatType] = roomId.split(':');
+  const placeId = PLACE_ROOM_TYPES.includes(chatType) ? await getRoomPlaceId(roomId) : null;
+  return getRetentionPolicy(chatType, placeId);
+}
+
+/**
+ * When a message sent now expires under a policy (null = never)
+ */
+function messageExpiry(policy, now = Date.now()) {
+  return policy.maxAgeSeconds ? new Date(now + policy.maxAgeSeconds * 1000) : null;
+}
+
+module.exports = {
+  DEFAULT_POLICIES,
+  loadRetentionConfig,
+  getRetentionConfig,
+  setRetentionConfig,
+  getRetentionPolicy,
+  getRoomRetention,
+  messageExpiry
+};
@@ -0,0 +1,27 @@
+const logger = require('../logging/logger');
+const { createRedisClient } = require('../utils/stateStore');
+
+/**
+ * Attach the Redis adapter to Socket.io when REDIS_URL is set
+ * Broadcasts (io.to(room).emit) then reach clients connected to every server process.
+ * Without REDIS_URL the default in-memory adapter is kept (single instance).
+ */
+async function attachSocketAdapter(io, redisUrl = process.env.REDIS_URL) {
+  if (!redisUrl) {
+    logger.info('Using in-memory Socket.io adapter (single instance)');
+    return;
+  }
+
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  const pubClient = createRedisClient(redisUrl);
+  const subClient = pubClient.duplicate();
+  subClient.on('error', (error) => {
+    logger.error('Redis subscriber error', { error: error.message });
+  });
+
+  io.adapter(createAdapter(pubClient, subClient));
+  logger.info('Using Redis Socket.io adapter');
+}
+
+module.exports = attachSocketAdapter;
@@ -8,10 +8,25 @@ const logger = require('./logging/logger');
 const connectDatabase = require('./config/database');
 const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
+const blockRoutes = require('./routes/blocks');
+const dmRoutes = require('./routes/dm');
+const partyRoutes = require('./routes/party');
+const moderationRoutes = require('./routes/moderation');
 const oauthRoutes = require('./routes/oauth');
 const authMiddleware = require('./middleware/authMiddleware');
+const { socketAuthMiddleware } = authMiddleware;
 const sessionManager = require('./utils/sessionManager');
+const { getStateStore } = require('./utils/stateStore');
+const attachSocketAdapter = require('./config/socketAdapter');
+const { getRetentionConfig } = require('./config/retention');
 const { validateMessage, sanitizeMessage } = require('./utils/messageValidator');
+const { isAllowedReaction, formatReactions } = require('./utils/reactions');
+const { parseMentions, formatMentions } = require('./utils/mentions');
+const { getRoomRole } = require('./utils/roles');
+const moderation = require('./utils/moderation');
+const parties = require('./utils/parties');
+const { roomIdFor, getRoomMembers } = require('./utils/rooms');
+const User = require('./models/User');
 
 const app = express();
 const server = http.createServer(app);
@@ -46,63 +61,40 @@ const io = new Server(server, {
   }
 });
 
-const { LRUCache } = require('lru-cache');
-
-// Track typing users per room: Map<roomId, Set<username>>
-const typingUsers = new Map();
-
-// Socket rate limiting: LRU cache with max size to prevent memory leak
-const socketRateLimits = new LRUCache({
-  max: 10000, // Max 10,000 entries (supports ~2,500 sockets × 4 event types)
-  ttl: 30000, // Auto-expire entries after 30 seconds
-  updateAgeOnGet: false, // Don't reset TTL on reads
-  allowStale: false
-});
+// Typing users per room live in the shared state store: set typing:<roomId> of usernames
+// The set expires after a minute without typing activity so stale entries cannot linger
+const TYPING_TTL_MS = 60000;
+const typingKey = (roomId) => `typing:${roomId}`;
 
 const SOCKET_RATE_CONFIG = {
   typing: { maxPerWindow: 10, windowMs: 5000 },
   edit: { maxPerWindow: 5, windowMs: 10000 },
   delete: { maxPerWindow: 5, windowMs: 10000 },
-  joinRoom: { maxPerWindow: 10, windowMs: 10000 }
+  joinRoom: { maxPerWindow: 10, windowMs: 10000 },
+  reaction: { maxPerWindow: 10, windowMs: 5000 },
+  moderation: { maxPerWindow: 10, windowMs: 10000 }
 };
 
 /**
  * Check socket rate limit for a given event type
- * Returns true if request is allowed, false if rate limited
+ * Resolves true if request is allowed, false if rate limited
+ * Counters live in the shared state store and expire with their window
  */
-function checkSocketRateLimit(socketId, eventType) {
+async function checkSocketRateLimit(socketId, eventType) {
   const config = SOCKET_RATE_CONFIG[eventType];
   if (!config) return true;
 
-  const key = socketId + ':' + eventType;
-  const now = Date.now();
-  let entry = socketRateLimits.get(key);
-
-  if (!entry || now - entry.windowStart > config.windowMs) {
-    socketRateLimits.set(key, { windowStart: now, count: 1 });
+  try {
+    const key = `rate:socket:${socketId}:${eventType}`;
+    const count = await getStateStore().incr(key, config.windowMs);
+    return count <= config.maxPerWindow;
+  } catch (error) {
+    // Don't block events on state store errors
+    logger.error('Socket rate limit check failed', { eventType, error: error.message });
     return true;
   }
-
-  entry.count++;
-  socketRateLimits.set(key, entry); // Update entry in LRU cache
-
-  if (entry.count > config.maxPerWindow) {
-    return false;
-  }
-  return true;
 }
 
-// Clean empty typing rooms every 60 seconds
-// LRU cache auto-expires rate limit entries, no manual cleanup needed
-setInterval(() => {
-  // Clean empty typing rooms
-  for (const [roomId, typers] of typingUsers.entries()) {
-    if (typers.size === 0) {
-      typingUsers.delete(roomId);
-    }
-  }
-}, 60000);
-
 // Middleware
 app.use(express.json({ limit: '16kb' }));
 app.use(express.urlencoded({ extended: true, limit: '16kb' }));
@@ -117,6 +109,10 @@ const { ipRateLimiter } = require('./middleware/rateLimiter');
 app.use('/api/auth', ipRateLimiter, authRoutes);
 app.use('/api/oauth', ipRateLimiter, oauthRoutes);
 app.use('/api/chat', authMiddleware, chatRoutes);
+app.use('/api/blocks', authMiddleware, blockRoutes);
+app.use('/api/dm', authMiddleware, dmRoutes);
+app.use('/api/party', authMiddleware, partyRoutes);
+app.use('/api/moderation', authMiddleware, moderationRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -131,7 +127,10 @@ app.get('/health', (req, res) => {
     database: {
       connected: dbStatus.isConnected,
       circuitBreaker: dbStatus.state
-    }
+    },
+    stateStore: getStateStore().backend,
+    // Active retention policy: defaults per room type and per-place overrides
+    retention: getRetentionConfig()
   });
 });
 
@@ -139,11 +138,27 @@ app.get('/health', (req, res) => {
 // The game browser feature violates RoChat's core principle of being a lightweight overlay
 // that syncs to your current game rather than a game browser. Removed to save bandwidth.
 
+// Authenticate every socket at handshake - handlers read identity from socket.data.user
+io.use(socketAuthMiddleware);
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  logger.info('Client connected', { socketId: socket.id });
+  const { userId, username } = socket.data.user;
+  logger.info('Client connected', { socketId: socket.id, userId });
+
+  // Per-user room so moderation notices and direct messages reach every socket of this user
+  socket.join(moderation.userRoom(userId));
+
+  // The party room is joined for the whole connection, whichever server the client is in
+  parties.findUserParty(userId)
+    .then((party) => {
+      if (party) socket.join(parties.partyRoom(party._id));
+    })
+    .catch((error) => {
+      logger.error('Failed to join party room', { userId, error: error.message });
+    });
 
-  socket.on('join-room', (roomId) => {
+  socket.on('join-room', async (roomId, options) => {
     // Validate roomId format: must be "server:<uuid>" or "global:<digits>"
     if (!roomId || typeof roomId !== 'string' || roomId.length > 100) {
       return;
@@ -152,35 +167,82 @@ io.on('connection', (socket) => {
       logger.warn('Invalid room ID format rejected', { socketId: socket.id });
       return;
     }
-    if (!checkSocketRateLimit(socket.id, 'joinRoom')) {
+    if (!(await checkSocketRateLimit(socket.id, 'joinRoom'))) {
+      return;
+    }
+    try {
+      if (await moderation.isKickedFromRoom(roomId, userId)) {
+        socket.emit('roomJoinRejected', { roomId, error: 'You were recently kicked from this room' });
+        return;
+      }
+    } catch (error) {
+      // Without the kick list a kicked user would get back in - refuse until it answers again
+      logger.error('Failed to check room access', { roomId, error: error.message });
+      socket.emit('roomJoinRejected', { roomId, error: 'Could not join this chat, try again shortly' });
       return;
     }
     socket.join(roomId);
-    sessionManager.joinRoom(socket.id, roomId);
-    logger.info('Client joined room', { socketId: socket.id, roomId });
+    try {
+      const { joined, member } = await sessionManager.joinRoom(socket.id, roomId, socket.data.user);
+
+      // Snapshot for the joining socket, delta for everyone else when the user is new to the room
+      socket.emit('presenceSnapshot', {
+        roomId,
+        members: await sessionManager.getRoster(roomId)
+      });
+      if (joined) {
+        socket.to(roomId).emit('presenceJoined', { roomId, member });
+      }
+
+      // Tell the client which moderation tools to offer in this room
+      socket.emit('roomRole', {
+        roomId,
+        role: await getRoomRole(await User.findOne({ userId }), roomId)
+      });
+
+      // Party members see which server this user is in
+      if (roomId.startsWith('server:') && options && /^\d{1,20}$/.test(String(options.placeId || ''))) {
+        await parties.setMemberLocation(io, userId, {
+          placeId: String(options.placeId),
+          jobId: roomId.substring('server:'.length)
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to track room join', { roomId, error: error.message });
+    }
+    logger.info('Client joined room', { socketId: socket.id, userId, roomId });
   });
 
-  socket.on('leave-room', (roomId) => {
+  socket.on('leave-room', async (roomId) => {
     if (!roomId || typeof roomId !== 'string' || roomId.length > 100) {
       return;
     }
     socket.leave(roomId);
-    sessionManager.leaveRoom(socket.id, roomId);
+    try {
+      const { left } = await sessionManager.leaveRoom(socket.id, roomId, userId);
+      if (left) {
+        io.to(roomId).emit('presenceLeft', { roomId, userId });
+        if (roomId.startsWith('server:')) {
+          await parties.clearMemberLocation(io, userId, roomId.substring('server:'.length));
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to track room leave', { roomId, error: error.message });
+    }
     logger.info('Client left room', { socketId: socket.id, roomId });
   });
 
-  socket.on('notifyTyping', (data) => {
+  socket.on('notifyTyping', async (data) => {
     if (!data || typeof data !== 'object') return;
 
-    const { jobId, username, isTyping } = data;
+    const { jobId, isTyping } = data;
 
     // Validate input types and lengths
     if (!jobId || typeof jobId !== 'string' || jobId.length > 100) return;
-    if (!username || typeof username !== 'string' || username.length > 50) return;
     if (typeof isTyping !== 'boolean') return;
 
     // Rate limit typing events
-    if (!checkSocketRateLimit(socket.id, 'typing')) return;
+    if (!(await checkSocketRateLimit(socket.id, 'typing'))) return;
 
     // Sanitize username - strip anything that isn't alphanumeric or underscore
     const safeUsername = username.replace(/[^a-zA-Z0-9_]/g, '').substring(0, 50);
@@ -188,45 +250,59 @@ io.on('connection', (socket) => {
 
     const roomId = `server:${jobId}`;
 
-    if (!typingUsers.has(roomId)) {
-      typingUsers.set(roomId, new Set());
-    }
+    // Only members of the room may broadcast typing state into it
+    if (!socket.rooms.has(roomId)) return;
 
-    const roomTypers = typingUsers.get(roomId);
+    try {
+      const store = getStateStore();
 
-    if (isTyping) {
-      roomTypers.add(safeUsername);
-    } else {
-      roomTypers.delete(safeUsername);
-    }
+      if (isTyping) {
+        await store.sAdd(typingKey(roomId), safeUsername);
+        await store.expire(typingKey(roomId), TYPING_TTL_MS);
+      } else {
+        await store.sRem(typingKey(roomId), safeUsername);
+      }
 
-    socket.currentUsername = safeUsername;
-    socket.currentRoomId = roomId;
+      socket.currentUsername = safeUsername;
+      socket.currentRoomId = roomId;
 
-    io.to(roomId).emit('typingIndicator', {
-      typingUsers: Array.from(roomTypers)
-    });
+      io.to(roomId).emit('typingIndicator', {
+        roomId,
+        typingUsers: await store.sMembers(typingKey(roomId))
+      });
+    } catch (error) {
+      logger.error('Failed to update typing state', { error: error.message });
+    }
   });
 
-  socket.on('disconnect', () => {
-    if (socket.currentUsername && socket.currentRoomId) {
-      const roomTypers = typingUsers.get(socket.currentRoomId);
-      if (roomTypers) {
-        roomTypers.delete(socket.currentUsername);
+  socket.on('disconnect', async () => {
+    try {
+      if (socket.currentUsername && socket.currentRoomId) {
+        const store = getStateStore();
+        await store.sRem(typingKey(socket.currentRoomId), socket.currentUsername);
         io.to(socket.currentRoomId).emit('typingIndicator', {
-          typingUsers: Array.from(roomTypers)
+          roomId: socket.currentRoomId,
+          typingUsers: await store.sMembers(typingKey(socket.currentRoomId))
         });
       }
-    }
 
-    sessionManager.handleDisconnect(socket.id);
+      const leftRooms = await sessionManager.handleDisconnect(socket.id, userId);
+      for (const roomId of leftRooms) {
+        io.to(roomId).emit('presenceLeft', { roomId, userId });
+        if (roomId.startsWith('server:')) {
+          await parties.clearMemberLocation(io, userId, roomId.substring('server:'.length));
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to clean up disconnected socket', { error: error.message });
+    }
     logger.info('Client disconnected', { socketId: socket.id });
   });
   socket.on('editMessage', async (data) => {
     try {
       if (!data || typeof data !== 'object') return;
 
-      const { messageId, userId, newContent } = data;
+      const { messageId, newContent } = data;
 
       // Validate messageId format (MongoDB ObjectId = 24 hex chars)
       if (!messageId || typeof messageId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(messageId)) {
@@ -234,12 +310,6 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Validate userId
-      if (!userId || typeof userId !== 'string' || userId.length > 50) {
-        socket.emit('messageEditError', { error: 'Invalid user ID' });
-        return;
-      }
-
       // Validate and sanitize newContent using the same rules as /send
       if (!newContent || typeof newContent !== 'string') {
         socket.emit('messageEditError', { error: 'Message content required' });
@@ -255,7 +325,7 @@ io.on('connection', (socket) => {
       const sanitizedContent = sanitizeMessage(newContent);
 
       // Rate limit edit events
-      if (!checkSocketRateLimit(socket.id, 'edit')) {
+      if (!(await checkSocketRateLimit(socket.id, 'edit'))) {
         socket.emit('messageEditError', { error: 'Too many edits. Please wait.' });
         return;
       }
@@ -269,25 +339,26 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Verify user owns the message
+      // Verify the authenticated user owns the message
       if (message.userId !== userId) {
+        logger.warn('Edit rejected - not message owner', { messageId, userId });
         socket.emit('messageEditError', { error: 'Unauthorized' });
         return;
       }
 
-      // Update message with sanitized content
+      const roomId = roomIdFor(message);
+
+      // Update message with sanitized content (mentions follow the new text)
       message.message = sanitizedContent;
+      message.mentions = parseMentions(sanitizedContent, await getRoomMembers(roomId));
       message.editedAt = new Date();
       await message.save();
 
       // Broadcast to all users in the room
-      const roomId = message.chatType === 'server'
-        ? `server:${message.jobId}`
-        : `global:${message.placeId}`;
-
       io.to(roomId).emit('messageEdited', {
         messageId,
         newContent: sanitizedContent,
+        mentions: formatMentions(message.mentions),
         editedAt: message.editedAt
       });
 
@@ -298,26 +369,98 @@ io.on('connection', (socket) => {
     }
   });
   
-  socket.on('deleteMessage', async (data) => {
+  socket.on('toggleReaction', async (data) => {
     try {
       if (!data || typeof data !== 'object') return;
 
-      const { messageId, userId } = data;
+      const { messageId, emoji } = data;
 
       // Validate messageId format (MongoDB ObjectId = 24 hex chars)
       if (!messageId || typeof messageId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(messageId)) {
-        socket.emit('messageDeleteError', { error: 'Invalid message ID' });
+        socket.emit('reactionError', { error: 'Invalid message ID' });
+        return;
+      }
+
+      if (!isAllowedReaction(emoji)) {
+        socket.emit('reactionError', { error: 'Unsupported reaction' });
+        return;
+      }
+
+      // Rate limit reaction events
+      if (!(await checkSocketRateLimit(socket.id, 'reaction'))) {
+        socket.emit('reactionError', { error: 'Too many reactions. Please wait.' });
+        return;
+      }
+
+      const Message = require('./models/Message');
+      const message = await Message.findById(messageId).select('chatType jobId placeId partyId reactions');
+
+      if (!message) {
+        socket.emit('reactionError', { error: 'Message not found' });
+        return;
+      }
+
+      // Only members of the message's room may react to it
+      const roomId = roomIdFor(message);
+      if (!socket.rooms.has(roomId)) {
+        socket.emit('reactionError', { error: 'Unauthorized' });
         return;
       }
 
-      // Validate userId
-      if (!userId || typeof userId !== 'string' || userId.length > 50) {
-        socket.emit('messageDeleteError', { error: 'Invalid user ID' });
+      // Atomic updates so concurrent reactions from other users are not lost
+      const hasReacted = message.reactions.some(
+        reaction => reaction.emoji === emoji && reaction.userIds.includes(userId)
+      );
+
+      if (hasReacted) {
+        await Message.updateOne(
+          { _id: messageId, 'reactions.emoji': emoji },
+          { $pull: { 'reactions.$.userIds': userId } }
+        );
+        await Message.updateOne(
+          { _id: messageId },
+          { $pull: { reactions: { userIds: { $size: 0 } } } }
+        );
+      } else {
+        const added = await Message.updateOne(
+          { _id: messageId, 'reactions.emoji': emoji },
+          { $addToSet: { 'reactions.$.userIds': userId } }
+        );
+        if (added.matchedCount === 0) {
+          await Message.updateOne(
+            { _id: messageId, 'reactions.emoji': { $ne: emoji } },
+            { $push: { reactions: { emoji, userIds: [userId] } } }
+          );
+        }
+      }
+
+      const updated = await Message.findById(messageId).select('reactions');
+      if (!updated) return;
+
+      io.to(roomId).emit('messageReactionsUpdated', {
+        messageId,
+        reactions: formatReactions(updated.reactions)
+      });
+    } catch (error) {
+      logger.error('Failed to toggle reaction', { error: error.message });
+      socket.emit('reactionError', { error: 'Failed to update reaction' });
+    }
+  });
+
+  socket.on('deleteMessage', async (data) => {
+    try {
+      if (!data || typeof data !== 'object') return;
+
+      const { messageId } = data;
+
+      // Validate messageId format (MongoDB ObjectId = 24 hex chars)
+      if (!messageId || typeof messageId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(messageId)) {
+        socket.emit('messageDeleteError', { error: 'Invalid message ID' });
         return;
       }
 
       // Rate limit delete events
-      if (!checkSocketRateLimit(socket.id, 'delete')) {
+      if (!(await checkSocketRateLimit(socket.id, 'delete'))) {
         socket.emit('messageDeleteError', { error: 'Too many deletes. Please wait.' });
         return;
       }
@@ -331,16 +474,19 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Verify user owns the message
+      // Messages from other users can only be removed by the room's moderators
       if (message.userId !== userId) {
-        socket.emit('messageDeleteError', { error: 'Unauthorized' });
+        const actor = await User.findOne({ userId });
+        const result = await moderation.deleteMessage(io, actor, { messageId, reason: data.reason });
+        if (!result.success) {
+          logger.warn('Delete rejected - not message owner', { messageId, userId });
+          socket.emit('messageDeleteError', { error: result.status === 403 ? 'Unauthorized' : result.error });
+        }
         return;
       }
 
       // Get room before deleting
-      const roomId = message.chatType === 'server'
-        ? `server:${message.jobId}`
-        : `global:${message.placeId}`;
+      const roomId = roomIdFor(message);
 
       // Delete message from database
       await Message.findByIdAndDelete(messageId);
@@ -354,6 +500,39 @@ io.on('connection', (socket) => {
       socket.emit('messageDeleteError', { error: 'Failed to delete message' });
     }
   });
+
+  // Moderator actions - results are reported back as moderationResult
+  const moderationEvents = {
+    muteUser: moderation.muteUser,
+    unmuteUser: moderation.unmuteUser,
+    kickUser: moderation.kickUser,
+    banUser: moderation.banUser
+  };
+
+  for (const [event, action] of Object.entries(moderationEvents)) {
+    socket.on(event, async (data) => {
+      try {
+        if (!data || typeof data !== 'object') return;
+
+        if (!(await checkSocketRateLimit(socket.id, 'moderation'))) {
+          socket.emit('moderationResult', { action: event, success: false, error: 'Too many moderation actions. Please wait.' });
+          return;
+        }
+
+        const actor = await User.findOne({ userId });
+        const result = await action(io, actor, data);
+        socket.emit('moderationResult', {
+          action: event,
+          success: result.success,
+          error: result.error,
+          targetUserId: data.userId
+        });
+      } catch (error) {
+        logger.error('Moderation action failed', { event, error: error.message });
+        socket.emit('moderationResult', { action: event, success: false, error: 'Moderation action failed' });
+      }
+    });
+  }
 });
 
 // Export io for use in routes
@@ -362,7 +541,10 @@ module.exports.io = io;
 const PORT = process.env.PORT || 3000;
 
 // Connect to database and start server
-connectDatabase().then(() => {
+connectDatabase().then(async () => {
+  // Share broadcasts across server processes when Redis is configured
+  await attachSocketAdapter(io);
+
   server.listen(PORT, '0.0.0.0', () => {
     logger.info(`Server listening on port ${PORT} on 0.0.0.0`);
   });
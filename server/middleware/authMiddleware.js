@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const logger = require('../logging/logger');
 const User = require('../models/User');
+const { isBanned } = require('../utils/moderation');
 const axios = require('axios');
 
 // Cache for Roblox public keys (refresh every 24 hours)
@@ -274,6 +275,116 @@ async function verifyJWTSignature(token) {
   }
 }
 
+/**
+ * Verify a Roblox idToken (JWT) and resolve the matching user
+ * Shared by the Express middleware and the Socket.io handshake middleware
+ * Returns { user } on success or { status, error } on failure
+ */
+async function authenticateToken(token) {
+  // Parse Roblox OAuth2 idToken (JWT)
+  let payload;
+  try {
+    const tokenParts = token.split('.');
+    if (tokenParts.length === 3) {
+      // Decode JWT payload (base64url encoded)
+      const payloadBuffer = base64urlDecode(tokenParts[1]);
+      payload = JSON.parse(payloadBuffer.toString('utf8'));
+
+      logger.info('Token payload decoded', {
+        iss: payload.iss,
+        sub: payload.sub,
+        exp: payload.exp,
+        iat: payload.iat,
+        hasExp: !!payload.exp,
+        isExpired: payload.exp ? Date.now() >= payload.exp * 1000 : false
+      });
+    } else {
+      return { status: 401, error: 'Invalid token format' };
+    }
+  } catch (error) {
+    logger.error('Failed to parse token', { error: error.message });
+    return { status: 401, error: 'Invalid token' };
+  }
+
+  // Verify token signature with Roblox's public keys
+  const signatureResult = await verifyJWTSignature(token);
+  if (!signatureResult.valid) {
+    logger.warn('Token signature verification failed', { reason: signatureResult.reason });
+    return { status: 401, error: signatureResult.reason || 'Invalid token signature' };
+  }
+
+  // Verify token expiration
+  if (payload.exp && Date.now() >= payload.exp * 1000) {
+    logger.warn('Token expired', { exp: payload.exp });
+    return { status: 401, error: 'Token expired' };
+  }
+
+  // Verify token not used before its valid time
+  if (payload.nbf && Date.now() < payload.nbf * 1000) {
+    logger.warn('Token not yet valid', { nbf: payload.nbf });
+    return { status: 401, error: 'Token not yet valid' };
+  }
+
+  // Verify issuer is Roblox - use exact match to prevent spoofed issuers
+  // e.g. "evil-roblox.com" or "roblox.com.evil.com" would pass an includes() check
+  const VALID_ISSUERS = [
+    'https://apis.roblox.com/oauth/',
+    'https://apis.roblox.com/oauth',
+    'https://apis.roblox.com'
+  ];
+  if (payload.iss && !VALID_ISSUERS.includes(payload.iss)) {
+    logger.warn('Invalid token issuer', { iss: payload.iss });
+    return { status: 401, error: 'Invalid token issuer' };
+  }
+
+  // Extract userId from token (Roblox uses 'sub' field for user ID)
+  const userIdStr = payload.sub || payload.userId;
+  const username = payload.preferred_username || payload.username;
+
+  if (!userIdStr) {
+    return { status: 401, error: 'Token missing user ID' };
+  }
+
+  // Convert userId to number (Roblox user IDs are numeric)
+  const userId = parseInt(userIdStr);
+  if (isNaN(userId)) {
+    return { status: 401, error: 'Invalid user ID format' };
+  }
+
+  // Find user by userId, create if not exists (auto-register)
+  let user = await User.findOne({ userId: userId });
+
+  if (!user) {
+    // Auto-register user from valid token
+    user = new User({
+      userId: userId,
+      username: username || `User${userId}`,
+      displayName: payload.name || payload.nickname || username
+    });
+    await user.save();
+    logger.info('Auto-registered user from token', { userId, username });
+  }
+
+  // Banned users are refused everywhere (REST and socket handshakes)
+  if (isBanned(user)) {
+    logger.warn('Banned user rejected', { userId });
+    return {
+      status: 403,
+      code: 'BANNED',
+      error: user.ban.expiresAt
+        ? `You are banned until ${user.ban.expiresAt.toISOString()}`
+        : 'You are banned from RoChat'
+    };
+  }
+
+  // Avatar URL from the signed token (profile scope) - only https URLs are passed on
+  const picture = typeof payload.picture === 'string' && payload.picture.startsWith('https://')
+    ? payload.picture
+    : null;
+
+  return { user, picture };
+}
+
 /**
  * Verify Roblox token and authenticate user
  */
@@ -291,124 +402,68 @@ async function authMiddleware(req, res, next) {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    // Parse Roblox OAuth2 idToken (JWT)
-    let payload;
-    try {
-      const tokenParts = token.split('.');
-      if (tokenParts.length === 3) {
-        // Decode JWT payload (base64url encoded)
-        const payloadBuffer = base64urlDecode(tokenParts[1]);
-        payload = JSON.parse(payloadBuffer.toString('utf8'));
-
-        logger.info('Token payload decoded', {
-          iss: payload.iss,
-          sub: payload.sub,
-          exp: payload.exp,
-          iat: payload.iat,
-          hasExp: !!payload.exp,
-          isExpired: payload.exp ? Date.now() >= payload.exp * 1000 : false
-        });
-      } else {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid token format'
-        });
-      }
-    } catch (error) {
-      logger.error('Failed to parse token', { error: error.message });
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
-
-    // Verify token signature with Roblox's public keys
-    const signatureResult = await verifyJWTSignature(token);
-    if (!signatureResult.valid) {
-      logger.warn('Token signature verification failed', { reason: signatureResult.reason });
-      return res.status(401).json({
+    const result = await authenticateToken(token);
+    if (!result.user) {
+      return res.status(result.status).json({
         success: false,
-        error: signatureResult.reason || 'Invalid token signature'
+        error: result.error,
+        ...(result.code && { code: result.code })
       });
     }
 
-    // Verify token expiration
-    if (payload.exp && Date.now() >= payload.exp * 1000) {
-      logger.warn('Token expired', { exp: payload.exp });
-      return res.status(401).json({
-        success: false,
-        error: 'Token expired'
-      });
-    }
-
-    // Verify token not used before its valid time
-    if (payload.nbf && Date.now() < payload.nbf * 1000) {
-      logger.warn('Token not yet valid', { nbf: payload.nbf });
-      return res.status(401).json({
-        success: false,
-        error: 'Token not yet valid'
-      });
-    }
-
-    // Verify issuer is Roblox - use exact match to prevent spoofed issuers
-    // e.g. "evil-roblox.com" or "roblox.com.evil.com" would pass an includes() check
-    const VALID_ISSUERS = [
-      'https://apis.roblox.com/oauth/',
-      'https://apis.roblox.com/oauth',
-      'https://apis.roblox.com'
-    ];
-    if (payload.iss && !VALID_ISSUERS.includes(payload.iss)) {
-      logger.warn('Invalid token issuer', { iss: payload.iss });
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token issuer'
-      });
-    }
+    // Attach user to request
+    req.user = result.user;
+    next();
+  } catch (error) {
+    logger.error('Auth middleware error', { error: error.message });
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Authentication failed' 
+    });
+  }
+}
 
-    // Extract userId from token (Roblox uses 'sub' field for user ID)
-    const userIdStr = payload.sub || payload.userId;
-    const username = payload.preferred_username || payload.username;
+/**
+ * Build the error passed to a rejected Socket.io handshake
+ * The client reads err.data.code to tell auth failures apart from network errors
+ */
+function createSocketAuthError(message, code = 'AUTH_FAILED') {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+}
 
-    if (!userIdStr) {
-      return res.status(401).json({
-        success: false,
-        error: 'Token missing user ID'
-      });
-    }
+/**
+ * Socket.io middleware - verify the idToken sent in socket.handshake.auth.token
+ * Binds the verified user to socket.data.user; handlers must never trust identity from payloads
+ */
+async function socketAuthMiddleware(socket, next) {
+  try {
+    const token = socket.handshake?.auth?.token;
 
-    // Convert userId to number (Roblox user IDs are numeric)
-    const userId = parseInt(userIdStr);
-    if (isNaN(userId)) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid user ID format'
-      });
+    if (!token || typeof token !== 'string') {
+      return next(createSocketAuthError('No authorization token provided'));
     }
 
-    // Find user by userId, create if not exists (auto-register)
-    let user = await User.findOne({ userId: userId });
-
-    if (!user) {
-      // Auto-register user from valid token
-      user = new User({
-        userId: userId,
-        username: username || `User${userId}`,
-        displayName: payload.name || payload.nickname || username
-      });
-      await user.save();
-      logger.info('Auto-registered user from token', { userId, username });
+    const result = await authenticateToken(token);
+    if (!result.user) {
+      logger.warn('Socket authentication rejected', { socketId: socket.id, reason: result.error });
+      return next(createSocketAuthError(result.error, result.code));
     }
 
-    // Attach user to request
-    req.user = user;
+    socket.data.user = {
+      userId: result.user.userId,
+      username: result.user.username,
+      displayName: result.user.displayName,
+      picture: result.picture
+    };
     next();
   } catch (error) {
-    logger.error('Auth middleware error', { error: error.message });
-    return res.status(500).json({ 
-      success: false, 
-      error: 'Authentication failed' 
-    });
+    logger.error('Socket auth middleware error', { error: error.message });
+    next(createSocketAuthError('Authentication failed'));
   }
 }
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
+module.exports.socketAuthMiddleware = socketAuthMiddleware;
+module.exports.authenticateToken = authenticateToken;
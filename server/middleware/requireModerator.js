@@ -0,0 +1,39 @@
+const logger = require('../logging/logger');
+const { hasRole } = require('../utils/roles');
+
+/**
+ * Global role checks for REST routes
+ * Must run after authMiddleware so req.user is set. Room-level permissions
+ * (place moderators) are checked by the moderation actions themselves.
+ */
+
+/**
+ * Check if a user is a global moderator (or admin)
+ */
+function isModerator(user) {
+  return hasRole(user, 'moderator');
+}
+
+/**
+ * Build middleware rejecting users below minRole
+ */
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user, minRole)) {
+      logger.warn('Role check rejected', { userId: req.user?.userId, minRole, path: req.path });
+      return res.status(403).json({
+        success: false,
+        error: minRole === 'admin' ? 'Admin access required' : 'Moderator access required'
+      });
+    }
+
+    next();
+  };
+}
+
+const requireModerator = requireRole('moderator');
+
+module.exports = requireModerator;
+module.exports.requireRole = requireRole;
+module.exports.requireAdmin = requireRole('admin');
+module.exports.isModerator = isModerator;
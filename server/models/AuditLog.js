@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// User involved in an audited action
+const auditUserSchema = new mongoose.Schema({
+  userId: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    maxlength: 50
+  }
+}, {
+  _id: false
+});
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: [
+      'message.delete',
+      'user.mute',
+      'user.unmute',
+      'user.kick',
+      'user.ban',
+      'user.unban',
+      'role.set',
+      'report.claim',
+      'report.resolve'
+    ],
+    required: true,
+    index: true
+  },
+  actor: {
+    type: auditUserSchema,
+    required: true
+  },
+  target: {
+    type: auditUserSchema,
+    default: null
+  },
+  roomId: {
+    type: String,
+    maxlength: 120,
+    default: null
+  },
+  placeId: {
+    type: String,
+    maxlength: 50,
+    default: null
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  // Action-specific details (duration, role, deleted message snapshot...)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'target.userId': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One side of a direct-message conversation
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true,
+    maxlength: 50
+  },
+  // Messages from the other member not yet read by this member
+  unreadCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastReadAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const conversationSchema = new mongoose.Schema({
+  // Both user IDs in ascending order - see utils/directMessages.js
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    maxlength: 50
+  },
+  members: {
+    type: [memberSchema],
+    validate: {
+      validator: members => members.length === 2,
+      message: 'A conversation has exactly two members'
+    }
+  },
+  // Preview for the conversation list
+  lastMessage: {
+    type: {
+      _id: false,
+      userId: Number,
+      message: {
+        type: String,
+        maxlength: 200
+      },
+      createdAt: Date
+    },
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Conversation list ordering
+conversationSchema.index({ 'members.userId': 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
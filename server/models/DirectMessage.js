@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const directMessageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Sender
+  userId: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true,
+    maxlength: 50
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 200 // Same limit as room messages
+  }
+}, {
+  timestamps: true
+});
+
+// Paging through a conversation
+directMessageSchema.index({ conversationId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DirectMessage', directMessageSchema);
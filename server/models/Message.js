@@ -13,12 +13,22 @@ const messageSchema = new mongoose.Schema({
     index: true,
     maxlength: 50
   },
+  partyId: {
+    type: String,
+    required: false, // Only for party messages
+    maxlength: 24
+  },
   chatType: {
     type: String,
-    enum: ['server', 'global'],
+    enum: ['server', 'global', 'party'],
     required: true,
     index: true
   },
+  // Position in the room, assigned by the server when the message is sent
+  seq: {
+    type: Number,
+    default: null
+  },
   userId: {
     type: Number,
     required: true,
@@ -34,6 +44,44 @@ const messageSchema = new mongoose.Schema({
     required: true,
     maxlength: 200 // Limit message length
   },
+  // Parent message when this is a reply (must be in the same room)
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Room members mentioned with @username when the message was sent
+  mentions: {
+    type: [{
+      _id: false,
+      userId: {
+        type: Number,
+        required: true
+      },
+      username: {
+        type: String,
+        required: true,
+        maxlength: 50
+      }
+    }],
+    default: []
+  },
+  // Reactions: one entry per emoji with the users who reacted
+  reactions: {
+    type: [{
+      _id: false,
+      emoji: {
+        type: String,
+        required: true,
+        maxlength: 16
+      },
+      userIds: {
+        type: [Number],
+        default: []
+      }
+    }],
+    default: []
+  },
   editedAt: {
     type: Date,
     default: null
@@ -41,6 +89,11 @@ const messageSchema = new mongoose.Schema({
   deletedAt: {
     type: Date,
     default: null
+  },
+  // Set from the room's retention policy (maxAgeSeconds); null keeps the message
+  expiresAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -49,5 +102,12 @@ const messageSchema = new mongoose.Schema({
 // Indexes for efficient queries
 messageSchema.index({ jobId: 1, chatType: 1, createdAt: -1 });
 messageSchema.index({ placeId: 1, chatType: 1, createdAt: -1 });
+messageSchema.index({ partyId: 1, chatType: 1, createdAt: -1 });
+
+// Text index for searching a room's messages
+messageSchema.index({ message: 'text' });
+
+// MongoDB deletes messages once expiresAt has passed (documents without it are kept)
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model('Message', messageSchema);
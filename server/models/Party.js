@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Party member or invited user
+const partyUserSchema = new mongoose.Schema({
+  userId: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true,
+    maxlength: 50
+  }
+}, {
+  _id: false
+});
+
+const partySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 50
+  },
+  // Owner can remove members; ownership passes on when the owner leaves
+  ownerId: {
+    type: Number,
+    required: true
+  },
+  members: {
+    type: [partyUserSchema],
+    default: []
+  },
+  invites: {
+    type: [new mongoose.Schema({
+      userId: {
+        type: Number,
+        required: true
+      },
+      username: {
+        type: String,
+        required: true,
+        maxlength: 50
+      },
+      invitedBy: {
+        type: partyUserSchema,
+        required: true
+      },
+      invitedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }, {
+      _id: false
+    })],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// A user is in at most one party (empty parties are deleted)
+partySchema.index({ 'members.userId': 1 }, { unique: true });
+
+// Pending invites for a user
+partySchema.index({ 'invites.userId': 1 });
+
+module.exports = mongoose.model('Party', partySchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { REPORT_REASONS } = require('../utils/reports');
+
+// Copy of a message at the time it was reported
+const messageSnapshotSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true
+  },
+  chatType: {
+    type: String,
+    enum: ['server', 'global', 'party'],
+    required: true
+  },
+  jobId: String,
+  placeId: String,
+  partyId: String,
+  userId: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    maxlength: 50
+  },
+  message: {
+    type: String,
+    maxlength: 200
+  },
+  timestamp: Date,
+  editedAt: Date
+}, {
+  _id: false
+});
+
+// Moderator or reporter identity
+const actorSchema = new mongoose.Schema({
+  userId: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    maxlength: 50
+  }
+}, {
+  _id: false
+});
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: actorSchema,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  message: {
+    type: messageSnapshotSchema,
+    required: true
+  },
+  // Surrounding messages, oldest first (includes the reported message)
+  context: {
+    type: [messageSnapshotSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['open', 'claimed', 'resolved'],
+    default: 'open',
+    index: true
+  },
+  claimedBy: {
+    type: actorSchema,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  resolution: {
+    type: String,
+    enum: ['actioned', 'dismissed', null],
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  resolvedBy: {
+    type: actorSchema,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Moderation queue ordering
+reportSchema.index({ status: 1, createdAt: -1 });
+
+// One report per message per reporter
+reportSchema.index({ 'reporter.userId': 1, 'message.messageId': 1 }, { unique: true });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Last sequence number handed out in a room (see utils/rooms.js nextSequence)
+const roomSequenceSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true,
+    unique: true,
+    maxlength: 120
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Counters of rooms nobody has written to for a week are dropped
+// (kept past room cleanup so numbers never go backwards for connected clients)
+roomSequenceSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('RoomSequence', roomSequenceSchema);
@@ -15,6 +15,66 @@ const userSchema = new mongoose.Schema({
     type: String,
     maxlength: 100
   },
+  // Global role - see utils/roles.js
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Roles that only apply in one place's rooms
+  placeRoles: {
+    type: [{
+      _id: false,
+      placeId: {
+        type: String,
+        required: true,
+        maxlength: 50
+      },
+      role: {
+        type: String,
+        enum: ['moderator', 'admin'],
+        required: true
+      }
+    }],
+    default: []
+  },
+  // Global ban - banExpiresAt null means permanent
+  ban: {
+    type: {
+      _id: false,
+      reason: {
+        type: String,
+        maxlength: 500,
+        default: ''
+      },
+      bannedBy: Number,
+      bannedAt: Date,
+      expiresAt: {
+        type: Date,
+        default: null
+      }
+    },
+    default: null
+  },
+  // Users whose messages are hidden from this user
+  blockedUsers: {
+    type: [{
+      _id: false,
+      userId: {
+        type: Number,
+        required: true
+      },
+      username: {
+        type: String,
+        maxlength: 50
+      },
+      blockedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    default: []
+  },
   lastSeen: {
     type: Date,
     default: Date.now
@@ -31,4 +91,7 @@ userSchema.pre('save', function(next) {
 
 // Note: userId already has an index from unique: true
 
+// Case-insensitive username lookups (party invites) - queries must use the same collation
+userSchema.index({ username: 1 }, { collation: { locale: 'en', strength: 2 } });
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../logging/logger');
+const User = require('../models/User');
+
+// Upper bound on a single user's block list
+const MAX_BLOCKED_USERS = 500;
+
+/**
+ * Format a block list for clients
+ */
+function formatBlockList(blockedUsers) {
+  return (blockedUsers || []).map(entry => ({
+    userId: entry.userId,
+    username: entry.username,
+    blockedAt: entry.blockedAt
+  }));
+}
+
+/**
+ * Read the current block list straight from the database
+ * (req.user was loaded before this request changed it)
+ */
+async function loadBlockList(userId) {
+  const user = await User.findOne({ userId }).select('blockedUsers');
+  return formatBlockList(user ? user.blockedUsers : []);
+}
+
+/**
+ * Get the authenticated user's block list
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      blockedUsers: await loadBlockList(req.user.userId)
+    });
+  } catch (error) {
+    logger.error('Failed to get block list', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get block list'
+    });
+  }
+});
+
+/**
+ * Block a user
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { userId, username } = req.body;
+    const blockerId = req.user.userId;
+
+    if (!Number.isSafeInteger(userId) || userId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid userId'
+      });
+    }
+
+    if (typeof username !== 'string' || !username.trim() || username.length > 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid username'
+      });
+    }
+
+    if (userId === blockerId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot block yourself'
+      });
+    }
+
+    // Guarded update - a duplicate or an overflowing list leaves the document unchanged
+    const result = await User.updateOne(
+      {
+        userId: blockerId,
+        'blockedUsers.userId': { $ne: userId },
+        [`blockedUsers.${MAX_BLOCKED_USERS - 1}`]: { $exists: false }
+      },
+      {
+        $push: {
+          blockedUsers: { userId, username: username.trim(), blockedAt: new Date() }
+        }
+      }
+    );
+
+    const blockedUsers = await loadBlockList(blockerId);
+
+    if (result.modifiedCount === 0 && !blockedUsers.some(entry => entry.userId === userId)) {
+      return res.status(400).json({
+        success: false,
+        error: `You can block at most ${MAX_BLOCKED_USERS} users`
+      });
+    }
+
+    logger.info('User blocked', { userId: blockerId, blockedUserId: userId });
+
+    res.json({ success: true, blockedUsers });
+  } catch (error) {
+    logger.error('Failed to block user', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to block user'
+    });
+  }
+});
+
+/**
+ * Unblock a user
+ */
+router.delete('/:userId', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    const blockerId = req.user.userId;
+
+    if (!Number.isSafeInteger(userId) || userId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid userId'
+      });
+    }
+
+    await User.updateOne(
+      { userId: blockerId },
+      { $pull: { blockedUsers: { userId } } }
+    );
+
+    logger.info('User unblocked', { userId: blockerId, blockedUserId: userId });
+
+    res.json({
+      success: true,
+      blockedUsers: await loadBlockList(blockerId)
+    });
+  } catch (error) {
+    logger.error('Failed to unblock user', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unblock user'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,38 +2,183 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../logging/logger');
 const Message = require('../models/Message');
+const Report = require('../models/Report');
 const axios = require('axios');
 const { rateLimiter } = require('../middleware/rateLimiter');
 const { validateMessage, sanitizeMessage } = require('../utils/messageValidator');
+const { formatReactions } = require('../utils/reactions');
+const { parseMentions, formatMentions } = require('../utils/mentions');
+const {
+  REPORT_CONTEXT_SIZE,
+  isValidReportReason,
+  snapshotMessage
+} = require('../utils/reports');
+const sessionManager = require('../utils/sessionManager');
+const { getRoomMute } = require('../utils/moderation');
+const {
+  isValidChatType,
+  roomIdFor,
+  roomQuery,
+  getRoomMembers,
+  nextSequence,
+  parseSeq
+} = require('../utils/rooms');
+const { isPartyMember } = require('../utils/parties');
+const { getStateStore } = require('../utils/stateStore');
+const { getRoomRetention, messageExpiry } = require('../config/retention');
+const { MIN_QUERY_LENGTH, MAX_QUERY_LENGTH, isValidSearchQuery, findHighlights } = require('../utils/search');
+
+// Global chat cooldown for high-traffic rooms (tracked in the shared state store)
+const GLOBAL_COOLDOWN = {
+  MIN_ROOM_SIZE: 100,
+  COOLDOWN_MS: 10000 // 10 seconds
+};
+
+// Reports per user (tracked in the shared state store)
+const REPORT_LIMIT = {
+  MAX_REPORTS: 10,
+  WINDOW_MS: 60 * 60 * 1000 // 1 hour
+};
+
+// Searches per user, and results per page
+const SEARCH_LIMIT = {
+  MAX_SEARCHES: 20,
+  WINDOW_MS: 60 * 1000, // 1 minute
+  PAGE_SIZE: 20
+};
+
+// Parent previews are truncated to keep broadcasts small
+const REPLY_PREVIEW_LENGTH = 80;
+
+// Idempotency keys of sent messages (tracked in the shared state store)
+// Kept as long as the desktop app keeps retrying a queued message
+const IDEMPOTENCY = {
+  TTL_MS: 24 * 60 * 60 * 1000, // 24 hours
+  IN_PROGRESS: 'pending'
+};
+
+const idempotencyKey = (userId, clientKey) => `sent:${userId}:${clientKey}`;
 
-// Track last global message time per user for high-traffic cooldown
-const userGlobalMessageTimes = new Map();
+/**
+ * Check a client-generated idempotency key (a UUID)
+ */
+function isValidClientKey(clientKey) {
+  return typeof clientKey === 'string' && /^[A-Za-z0-9-]{8,64}$/.test(clientKey);
+}
+
+/**
+ * Build the compact preview of a parent message sent along with replies
+ * A missing parent (deleted or cleaned up) is reported as deleted
+ */
+function buildReplyPreview(parentId, parent) {
+  if (!parent) {
+    return { messageId: parentId.toString(), deleted: true };
+  }
+
+  return {
+    messageId: parent._id.toString(),
+    userId: parent.userId,
+    username: parent.username,
+    message: parent.message.length > REPLY_PREVIEW_LENGTH
+      ? parent.message.substring(0, REPLY_PREVIEW_LENGTH) + '…'
+      : parent.message
+  };
+}
+
+/**
+ * Format a saved message for the sender's response and the room broadcast
+ * clientKey is the sender's nonce, echoed so it can match its local copy
+ */
+function formatSentMessage(message, replyPreview, clientKey) {
+  return {
+    messageId: message._id.toString(),
+    seq: message.seq,
+    clientKey: clientKey || undefined,
+    jobId: message.jobId,
+    placeId: message.placeId,
+    partyId: message.partyId,
+    chatType: message.chatType,
+    userId: message.userId,
+    username: message.username,
+    message: message.message,
+    replyTo: replyPreview,
+    mentions: formatMentions(message.mentions),
+    timestamp: message.createdAt
+  };
+}
+
+/**
+ * Answer a send retried with an idempotency key that was already used
+ * The original message is returned instead of posting it again
+ */
+async function respondWithOriginal(res, sentMessageId, clientKey) {
+  if (!sentMessageId || sentMessageId === IDEMPOTENCY.IN_PROGRESS) {
+    return res.status(409).json({
+      success: false,
+      error: 'This message is already being sent'
+    });
+  }
+
+  // The original may have been cleaned up since - it was still delivered
+  const original = await Message.findById(sentMessageId);
+  let replyPreview = null;
+  if (original && original.replyTo) {
+    replyPreview = buildReplyPreview(original.replyTo, await Message.findById(original.replyTo));
+  }
+
+  res.json({
+    success: true,
+    duplicate: true,
+    message: original ? formatSentMessage(original, replyPreview, clientKey) : null
+  });
+}
 
 /**
  * Send a chat message
  * Rate limiting applied via middleware
+ * Sends carrying a clientKey are idempotent: retrying one returns the original message
  */
 router.post('/send', rateLimiter, async (req, res) => {
+  // Idempotency key claimed by this request, released unless the message is saved
+  let claimedKey = null;
+
   try {
-    const { jobId, placeId, chatType, message } = req.body;
+    const { jobId, placeId, partyId, chatType, message, replyTo, clientKey } = req.body;
     const { userId, username } = req.user;
 
+    if (clientKey !== undefined && clientKey !== null) {
+      if (!isValidClientKey(clientKey)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid clientKey'
+        });
+      }
+
+      const key = idempotencyKey(userId, clientKey);
+      const store = getStateStore();
+      const claimed = await store.setIfAbsent(key, IDEMPOTENCY.IN_PROGRESS, IDEMPOTENCY.TTL_MS);
+      if (!claimed) {
+        logger.info('Duplicate send ignored', { userId });
+        return respondWithOriginal(res, await store.get(key), clientKey);
+      }
+      claimedKey = key;
+    }
+
     // Additional global chat cooldown for high-traffic scenarios (100+ users)
     if (chatType === 'global' && placeId) {
-      const io = req.app.get('io');
       const globalRoom = `global:${placeId}`;
-      const roomSize = io.sockets.adapter.rooms.get(globalRoom)?.size || 0;
+      const roomSize = await sessionManager.getRoomUserCount(globalRoom);
 
       // If 100+ users, enforce 10-second cooldown
-      if (roomSize >= 100) {
-        const userKey = `${userId}_${placeId}`;
-        const lastGlobalMessage = userGlobalMessageTimes.get(userKey) || 0;
-        const now = Date.now();
-        const timeSinceLastMessage = now - lastGlobalMessage;
-        const GLOBAL_COOLDOWN_MS = 10000; // 10 seconds
-
-        if (timeSinceLastMessage < GLOBAL_COOLDOWN_MS) {
-          const remainingSeconds = Math.ceil((GLOBAL_COOLDOWN_MS - timeSinceLastMessage) / 1000);
+      if (roomSize >= GLOBAL_COOLDOWN.MIN_ROOM_SIZE) {
+        const cooldownKey = `cooldown:global:${userId}:${placeId}`;
+        const store = getStateStore();
+
+        // Only one message per cooldown window - the key expires when the window ends
+        const acquired = await store.setIfAbsent(cooldownKey, '1', GLOBAL_COOLDOWN.COOLDOWN_MS);
+        if (!acquired) {
+          const remainingMs = await store.ttl(cooldownKey);
+          const remainingSeconds = Math.max(1, Math.ceil(remainingMs / 1000));
           logger.warn('Global chat cooldown active', { userId, roomSize, remainingSeconds });
           return res.status(429).json({
             success: false,
@@ -41,19 +186,6 @@ router.post('/send', rateLimiter, async (req, res) => {
             retryAfter: remainingSeconds
           });
         }
-
-        // Update last message time
-        userGlobalMessageTimes.set(userKey, now);
-
-        // Cleanup old entries (older than 1 hour)
-        if (userGlobalMessageTimes.size > 10000) {
-          const oneHourAgo = now - 3600000;
-          for (const [key, time] of userGlobalMessageTimes.entries()) {
-            if (time < oneHourAgo) {
-              userGlobalMessageTimes.delete(key);
-            }
-          }
-        }
       }
     }
 
@@ -64,10 +196,10 @@ router.post('/send', rateLimiter, async (req, res) => {
       });
     }
 
-    if (!chatType || (chatType !== 'server' && chatType !== 'global')) {
+    if (!isValidChatType(chatType)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid chatType (must be server or global)'
+        error: 'Invalid chatType (must be server, global or party)'
       });
     }
 
@@ -85,6 +217,25 @@ router.post('/send', rateLimiter, async (req, res) => {
       });
     }
 
+    if (chatType === 'party' && !(await isPartyMember(partyId, userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not in this party'
+      });
+    }
+
+    // Moderator mutes apply per room
+    const roomId = roomIdFor({ chatType, jobId, placeId, partyId });
+    const mute = await getRoomMute(roomId, userId);
+    if (mute) {
+      const remainingMinutes = Math.max(1, Math.ceil((mute.until - Date.now()) / 60000));
+      return res.status(403).json({
+        success: false,
+        error: `You are muted in this room for ${remainingMinutes} more minute${remainingMinutes === 1 ? '' : 's'}.`,
+        mutedUntil: mute.until
+      });
+    }
+
     // Server-side validation (cannot be bypassed)
     const validation = validateMessage(message);
     if (!validation.valid) {
@@ -98,36 +249,75 @@ router.post('/send', rateLimiter, async (req, res) => {
       });
     }
 
+    // Replies must point at an existing message in the same room
+    let parent = null;
+    if (replyTo !== undefined && replyTo !== null) {
+      if (typeof replyTo !== 'string' || !/^[0-9a-fA-F]{24}$/.test(replyTo)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid reply target'
+        });
+      }
+
+      parent = await Message.findById(replyTo);
+      if (!parent || roomIdFor(parent) !== roomId) {
+        return res.status(400).json({
+          success: false,
+          error: 'The message you are replying to is no longer available'
+        });
+      }
+    }
+
     // Sanitize message
     const sanitizedMessage = sanitizeMessage(message);
+    const retention = await getRoomRetention(roomId);
+
+    // Only users present in the room (or in the party) can be mentioned
+    const mentions = parseMentions(sanitizedMessage, await getRoomMembers(roomId));
 
     // Save message to database (use sanitized message)
     const newMessage = new Message({
       jobId: chatType === 'server' ? jobId : undefined,
       placeId: chatType === 'global' ? placeId : undefined,
+      partyId: chatType === 'party' ? partyId : undefined,
       chatType,
+      seq: await nextSequence(roomId),
       userId,
       username,
-      message: sanitizedMessage
+      message: sanitizedMessage,
+      replyTo: parent ? parent._id : null,
+      mentions,
+      expiresAt: messageExpiry(retention)
     });
     await newMessage.save();
 
-    // Enforce 50 message limit - delete oldest messages
-    await enforceMessageLimit(chatType, jobId, placeId);
+    if (claimedKey) {
+      await getStateStore().set(claimedKey, newMessage._id.toString(), IDEMPOTENCY.TTL_MS);
+      claimedKey = null;
+    }
+
+    // Keep the room within its retention policy's message limit
+    await enforceMessageLimit(roomQuery({ chatType, jobId, placeId, partyId }), retention.maxMessages);
 
     // Get Socket.io instance from app
     const io = req.app.get('io');
 
+    const replyPreview = parent ? buildReplyPreview(parent._id, parent) : null;
+
     // Broadcast message to all clients in the appropriate room
-    const roomId = chatType === 'server' ? `server:${jobId}` : `global:${placeId}`;
     io.to(roomId).emit('message', {
       messageId: newMessage._id.toString(),
+      seq: newMessage.seq,
+      clientKey: clientKey || undefined,
       jobId,
       placeId,
+      partyId,
       chatType,
       userId,
       username,
       message: sanitizedMessage,
+      replyTo: replyPreview,
+      mentions: formatMentions(newMessage.mentions),
       timestamp: newMessage.createdAt
     });
 
@@ -141,15 +331,7 @@ router.post('/send', rateLimiter, async (req, res) => {
 
     res.json({
       success: true,
-      message: {
-        jobId,
-        placeId,
-        chatType,
-        userId,
-        username,
-        message: sanitizedMessage,
-        timestamp: newMessage.createdAt
-      }
+      message: formatSentMessage(newMessage, replyPreview, clientKey)
     });
   } catch (error) {
     logger.error('Failed to send message', { error: error.message });
@@ -157,25 +339,25 @@ router.post('/send', rateLimiter, async (req, res) => {
       success: false,
       error: 'Failed to send message'
     });
+  } finally {
+    // Not sent - the same key can be used again
+    if (claimedKey) {
+      await getStateStore().del(claimedKey).catch(() => {});
+    }
   }
 });
 
 /**
- * Enforce message limit (delete oldest messages if over 50)
+ * Enforce message limit (delete oldest messages if over maxMessages, null = no limit)
  */
-async function enforceMessageLimit(chatType, jobId, placeId) {
-  try {
-    const query = { chatType };
-    if (chatType === 'server') {
-      query.jobId = jobId;
-    } else {
-      query.placeId = placeId;
-    }
+async function enforceMessageLimit(query, maxMessages) {
+  if (!maxMessages) return;
 
+  try {
     const messageCount = await Message.countDocuments(query);
 
-    if (messageCount > 50) {
-      const toDelete = messageCount - 50;
+    if (messageCount > maxMessages) {
+      const toDelete = messageCount - maxMessages;
 
       // Find oldest messages
       const oldMessages = await Message.find(query)
@@ -188,7 +370,7 @@ async function enforceMessageLimit(chatType, jobId, placeId) {
       // Delete them
       await Message.deleteMany({ _id: { $in: idsToDelete } });
 
-      logger.info('Deleted old messages', { chatType, count: toDelete });
+      logger.info('Deleted old messages', { chatType: query.chatType, count: toDelete });
     }
   } catch (error) {
     logger.error('Failed to enforce message limit', { error: error.message });
@@ -197,15 +379,29 @@ async function enforceMessageLimit(chatType, jobId, placeId) {
 
 /**
  * Get chat history for a JobId or PlaceId
+ * Without a cursor the latest messages (before `before`, if set) are returned.
+ * since (a message ID, resolved to its sequence number) or afterSeq/beforeSeq (exclusive
+ * sequence numbers) read forwards from a cursor instead, in sequence order - used to
+ * resume after a reconnect and fill gaps
  */
 router.get('/history', async (req, res) => {
   try {
-    const { jobId, placeId, chatType, limit = 50, before } = req.query;
-
-    if (!chatType || (chatType !== 'server' && chatType !== 'global')) {
+    const {
+      jobId,
+      placeId,
+      partyId,
+      chatType,
+      limit = 50,
+      before,
+      since,
+      afterSeq,
+      beforeSeq
+    } = req.query;
+
+    if (!isValidChatType(chatType)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid chatType (must be server or global)'
+        error: 'Invalid chatType (must be server, global or party)'
       });
     }
 
@@ -223,11 +419,20 @@ router.get('/history', async (req, res) => {
       });
     }
 
-    const query = { chatType };
-    if (chatType === 'server') {
-      query.jobId = jobId;
-    } else {
-      query.placeId = placeId;
+    if (chatType === 'party' && !(await isPartyMember(partyId, req.user.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not in this party'
+      });
+    }
+
+    const room = roomQuery({ chatType, jobId, placeId, partyId });
+    const query = { ...room };
+
+    // Hide messages from users the requester has blocked
+    const blockedIds = (req.user.blockedUsers || []).map(entry => entry.userId);
+    if (blockedIds.length > 0) {
+      query.userId = { $nin: blockedIds };
     }
 
     if (before) {
@@ -242,21 +447,77 @@ router.get('/history', async (req, res) => {
       query.createdAt = { $lt: beforeDate };
     }
 
+    if (since !== undefined) {
+      if (typeof since !== 'string' || !/^[0-9a-fA-F]{24}$/.test(since)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid message ID for "since" parameter'
+        });
+      }
+
+      // Resume after the cursor's position in the room sequence. A cursor that is gone was
+      // trimmed along with everything before it (or deleted), so the whole room is read -
+      // the client skips the messages it already has
+      const cursor = await Message.findOne({ ...room, _id: since }).select('seq');
+      query.seq = { $gt: (cursor && cursor.seq) || 0 };
+    }
+
+    const isRange = afterSeq !== undefined || beforeSeq !== undefined;
+    if (isRange) {
+      const range = {};
+      for (const [param, operator] of [[afterSeq, '$gt'], [beforeSeq, '$lt']]) {
+        if (param === undefined) continue;
+
+        const seq = parseSeq(param);
+        if (seq === null) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid sequence number'
+          });
+        }
+        range[operator] = seq;
+      }
+      query.seq = { ...query.seq, ...range };
+    }
+
     // Validate and clamp limit to prevent excessive queries
     const parsedLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
 
-    const messages = await Message.find(query)
-      .sort({ createdAt: -1 })
-      .limit(parsedLimit);
+    // Cursors are read forwards from their start, otherwise the latest messages
+    const isForward = isRange || since !== undefined;
+    let sort = { createdAt: -1 };
+    if (isForward) {
+      sort = { seq: 1 };
+    }
 
-    const formattedMessages = messages.reverse().map(msg => ({
+    let messages = await Message.find(query).sort(sort).limit(parsedLimit);
+    const hasMore = messages.length === parsedLimit;
+    if (!isForward) {
+      messages = messages.reverse();
+    }
+
+    // Fetch all reply parents in one query for their previews
+    const parentIds = messages.filter(msg => msg.replyTo).map(msg => msg.replyTo);
+    const parents = parentIds.length > 0
+      ? await Message.find({ _id: { $in: parentIds } })
+      : [];
+    const parentsById = new Map(parents.map(parent => [parent._id.toString(), parent]));
+
+    const formattedMessages = messages.map(msg => ({
       messageId: msg._id.toString(),
+      seq: msg.seq,
       jobId: msg.jobId,
       placeId: msg.placeId,
+      partyId: msg.partyId,
       chatType: msg.chatType,
       userId: msg.userId,
       username: msg.username,
       message: msg.message,
+      replyTo: msg.replyTo
+        ? buildReplyPreview(msg.replyTo, parentsById.get(msg.replyTo.toString()))
+        : null,
+      mentions: formatMentions(msg.mentions),
+      reactions: formatReactions(msg.reactions),
       timestamp: msg.createdAt,
       editedAt: msg.editedAt,
       deletedAt: msg.deletedAt
@@ -264,7 +525,8 @@ router.get('/history', async (req, res) => {
 
     res.json({
       success: true,
-      messages: formattedMessages
+      messages: formattedMessages,
+      hasMore
     });
   } catch (error) {
     logger.error('Failed to get chat history', { error: error.message });
@@ -275,6 +537,225 @@ router.get('/history', async (req, res) => {
   }
 });
 
+/**
+ * Search a room's retained messages, newest first
+ * Each result carries the ranges of its text that matched (highlights); `before` (the
+ * timestamp of the last result) fetches the next page
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { jobId, placeId, partyId, chatType, q, before } = req.query;
+    const { userId } = req.user;
+
+    if (!isValidChatType(chatType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid chatType (must be server, global or party)'
+      });
+    }
+
+    if (chatType === 'server' && !jobId) {
+      return res.status(400).json({
+        success: false,
+        error: 'JobId is required for server chat'
+      });
+    }
+
+    if (chatType === 'global' && !placeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'PlaceId is required for global chat'
+      });
+    }
+
+    if (!isValidSearchQuery(q)) {
+      return res.status(400).json({
+        success: false,
+        error: `Search must be ${MIN_QUERY_LENGTH} to ${MAX_QUERY_LENGTH} characters`
+      });
+    }
+
+    if (chatType === 'party' && !(await isPartyMember(partyId, userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not in this party'
+      });
+    }
+
+    const store = getStateStore();
+    const rateKey = `rate:search:${userId}`;
+    const count = await store.incr(rateKey, SEARCH_LIMIT.WINDOW_MS);
+    if (count > SEARCH_LIMIT.MAX_SEARCHES) {
+      const retryAfter = Math.max(1, Math.ceil((await store.ttl(rateKey)) / 1000));
+      return res.status(429).json({
+        success: false,
+        error: `Too many searches. Please wait ${retryAfter} seconds.`,
+        retryAfter
+      });
+    }
+
+    const query = {
+      ...roomQuery({ chatType, jobId, placeId, partyId }),
+      $text: { $search: q.trim() },
+      deletedAt: null
+    };
+
+    const blockedIds = (req.user.blockedUsers || []).map(entry => entry.userId);
+    if (blockedIds.length > 0) {
+      query.userId = { $nin: blockedIds };
+    }
+
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format for "before" parameter'
+        });
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const messages = await Message.find(query)
+      .sort({ createdAt: -1 })
+      .limit(SEARCH_LIMIT.PAGE_SIZE);
+
+    res.json({
+      success: true,
+      results: messages.map(msg => ({
+        messageId: msg._id.toString(),
+        seq: msg.seq,
+        chatType: msg.chatType,
+        userId: msg.userId,
+        username: msg.username,
+        message: msg.message,
+        highlights: findHighlights(msg.message, q),
+        timestamp: msg.createdAt,
+        editedAt: msg.editedAt
+      })),
+      hasMore: messages.length === SEARCH_LIMIT.PAGE_SIZE
+    });
+  } catch (error) {
+    logger.error('Failed to search messages', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search messages'
+    });
+  }
+});
+
+/**
+ * Report a message
+ * The message and its surrounding context are copied into the report so the
+ * evidence survives edits, deletes and room cleanup
+ */
+router.post('/report', async (req, res) => {
+  try {
+    const { messageId, reason, details } = req.body;
+    const { userId, username } = req.user;
+
+    if (!messageId || typeof messageId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(messageId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message ID'
+      });
+    }
+
+    if (!isValidReportReason(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid report reason'
+      });
+    }
+
+    if (details !== undefined && (typeof details !== 'string' || details.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Details must be 500 characters or less'
+      });
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    if (message.userId === userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot report your own message'
+      });
+    }
+
+    // Party messages (and the context copied with them) are only readable by members
+    if (message.chatType === 'party' && !(await isPartyMember(message.partyId, userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not in this party'
+      });
+    }
+
+    const count = await getStateStore().incr(`rate:report:${userId}`, REPORT_LIMIT.WINDOW_MS);
+    if (count > REPORT_LIMIT.MAX_REPORTS) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many reports. Please try again later.'
+      });
+    }
+
+    // Capture the conversation on both sides of the reported message
+    const sameRoom = roomQuery(message);
+
+    const [before, after] = await Promise.all([
+      Message.find({ ...sameRoom, createdAt: { $lt: message.createdAt } })
+        .sort({ createdAt: -1 })
+        .limit(REPORT_CONTEXT_SIZE),
+      Message.find({ ...sameRoom, createdAt: { $gt: message.createdAt } })
+        .sort({ createdAt: 1 })
+        .limit(REPORT_CONTEXT_SIZE)
+    ]);
+
+    const context = [...before.reverse(), message, ...after].map(snapshotMessage);
+
+    const report = new Report({
+      reporter: { userId, username },
+      reason,
+      details: details ? sanitizeMessage(details) : '',
+      message: snapshotMessage(message),
+      context
+    });
+
+    try {
+      await report.save();
+    } catch (error) {
+      // Unique index - this user already reported this message
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'You have already reported this message'
+        });
+      }
+      throw error;
+    }
+
+    logger.info('Message reported', { reportId: report._id.toString(), userId, reason });
+
+    res.json({
+      success: true,
+      reportId: report._id.toString()
+    });
+  } catch (error) {
+    logger.error('Failed to report message', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to report message'
+    });
+  }
+});
+
 /**
  * Receive chat message from Roblox
  * This endpoint would be called by a script running in Roblox
@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../logging/logger');
+const Conversation = require('../models/Conversation');
+const DirectMessage = require('../models/DirectMessage');
+const User = require('../models/User');
+const { rateLimiter } = require('../middleware/rateLimiter');
+const { validateMessage, sanitizeMessage } = require('../utils/messageValidator');
+const { userRoom } = require('../utils/moderation');
+const {
+  MAX_CONVERSATIONS,
+  conversationKey,
+  hasBlocked,
+  formatDirectMessage,
+  formatConversation
+} = require('../utils/directMessages');
+
+/**
+ * Parse a Roblox user ID from a request value
+ */
+function parseUserId(value) {
+  const userId = typeof value === 'number' ? value : parseInt(value, 10);
+  return Number.isSafeInteger(userId) && userId > 0 ? userId : null;
+}
+
+/**
+ * Get the conversation between two users, creating it on the first message
+ */
+async function findOrCreateConversation(sender, recipient) {
+  const key = conversationKey(sender.userId, recipient.userId);
+
+  try {
+    return await Conversation.findOneAndUpdate(
+      { key },
+      {
+        $setOnInsert: {
+          key,
+          members: [
+            { userId: sender.userId, username: sender.username },
+            { userId: recipient.userId, username: recipient.username }
+          ]
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Both users sent their first message at once - the other insert won
+    if (error.code === 11000) {
+      return Conversation.findOne({ key });
+    }
+    throw error;
+  }
+}
+
+/**
+ * List the authenticated user's conversations, most recent first
+ * Conversations with blocked users are hidden
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { userId, blockedUsers } = req.user;
+
+    const conversations = await Conversation.find({ 'members.userId': userId })
+      .sort({ updatedAt: -1 })
+      .limit(MAX_CONVERSATIONS);
+
+    const formatted = conversations
+      .map(conversation => formatConversation(conversation, userId))
+      .filter(conversation => conversation.user && !hasBlocked(blockedUsers, conversation.user.userId));
+
+    res.json({
+      success: true,
+      conversations: formatted,
+      unreadTotal: formatted.reduce((total, conversation) => total + conversation.unreadCount, 0)
+    });
+  } catch (error) {
+    logger.error('Failed to list conversations', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list conversations'
+    });
+  }
+});
+
+/**
+ * Send a direct message
+ * Rate limiting is shared with room messages
+ */
+router.post('/send', rateLimiter, async (req, res) => {
+  try {
+    const { message } = req.body;
+    const { userId, username, displayName, blockedUsers } = req.user;
+    const recipientId = parseUserId(req.body.recipientId);
+
+    if (!recipientId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid recipientId'
+      });
+    }
+
+    if (recipientId === userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot message yourself'
+      });
+    }
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required'
+      });
+    }
+
+    // Server-side validation (same rules as room messages)
+    const validation = validateMessage(message);
+    if (!validation.valid) {
+      logger.warn('Direct message validation failed', {
+        userId,
+        error: validation.error
+      });
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    // Don't reveal the block to the sender: a recipient who blocked them gets the same
+    // answer as someone who never used RoChat
+    const recipient = await User.findOne({ userId: recipientId }).select('userId username blockedUsers');
+    if (!recipient || hasBlocked(recipient.blockedUsers, userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'That user is not available on RoChat'
+      });
+    }
+
+    if (hasBlocked(blockedUsers, recipientId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unblock this user to message them'
+      });
+    }
+
+    const sanitizedMessage = sanitizeMessage(message);
+
+    const conversation = await findOrCreateConversation(req.user, recipient);
+
+    const directMessage = new DirectMessage({
+      conversationId: conversation._id,
+      userId,
+      username,
+      message: sanitizedMessage
+    });
+    await directMessage.save();
+
+    // Count the message as unread for the recipient only
+    await Conversation.updateOne(
+      { _id: conversation._id, 'members.userId': recipientId },
+      {
+        $inc: { 'members.$.unreadCount': 1 },
+        $set: {
+          lastMessage: {
+            userId,
+            message: sanitizedMessage,
+            createdAt: directMessage.createdAt
+          }
+        }
+      }
+    );
+
+    const payload = {
+      ...formatDirectMessage(directMessage, recipientId),
+      displayName
+    };
+
+    // Deliver to every socket of both users (the sender may have other clients open)
+    const io = req.app.get('io');
+    io.to(userRoom(recipientId)).to(userRoom(userId)).emit('directMessage', payload);
+
+    logger.info('Direct message sent', { userId, recipientId });
+
+    res.json({
+      success: true,
+      message: payload
+    });
+  } catch (error) {
+    logger.error('Failed to send direct message', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send direct message'
+    });
+  }
+});
+
+/**
+ * Page through the conversation with another user (oldest first)
+ * Pass the timestamp of the oldest loaded message as `before` to get the previous page
+ */
+router.get('/:userId/messages', async (req, res) => {
+  try {
+    const otherId = parseUserId(req.params.userId);
+    const { limit = 50, before } = req.query;
+
+    if (!otherId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid userId'
+      });
+    }
+
+    const conversation = await Conversation.findOne({ key: conversationKey(req.user.userId, otherId) });
+    if (!conversation) {
+      return res.json({ success: true, messages: [], hasMore: false });
+    }
+
+    const query = { conversationId: conversation._id };
+
+    if (before) {
+      // Validate 'before' is a valid date string to prevent injection
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format for "before" parameter'
+        });
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const messages = await DirectMessage.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parsedLimit);
+
+    res.json({
+      success: true,
+      messages: messages.reverse().map(msg =>
+        formatDirectMessage(msg, msg.userId === otherId ? req.user.userId : otherId)
+      ),
+      hasMore: messages.length === parsedLimit
+    });
+  } catch (error) {
+    logger.error('Failed to get direct messages', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get direct messages'
+    });
+  }
+});
+
+/**
+ * Mark the conversation with another user as read
+ */
+router.post('/:userId/read', async (req, res) => {
+  try {
+    const otherId = parseUserId(req.params.userId);
+    const { userId } = req.user;
+
+    if (!otherId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid userId'
+      });
+    }
+
+    // Reading doesn't move the conversation up the list
+    await Conversation.updateOne(
+      { key: conversationKey(userId, otherId), 'members.userId': userId },
+      { $set: { 'members.$.unreadCount': 0, 'members.$.lastReadAt': new Date() } },
+      { timestamps: false }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to mark conversation read', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark conversation read'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../logging/logger');
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const requireModerator = require('../middleware/requireModerator');
+const { requireAdmin } = requireModerator;
+const { formatReport } = require('../utils/reports');
+const { recordAudit, formatAuditEntry } = require('../utils/auditLog');
+const moderation = require('../utils/moderation');
+
+const REPORT_STATUSES = ['open', 'claimed', 'resolved'];
+const RESOLUTIONS = ['actioned', 'dismissed'];
+
+// The report queue is for global moderators; room actions check place roles themselves
+router.use('/reports', requireModerator);
+
+/**
+ * Send the result of a moderation action
+ */
+function sendResult(res, result) {
+  if (!result.success) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+  res.json(result);
+}
+
+/**
+ * Validate a report ID route parameter
+ */
+function isValidReportId(reportId) {
+  return typeof reportId === 'string' && /^[0-9a-fA-F]{24}$/.test(reportId);
+}
+
+/**
+ * List reports, newest first
+ * Defaults to the open queue; `before` pages through older reports
+ */
+router.get('/reports', async (req, res) => {
+  try {
+    const { status = 'open', limit = 20, before } = req.query;
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status (must be open, claimed or resolved)'
+      });
+    }
+
+    const query = { status };
+
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format for "before" parameter'
+        });
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const reports = await Report.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parsedLimit);
+
+    res.json({
+      success: true,
+      reports: reports.map(formatReport)
+    });
+  } catch (error) {
+    logger.error('Failed to list reports', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list reports'
+    });
+  }
+});
+
+/**
+ * Claim an open report so other moderators skip it
+ */
+router.post('/reports/:reportId/claim', async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { userId, username } = req.user;
+
+    if (!isValidReportId(reportId)) {
+      return res.status(400).json({ success: false, error: 'Invalid report ID' });
+    }
+
+    // Only an open report can be claimed - two moderators cannot both win
+    const report = await Report.findOneAndUpdate(
+      { _id: reportId, status: 'open' },
+      {
+        status: 'claimed',
+        claimedBy: { userId, username },
+        claimedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!report) {
+      const exists = await Report.exists({ _id: reportId });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        error: exists ? 'Report is no longer open' : 'Report not found'
+      });
+    }
+
+    logger.info('Report claimed', { reportId, userId });
+    await recordAudit({
+      action: 'report.claim',
+      actor: req.user,
+      target: report.message,
+      details: { reportId }
+    });
+
+    res.json({ success: true, report: formatReport(report) });
+  } catch (error) {
+    logger.error('Failed to claim report', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to claim report'
+    });
+  }
+});
+
+/**
+ * Resolve a report
+ * Open reports can be resolved directly; claimed reports only by the claiming moderator
+ */
+router.post('/reports/:reportId/resolve', async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { resolution, note } = req.body;
+    const { userId, username } = req.user;
+
+    if (!isValidReportId(reportId)) {
+      return res.status(400).json({ success: false, error: 'Invalid report ID' });
+    }
+
+    if (!RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid resolution (must be actioned or dismissed)'
+      });
+    }
+
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note must be 500 characters or less'
+      });
+    }
+
+    const report = await Report.findOneAndUpdate(
+      {
+        _id: reportId,
+        $or: [
+          { status: 'open' },
+          { status: 'claimed', 'claimedBy.userId': userId }
+        ]
+      },
+      {
+        status: 'resolved',
+        resolution,
+        resolutionNote: note ? note.trim() : '',
+        resolvedBy: { userId, username },
+        resolvedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!report) {
+      const exists = await Report.exists({ _id: reportId });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        error: exists
+          ? 'Report is resolved or claimed by another moderator'
+          : 'Report not found'
+      });
+    }
+
+    logger.info('Report resolved', { reportId, userId, resolution });
+    await recordAudit({
+      action: 'report.resolve',
+      actor: req.user,
+      target: report.message,
+      reason: report.resolutionNote,
+      details: { reportId, resolution }
+    });
+
+    res.json({ success: true, report: formatReport(report) });
+  } catch (error) {
+    logger.error('Failed to resolve report', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve report'
+    });
+  }
+});
+
+/**
+ * Wrap a moderation action as a route handler
+ */
+function moderationRoute(action, buildParams) {
+  return async (req, res) => {
+    try {
+      const result = await action(req.app.get('io'), req.user, buildParams(req));
+      sendResult(res, result);
+    } catch (error) {
+      logger.error('Moderation action failed', { path: req.path, error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Moderation action failed'
+      });
+    }
+  };
+}
+
+const toUserId = (value) => parseInt(value, 10);
+
+/**
+ * Delete any message in a room the caller moderates
+ */
+router.delete('/messages/:messageId', moderationRoute(moderation.deleteMessage, (req) => ({
+  messageId: req.params.messageId,
+  reason: req.body?.reason
+})));
+
+/**
+ * Mute a user in a room: { userId, durationMinutes, reason }
+ */
+router.post('/rooms/:roomId/mutes', moderationRoute(moderation.muteUser, (req) => ({
+  roomId: req.params.roomId,
+  userId: req.body.userId,
+  durationMinutes: req.body.durationMinutes,
+  reason: req.body.reason
+})));
+
+/**
+ * Lift a room mute
+ */
+router.delete('/rooms/:roomId/mutes/:userId', moderationRoute(moderation.unmuteUser, (req) => ({
+  roomId: req.params.roomId,
+  userId: toUserId(req.params.userId)
+})));
+
+/**
+ * Kick a user from a room: { userId, reason }
+ */
+router.post('/rooms/:roomId/kicks', moderationRoute(moderation.kickUser, (req) => ({
+  roomId: req.params.roomId,
+  userId: req.body.userId,
+  reason: req.body.reason
+})));
+
+/**
+ * Ban a user globally: { userId, durationMinutes?, reason }
+ */
+router.post('/bans', moderationRoute(moderation.banUser, (req) => ({
+  userId: req.body.userId,
+  durationMinutes: req.body.durationMinutes,
+  reason: req.body.reason
+})));
+
+/**
+ * Lift a global ban
+ */
+router.delete('/bans/:userId', moderationRoute(moderation.unbanUser, (req) => ({
+  userId: toUserId(req.params.userId)
+})));
+
+/**
+ * Set a user's role: { role, placeId? } - placeId scopes the role to one place
+ */
+router.put('/roles/:userId', async (req, res) => {
+  try {
+    const result = await moderation.setRole(req.user, {
+      userId: toUserId(req.params.userId),
+      role: req.body.role,
+      placeId: req.body.placeId ?? null
+    });
+    sendResult(res, result);
+  } catch (error) {
+    logger.error('Failed to set role', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set role'
+    });
+  }
+});
+
+/**
+ * Read the audit log, newest first (global admins only)
+ * Optional filters: action, userId (target), before (date)
+ */
+router.get('/audit', requireAdmin, async (req, res) => {
+  try {
+    const { action, userId, limit = 50, before } = req.query;
+    const query = {};
+
+    if (action) {
+      query.action = String(action);
+    }
+
+    if (userId) {
+      const targetId = toUserId(userId);
+      if (!Number.isSafeInteger(targetId)) {
+        return res.status(400).json({ success: false, error: 'Invalid userId' });
+      }
+      query['target.userId'] = targetId;
+    }
+
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format for "before" parameter'
+        });
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parsedLimit);
+
+    res.json({
+      success: true,
+      entries: entries.map(formatAuditEntry)
+    });
+  } catch (error) {
+    logger.error('Failed to read audit log', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,387 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../logging/logger');
+const Party = require('../models/Party');
+const User = require('../models/User');
+const { validateMessage, sanitizeMessage } = require('../utils/messageValidator');
+const { hasBlocked } = require('../utils/directMessages');
+const { userRoom } = require('../utils/moderation');
+const {
+  MAX_PARTY_SIZE,
+  findUserParty,
+  formatParty,
+  formatInvite,
+  broadcastParty,
+  joinPartyRoom,
+  removeMember
+} = require('../utils/parties');
+
+/**
+ * Check that a route parameter is a MongoDB ObjectId
+ */
+function isObjectId(value) {
+  return typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value);
+}
+
+/**
+ * Get the user's party and pending invites
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const [party, invitedTo] = await Promise.all([
+      findUserParty(userId),
+      Party.find({ 'invites.userId': userId }).limit(MAX_PARTY_SIZE)
+    ]);
+
+    res.json({
+      success: true,
+      party: party ? await formatParty(party) : null,
+      invites: invitedTo.map(formatInvite)
+    });
+  } catch (error) {
+    logger.error('Failed to get party', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get party'
+    });
+  }
+});
+
+/**
+ * Create a party with the user as its owner and only member
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+    const { userId, username } = req.user;
+
+    if (typeof name !== 'string' || !name.trim() || name.length > 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'Party name must be 1-50 characters'
+      });
+    }
+
+    // Party names are shown to everyone invited - same rules as messages
+    const validation = validateMessage(name);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const party = new Party({
+      name: sanitizeMessage(name),
+      ownerId: userId,
+      members: [{ userId, username }]
+    });
+
+    try {
+      await party.save();
+    } catch (error) {
+      // Unique index - the user is already in a party
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'Leave your current party first'
+        });
+      }
+      throw error;
+    }
+
+    joinPartyRoom(req.app.get('io'), userId, party._id);
+    logger.info('Party created', { partyId: party._id.toString(), userId });
+
+    res.json({ success: true, party: await formatParty(party) });
+  } catch (error) {
+    logger.error('Failed to create party', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create party'
+    });
+  }
+});
+
+/**
+ * Invite a RoChat user to the party by username
+ */
+router.post('/invites', async (req, res) => {
+  try {
+    const { username } = req.body;
+    const { userId, blockedUsers } = req.user;
+
+    if (typeof username !== 'string' || !/^\w{3,20}$/.test(username.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid username'
+      });
+    }
+
+    const party = await findUserParty(userId);
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'You are not in a party'
+      });
+    }
+
+    // Usernames are case-insensitive on Roblox - same collation as the username index
+    const invitee = await User.findOne({ username: username.trim() })
+      .collation({ locale: 'en', strength: 2 })
+      .select('userId username blockedUsers');
+    if (!invitee) {
+      return res.status(404).json({
+        success: false,
+        error: 'That user has not used RoChat yet'
+      });
+    }
+
+    if (party.members.some(member => member.userId === invitee.userId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'That user is already in the party'
+      });
+    }
+
+    if (hasBlocked(blockedUsers, invitee.userId) || hasBlocked(invitee.blockedUsers, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot invite this user'
+      });
+    }
+
+    if (party.members.length + party.invites.length >= MAX_PARTY_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `Parties are limited to ${MAX_PARTY_SIZE} members and invites`
+      });
+    }
+
+    // Guarded update - the inviter must still be a member and the invite must be new
+    const updated = await Party.findOneAndUpdate(
+      {
+        _id: party._id,
+        $and: [
+          { 'members.userId': userId },
+          { 'members.userId': { $ne: invitee.userId } },
+          { 'invites.userId': { $ne: invitee.userId } }
+        ]
+      },
+      {
+        $push: {
+          invites: {
+            userId: invitee.userId,
+            username: invitee.username,
+            invitedBy: { userId, username: req.user.username }
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'That user is already invited'
+      });
+    }
+
+    const io = req.app.get('io');
+    io.to(userRoom(invitee.userId)).emit('partyInvite', {
+      ...formatInvite(updated),
+      invitedBy: { userId, username: req.user.username }
+    });
+    await broadcastParty(io, updated);
+
+    logger.info('Party invite sent', { partyId: updated._id.toString(), userId, inviteeId: invitee.userId });
+
+    res.json({ success: true, party: await formatParty(updated) });
+  } catch (error) {
+    logger.error('Failed to send party invite', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send party invite'
+    });
+  }
+});
+
+/**
+ * Accept an invite and join the party
+ */
+router.post('/:partyId/accept', async (req, res) => {
+  try {
+    const { partyId } = req.params;
+    const { userId, username } = req.user;
+
+    if (!isObjectId(partyId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid party ID'
+      });
+    }
+
+    let party;
+    try {
+      party = await Party.findOneAndUpdate(
+        {
+          _id: partyId,
+          'invites.userId': userId,
+          [`members.${MAX_PARTY_SIZE - 1}`]: { $exists: false }
+        },
+        {
+          $pull: { invites: { userId } },
+          $push: { members: { userId, username } }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      // Unique index - the user is already in a party
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'Leave your current party first'
+        });
+      }
+      throw error;
+    }
+
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'This invite is no longer valid'
+      });
+    }
+
+    const io = req.app.get('io');
+    joinPartyRoom(io, userId, party._id);
+    await broadcastParty(io, party);
+
+    logger.info('Party joined', { partyId, userId });
+
+    res.json({ success: true, party: await formatParty(party) });
+  } catch (error) {
+    logger.error('Failed to accept party invite', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to join party'
+    });
+  }
+});
+
+/**
+ * Decline an invite
+ */
+router.post('/:partyId/decline', async (req, res) => {
+  try {
+    const { partyId } = req.params;
+    const { userId } = req.user;
+
+    if (!isObjectId(partyId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid party ID'
+      });
+    }
+
+    const party = await Party.findOneAndUpdate(
+      { _id: partyId, 'invites.userId': userId },
+      { $pull: { invites: { userId } } },
+      { new: true }
+    );
+
+    if (party) {
+      await broadcastParty(req.app.get('io'), party);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to decline party invite', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline invite'
+    });
+  }
+});
+
+/**
+ * Leave the party
+ */
+router.post('/leave', async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const party = await findUserParty(userId);
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'You are not in a party'
+      });
+    }
+
+    await removeMember(req.app.get('io'), party._id, userId);
+    logger.info('Party left', { partyId: party._id.toString(), userId });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to leave party', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to leave party'
+    });
+  }
+});
+
+/**
+ * Remove a member (owner only)
+ */
+router.delete('/members/:userId', async (req, res) => {
+  try {
+    const memberId = parseInt(req.params.userId, 10);
+    const { userId } = req.user;
+
+    if (!Number.isSafeInteger(memberId) || memberId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid userId'
+      });
+    }
+
+    const party = await findUserParty(userId);
+    if (!party || party.ownerId !== userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the party owner can remove members'
+      });
+    }
+
+    if (memberId === userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Leave the party instead'
+      });
+    }
+
+    const updated = await removeMember(req.app.get('io'), party._id, memberId);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'That user is not in the party'
+      });
+    }
+
+    logger.info('Party member removed', { partyId: party._id.toString(), userId, memberId });
+
+    res.json({ success: true, party: await formatParty(updated) });
+  } catch (error) {
+    logger.error('Failed to remove party member', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove member'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const logger = require('../logging/logger');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Write an audit-log entry for a moderation action
+ * Failures are logged but never undo or block the action itself
+ */
+async function recordAudit({ action, actor, target = null, roomId = null, placeId = null, reason = '', details = {} }) {
+  try {
+    await AuditLog.create({
+      action,
+      actor: { userId: actor.userId, username: actor.username },
+      target: target ? { userId: target.userId, username: target.username } : null,
+      roomId,
+      placeId: placeId ? String(placeId) : null,
+      reason: reason || '',
+      details
+    });
+    logger.info('Moderation action', { action, actorId: actor.userId, targetId: target?.userId, roomId });
+  } catch (error) {
+    logger.error('Failed to write audit log', { action, error: error.message });
+  }
+}
+
+/**
+ * Format an audit-log entry for admins
+ */
+function formatAuditEntry(entry) {
+  return {
+    auditId: entry._id.toString(),
+    action: entry.action,
+    actor: entry.actor,
+    target: entry.target,
+    roomId: entry.roomId,
+    placeId: entry.placeId,
+    reason: entry.reason,
+    details: entry.details,
+    createdAt: entry.createdAt
+  };
+}
+
+module.exports = {
+  recordAudit,
+  formatAuditEntry
+};
@@ -0,0 +1,69 @@
+/**
+ * Direct messages
+ * A conversation belongs to a pair of Roblox users and is keyed by both user IDs,
+ * so it survives either side changing server or game.
+ */
+
+// Conversations returned by the list endpoint
+const MAX_CONVERSATIONS = 50;
+
+/**
+ * Conversation key for a pair of users - the same whichever side asks
+ */
+function conversationKey(userIdA, userIdB) {
+  const [low, high] = [Number(userIdA), Number(userIdB)].sort((a, b) => a - b);
+  return `${low}:${high}`;
+}
+
+/**
+ * Check if a user is on a block list ([{ userId }])
+ */
+function hasBlocked(blockedUsers, userId) {
+  return (blockedUsers || []).some(entry => entry.userId === userId);
+}
+
+/**
+ * Format a direct message for clients
+ */
+function formatDirectMessage(message, recipientId) {
+  return {
+    messageId: message._id.toString(),
+    conversationId: message.conversationId.toString(),
+    userId: message.userId,
+    username: message.username,
+    recipientId,
+    message: message.message,
+    timestamp: message.createdAt
+  };
+}
+
+/**
+ * Format a conversation as seen by one of its members:
+ * { conversationId, user, unreadCount, lastMessage, updatedAt } where user is the other member
+ */
+function formatConversation(conversation, viewerId) {
+  const self = conversation.members.find(member => member.userId === viewerId);
+  const other = conversation.members.find(member => member.userId !== viewerId);
+
+  return {
+    conversationId: conversation._id.toString(),
+    user: other ? { userId: other.userId, username: other.username } : null,
+    unreadCount: self ? self.unreadCount : 0,
+    lastMessage: conversation.lastMessage
+      ? {
+        userId: conversation.lastMessage.userId,
+        message: conversation.lastMessage.message,
+        timestamp: conversation.lastMessage.createdAt
+      }
+      : null,
+    updatedAt: conversation.updatedAt
+  };
+}
+
+module.exports = {
+  MAX_CONVERSATIONS,
+  conversationKey,
+  hasBlocked,
+  formatDirectMessage,
+  formatConversation
+};
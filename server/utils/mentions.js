@@ -0,0 +1,60 @@
+/**
+ * Message mentions
+ * `@username` tokens only count as mentions when the user is present in the room,
+ * so a stray @ cannot ping people who never see the message.
+ */
+
+// Roblox usernames are 3-20 letters, digits or underscores
+const MENTION_PATTERN = /(^|[^\w@])@(\w{3,20})(?!\w)/g;
+
+// Upper bound on stored mentions per message
+const MAX_MENTIONS = 10;
+
+/**
+ * Find the room members mentioned in a message: [{ userId, username }]
+ * Usernames match case-insensitively and each member is listed once
+ */
+function parseMentions(message, members) {
+  if (typeof message !== 'string' || !Array.isArray(members) || members.length === 0) {
+    return [];
+  }
+
+  const membersByName = new Map(
+    members
+      .filter(member => member && member.username)
+      .map(member => [member.username.toLowerCase(), member])
+  );
+
+  const mentions = [];
+  const seen = new Set();
+
+  for (const match of message.matchAll(MENTION_PATTERN)) {
+    const member = membersByName.get(match[2].toLowerCase());
+    if (!member || seen.has(member.userId)) continue;
+
+    seen.add(member.userId);
+    mentions.push({ userId: member.userId, username: member.username });
+
+    if (mentions.length >= MAX_MENTIONS) break;
+  }
+
+  return mentions;
+}
+
+/**
+ * Format stored mentions for clients
+ */
+function formatMentions(mentions) {
+  if (!Array.isArray(mentions)) return [];
+
+  return mentions.map(mention => ({
+    userId: mention.userId,
+    username: mention.username
+  }));
+}
+
+module.exports = {
+  MAX_MENTIONS,
+  parseMentions,
+  formatMentions
+};
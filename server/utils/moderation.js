@@ -0,0 +1,369 @@
+const logger = require('../logging/logger');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const sessionManager = require('./sessionManager');
+const { getStateStore } = require('./stateStore');
+const { ROLES, ROLE_RANK, getRole, hasRole, getRoomPlaceId } = require('./roles');
+const { recordAudit } = require('./auditLog');
+const { roomIdFor } = require('./rooms');
+
+/**
+ * Moderation actions shared by the socket events and the /api/moderation routes
+ * Every action checks the actor's role, applies the change, notifies the affected
+ * clients and writes an audit-log entry.
+ * Results follow authenticateToken: { success: true, ... } or { success: false, status, error }.
+ */
+
+// Room mutes can last at most a week
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+
+// A kicked user cannot rejoin the room for a while
+const KICK_REJOIN_MS = 5 * 60 * 1000;
+
+const ROOM_ID_PATTERN = /^(server:[0-9a-f-]+|global:\d+)$/i;
+
+const muteKey = (roomId, userId) => `mute:${roomId}:${userId}`;
+const kickKey = (roomId, userId) => `kick:${roomId}:${userId}`;
+
+/**
+ * Socket.io room holding every socket of one user
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+function fail(status, error) {
+  return { success: false, status, error };
+}
+
+function isValidUserId(userId) {
+  return Number.isSafeInteger(userId) && userId > 0;
+}
+
+function normalizeReason(reason) {
+  return typeof reason === 'string' ? reason.trim().substring(0, 500) : '';
+}
+
+/**
+ * Check if a user is currently banned
+ */
+function isBanned(user) {
+  if (!user || !user.ban || !user.ban.bannedAt) return false;
+  return !user.ban.expiresAt || user.ban.expiresAt > new Date();
+}
+
+/**
+ * Active mute for a user in a room: { until, reason } or null
+ */
+async function getRoomMute(roomId, userId) {
+  const value = await getStateStore().get(muteKey(roomId, userId));
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Check if a user was recently kicked from a room
+ */
+async function isKickedFromRoom(roomId, userId) {
+  return (await getStateStore().get(kickKey(roomId, userId))) !== null;
+}
+
+/**
+ * Load the target of an action and check the actor outranks them
+ * Moderators cannot act on other moderators or admins
+ */
+async function loadTarget(actor, userId, placeId) {
+  if (!isValidUserId(userId)) {
+    return { error: fail(400, 'Invalid userId') };
+  }
+  if (userId === actor.userId) {
+    return { error: fail(400, 'You cannot moderate yourself') };
+  }
+
+  const target = await User.findOne({ userId });
+  if (!target) {
+    return { error: fail(404, 'User not found') };
+  }
+
+  if (ROLE_RANK[getRole(target, placeId)] >= ROLE_RANK[getRole(actor, placeId)]) {
+    return { error: fail(403, 'You cannot moderate a user with an equal or higher role') };
+  }
+
+  return { target };
+}
+
+/**
+ * Resolve a room and check the actor moderates it
+ */
+async function authorizeRoom(actor, roomId) {
+  if (typeof roomId !== 'string' || !ROOM_ID_PATTERN.test(roomId)) {
+    return { error: fail(400, 'Invalid room ID') };
+  }
+
+  const placeId = await getRoomPlaceId(roomId);
+  if (!hasRole(actor, 'moderator', placeId)) {
+    return { error: fail(403, 'Moderator access required') };
+  }
+
+  return { placeId };
+}
+
+/**
+ * Delete any message in a room the actor moderates
+ */
+async function deleteMessage(io, actor, { messageId, reason }) {
+  if (typeof messageId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(messageId)) {
+    return fail(400, 'Invalid message ID');
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message) {
+    return fail(404, 'Message not found');
+  }
+
+  const roomId = roomIdFor(message);
+
+  const { placeId, error } = await authorizeRoom(actor, roomId);
+  if (error) return error;
+
+  await Message.findByIdAndDelete(messageId);
+  io.to(roomId).emit('messageDeleted', { messageId });
+
+  await recordAudit({
+    action: 'message.delete',
+    actor,
+    target: { userId: message.userId, username: message.username },
+    roomId,
+    placeId,
+    reason: normalizeReason(reason),
+    details: { messageId, message: message.message, sentAt: message.createdAt }
+  });
+
+  return { success: true, messageId };
+}
+
+/**
+ * Mute a user in one room for a number of minutes
+ */
+async function muteUser(io, actor, { roomId, userId, durationMinutes, reason }) {
+  const { placeId, error: roomError } = await authorizeRoom(actor, roomId);
+  if (roomError) return roomError;
+
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_MUTE_MINUTES) {
+    return fail(400, `Duration must be between 1 and ${MAX_MUTE_MINUTES} minutes`);
+  }
+
+  const { target, error } = await loadTarget(actor, userId, placeId);
+  if (error) return error;
+
+  const durationMs = durationMinutes * 60 * 1000;
+  const mute = { until: Date.now() + durationMs, reason: normalizeReason(reason) };
+  await getStateStore().set(muteKey(roomId, userId), JSON.stringify(mute), durationMs);
+
+  io.to(userRoom(userId)).emit('moderationNotice', { action: 'muted', roomId, ...mute });
+
+  await recordAudit({
+    action: 'user.mute',
+    actor,
+    target,
+    roomId,
+    placeId,
+    reason: mute.reason,
+    details: { durationMinutes, until: new Date(mute.until) }
+  });
+
+  return { success: true, until: mute.until };
+}
+
+/**
+ * Lift a room mute early
+ */
+async function unmuteUser(io, actor, { roomId, userId }) {
+  const { placeId, error: roomError } = await authorizeRoom(actor, roomId);
+  if (roomError) return roomError;
+
+  const { target, error } = await loadTarget(actor, userId, placeId);
+  if (error) return error;
+
+  await getStateStore().del(muteKey(roomId, userId));
+  io.to(userRoom(userId)).emit('moderationNotice', { action: 'unmuted', roomId });
+
+  await recordAudit({ action: 'user.unmute', actor, target, roomId, placeId });
+
+  return { success: true };
+}
+
+/**
+ * Remove every socket of a user from a room
+ * Returns true when the user left the room's roster
+ */
+async function removeUserFromRoom(io, userId, roomId) {
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  let left = false;
+
+  for (const userSocket of sockets) {
+    if (!userSocket.rooms.has(roomId)) continue;
+
+    userSocket.leave(roomId);
+    const result = await sessionManager.leaveRoom(userSocket.id, roomId, userId);
+    left = left || result.left;
+  }
+
+  if (left) {
+    io.to(roomId).emit('presenceLeft', { roomId, userId });
+  }
+  return left;
+}
+
+/**
+ * Kick a user from a room - they may rejoin after KICK_REJOIN_MS
+ */
+async function kickUser(io, actor, { roomId, userId, reason }) {
+  const { placeId, error: roomError } = await authorizeRoom(actor, roomId);
+  if (roomError) return roomError;
+
+  const { target, error } = await loadTarget(actor, userId, placeId);
+  if (error) return error;
+
+  const kickReason = normalizeReason(reason);
+  await getStateStore().set(kickKey(roomId, userId), '1', KICK_REJOIN_MS);
+
+  io.to(userRoom(userId)).emit('kicked', { roomId, reason: kickReason, rejoinAfter: Date.now() + KICK_REJOIN_MS });
+  await removeUserFromRoom(io, userId, roomId);
+
+  await recordAudit({ action: 'user.kick', actor, target, roomId, placeId, reason: kickReason });
+
+  return { success: true };
+}
+
+/**
+ * Ban a user from the whole service (global moderators and admins only)
+ * Without durationMinutes the ban is permanent
+ */
+async function banUser(io, actor, { userId, durationMinutes, reason }) {
+  if (!hasRole(actor, 'moderator')) {
+    return fail(403, 'Global moderator access required');
+  }
+
+  if (durationMinutes !== undefined && durationMinutes !== null &&
+      (!Number.isInteger(durationMinutes) || durationMinutes < 1)) {
+    return fail(400, 'Duration must be a positive number of minutes');
+  }
+
+  const { target, error } = await loadTarget(actor, userId, null);
+  if (error) return error;
+
+  const banReason = normalizeReason(reason);
+  const ban = {
+    reason: banReason,
+    bannedBy: actor.userId,
+    bannedAt: new Date(),
+    expiresAt: durationMinutes ? new Date(Date.now() + durationMinutes * 60 * 1000) : null
+  };
+  // updateOne rather than save() - the User pre-save hook would touch the target's lastSeen
+  await User.updateOne({ userId }, { $set: { ban } });
+
+  // Existing connections were authenticated before the ban
+  io.to(userRoom(userId)).emit('banned', { reason: banReason, expiresAt: ban.expiresAt });
+  io.in(userRoom(userId)).disconnectSockets(true);
+
+  await recordAudit({
+    action: 'user.ban',
+    actor,
+    target,
+    reason: banReason,
+    details: { durationMinutes: durationMinutes || null, expiresAt: ban.expiresAt }
+  });
+
+  return { success: true, expiresAt: ban.expiresAt };
+}
+
+/**
+ * Lift a global ban
+ */
+async function unbanUser(io, actor, { userId }) {
+  if (!hasRole(actor, 'moderator')) {
+    return fail(403, 'Global moderator access required');
+  }
+
+  const { target, error } = await loadTarget(actor, userId, null);
+  if (error) return error;
+
+  await User.updateOne({ userId }, { $set: { ban: null } });
+
+  await recordAudit({ action: 'user.unban', actor, target });
+
+  return { success: true };
+}
+
+/**
+ * Change a user's role, globally or for one place
+ * Global roles need a global admin; place roles need an admin of that place,
+ * and only global admins may create other admins. Nobody can change the role of
+ * a user ranked at or above them (an admin cannot demote another admin)
+ */
+async function setRole(actor, { userId, role, placeId = null }) {
+  if (!ROLES.includes(role)) {
+    return fail(400, 'Invalid role (must be user, moderator or admin)');
+  }
+  if (placeId !== null && !/^\d{1,20}$/.test(String(placeId))) {
+    return fail(400, 'Invalid placeId');
+  }
+  if (!hasRole(actor, 'admin', placeId)) {
+    return fail(403, 'Admin access required');
+  }
+  if (role === 'admin' && !hasRole(actor, 'admin')) {
+    return fail(403, 'Only global admins can grant the admin role');
+  }
+
+  if (!isValidUserId(userId) || userId === actor.userId) {
+    return fail(400, 'Invalid userId');
+  }
+
+  const target = await User.findOne({ userId });
+  if (!target) {
+    return fail(404, 'User not found');
+  }
+  if (ROLE_RANK[getRole(target, placeId)] >= ROLE_RANK[getRole(actor, placeId)]) {
+    return fail(403, 'You cannot change the role of a user with an equal or higher role');
+  }
+
+  let update;
+  if (placeId === null) {
+    update = { role };
+  } else {
+    const placeRoles = target.placeRoles
+      .filter(entry => entry.placeId !== String(placeId))
+      .map(entry => ({ placeId: entry.placeId, role: entry.role }));
+    if (role !== 'user') {
+      placeRoles.push({ placeId: String(placeId), role });
+    }
+    update = { placeRoles };
+  }
+  await User.updateOne({ userId }, { $set: update });
+
+  await recordAudit({
+    action: 'role.set',
+    actor,
+    target,
+    placeId,
+    details: { role }
+  });
+
+  logger.info('Role changed', { userId, role, placeId });
+
+  return { success: true, role: getRole({ ...target.toObject(), ...update }, placeId) };
+}
+
+module.exports = {
+  MAX_MUTE_MINUTES,
+  KICK_REJOIN_MS,
+  userRoom,
+  isBanned,
+  getRoomMute,
+  isKickedFromRoom,
+  deleteMessage,
+  muteUser,
+  unmuteUser,
+  kickUser,
+  banUser,
+  unbanUser,
+  setRole
+};
@@ -0,0 +1,186 @@
+const logger = require('../logging/logger');
+const Message = require('../models/Message');
+const Party = require('../models/Party');
+const { getStateStore } = require('./stateStore');
+const { userRoom } = require('./moderation');
+
+/**
+ * Parties
+ * Invite-only rooms (`party:<partyId>`) that stay joined whatever server the members
+ * are in. Each member's current place and server comes from the server room their
+ * client joined, so the party can follow them around.
+ */
+
+// Members plus pending invites
+const MAX_PARTY_SIZE = 8;
+
+// Locations are refreshed on every server join; stale ones expire
+const LOCATION_TTL_MS = 12 * 60 * 60 * 1000;
+
+const locationKey = (userId) => `location:${userId}`;
+
+/**
+ * Socket.io room of a party
+ */
+function partyRoom(partyId) {
+  return `party:${partyId}`;
+}
+
+/**
+ * Party the user is a member of, or null
+ */
+async function findUserParty(userId) {
+  return Party.findOne({ 'members.userId': userId });
+}
+
+/**
+ * Check if a user is a member of a party
+ */
+async function isPartyMember(partyId, userId) {
+  if (typeof partyId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(partyId)) return false;
+  return Boolean(await Party.exists({ _id: partyId, 'members.userId': userId }));
+}
+
+/**
+ * Current { placeId, jobId } of each user: Map<userId, location>
+ */
+async function getLocations(userIds) {
+  const store = getStateStore();
+  const values = await Promise.all(userIds.map(userId => store.get(locationKey(userId))));
+
+  const locations = new Map();
+  values.forEach((value, index) => {
+    if (!value) return;
+    try {
+      locations.set(userIds[index], JSON.parse(value));
+    } catch (error) {
+      logger.warn('Ignoring unreadable member location', { userId: userIds[index] });
+    }
+  });
+  return locations;
+}
+
+/**
+ * Record where a user is (null when they left their server) and tell their party
+ */
+async function setMemberLocation(io, userId, location) {
+  const store = getStateStore();
+  if (location) {
+    await store.set(locationKey(userId), JSON.stringify(location), LOCATION_TTL_MS);
+  } else {
+    await store.del(locationKey(userId));
+  }
+
+  const party = await Party.findOne({ 'members.userId': userId }).select('_id');
+  if (party) {
+    io.to(partyRoom(party._id)).emit('partyMemberLocation', {
+      partyId: party._id.toString(),
+      userId,
+      location
+    });
+  }
+}
+
+/**
+ * Clear a user's location when they leave a server
+ * A newer location (the client joined its next server first) is kept
+ */
+async function clearMemberLocation(io, userId, jobId) {
+  const [current] = (await getLocations([userId])).values();
+  if (!current || current.jobId !== jobId) return;
+  await setMemberLocation(io, userId, null);
+}
+
+/**
+ * Format a party for its members, with each member's current location
+ */
+async function formatParty(party) {
+  const locations = await getLocations(party.members.map(member => member.userId));
+
+  return {
+    partyId: party._id.toString(),
+    name: party.name,
+    ownerId: party.ownerId,
+    members: party.members.map(member => ({
+      userId: member.userId,
+      username: member.username,
+      location: locations.get(member.userId) || null
+    })),
+    invites: party.invites.map(invite => ({
+      userId: invite.userId,
+      username: invite.username
+    }))
+  };
+}
+
+/**
+ * Format a pending invite for the invited user
+ */
+function formatInvite(party) {
+  return {
+    partyId: party._id.toString(),
+    name: party.name,
+    memberCount: party.members.length
+  };
+}
+
+/**
+ * Send the current party state to every member
+ */
+async function broadcastParty(io, party) {
+  io.to(partyRoom(party._id)).emit('partyUpdated', { party: await formatParty(party) });
+}
+
+/**
+ * Add every socket of a user to the party room
+ */
+function joinPartyRoom(io, userId, partyId) {
+  io.in(userRoom(userId)).socketsJoin(partyRoom(partyId));
+}
+
+/**
+ * Remove a member (leaving or removed by the owner)
+ * The last member leaving deletes the party and its messages; an owner leaving
+ * hands the party to the longest-standing member
+ */
+async function removeMember(io, partyId, userId) {
+  const party = await Party.findOneAndUpdate(
+    { _id: partyId, 'members.userId': userId },
+    { $pull: { members: { userId } } },
+    { new: true }
+  );
+  if (!party) return null;
+
+  io.in(userRoom(userId)).socketsLeave(partyRoom(partyId));
+  io.to(userRoom(userId)).emit('partyUpdated', { party: null });
+
+  if (party.members.length === 0) {
+    await Party.deleteOne({ _id: party._id, members: { $size: 0 } });
+    await Message.deleteMany({ chatType: 'party', partyId: party._id.toString() });
+    logger.info('Party disbanded', { partyId: party._id.toString() });
+    return party;
+  }
+
+  if (party.ownerId === userId) {
+    party.ownerId = party.members[0].userId;
+    await Party.updateOne({ _id: party._id, ownerId: userId }, { $set: { ownerId: party.ownerId } });
+  }
+
+  await broadcastParty(io, party);
+  return party;
+}
+
+module.exports = {
+  MAX_PARTY_SIZE,
+  partyRoom,
+  findUserParty,
+  isPartyMember,
+  getLocations,
+  setMemberLocation,
+  clearMemberLocation,
+  formatParty,
+  formatInvite,
+  broadcastParty,
+  joinPartyRoom,
+  removeMember
+};
@@ -0,0 +1,36 @@
+/**
+ * Message reactions
+ * Only a fixed set of emoji is accepted so reaction bars stay small and predictable
+ */
+
+const ALLOWED_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🔥'];
+
+/**
+ * Check if an emoji is an accepted reaction
+ */
+function isAllowedReaction(emoji) {
+  return typeof emoji === 'string' && ALLOWED_REACTIONS.includes(emoji);
+}
+
+/**
+ * Aggregate stored reactions for clients: [{ emoji, count, userIds }]
+ * Empty reactions are dropped and the order follows ALLOWED_REACTIONS
+ */
+function formatReactions(reactions) {
+  if (!Array.isArray(reactions)) return [];
+
+  return reactions
+    .filter(reaction => reaction.userIds && reaction.userIds.length > 0)
+    .map(reaction => ({
+      emoji: reaction.emoji,
+      count: reaction.userIds.length,
+      userIds: Array.from(reaction.userIds)
+    }))
+    .sort((a, b) => ALLOWED_REACTIONS.indexOf(a.emoji) - ALLOWED_REACTIONS.indexOf(b.emoji));
+}
+
+module.exports = {
+  ALLOWED_REACTIONS,
+  isAllowedReaction,
+  formatReactions
+};
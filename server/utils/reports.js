@@ -0,0 +1,65 @@
+/**
+ * Message reports
+ * Reports keep a copy of the message and the conversation around it, because room
+ * cleanup (sessionManager.cleanupRoom) and edits would otherwise destroy the evidence.
+ */
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'inappropriate', 'other'];
+
+// Messages kept on each side of the reported one
+const REPORT_CONTEXT_SIZE = 5;
+
+/**
+ * Check if a reason is an accepted report reason
+ */
+function isValidReportReason(reason) {
+  return typeof reason === 'string' && REPORT_REASONS.includes(reason);
+}
+
+/**
+ * Copy the fields of a message that matter for moderation
+ */
+function snapshotMessage(message) {
+  return {
+    messageId: message._id.toString(),
+    chatType: message.chatType,
+    jobId: message.jobId,
+    placeId: message.placeId,
+    partyId: message.partyId,
+    userId: message.userId,
+    username: message.username,
+    message: message.message,
+    timestamp: message.createdAt,
+    editedAt: message.editedAt
+  };
+}
+
+/**
+ * Format a report for moderators
+ */
+function formatReport(report) {
+  return {
+    reportId: report._id.toString(),
+    status: report.status,
+    reason: report.reason,
+    details: report.details,
+    reporter: report.reporter,
+    message: report.message,
+    context: report.context,
+    claimedBy: report.claimedBy,
+    claimedAt: report.claimedAt,
+    resolution: report.resolution,
+    resolutionNote: report.resolutionNote,
+    resolvedBy: report.resolvedBy,
+    resolvedAt: report.resolvedAt,
+    createdAt: report.createdAt
+  };
+}
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_CONTEXT_SIZE,
+  isValidReportReason,
+  snapshotMessage,
+  formatReport
+};
@@ -0,0 +1,87 @@
+/**
+ * Roles
+ * Every user has a global role (User.role) and may hold a higher role for specific
+ * places (User.placeRoles). The effective role in a room is the highest that applies.
+ * ADMIN_USER_IDS / MODERATOR_USER_IDS (comma separated) grant global roles from the
+ * environment so a fresh deployment has someone who can hand out roles.
+ *
+ * Place roles only apply in global:<placeId> rooms. Server rooms are named after the jobId
+ * alone, and the place a client reports for a job cannot be checked, so only global roles
+ * apply there - otherwise a moderator of one place could claim any server as theirs.
+ */
+
+const ROLES = ['user', 'moderator', 'admin'];
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+function parseUserIds(value) {
+  return new Set(
+    (value || '')
+      .split(',')
+      .map(id => parseInt(id.trim(), 10))
+      .filter(Number.isSafeInteger)
+  );
+}
+
+/**
+ * Global role granted through the environment, if any
+ */
+function getEnvRole(userId) {
+  if (parseUserIds(process.env.ADMIN_USER_IDS).has(userId)) return 'admin';
+  if (parseUserIds(process.env.MODERATOR_USER_IDS).has(userId)) return 'moderator';
+  return 'user';
+}
+
+function higherRole(a, b) {
+  return (ROLE_RANK[b] || 0) > (ROLE_RANK[a] || 0) ? b : a;
+}
+
+/**
+ * Effective role of a user, globally or for a place
+ */
+function getRole(user, placeId = null) {
+  if (!user) return 'user';
+
+  let role = higherRole(ROLES.includes(user.role) ? user.role : 'user', getEnvRole(user.userId));
+
+  if (placeId && Array.isArray(user.placeRoles)) {
+    const placeRole = user.placeRoles.find(entry => entry.placeId === String(placeId));
+    if (placeRole) {
+      role = higherRole(role, placeRole.role);
+    }
+  }
+
+  return role;
+}
+
+/**
+ * Check if a user holds at least minRole (globally or for a place)
+ */
+function hasRole(user, minRole, placeId = null) {
+  return ROLE_RANK[getRole(user, placeId)] >= ROLE_RANK[minRole];
+}
+
+/**
+ * Place a room verifiably belongs to, or null (server and party rooms)
+ */
+async function getRoomPlaceId(roomId) {
+  if (roomId.startsWith('global:')) {
+    return roomId.substring('global:'.length);
+  }
+  return null;
+}
+
+/**
+ * Effective role of a user in a room
+ */
+async function getRoomRole(user, roomId) {
+  return getRole(user, await getRoomPlaceId(roomId));
+}
+
+module.exports = {
+  ROLES,
+  ROLE_RANK,
+  getRole,
+  hasRole,
+  getRoomPlaceId,
+  getRoomRole
+};
@@ -0,0 +1,92 @@
+const Party = require('../models/Party');
+const RoomSequence = require('../models/RoomSequence');
+const sessionManager = require('./sessionManager');
+
+/**
+ * Chat rooms
+ * Every message belongs to one room: `server:<jobId>`, `global:<placeId>` or
+ * `party:<partyId>`. Messages carry the matching jobId, placeId or partyId field,
+ * plus a sequence number that increases by one for each message sent to the room.
+ */
+
+const CHAT_TYPES = ['server', 'global', 'party'];
+
+/**
+ * Check if a chat type is known
+ */
+function isValidChatType(chatType) {
+  return CHAT_TYPES.includes(chatType);
+}
+
+/**
+ * Room ID for a message or a { chatType, jobId, placeId, partyId } request
+ */
+function roomIdFor({ chatType, jobId, placeId, partyId }) {
+  if (chatType === 'server') return `server:${jobId}`;
+  if (chatType === 'global') return `global:${placeId}`;
+  return `party:${partyId}`;
+}
+
+/**
+ * Message query matching every message of a room
+ */
+function roomQuery({ chatType, jobId, placeId, partyId }) {
+  if (chatType === 'server') return { chatType, jobId };
+  if (chatType === 'global') return { chatType, placeId: String(placeId) };
+  return { chatType, partyId: String(partyId) };
+}
+
+/**
+ * Users who can be mentioned in a room: party members, or whoever is present
+ */
+async function getRoomMembers(roomId) {
+  if (roomId.startsWith('party:')) {
+    const party = await Party.findById(roomId.slice('party:'.length)).select('members');
+    return party ? party.members : [];
+  }
+
+  return sessionManager.getRoster(roomId);
+}
+
+/**
+ * Assign the next sequence number of a room
+ * Numbers are never reused, so clients can spot missed messages by the gaps
+ */
+async function nextSequence(roomId) {
+  const increment = () => RoomSequence.findOneAndUpdate(
+    { roomId },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+
+  try {
+    return (await increment()).seq;
+  } catch (error) {
+    // First two messages of a room at once - the other insert won, increment it
+    if (error.code === 11000) {
+      return (await increment()).seq;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check a sequence number (e.g. a query parameter) - the number, or null
+ */
+function parseSeq(value) {
+  // Repeated query parameters arrive as arrays
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+  const seq = parseInt(value, 10);
+  return Number.isSafeInteger(seq) && seq >= 0 && String(seq) === String(value) ? seq : null;
+}
+
+module.exports = {
+  CHAT_TYPES,
+  isValidChatType,
+  roomIdFor,
+  roomQuery,
+  getRoomMembers,
+  nextSequence,
+  parseSeq
+};
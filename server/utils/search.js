@@ -0,0 +1,66 @@
+/**
+ * Message search
+ * Searches run on the MongoDB text index of Message.message; the matched words are
+ * found again here so the client can highlight them without parsing HTML.
+ */
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Check a search query
+ */
+function isValidSearchQuery(q) {
+  if (typeof q !== 'string') return false;
+  const trimmed = q.trim();
+  return trimmed.length >= MIN_QUERY_LENGTH && trimmed.length <= MAX_QUERY_LENGTH;
+}
+
+/**
+ * Words to highlight: the query's terms without quotes or negated terms
+ */
+function parseSearchTerms(q) {
+  return q
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/"/g, '').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Ranges of a message's text that match the query: [{ start, end }] sorted and merged
+ * The text index also matches other forms of a word (stemming) - those have no range
+ */
+function findHighlights(text, q) {
+  const lowerText = text.toLowerCase();
+  const ranges = [];
+
+  for (const term of parseSearchTerms(q)) {
+    let index = lowerText.indexOf(term);
+    while (index !== -1) {
+      ranges.push({ start: index, end: index + term.length });
+      index = lowerText.indexOf(term, index + term.length);
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  MIN_QUERY_LENGTH,
+  MAX_QUERY_LENGTH,
+  isValidSearchQuery,
+  parseSearchTerms,
+  findHighlights
+};
@@ -1,100 +1,202 @@
 const logger = require('../logging/logger');
+const crypto = require('crypto');
 const Message = require('../models/Message');
+const { getStateStore } = require('./stateStore');
+const { getRoomRetention } = require('../config/retention');
+
+// State store keys
+const roomKey = (roomId) => `room:${roomId}`;
+const socketRoomsKey = (socketId) => `socket-rooms:${socketId}`;
+const emptyRoomKey = (roomId) => `room-empty:${roomId}`;
+const presenceKey = (roomId) => `presence:${roomId}`;
+const presenceSocketsKey = (roomId, userId) => `presence-sockets:${roomId}:${userId}`;
+const memberKey = (userId) => `presence-member:${userId}`;
+
+// Member profiles are refreshed on every join and dropped after a day without one
+const MEMBER_PROFILE_TTL_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Session Manager
  * Tracks active users in each chat session and cleans up empty sessions
+ * Occupancy lives in the shared state store so every server process sees the same rooms
+ *
+ * Alongside the sockets in each room, a roster of authenticated users is kept.
+ * A user with several sockets in a room (e.g. two windows) appears once and only
+ * leaves the roster when their last socket leaves.
  */
 class SessionManager {
   constructor() {
-    // Track active users per room: { roomId: Set<socketId> }
-    this.rooms = new Map();
+    // Identifies this process in empty-room markers
+    this.instanceId = crypto.randomUUID();
 
-    // Track cleanup timers per room: { roomId: timeoutId }
+    // Track cleanup timers started by this process: { roomId: timeoutId }
     this.cleanupTimers = new Map();
-
-    // Cleanup delay: 1 minute (60000ms)
-    this.CLEANUP_DELAY = 60000;
   }
 
   /**
    * Join a room
+   * Resolves { joined, member } - joined is true when this is the user's first socket in the room
    */
-  joinRoom(socketId, roomId) {
-    // Cancel cleanup timer if exists
-    if (this.cleanupTimers.has(roomId)) {
-      clearTimeout(this.cleanupTimers.get(roomId));
-      this.cleanupTimers.delete(roomId);
-      logger.info('Cleanup timer cancelled - user rejoined', { roomId });
-    }
+  async joinRoom(socketId, roomId, user) {
+    const store = getStateStore();
+
+    // Cancel cleanup on every instance - timers only fire while the empty marker is theirs
+    this.cancelCleanupTimer(roomId);
+    await store.del(emptyRoomKey(roomId));
 
     // Add user to room
-    if (!this.rooms.has(roomId)) {
-      this.rooms.set(roomId, new Set());
+    await store.sAdd(roomKey(roomId), socketId);
+    await store.sAdd(socketRoomsKey(socketId), roomId);
+
+    let joined = false;
+    let member = null;
+    if (user) {
+      member = this.toMember(user);
+      await store.set(memberKey(member.userId), JSON.stringify(member), MEMBER_PROFILE_TTL_MS);
+      await store.sAdd(presenceSocketsKey(roomId, member.userId), socketId);
+      joined = (await store.sAdd(presenceKey(roomId), member.userId)) === 1;
     }
-    this.rooms.get(roomId).add(socketId);
 
     logger.info('User joined room', {
       socketId,
       roomId,
-      activeUsers: this.rooms.get(roomId).size
+      activeUsers: await store.sCard(roomKey(roomId))
     });
+
+    return { joined, member };
   }
 
   /**
    * Leave a room
+   * Resolves { left } - left is true when the user's last socket left the room
    */
-  leaveRoom(socketId, roomId) {
-    if (!this.rooms.has(roomId)) {
-      return;
-    }
+  async leaveRoom(socketId, roomId, userId) {
+    const store = getStateStore();
 
     // Remove user from room
-    this.rooms.get(roomId).delete(socketId);
-    const activeUsers = this.rooms.get(roomId).size;
+    const removed = await store.sRem(roomKey(roomId), socketId);
+    await store.sRem(socketRoomsKey(socketId), roomId);
+    if (!removed) {
+      return { left: false };
+    }
+
+    let left = false;
+    if (userId !== undefined && userId !== null) {
+      await store.sRem(presenceSocketsKey(roomId, userId), socketId);
+      if ((await store.sCard(presenceSocketsKey(roomId, userId))) === 0) {
+        left = (await store.sRem(presenceKey(roomId), userId)) === 1;
+      }
+    }
+
+    const activeUsers = await store.sCard(roomKey(roomId));
 
     logger.info('User left room', { socketId, roomId, activeUsers });
 
     // If room is empty, start cleanup timer
     if (activeUsers === 0) {
-      this.startCleanupTimer(roomId);
+      await this.startCleanupTimer(roomId);
     }
+
+    return { left };
   }
 
   /**
    * Handle socket disconnect - remove from all rooms
+   * Resolves the room IDs the user is no longer present in
    */
-  handleDisconnect(socketId) {
-    for (const [roomId, users] of this.rooms.entries()) {
-      if (users.has(socketId)) {
-        this.leaveRoom(socketId, roomId);
+  async handleDisconnect(socketId, userId) {
+    const roomIds = await getStateStore().sMembers(socketRoomsKey(socketId));
+    const leftRooms = [];
+    for (const roomId of roomIds) {
+      const { left } = await this.leaveRoom(socketId, roomId, userId);
+      if (left) {
+        leftRooms.push(roomId);
       }
     }
+    return leftRooms;
+  }
+
+  /**
+   * Build the public roster entry for an authenticated user
+   */
+  toMember(user) {
+    return {
+      userId: user.userId,
+      username: user.username,
+      displayName: user.displayName || user.username,
+      picture: user.picture || null
+    };
+  }
+
+  /**
+   * Get the roster of users present in a room, one entry per user
+   */
+  async getRoster(roomId) {
+    const store = getStateStore();
+    const userIds = await store.sMembers(presenceKey(roomId));
+
+    const members = [];
+    for (const userId of userIds) {
+      const profile = await store.get(memberKey(userId));
+      if (profile) {
+        members.push(JSON.parse(profile));
+      }
+    }
+    return members;
   }
 
   /**
    * Start cleanup timer for empty room
+   * The delay is the room's retention grace period (rooms without one are kept).
+   * The empty marker records which timer is current, so a room that refills and empties
+   * again on another instance is not cleaned up early by this one
    */
-  startCleanupTimer(roomId) {
-    logger.info('Starting cleanup timer for empty room', {
-      roomId,
-      delayMs: this.CLEANUP_DELAY
-    });
+  async startCleanupTimer(roomId) {
+    const { emptyRoomGraceSeconds } = await getRoomRetention(roomId);
+    if (!emptyRoomGraceSeconds) return;
 
+    const delayMs = emptyRoomGraceSeconds * 1000;
+    logger.info('Starting cleanup timer for empty room', { roomId, delayMs });
+
+    const token = `${this.instanceId}:${crypto.randomUUID()}`;
+    await getStateStore().set(emptyRoomKey(roomId), token, delayMs * 2);
+
+    this.cancelCleanupTimer(roomId);
     const timerId = setTimeout(async () => {
-      await this.cleanupRoom(roomId);
-    }, this.CLEANUP_DELAY);
+      await this.cleanupRoom(roomId, token);
+    }, delayMs);
 
     this.cleanupTimers.set(roomId, timerId);
   }
 
+  /**
+   * Cancel this process's cleanup timer for a room
+   */
+  cancelCleanupTimer(roomId) {
+    if (this.cleanupTimers.has(roomId)) {
+      clearTimeout(this.cleanupTimers.get(roomId));
+      this.cleanupTimers.delete(roomId);
+      logger.info('Cleanup timer cancelled - user rejoined', { roomId });
+    }
+  }
+
   /**
    * Clean up room - delete all messages
    */
-  async cleanupRoom(roomId) {
+  async cleanupRoom(roomId, token) {
+    const store = getStateStore();
+
     try {
+      this.cleanupTimers.delete(roomId);
+
+      // Skip if someone rejoined, or another timer has since taken over the room
+      if (token && (await store.get(emptyRoomKey(roomId))) !== token) {
+        logger.info('Cleanup superseded, skipping', { roomId });
+        return;
+      }
+
       // Double-check room is still empty
-      const activeUsers = this.rooms.get(roomId)?.size || 0;
+      const activeUsers = await store.sCard(roomKey(roomId));
       if (activeUsers > 0) {
         logger.info('Room no longer empty, skipping cleanup', {
           roomId,
@@ -134,8 +236,7 @@ class SessionManager {
       });
 
       // Remove room from tracking
-      this.rooms.delete(roomId);
-      this.cleanupTimers.delete(roomId);
+      await store.del(emptyRoomKey(roomId));
 
     } catch (error) {
       logger.error('Failed to cleanup room', {
@@ -148,10 +249,11 @@ class SessionManager {
   /**
    * Get active users count for a room
    */
-  getRoomUserCount(roomId) {
-    return this.rooms.get(roomId)?.size || 0;
+  async getRoomUserCount(roomId) {
+    return getStateStore().sCard(roomKey(roomId));
   }
 }
 
 // Export singleton instance
 module.exports = new SessionManager();
+module.exports.SessionManager = SessionManager;
@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const logger = require('../logging/logger');
+
+/**
+ * State Store
+ * Shared key/value, set and rate-window state for the server.
+ * The in-memory backend is used by default (single instance). When REDIS_URL is set,
+ * state lives in Redis (or any Redis-compatible server) so several server processes
+ * see the same room occupancy, rate limits and typing indicators.
+ *
+ * All methods are async and values are strings so both backends behave the same.
+ */
+
+// Expired in-memory entries are swept on this interval (they are also dropped on access)
+const SWEEP_INTERVAL_MS = 60000;
+
+// Prefix for every key written to Redis
+const REDIS_KEY_PREFIX = 'rochat:';
+
+/**
+ * In-memory backend - state is private to this process
+ */
+class MemoryStateStore {
+  constructor() {
+    this.backend = 'memory';
+
+    // key -> { value, expiresAt } where value is a string, Set or array of timestamps
+    this.entries = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Get a live entry, dropping it if expired
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove all expired entries
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry && typeof entry.value === 'string' ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, {
+      value: String(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    if (this.getEntry(key)) return false;
+    await this.set(key, value, ttlMs);
+    return true;
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async ttl(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return -2;
+    if (!entry.expiresAt) return -1;
+    return entry.expiresAt - Date.now();
+  }
+
+  async expire(key, ttlMs) {
+    const entry = this.getEntry(key);
+    if (entry) {
+      entry.expiresAt = Date.now() + ttlMs;
+    }
+  }
+
+  async incr(key, ttlMs) {
+    const entry = this.getEntry(key);
+    if (!entry) {
+      await this.set(key, '1', ttlMs);
+      return 1;
+    }
+
+    const count = (parseInt(entry.value, 10) || 0) + 1;
+    entry.value = String(count);
+    return count;
+  }
+
+  async sAdd(key, member) {
+    let entry = this.getEntry(key);
+    if (!entry) {
+      entry = { value: new Set(), expiresAt: null };
+      this.entries.set(key, entry);
+    }
+
+    // Match Redis - report whether the member was newly added
+    if (entry.value.has(String(member))) return 0;
+    entry.value.add(String(member));
+    return 1;
+  }
+
+  async sRem(key, member) {
+    const entry = this.getEntry(key);
+    if (!entry) return 0;
+
+    const removed = entry.value.delete(String(member)) ? 1 : 0;
+
+    // Match Redis - empty sets do not exist
+    if (entry.value.size === 0) {
+      this.entries.delete(key);
+    }
+    return removed;
+  }
+
+  async sMembers(key) {
+    const entry = this.getEntry(key);
+    return entry ? Array.from(entry.value) : [];
+  }
+
+  async sCard(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.value.size : 0;
+  }
+
+  async slidingWindowHit(key, windowMs, max) {
+    const now = Date.now();
+    const entry = this.getEntry(key);
+    const timestamps = entry ? entry.value.filter(time => time > now - windowMs) : [];
+
+    if (timestamps.length >= max) {
+      this.entries.set(key, { value: timestamps, expiresAt: now + windowMs });
+      return { allowed: false, count: timestamps.length };
+    }
+
+    timestamps.push(now);
+    this.entries.set(key, { value: timestamps, expiresAt: now + windowMs });
+    return { allowed: true, count: timestamps.length };
+  }
+
+  async slidingWindowCount(key, windowMs) {
+    const entry = this.getEntry(key);
+    if (!entry) return 0;
+
+    const cutoff = Date.now() - windowMs;
+    return entry.value.filter(time => time > cutoff).length;
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.entries.clear();
+  }
+}
+
+// Atomic counter that only sets the TTL when the key is created
+const INCR_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 and tonumber(ARGV[1]) > 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+// Atomic sliding window: trim, count, and record the hit only if under the limit
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local max = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - windowMs)
+local count = redis.call('ZCARD', KEYS[1])
+if count >= max then
+  return {0, count}
+end
+redis.call('ZADD', KEYS[1], now, ARGV[4])
+redis.call('PEXPIRE', KEYS[1], windowMs)
+return {1, count + 1}
+`;
+
+/**
+ * Redis backend - state is shared by every server process using the same Redis
+ * Accepts an existing ioredis-compatible client so it can be injected in tests
+ */
+class RedisStateStore {
+  constructor(client) {
+    this.backend = 'redis';
+    this.client = client;
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async set(key, value, ttlMs) {
+    if (ttlMs) {
+      await this.client.set(key, String(value), 'PX', ttlMs);
+    } else {
+      await this.client.set(key, String(value));
+    }
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const result = ttlMs
+      ? await this.client.set(key, String(value), 'PX', ttlMs, 'NX')
+      : await this.client.set(key, String(value), 'NX');
+    return result === 'OK';
+  }
+
+  async del(key) {
+    await this.client.del(key);
+  }
+
+  async ttl(key) {
+    return this.client.pttl(key);
+  }
+
+  async expire(key, ttlMs) {
+    await this.client.pexpire(key, ttlMs);
+  }
+
+  async incr(key, ttlMs) {
+    return Number(await this.client.eval(INCR_SCRIPT, 1, key, ttlMs || 0));
+  }
+
+  async sAdd(key, member) {
+    return this.client.sadd(key, String(member));
+  }
+
+  async sRem(key, member) {
+    return this.client.srem(key, String(member));
+  }
+
+  async sMembers(key) {
+    return this.client.smembers(key);
+  }
+
+  async sCard(key) {
+    return this.client.scard(key);
+  }
+
+  async slidingWindowHit(key, windowMs, max) {
+    const now = Date.now();
+    // Members must be unique even when two hits land in the same millisecond
+    const member = `${now}:${crypto.randomBytes(6).toString('hex')}`;
+    const [allowed, count] = await this.client.eval(
+      SLIDING_WINDOW_SCRIPT, 1, key, now, windowMs, max, member
+    );
+    return { allowed: allowed === 1, count: Number(count) };
+  }
+
+  async slidingWindowCount(key, windowMs) {
+    return this.client.zcount(key, `(${Date.now() - windowMs}`, '+inf');
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+/**
+ * Create a Redis client for the given URL
+ * Commands fail fast while Redis is unreachable instead of queueing indefinitely
+ */
+function createRedisClient(redisUrl, options = {}) {
+  const Redis = require('ioredis');
+  const client = new Redis(redisUrl, {
+    maxRetriesPerRequest: 2,
+    ...options
+  });
+
+  client.on('error', (error) => {
+    logger.error('Redis connection error', { error: error.message });
+  });
+
+  return client;
+}
+
+/**
+ * Create a state store from the environment
+ * REDIS_URL selects the Redis backend, otherwise state is kept in memory
+ */
+function createStateStore(redisUrl = process.env.REDIS_URL) {
+  if (!redisUrl) {
+    logger.info('Using in-memory state store (single instance)');
+    return new MemoryStateStore();
+  }
+
+  logger.info('Using Redis state store');
+  return new RedisStateStore(createRedisClient(redisUrl, { keyPrefix: REDIS_KEY_PREFIX }));
+}
+
+let stateStore = null;
+
+/**
+ * Get the shared state store, creating it on first use
+ */
+function getStateStore() {
+  if (!stateStore) {
+    stateStore = createStateStore();
+  }
+  return stateStore;
+}
+
+/**
+ * Replace the shared state store (e.g. in tests)
+ */
+function setStateStore(store) {
+  stateStore = store;
+}
+
+module.exports = {
+  MemoryStateStore,
+  RedisStateStore,
+  createRedisClient,
+  createStateStore,
+  getStateStore,
+  setStateStore
+};
@@ -5,6 +5,7 @@ const http = require("http");
 const url = require("url");
 const logger = require("../logging/logger");
 const secureStore = require("../storage/secureStore");
+const tokenManager = require("./tokenManager");
 const { sanitizeError } = require("../utils/sanitizer");
 
 // OAuth2 Configuration
@@ -335,6 +336,8 @@ async function getUserInfo(accessToken) {
 /**
  * Refresh access token using refresh token
  * Now uses the server to keep client secret secure
+ * Throws an error carrying the HTTP status so callers can tell a rejected
+ * refresh token (4xx) apart from a transient failure
  */
 async function refreshAccessToken(refreshToken) {
   try {
@@ -368,9 +371,11 @@ async function refreshAccessToken(refreshToken) {
       }),
     );
 
-    // If refresh fails, user needs to log in again
-    secureStore.clearAuth();
-    throw new Error("Session expired. Please log in again.");
+    const refreshError = new Error(
+      error.response?.data?.error || error.message || "Token refresh failed",
+    );
+    refreshError.status = error.response?.status;
+    throw refreshError;
   }
 }
 
@@ -531,19 +536,13 @@ async function getAccessToken() {
         throw new Error("No refresh token available");
       }
 
-      // Refresh the token
-      const newTokens = await refreshAccessToken(auth.refreshToken);
-
-      // Update stored auth data
-      const updatedAuth = {
-        ...auth,
-        accessToken: newTokens.accessToken,
-        refreshToken: newTokens.refreshToken,
-        expiresAt: Date.now() + newTokens.expiresIn * 1000,
-      };
+      // Shares any in-flight refresh; clears auth only if the refresh token is rejected
+      const refreshed = await tokenManager.refreshTokens();
+      if (!refreshed) {
+        throw new Error("Token refresh failed");
+      }
 
-      secureStore.saveAuth(updatedAuth);
-      return newTokens.accessToken;
+      return refreshed.accessToken;
     }
 
     return auth.accessToken;
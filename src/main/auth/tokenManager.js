@@ -1,5 +1,25 @@
+const { EventEmitter } = require("events");
 const logger = require("../logging/logger");
 const secureStore = require("../storage/secureStore");
+const { sanitizeError } = require("../utils/sanitizer");
+
+// Notifies subscribers (e.g. socketClient) when the stored idToken is replaced
+const tokenEvents = new EventEmitter();
+
+// Tokens are treated as expired this long before their real expiry
+const EXPIRY_BUFFER_MS = 60000;
+
+// Refresh scheduling and retry configuration
+const REFRESH_CONFIG = {
+  LEAD_MS: 5 * 60 * 1000, // Renew 5 minutes before expiry
+  MAX_ATTEMPTS: 4, // Attempts per refresh before giving up until the next schedule
+  BASE_DELAY_MS: 1000, // Backoff: 1s, 2s, 4s
+  RETRY_LATER_MS: 60000, // Reschedule after all attempts failed transiently
+};
+
+// In-flight refresh shared by all concurrent callers
+let refreshPromise = null;
+let refreshTimer = null;
 
 /**
  * Logout user by clearing authentication data
@@ -7,6 +27,7 @@ const secureStore = require("../storage/secureStore");
 function logout() {
   try {
     logger.info("Logging out user");
+    stopRefreshScheduler();
     secureStore.clearAuth();
     return true;
   } catch (error) {
@@ -15,26 +36,180 @@ function logout() {
   }
 }
 
+/**
+ * Check if a refresh failure means the refresh token itself was rejected
+ * Network errors, timeouts, 429 and 5xx responses are transient and retried
+ */
+function isRefreshRejected(error) {
+  const status = error.status || error.response?.status;
+  return status === 400 || status === 401 || status === 403;
+}
+
+/**
+ * Clear auth after the refresh token was rejected and tell the renderer
+ */
+function handleRefreshRejected(reason) {
+  logger.warn("Refresh token rejected, session expired", { reason });
+  stopRefreshScheduler();
+  secureStore.clearAuth();
+  tokenEvents.emit("sessionExpired");
+}
+
+/**
+ * Perform a refresh with exponential backoff on transient failures
+ * Resolves to the updated auth data, or null if the session could not be renewed
+ */
+async function performRefresh() {
+  // Lazy require - robloxAuth depends on this module
+  const robloxAuth = require("./robloxAuth");
+
+  const auth = secureStore.getAuth();
+  if (!auth) {
+    return null;
+  }
+
+  if (!auth.refreshToken) {
+    handleRefreshRejected("No refresh token available");
+    return null;
+  }
+
+  for (let attempt = 1; attempt <= REFRESH_CONFIG.MAX_ATTEMPTS; attempt++) {
+    try {
+      const newTokens = await robloxAuth.refreshAccessToken(auth.refreshToken);
+
+      const updatedAuth = {
+        ...auth,
+        accessToken: newTokens.accessToken,
+        // Roblox rotates refresh tokens; keep the old one if none was returned
+        refreshToken: newTokens.refreshToken || auth.refreshToken,
+        idToken: newTokens.idToken || auth.idToken,
+        expiresAt: Date.now() + newTokens.expiresIn * 1000,
+      };
+
+      secureStore.saveAuth(updatedAuth);
+      logger.info("Tokens refreshed", { attempt });
+
+      notifyTokenRotated();
+      scheduleRefresh(updatedAuth.expiresAt);
+      return updatedAuth;
+    } catch (error) {
+      if (isRefreshRejected(error)) {
+        handleRefreshRejected(error.message);
+        return null;
+      }
+
+      logger.warn(
+        "Token refresh failed, will retry",
+        sanitizeError({
+          error: error.message,
+          attempt,
+          maxAttempts: REFRESH_CONFIG.MAX_ATTEMPTS,
+        }),
+      );
+
+      if (attempt < REFRESH_CONFIG.MAX_ATTEMPTS) {
+        const delay = REFRESH_CONFIG.BASE_DELAY_MS * Math.pow(2, attempt - 1);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Keep the session - the refresh token may still be good once the network recovers
+  logger.error("Token refresh failed after all attempts, retrying later");
+  scheduleRetry(REFRESH_CONFIG.RETRY_LATER_MS);
+  return null;
+}
+
+/**
+ * Refresh tokens now
+ * Concurrent callers share a single in-flight request
+ */
+function refreshTokens() {
+  if (!refreshPromise) {
+    refreshPromise = performRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+/**
+ * Schedule the next refresh ahead of the given expiry time
+ */
+function scheduleRefresh(expiresAt) {
+  const delay = Math.max(0, expiresAt - REFRESH_CONFIG.LEAD_MS - Date.now());
+  scheduleRetry(delay);
+}
+
+/**
+ * Schedule a refresh after a fixed delay, replacing any pending one
+ */
+function scheduleRetry(delay) {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+  }
+
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshTokens();
+  }, delay);
+
+  logger.debug("Token refresh scheduled", { inMs: delay });
+}
+
+/**
+ * Start renewing tokens in the background before they expire
+ * Safe to call repeatedly (e.g. on startup and after login)
+ */
+function startRefreshScheduler() {
+  const auth = secureStore.getAuth();
+  if (!auth) {
+    return;
+  }
+
+  logger.info("Starting token refresh scheduler");
+  scheduleRefresh(auth.expiresAt);
+}
+
+/**
+ * Stop background token renewal
+ */
+function stopRefreshScheduler() {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
 /**
  * Get valid token from storage
- * Returns idToken (JWT) for authentication with backend
+ * Returns idToken (JWT) for authentication with backend, refreshing it first if it is about to expire
  */
-function getValidToken() {
+async function getValidToken() {
   const auth = secureStore.getAuth();
 
   if (!auth) {
     return null;
   }
 
-  // Check if token is expired with 60-second buffer (consistent with robloxAuth.js:388)
-  if (Date.now() >= auth.expiresAt - 60000) {
-    logger.info("Token expired or about to expire, user must re-login");
-    secureStore.clearAuth();
-    return null;
+  if (Date.now() < auth.expiresAt - EXPIRY_BUFFER_MS) {
+    // Return idToken (JWT with user identity) for authentication
+    return auth.idToken;
+  }
+
+  logger.info("Token expired or about to expire, refreshing");
+  const refreshed = await refreshTokens();
+  if (refreshed) {
+    return refreshed.idToken;
+  }
+
+  // Refresh failed transiently - the old token is usable until it actually expires
+  const current = secureStore.getAuth();
+  if (current && Date.now() < current.expiresAt) {
+    return current.idToken;
   }
 
-  // Return idToken (JWT with user identity) for authentication
-  return auth.idToken;
+  return null;
 }
 
 /**
@@ -48,15 +223,46 @@ function hasValidToken() {
   }
 
   // Check if token is expired with 60-second buffer (consistent with robloxAuth.js:388)
-  if (Date.now() >= auth.expiresAt - 60000) {
+  if (Date.now() >= auth.expiresAt - EXPIRY_BUFFER_MS) {
     return false;
   }
 
   return true;
 }
 
+/**
+ * Notify subscribers that the stored tokens were rotated
+ * Called after a refresh has saved a new idToken
+ */
+function notifyTokenRotated() {
+  tokenEvents.emit("tokenRotated");
+}
+
+/**
+ * Subscribe to token rotation
+ * Returns an unsubscribe function
+ */
+function onTokenRotated(listener) {
+  tokenEvents.on("tokenRotated", listener);
+  return () => tokenEvents.removeListener("tokenRotated", listener);
+}
+
+/**
+ * Subscribe to session expiry (refresh token rejected, auth cleared)
+ * Returns an unsubscribe function
+ */
+function onSessionExpired(listener) {
+  tokenEvents.on("sessionExpired", listener);
+  return () => tokenEvents.removeListener("sessionExpired", listener);
+}
+
 module.exports = {
   logout,
   getValidToken,
   hasValidToken,
+  refreshTokens,
+  startRefreshScheduler,
+  stopRefreshScheduler,
+  onTokenRotated,
+  onSessionExpired,
 };
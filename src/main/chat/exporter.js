@@ -0,0 +1,207 @@
+/**
+ * Chat Export
+ * Formats a tab's loaded history as JSON, a standalone HTML page or plain text.
+ *
+ * Message text and names are exported as sent; only the HTML page escapes them.
+ */
+
+// Save dialog filters, in the order they are offered
+const EXPORT_FORMATS = [
+  { format: "json", name: "JSON", extensions: ["json"] },
+  { format: "html", name: "HTML page", extensions: ["html", "htm"] },
+  { format: "text", name: "Plain text", extensions: ["txt"] },
+];
+
+const TAB_TITLES = {
+  server: "Server chat",
+  global: "Global chat",
+  party: "Party chat",
+  dm: "Direct messages",
+};
+
+/**
+ * Escape text for the HTML page (element content and attribute values)
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Export format for a file name chosen in the save dialog (JSON by default)
+ */
+function formatForFile(filePath) {
+  const extension = filePath.split(".").pop().toLowerCase();
+  const match = EXPORT_FORMATS.find((entry) =>
+    entry.extensions.includes(extension),
+  );
+  return match ? match.format : "json";
+}
+
+/**
+ * Suggested file name, e.g. rochat-global-606849621-2024-01-01.json
+ */
+function defaultFileName(session, now = new Date()) {
+  const room = session.jobId || session.placeId || session.partyId || "";
+  const date = now.toISOString().slice(0, 10);
+  return ["rochat", session.chatType, room, date].filter(Boolean).join("-");
+}
+
+/**
+ * Messages as they appear in an export
+ */
+function toExportMessages(messages) {
+  return (messages || [])
+    .filter((msg) => msg && !msg.isRejected)
+    .map((msg) => ({
+      messageId: msg.messageId || null,
+      seq: msg.seq || null,
+      userId: msg.userId,
+      username: msg.username || "",
+      displayName: msg.displayName || msg.username || "",
+      timestamp: new Date(msg.timestamp).toISOString(),
+      editedAt: msg.editedAt ? new Date(msg.editedAt).toISOString() : null,
+      deletedAt: msg.deletedAt ? new Date(msg.deletedAt).toISOString() : null,
+      replyTo: msg.replyTo?.messageId || null,
+      status: msg.status && msg.status !== "sent" ? msg.status : undefined,
+      message: msg.message || "",
+    }));
+}
+
+/**
+ * Details about the exported conversation, shared by every format
+ */
+function toExportHeader(session, exportedAt) {
+  return {
+    title: TAB_TITLES[session.chatType] || "Chat",
+    chatType: session.chatType,
+    placeId: session.placeId || null,
+    gameName: session.gameName || null,
+    jobId: session.chatType === "server" ? session.jobId || null : null,
+    partyId: session.partyId || null,
+    conversationWith: session.conversationWith || null,
+    exportedAt: exportedAt.toISOString(),
+  };
+}
+
+/**
+ * Marker shown after an edited or deleted message
+ */
+function messageMarker(message) {
+  if (message.deletedAt) return "(deleted)";
+  if (message.editedAt) return "(edited)";
+  if (message.status) return `(${message.status})`;
+  return "";
+}
+
+function formatJson(header, messages) {
+  return JSON.stringify({ ...header, messages }, null, 2);
+}
+
+function formatText(header, messages) {
+  const lines = [
+    header.title,
+    header.gameName ? `Game: ${header.gameName}` : null,
+    header.placeId ? `Place ID: ${header.placeId}` : null,
+    header.jobId ? `Job ID: ${header.jobId}` : null,
+    header.partyId ? `Party ID: ${header.partyId}` : null,
+    header.conversationWith
+      ? `Conversation with: ${header.conversationWith}`
+      : null,
+    `Exported: ${header.exportedAt}`,
+    "",
+  ].filter((line) => line !== null);
+
+  messages.forEach((msg) => {
+    const marker = messageMarker(msg);
+    lines.push(
+      `[${msg.timestamp}] ${msg.displayName} (@${msg.username}): ${msg.message}${marker ? ` ${marker}` : ""}`,
+    );
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+function formatHtml(header, messages) {
+  const details = [
+    ["Game", header.gameName],
+    ["Place ID", header.placeId],
+    ["Job ID", header.jobId],
+    ["Party ID", header.partyId],
+    ["Conversation with", header.conversationWith],
+    ["Exported", header.exportedAt],
+  ]
+    .filter(([, value]) => value)
+    .map(
+      ([label, value]) =>
+        `<div><span class="label">${label}:</span> ${escapeHtml(value)}</div>`,
+    )
+    .join("\n      ");
+
+  const rows = messages
+    .map((msg) => {
+      const marker = messageMarker(msg);
+      return `    <div class="msg" data-message-id="${escapeHtml(msg.messageId || "")}">
+      <div class="meta">
+        <span class="name">${escapeHtml(msg.displayName)}</span>
+        <span class="username">(@${escapeHtml(msg.username)})</span>
+        <time datetime="${msg.timestamp}">${msg.timestamp}</time>${marker ? `\n        <span class="marker">${marker}</span>` : ""}
+      </div>
+      <div class="text">${escapeHtml(msg.message)}</div>
+    </div>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(header.title)} - RoChat export</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #1a1a2e; color: #e8e8f0; margin: 0; padding: 24px; }
+    header { margin-bottom: 24px; font-size: 13px; color: #a0a0b8; }
+    h1 { font-size: 20px; color: #e8e8f0; margin: 0 0 8px; }
+    .label { font-weight: 600; }
+    .msg { padding: 8px 0; border-bottom: 1px solid rgba(255, 255, 255, 0.08); }
+    .meta { font-size: 12px; color: #a0a0b8; display: flex; gap: 8px; }
+    .name { font-weight: 700; color: #e8e8f0; }
+    .marker { font-style: italic; }
+    .text { margin-top: 4px; white-space: pre-wrap; overflow-wrap: break-word; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(header.title)}</h1>
+      ${details}
+  </header>
+  <main>
+${rows}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Format a session for export
+ * session: { chatType, placeId, gameName, jobId, partyId, conversationWith, messages }
+ */
+function formatExport(session, format, exportedAt = new Date()) {
+  const header = toExportHeader(session, exportedAt);
+  const messages = toExportMessages(session.messages);
+
+  if (format === "html") return formatHtml(header, messages);
+  if (format === "text") return formatText(header, messages);
+  return formatJson(header, messages);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  escapeHtml,
+  formatForFile,
+  defaultFileName,
+  formatExport,
+};
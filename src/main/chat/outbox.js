@@ -0,0 +1,438 @@
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const logger = require("../logging/logger");
+const { sanitizeError } = require("../utils/sanitizer");
+
+// Delay between delivery attempts: 2s, 4s, 8s... capped at 1 minute
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 60000;
+
+// Messages still undelivered after this many attempts are marked failed
+const MAX_ATTEMPTS = 8;
+
+// Queued messages older than this are dropped on startup - the conversation has moved on
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Room a message is delivered to (mirrors the server's room IDs)
+ */
+function roomKeyFor({ chatType, jobId, placeId, partyId }) {
+  if (chatType === "server") return `server:${jobId}`;
+  if (chatType === "party") return `party:${partyId}`;
+  return `global:${placeId}`;
+}
+
+/**
+ * Check if a failed request is worth retrying
+ * Network errors, timeouts and server errors are; the backend rejecting the message is not.
+ * 409 means an earlier attempt with the same key is still being processed.
+ */
+function isTransientError(error) {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 408 || status === 409;
+}
+
+/**
+ * Check if a request was refused by a rate limit or cooldown
+ * The message is kept and sent again once the wait (retryAfter) is over
+ */
+function isRateLimited(error) {
+  return error.response?.status === 429;
+}
+
+/**
+ * Message Outbox
+ * Keeps outgoing room messages (persisted through the configured storage, secureStore in
+ * the app) until the backend accepts them.
+ * Every message carries a client-generated idempotency key, so resending a message whose
+ * response was lost cannot post it twice. Messages to the same room are delivered one at
+ * a time, in the order they were sent; a message that failed for good no longer holds
+ * the room up.
+ *
+ * Every message records the account that queued it and is only delivered while that
+ * account is logged in; clear() drops the queue when the account logs out.
+ *
+ * Emits "updated" with { clientKey, status, error, message } when a queued message is
+ * sent ("sent"), scheduled for another attempt ("pending") or given up on ("failed").
+ */
+class Outbox extends EventEmitter {
+  constructor() {
+    super();
+    // { clientKey, userId, roomKey, payload, status: 'pending'|'failed', attempts, nextAttemptAt, error, createdAt }
+    this.entries = null; // Loaded from storage on first use
+    this.sender = null; // async (entry) => server response data; throws the request error
+    this.getUserId = () => null; // Logged-in account (null while logged out)
+    this.describeError = (error) =>
+      error.response?.data?.error || error.message;
+    this.storage = { load: () => [], save: () => {} };
+    this.sending = new Map(); // roomKey -> clientKey of the request in flight
+    this.retryTimer = null;
+  }
+
+  /**
+   * Set how messages are delivered and kept
+   * describeError turns a request error into the text shown on the message;
+   * storage is { load(), save(entries) }; getUserId returns the logged-in account
+   */
+  configure({ send, describeError, storage, getUserId }) {
+    this.sender = send;
+    if (describeError) {
+      this.describeError = describeError;
+    }
+    if (storage) {
+      this.storage = storage;
+    }
+    if (getUserId) {
+      this.getUserId = getUserId;
+    }
+  }
+
+  /**
+   * Load queued messages saved by a previous run
+   */
+  load() {
+    if (this.entries) return;
+
+    // Entries without an account are from before accounts were recorded - nobody can
+    // tell who queued them
+    const cutoff = Date.now() - MAX_AGE_MS;
+    this.entries = this.storage
+      .load()
+      .filter(
+        (entry) =>
+          entry && entry.clientKey && entry.userId && entry.createdAt > cutoff,
+      );
+
+    if (this.entries.length > 0) {
+      logger.info("Loaded queued messages", { count: this.entries.length });
+    }
+  }
+
+  save() {
+    this.storage.save(this.entries);
+  }
+
+  /**
+   * Drop every queued message (the account logged out or its session expired)
+   */
+  clear() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    this.entries = [];
+    this.save();
+  }
+
+  /**
+   * Check if a message was queued by the logged-in account
+   */
+  isOwn(entry) {
+    const userId = this.getUserId();
+    return Boolean(userId) && String(entry.userId) === String(userId);
+  }
+
+  /**
+   * Queued and failed messages of the logged-in account, oldest first
+   */
+  list() {
+    this.load();
+    return this.entries
+      .filter((entry) => this.isOwn(entry))
+      .map((entry) => this.toView(entry));
+  }
+
+  /**
+   * Queue a message and try to deliver it straight away
+   * Resolves to { status: 'sent', message } once delivered, { status: 'pending' } when it
+   * stays queued (offline, rate limited - rateLimited is then set, with the retryAt time -
+   * or waiting behind earlier messages to the same room), or { status: 'rejected', error } when the
+   * backend refused it (it is not kept)
+   */
+  async send(payload) {
+    this.load();
+
+    const userId = this.getUserId();
+    if (!userId) {
+      return {
+        status: "rejected",
+        error: new Error("Not authenticated"),
+      };
+    }
+
+    const entry = {
+      clientKey: crypto.randomUUID(),
+      userId: String(userId),
+      roomKey: roomKeyFor(payload),
+      payload,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      error: null,
+      createdAt: Date.now(),
+    };
+    this.entries.push(entry);
+    this.save();
+
+    // Earlier messages to this room go first
+    if (this.nextForRoom(entry.roomKey) !== entry) {
+      this.flush();
+      return {
+        status: "pending",
+        clientKey: entry.clientKey,
+        entry: this.toView(entry),
+      };
+    }
+
+    const outcome = await this.attempt(entry);
+    let result;
+
+    if (outcome.sent) {
+      result = {
+        status: "sent",
+        clientKey: entry.clientKey,
+        message: outcome.message,
+      };
+    } else if (!this.shouldRetry(outcome.error)) {
+      // Shown to the user as a rejected message - nothing to retry
+      this.remove(entry);
+      result = {
+        status: "rejected",
+        clientKey: entry.clientKey,
+        error: outcome.error,
+      };
+    } else {
+      this.scheduleRetry(entry, outcome.error);
+      result = {
+        status: "pending",
+        clientKey: entry.clientKey,
+        entry: this.toView(entry),
+        rateLimited: isRateLimited(outcome.error),
+        retryAt: entry.nextAttemptAt,
+      };
+    }
+
+    // Next message to the room (if any were queued meanwhile)
+    this.flush();
+    return result;
+  }
+
+  /**
+   * Try a failed message again (it keeps its place in the room's order)
+   */
+  retry(clientKey) {
+    this.load();
+    const entry = this.entries.find((e) => e.clientKey === clientKey);
+    if (!entry || !this.isOwn(entry)) return false;
+
+    entry.status = "pending";
+    entry.attempts = 0;
+    entry.nextAttemptAt = Date.now();
+    entry.error = null;
+    this.save();
+    this.emitUpdate(entry);
+
+    this.flush();
+    return true;
+  }
+
+  /**
+   * Drop a queued or failed message
+   * A message that is being sent right now can't be recalled
+   */
+  discard(clientKey) {
+    this.load();
+    const entry = this.entries.find((e) => e.clientKey === clientKey);
+    if (!entry || !this.isOwn(entry)) return false;
+    if (this.sending.get(entry.roomKey) === clientKey) return false;
+
+    this.remove(entry);
+    this.flush();
+    return true;
+  }
+
+  /**
+   * Attempt every queued message now (e.g. the socket just reconnected)
+   */
+  retryNow() {
+    this.load();
+    const now = Date.now();
+    this.entries.forEach((entry) => {
+      if (entry.status === "pending") {
+        entry.nextAttemptAt = Math.min(entry.nextAttemptAt, now);
+      }
+    });
+    this.flush();
+  }
+
+  /**
+   * Oldest undelivered message of a room (failed messages don't hold the room up)
+   * Messages queued by another account are never sent with this one's session
+   */
+  nextForRoom(roomKey) {
+    return this.entries.find(
+      (entry) =>
+        entry.roomKey === roomKey &&
+        entry.status === "pending" &&
+        this.isOwn(entry),
+    );
+  }
+
+  /**
+   * Deliver the next message of every room that is due, then wait for the next one
+   */
+  flush() {
+    if (!this.entries || !this.sender) return;
+
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    const now = Date.now();
+    const rooms = new Set(this.entries.map((entry) => entry.roomKey));
+    let nextDue = Infinity;
+
+    for (const roomKey of rooms) {
+      if (this.sending.has(roomKey)) continue;
+
+      const entry = this.nextForRoom(roomKey);
+      if (!entry) continue;
+
+      if (entry.nextAttemptAt <= now) {
+        this.deliver(entry);
+      } else {
+        nextDue = Math.min(nextDue, entry.nextAttemptAt);
+      }
+    }
+
+    if (nextDue !== Infinity) {
+      this.retryTimer = setTimeout(() => this.flush(), nextDue - now);
+    }
+  }
+
+  /**
+   * Send a message once
+   * The room is held while the request is in flight so its next message waits
+   */
+  async attempt(entry) {
+    this.sending.set(entry.roomKey, entry.clientKey);
+    entry.attempts++;
+
+    try {
+      const data = await this.sender(entry);
+      this.remove(entry);
+      return { sent: true, message: data?.message || null };
+    } catch (error) {
+      return { sent: false, error };
+    } finally {
+      this.sending.delete(entry.roomKey);
+    }
+  }
+
+  /**
+   * Background delivery attempt of a queued message
+   */
+  async deliver(entry) {
+    const outcome = await this.attempt(entry);
+
+    if (outcome.sent) {
+      logger.info("Queued message delivered", { attempts: entry.attempts });
+      this.emit("updated", {
+        clientKey: entry.clientKey,
+        status: "sent",
+        message: outcome.message,
+      });
+    } else if (this.shouldRetry(outcome.error)) {
+      this.scheduleRetry(entry, outcome.error);
+    } else {
+      this.fail(entry, outcome.error);
+    }
+
+    this.flush();
+  }
+
+  /**
+   * Check if a message is kept for another attempt after a failed one
+   * Rate limited messages wait for the cooldown and keep their place in the order
+   */
+  shouldRetry(error) {
+    return isTransientError(error) || isRateLimited(error);
+  }
+
+  /**
+   * Back off before the next attempt, or give up after too many
+   */
+  scheduleRetry(entry, error) {
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      this.fail(entry, error);
+      return;
+    }
+
+    const retryAfterMs = (error.response?.data?.retryAfter || 0) * 1000;
+    const backoffMs = Math.min(
+      RETRY_BASE_MS * Math.pow(2, entry.attempts - 1),
+      RETRY_MAX_MS,
+    );
+
+    entry.nextAttemptAt = Date.now() + Math.max(backoffMs, retryAfterMs);
+    entry.error = this.describeError(error);
+    this.save();
+
+    logger.warn(
+      "Message not delivered, will retry",
+      sanitizeError({
+        error: error.message,
+        status: error.response?.status,
+        attempt: entry.attempts,
+      }),
+    );
+    this.emitUpdate(entry);
+  }
+
+  fail(entry, error) {
+    entry.status = "failed";
+    entry.error = this.describeError(error);
+    this.save();
+
+    logger.error(
+      "Message delivery failed",
+      sanitizeError({
+        error: error.message,
+        status: error.response?.status,
+        attempts: entry.attempts,
+      }),
+    );
+    this.emitUpdate(entry);
+  }
+
+  remove(entry) {
+    this.entries = this.entries.filter((e) => e !== entry);
+    this.save();
+  }
+
+  emitUpdate(entry) {
+    this.emit("updated", {
+      clientKey: entry.clientKey,
+      status: entry.status,
+      error: entry.error,
+    });
+  }
+
+  /**
+   * What the renderer needs to show a queued message
+   */
+  toView(entry) {
+    return {
+      clientKey: entry.clientKey,
+      status: entry.status,
+      error: entry.error,
+      createdAt: entry.createdAt,
+      ...entry.payload,
+    };
+  }
+}
+
+// Export singleton instance (and the class for tests)
+module.exports = new Outbox();
+module.exports.Outbox = Outbox;
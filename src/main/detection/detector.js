@@ -1,19 +1,52 @@
+const path = require("path");
 const { EventEmitter } = require("events");
 const processWatcher = require("./processWatcher");
 const logMonitor = require("./logMonitor");
+const logMatcher = require("./logMatcher");
 // REMOVED UNSAFE MEMORY READER
 const logger = require("../logging/logger");
 const socketClient = require("../socket/socketClient");
 const { sanitizeError } = require("../utils/sanitizer");
 
+const { LogMonitor } = logMonitor;
+
+/**
+ * Detector
+ * Follows the Roblox clients found by the process watcher. Each running client is a
+ * session with its own log monitor (following that client's log, see logMatcher.js) and
+ * server. The server tab follows one session at a time - the user picks which; with
+ * joinAllSessions the rooms of every session's server are joined at once.
+ *
+ * Emits "serverChanged" with the followed session's server (null when it has none) and
+ * "sessionsChanged" with the session list (see getSessions).
+ */
 class Detector extends EventEmitter {
   constructor() {
     super();
-    this.currentServer = null; // { placeId, jobId, timestamp }
-    this.lastLogUpdate = null;
+    this.sessions = new Map(); // pid -> session (see createSession)
+    this.followedSessionId = null; // pid of the session the server tab follows
+    this.joinAllSessions = false; // Join the rooms of every session's server
+    this.currentServer = null; // serverInfo of the followed session (placeId, jobId, serverType...)
+    this.client = null; // Roblox client { pid, startTime, platform } of the followed session
     // REMOVED UNSAFE MEMORY READER
     this.isRunning = false;
-    this.lastStateChangeTime = 0;
+    this.replay = null; // LogReplay standing in for Roblox (development, see replay.js)
+  }
+
+  /**
+   * Detect from a log replay instead of Roblox (development)
+   * Its fake clients replace the process list and its log folder is watched. The replay
+   * runs from the first start of detection and carries on if detection is restarted.
+   */
+  useReplay(replay) {
+    replay.prepare();
+    this.replay = replay;
+
+    processWatcher.listProcesses = () => replay.listProcesses();
+    processWatcher.isProcessAlive = (pid) => replay.isProcessAlive(pid);
+    replay.on("processesChanged", () => processWatcher.checkNow());
+
+    logger.info("Detecting from a log replay", { logDir: replay.outputDir });
   }
 
   /**
@@ -29,36 +62,41 @@ class Detector extends EventEmitter {
     logger.info("Starting detector");
     this.isRunning = true;
 
+    // Sessions kept from the last run whose client has exited since
+    for (const session of [...this.sessions.values()]) {
+      if (!processWatcher.isProcessAlive(session.id)) {
+        this.endSession(session);
+      }
+    }
+    if (!this.sessions.has(this.followedSessionId)) {
+      this.follow(this.pickSessionToFollow());
+    }
+
     // Connect to Socket.io server
     socketClient.connect();
 
     // Start process watcher
     processWatcher.startWatching();
 
+    if (this.replay && !this.replay.isRunning) {
+      this.replay.start();
+    }
+
     // Listen for process events
-    processWatcher.on("processStarted", () => {
+    processWatcher.on("processStarted", (client) => {
       logger.info("Roblox process started, starting log monitor");
-      this.handleProcessStarted();
+      this.handleProcessStarted(client);
     });
 
-    processWatcher.on("processStopped", () => {
+    processWatcher.on("processStopped", (client) => {
       logger.info("Roblox process stopped");
-      this.handleProcessStopped();
-    });
-
-    // Listen for log monitor events
-    logMonitor.on("serverDetected", (serverInfo) => {
-      this.handleServerDetected(serverInfo, "log");
-    });
-
-    // Listen for disconnect events from logs
-    logMonitor.on("disconnected", () => {
-      this.handleDisconnected();
+      this.handleProcessStopped(client);
     });
   }
 
   /**
    * Stop the detector
+   * Sessions are kept - clients still running when detection starts again carry on
    */
   stop() {
     if (!this.isRunning) {
@@ -74,128 +112,415 @@ class Detector extends EventEmitter {
 
     processWatcher.removeAllListeners("processStarted");
     processWatcher.removeAllListeners("processStopped");
-    logMonitor.removeAllListeners("serverDetected");
-    logMonitor.removeAllListeners("disconnected");
 
     // Stop all watchers
     processWatcher.stopWatching();
-    logMonitor.stopMonitoring();
+    for (const session of this.sessions.values()) {
+      if (session.monitor.isMonitoring) {
+        session.monitor.stopMonitoring();
+      }
+    }
 
     // REMOVED UNSAFE MEMORY READER
   }
 
+  /**
+   * Create the session of a client, with a log monitor following that client's log
+   */
+  createSession(client) {
+    const session = {
+      id: client.pid,
+      client,
+      monitor: null,
+      logFile: null, // Path of the log matched to the client
+      server: null, // serverInfo from the client's log
+      lastStateChangeTime: 0,
+      lastLogUpdate: Date.now(),
+    };
+
+    const monitor = new LogMonitor({
+      selectLogFile: (files) => this.selectSessionLog(session, files),
+    });
+    monitor.customLogDir = this.replay
+      ? this.replay.outputDir
+      : logMonitor.customLogDir;
+
+    monitor.on("serverDetected", (serverInfo) => {
+      this.handleServerDetected(session, serverInfo, "log");
+    });
+
+    // Details logged after the join line (universeId, public server address)
+    monitor.on("serverUpdated", (serverInfo) => {
+      this.handleServerUpdated(session, serverInfo);
+    });
+
+    // Listen for disconnect events from logs
+    monitor.on("disconnected", () => {
+      this.handleDisconnected(session);
+    });
+
+    session.monitor = monitor;
+    return session;
+  }
+
+  /**
+   * Stop following a session's client (it exited)
+   */
+  endSession(session) {
+    if (session.monitor.isMonitoring) {
+      session.monitor.stopMonitoring();
+    }
+    session.monitor.removeAllListeners();
+    this.sessions.delete(session.id);
+    if (session.id === this.followedSessionId) {
+      this.followedSessionId = null; // Followed again by the caller (see follow)
+    }
+  }
+
+  /**
+   * Pick the log a session's monitor follows
+   * The log matched to the client once stays its log; logs of other sessions are skipped
+   */
+  selectSessionLog(session, files) {
+    if (session.logFile) {
+      const matched = files.find((file) => file.path === session.logFile);
+      if (matched) return matched;
+    }
+
+    const claimed = new Set();
+    for (const other of this.sessions.values()) {
+      if (other !== session && other.logFile) {
+        claimed.add(other.logFile);
+      }
+    }
+
+    const file = logMatcher.matchLogFile(session.client, files, { claimed });
+    if (file) {
+      logger.info("Matched log file to Roblox client", {
+        pid: session.id,
+        file: file.name,
+      });
+      session.logFile = file.path;
+      this.emitSessions();
+    }
+    return file;
+  }
+
+  /**
+   * Check if a client found by the process watcher is the one seen last
+   * (the watcher reports it again when detection is restarted)
+   */
+  isSameClient(known, client) {
+    return Boolean(
+      known &&
+      client &&
+      known.pid === client.pid &&
+      known.startTime === client.startTime &&
+      client.startTime !== null,
+    );
+  }
+
   /**
    * Handle Roblox process started
+   * client is { pid, startTime, platform } - platform is the strategy it was found with
+   * (native, Wine, Sober...), whose log directory is watched
    */
-  handleProcessStarted() {
-    // Clear current server
-    this.currentServer = null;
-    this.lastLogUpdate = Date.now();
+  handleProcessStarted(client) {
+    const known = this.sessions.get(client.pid);
+
+    if (known && this.isSameClient(known.client, client)) {
+      // Still in the same game - keep the server and read on from where the log was left
+      logger.info("Roblox client still running, resuming detection", {
+        pid: client.pid,
+      });
+      known.client = client;
+      known.lastLogUpdate = Date.now();
+      known.monitor.startMonitoring(client.platform);
+      this.updateRooms();
+      if (known.id === this.followedSessionId) {
+        this.emit("serverChanged", this.currentServer);
+      }
+      this.emitSessions();
+      return;
+    }
 
-    // Start log monitoring
-    logMonitor.startMonitoring();
+    // A new client (a reused pid does not carry over what the old one saw)
+    if (known) {
+      this.endSession(known);
+    }
+    const followNew = !this.sessions.has(this.followedSessionId);
+    const session = this.createSession(client);
+    this.sessions.set(session.id, session);
+
+    // Start log monitoring in that client's log directory
+    session.monitor.startMonitoring(client.platform);
 
     // REMOVED UNSAFE MEMORY READER - Rely 100% on logs
 
-    // Emit server changed with null
-    this.emit("serverChanged", null);
+    // The server tab follows the first client until the user picks another
+    if (followNew) {
+      this.follow(session.id);
+    }
+    this.emitSessions();
   }
 
   /**
    * Handle Roblox process stopped
    */
-  handleProcessStopped() {
-    // Stop log monitoring
-    logMonitor.stopMonitoring();
+  handleProcessStopped(client) {
+    const session = client && this.sessions.get(client.pid);
+    if (!session) return;
 
     // REMOVED UNSAFE MEMORY READER
 
-    // Clear current server if set
-    const previousServer = this.currentServer;
-    this.currentServer = null;
-    this.lastLogUpdate = null;
+    // Stop log monitoring - the client is gone, a new one starts over
+    const wasFollowed = session.id === this.followedSessionId;
+    this.endSession(session);
 
-    // Leave all Socket.io rooms
-    socketClient.leaveAllRooms();
-
-    // Emit server changed with null
-    if (previousServer) {
-      this.emit("serverChanged", null);
+    if (wasFollowed) {
+      this.follow(this.pickSessionToFollow());
+    } else {
+      this.updateRooms();
     }
+    this.emitSessions();
   }
 
   /**
-   * Handle disconnect detected from logs
+   * Handle disconnect detected from a session's logs
    */
-  handleDisconnected() {
-    if (!this.currentServer) {
+  handleDisconnected(session) {
+    if (!session.server) {
       return; // Not in a server, nothing to disconnect from
     }
 
-    logger.info("User disconnected from game");
-    const previousServer = this.currentServer;
-    this.currentServer = null;
-    this.lastLogUpdate = null;
+    logger.info("User disconnected from game", { pid: session.id });
+    session.server = null;
+    session.lastLogUpdate = null;
 
-    // Leave all Socket.io rooms
-    socketClient.leaveAllRooms();
+    if (session.id === this.followedSessionId) {
+      this.currentServer = null;
+      this.emit("serverChanged", null);
+    }
 
-    this.emit("serverChanged", null);
+    // Leave the rooms of that server
+    this.updateRooms();
+    this.emitSessions();
   }
 
   /**
-   * Handle server detected from logs
+   * Handle server detected from a session's logs
    */
-  handleServerDetected(serverInfo, source) {
+  handleServerDetected(session, serverInfo, source) {
     // REMOVED UNSAFE MEMORY READER
 
     // Update last log update time
     if (source === "log") {
-      this.lastLogUpdate = Date.now();
+      session.lastLogUpdate = Date.now();
     }
 
     // Check if server changed
+    const previous = session.server;
     if (
-      !this.currentServer ||
-      this.currentServer.placeId !== serverInfo.placeId ||
-      this.currentServer.jobId !== serverInfo.jobId
+      previous &&
+      previous.placeId === serverInfo.placeId &&
+      previous.jobId === serverInfo.jobId
     ) {
-      const now = Date.now();
-      const timeSinceLastChange = now - this.lastStateChangeTime;
-      // Only debounce if both old and new states are "in-game" (prevent server hopping spam)
-      if (
-        this.currentServer &&
-        this.currentServer.placeId &&
-        serverInfo.placeId &&
-        timeSinceLastChange < 2000
-      ) {
-        logger.debug(
-          "Server change debounced, too soon since last server switch",
-        );
-        return;
-      }
-      this.lastStateChangeTime = now;
+      return;
+    }
 
-      logger.info("Server changed", { source });
+    const now = Date.now();
+    const timeSinceLastChange = now - session.lastStateChangeTime;
+    // Only debounce if both old and new states are "in-game" (prevent server hopping spam)
+    // Teleports are always followed - the game moved the player
+    if (
+      !serverInfo.isTeleport &&
+      previous &&
+      previous.placeId &&
+      serverInfo.placeId &&
+      timeSinceLastChange < 2000
+    ) {
+      logger.debug(
+        "Server change debounced, too soon since last server switch",
+      );
+      return;
+    }
+    session.lastStateChangeTime = now;
 
+    logger.info("Server changed", {
+      source,
+      pid: session.id,
+      serverType: serverInfo.serverType,
+      isTeleport: serverInfo.isTeleport,
+    });
+
+    session.server = serverInfo;
+    if (session.id === this.followedSessionId) {
       this.currentServer = serverInfo;
+    }
 
-      // Join Socket.io rooms for this server
-      try {
-        socketClient.joinRoom(serverInfo.jobId, serverInfo.placeId);
-      } catch (error) {
-        logger.error(
-          "Failed to join socket room",
-          sanitizeError({ error: error.message }),
-        );
-      }
+    // Join Socket.io rooms for this server
+    this.updateRooms();
 
+    if (session.id === this.followedSessionId) {
       this.emit("serverChanged", serverInfo);
     }
+    this.emitSessions();
+  }
+
+  /**
+   * Handle details of a session's server logged after it was joined
+   * serverChanged is emitted again with the same placeId/jobId and the new details
+   */
+  handleServerUpdated(session, serverInfo) {
+    if (
+      !session.server ||
+      session.server.placeId !== serverInfo.placeId ||
+      session.server.jobId !== serverInfo.jobId
+    ) {
+      return;
+    }
+
+    session.server = { ...session.server, ...serverInfo };
+    if (session.id === this.followedSessionId) {
+      this.currentServer = session.server;
+      this.emit("serverChanged", this.currentServer);
+    }
+    this.emitSessions();
   }
 
   // REMOVED UNSAFE MEMORY READER - tryMemoryFallback() deleted
 
+  /**
+   * Make the server tab follow a session (null for none)
+   * serverChanged is emitted when the followed session or its server changes
+   */
+  follow(sessionId) {
+    const session = this.sessions.get(sessionId) || null;
+    const server = session ? session.server : null;
+    const changed =
+      (session ? session.id : null) !== this.followedSessionId ||
+      server !== this.currentServer;
+
+    this.followedSessionId = session ? session.id : null;
+    this.client = session ? session.client : null;
+    this.currentServer = server;
+
+    if (changed) {
+      this.updateRooms();
+      this.emit("serverChanged", server);
+    }
+  }
+
+  /**
+   * The session to follow when the followed one ends: the earliest client in a game,
+   * otherwise the earliest client
+   */
+  pickSessionToFollow() {
+    const sessions = this.getSessionList();
+    const inGame = sessions.find((session) => session.server);
+    const next = inGame || sessions[0];
+    return next ? next.id : null;
+  }
+
+  /**
+   * Join the rooms of the followed session's server - and of every other session's
+   * server with joinAllSessions - and leave the rest
+   */
+  updateRooms() {
+    const followed = this.sessions.get(this.followedSessionId);
+    const servers = this.joinAllSessions
+      ? this.getSessionList()
+          .filter((session) => session.server && session !== followed)
+          .map((session) => session.server)
+      : [];
+    // The followed server goes last (its rooms are joined again, see joinRooms)
+    if (followed && followed.server) {
+      servers.push(followed.server);
+    }
+
+    try {
+      if (servers.length > 0) {
+        socketClient.joinRooms(servers);
+      } else {
+        socketClient.leaveAllRooms();
+      }
+    } catch (error) {
+      logger.error(
+        "Failed to join socket room",
+        sanitizeError({ error: error.message }),
+      );
+    }
+  }
+
+  /**
+   * Sessions, earliest started client first
+   */
+  getSessionList() {
+    return [...this.sessions.values()].sort(
+      (a, b) => (a.client.startTime || 0) - (b.client.startTime || 0),
+    );
+  }
+
+  /**
+   * Get the sessions for the renderer
+   * [{ id, pid, startTime, platform: { id, name }, logFile, server, followed }]
+   */
+  getSessions() {
+    return this.getSessionList().map((session) => ({
+      id: session.id,
+      pid: session.client.pid,
+      startTime: session.client.startTime,
+      platform: session.client.platform
+        ? {
+            id: session.client.platform.id,
+            name: session.client.platform.name,
+          }
+        : null,
+      logFile: session.logFile ? path.basename(session.logFile) : null,
+      server: session.server,
+      followed: session.id === this.followedSessionId,
+    }));
+  }
+
+  /**
+   * Tell listeners the sessions changed
+   */
+  emitSessions() {
+    this.emit("sessionsChanged", {
+      sessions: this.getSessions(),
+      joinAllSessions: this.joinAllSessions,
+    });
+  }
+
+  /**
+   * Make the server tab follow another session (picked by the user)
+   * Returns { success } or { success, error }
+   */
+  selectSession(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      return { success: false, error: "That Roblox client is not running" };
+    }
+
+    logger.info("Following another Roblox client", { pid: sessionId });
+    this.follow(sessionId);
+    this.emitSessions();
+    return { success: true };
+  }
+
+  /**
+   * Join the rooms of every session's server at once, or only the followed one's
+   */
+  setJoinAllSessions(enabled) {
+    if (this.joinAllSessions === Boolean(enabled)) return;
+
+    this.joinAllSessions = Boolean(enabled);
+    logger.info("Join all sessions setting changed", {
+      enabled: this.joinAllSessions,
+    });
+    this.updateRooms();
+    this.emitSessions();
+  }
+
   /**
    * Get current server information
    */
@@ -203,6 +528,49 @@ class Detector extends EventEmitter {
     return this.currentServer;
   }
 
+  /**
+   * Get the Roblox client being followed { pid, startTime, platform } (null if none)
+   */
+  getClient() {
+    return this.client;
+  }
+
+  /**
+   * Get the detected platform and the log directory in use
+   * (those of the followed session's client once one runs)
+   */
+  getPlatformInfo() {
+    const session = this.sessions.get(this.followedSessionId);
+    const monitor = session ? session.monitor : logMonitor;
+    const platform = session
+      ? session.client.platform
+      : processWatcher.getPlatform();
+    monitor.getLogDir();
+    const logDir = monitor.logDir;
+    return {
+      platform: platform ? { id: platform.id, name: platform.name } : null,
+      logDir: logDir ? logDir.path : null,
+      logDirSource: logDir ? logDir.source : null,
+      logDirExists: logDir ? logDir.valid : false,
+      customLogDir: logMonitor.customLogDir,
+    };
+  }
+
+  /**
+   * Pin a custom Roblox log directory (null to detect it again)
+   * logMonitor keeps the setting for sessions started later
+   */
+  setCustomLogDir(dir) {
+    const result = logMonitor.setCustomLogDir(dir);
+    // A replay's clients keep following the replay's log folder
+    if (result.success && !this.replay) {
+      for (const session of this.sessions.values()) {
+        session.monitor.setCustomLogDir(dir);
+      }
+    }
+    return result;
+  }
+
   /**
    * Check if detector is running
    */
@@ -211,5 +579,6 @@ class Detector extends EventEmitter {
   }
 }
 
-// Export singleton instance
+// Export singleton instance (and the class for tests)
 module.exports = new Detector();
+module.exports.Detector = Detector;
@@ -0,0 +1,254 @@
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const logger = require("../logging/logger");
+const { sanitizeError } = require("../utils/sanitizer");
+
+// Roblox's public game APIs (no authentication needed)
+const DEFAULT_API_URLS = {
+  apis: "https://apis.roblox.com",
+  games: "https://games.roblox.com",
+  thumbnails: "https://thumbnails.roblox.com",
+};
+
+// Game details rarely change - look a place up again once a day
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Places kept in the cache file (the least recently fetched are dropped first)
+const MAX_CACHE_ENTRIES = 200;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const ICON_SIZE = "150x150";
+
+/**
+ * Check a placeId before it goes into a request URL
+ */
+function isValidPlaceId(placeId) {
+  return /^\d{1,20}$/.test(String(placeId));
+}
+
+/**
+ * Game Info
+ * Resolves a placeId to its universe, game name, creator and icon through Roblox's public
+ * game APIs. Results are cached on disk (when a cache file is configured) for CACHE_TTL_MS;
+ * an expired entry is still returned when Roblox cannot be reached.
+ *
+ * Requests go through the configured HTTP client (axios by default), called as
+ * client.get(url, { params, timeout }) and expected to resolve with { data }.
+ */
+class GameInfo {
+  constructor() {
+    this.httpClient = axios;
+    this.apiUrls = { ...DEFAULT_API_URLS };
+    this.cacheFile = null;
+    this.ttlMs = CACHE_TTL_MS;
+    this.cache = null; // placeId -> { game, fetchedAt }; loaded from cacheFile on first use
+    this.pending = new Map(); // placeId -> lookup in flight
+  }
+
+  /**
+   * Set how lookups are made and cached
+   * apiUrls overrides the base URL of any of the apis/games/thumbnails hosts
+   */
+  configure({ httpClient, apiUrls, cacheFile, ttlMs } = {}) {
+    if (httpClient) {
+      this.httpClient = httpClient;
+    }
+    if (apiUrls) {
+      this.apiUrls = { ...this.apiUrls, ...apiUrls };
+    }
+    if (cacheFile !== undefined) {
+      this.cacheFile = cacheFile;
+      this.cache = null;
+    }
+    if (ttlMs !== undefined) {
+      this.ttlMs = ttlMs;
+    }
+  }
+
+  /**
+   * Load cached lookups saved by a previous run
+   */
+  loadCache() {
+    if (this.cache) return;
+
+    this.cache = new Map();
+    if (!this.cacheFile) return;
+
+    try {
+      if (!fs.existsSync(this.cacheFile)) return;
+
+      const saved = JSON.parse(fs.readFileSync(this.cacheFile, "utf8"));
+      Object.entries(saved || {}).forEach(([placeId, entry]) => {
+        if (entry && entry.game && typeof entry.fetchedAt === "number") {
+          this.cache.set(placeId, entry);
+        }
+      });
+    } catch (error) {
+      logger.warn(
+        "Failed to read game info cache, starting empty",
+        sanitizeError({ error: error.message }),
+      );
+    }
+  }
+
+  /**
+   * Write the cache to disk, newest lookups first
+   */
+  async saveCache() {
+    if (!this.cacheFile) return;
+
+    const entries = [...this.cache.entries()]
+      .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+      .slice(0, MAX_CACHE_ENTRIES);
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.cacheFile), {
+        recursive: true,
+      });
+      await fs.promises.writeFile(
+        this.cacheFile,
+        JSON.stringify(Object.fromEntries(entries)),
+        "utf8",
+      );
+    } catch (error) {
+      logger.warn(
+        "Failed to save game info cache",
+        sanitizeError({ error: error.message }),
+      );
+    }
+  }
+
+  /**
+   * Look up the game a place belongs to
+   * Returns { placeId, universeId, rootPlaceId, name, creator, maxPlayers, iconUrl } or
+   * null when the place is unknown and Roblox cannot be reached
+   */
+  async lookup(placeId) {
+    if (!isValidPlaceId(placeId)) return null;
+
+    const key = String(placeId);
+    this.loadCache();
+
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < this.ttlMs) {
+      return cached.game;
+    }
+
+    // Servers of the same place are often detected back to back
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const request = this.fetchGame(key)
+      .then(async (game) => {
+        this.cache.set(key, { game, fetchedAt: Date.now() });
+        await this.saveCache();
+        return game;
+      })
+      .catch((error) => {
+        logger.warn(
+          "Failed to look up game info",
+          sanitizeError({
+            placeId: key,
+            error: error.message,
+            status: error.response?.status,
+          }),
+        );
+        return cached ? cached.game : null;
+      })
+      .finally(() => {
+        this.pending.delete(key);
+      });
+
+    this.pending.set(key, request);
+    return request;
+  }
+
+  /**
+   * Fetch a place's game details from Roblox
+   * The icon is optional - a game without one (or a thumbnail service failure) still resolves
+   */
+  async fetchGame(placeId) {
+    const universeResponse = await this.httpClient.get(
+      `${this.apiUrls.apis}/universes/v1/places/${placeId}/universe`,
+      { timeout: REQUEST_TIMEOUT_MS },
+    );
+    const universeId = universeResponse.data?.universeId;
+    if (!universeId) {
+      throw new Error("Place has no universe");
+    }
+
+    const gamesResponse = await this.httpClient.get(
+      `${this.apiUrls.games}/v1/games`,
+      { params: { universeIds: universeId }, timeout: REQUEST_TIMEOUT_MS },
+    );
+    const details = (gamesResponse.data?.data || []).find(
+      (game) => String(game.id) === String(universeId),
+    );
+    if (!details) {
+      throw new Error("Game details not found");
+    }
+
+    return {
+      placeId,
+      universeId: String(universeId),
+      rootPlaceId: details.rootPlaceId ? String(details.rootPlaceId) : null,
+      name: String(details.name || ""),
+      creator: details.creator
+        ? {
+            id: String(details.creator.id),
+            name: String(details.creator.name || ""),
+            type: details.creator.type || null,
+            hasVerifiedBadge: Boolean(details.creator.hasVerifiedBadge),
+          }
+        : null,
+      maxPlayers: details.maxPlayers || null,
+      iconUrl: await this.fetchIconUrl(universeId),
+    };
+  }
+
+  /**
+   * Fetch a game's icon URL (null if it has none yet)
+   */
+  async fetchIconUrl(universeId) {
+    try {
+      const response = await this.httpClient.get(
+        `${this.apiUrls.thumbnails}/v1/games/icons`,
+        {
+          params: {
+            universeIds: universeId,
+            size: ICON_SIZE,
+            format: "Png",
+            isCircular: false,
+          },
+          timeout: REQUEST_TIMEOUT_MS,
+        },
+      );
+      const icon = (response.data?.data || []).find(
+        (entry) => String(entry.targetId) === String(universeId),
+      );
+
+      // Only https images load in the chat window
+      if (
+        icon &&
+        icon.state === "Completed" &&
+        /^https:\/\//.test(icon.imageUrl)
+      ) {
+        return icon.imageUrl;
+      }
+      return null;
+    } catch (error) {
+      logger.warn(
+        "Failed to fetch game icon",
+        sanitizeError({ universeId, error: error.message }),
+      );
+      return null;
+    }
+  }
+}
+
+// Export singleton instance (and the class for tests)
+module.exports = new GameInfo();
+module.exports.GameInfo = GameInfo;
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+
+// Roblox names each client's log after the time it was created (UTC), e.g.
+// 0.640.0.6400591_20240912T143005Z_Player_8E0C1_last.log
+const LOG_TIME_PATTERN = /_(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z_/;
+
+// The log is created shortly after the client starts; the name only has whole seconds
+// and process start times can be off by a little
+const START_SLACK_MS = 5000;
+
+/**
+ * Log matching
+ * Tells which player log belongs to which running client when several run at once:
+ * - the log file the process has open (Linux, including Wine and Sober - read from /proc)
+ * - otherwise the first log created after the process started
+ * - a client without a known start time gets the newest log nobody else follows
+ *
+ * files are { name, path, mtime, startTime } as listed by the log monitor, newest first.
+ */
+
+/**
+ * When a log file was created (ms since the epoch), from its name or the file itself
+ */
+function getLogStartTime(fileName, stats = null) {
+  const match = fileName.match(LOG_TIME_PATTERN);
+  if (match) {
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return Date.UTC(year, month - 1, day, hour, minute, second);
+  }
+
+  if (stats) {
+    // birthtime is 0 on file systems that do not record it
+    return stats.birthtimeMs > 0 ? stats.birthtimeMs : stats.mtimeMs;
+  }
+  return null;
+}
+
+/**
+ * Find the log file a process has open (null when /proc cannot tell)
+ */
+function findOpenLogFile(pid, files, procDir = "/proc") {
+  let fds;
+  try {
+    fds = fs.readdirSync(path.join(procDir, String(pid), "fd"));
+  } catch (error) {
+    // Not Linux, or the process is gone
+    return null;
+  }
+
+  const byPath = new Map(files.map((file) => [file.path, file]));
+  for (const fd of fds) {
+    try {
+      const target = fs.readlinkSync(path.join(procDir, String(pid), "fd", fd));
+      if (byPath.has(target)) {
+        return byPath.get(target);
+      }
+    } catch (error) {
+      // Closed while reading
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the log file of a client among files not followed for another client
+ * client is { pid, startTime } from the process watcher; claimed is a Set of file paths
+ * Returns the file or null (the client has not written its log yet)
+ */
+function matchLogFile(client, files, { claimed = new Set(), procDir } = {}) {
+  const free = files.filter((file) => !claimed.has(file.path));
+  if (free.length === 0) return null;
+
+  const open = findOpenLogFile(client.pid, free, procDir);
+  if (open) return open;
+
+  if (typeof client.startTime !== "number") {
+    return free[0];
+  }
+
+  // The first log created once the client was started
+  const candidates = free
+    .filter(
+      (file) =>
+        typeof file.startTime === "number" &&
+        file.startTime >= client.startTime - START_SLACK_MS,
+    )
+    .sort((a, b) => a.startTime - b.startTime);
+  return candidates[0] || null;
+}
+
+module.exports = {
+  getLogStartTime,
+  findOpenLogFile,
+  matchLogFile,
+};
@@ -4,39 +4,59 @@ const { EventEmitter } = require("events");
 const chokidar = require("chokidar");
 const logger = require("../logging/logger");
 const secureStore = require("../storage/secureStore");
-
-// Roblox log directory path - validated to prevent path traversal
-const RAW_LOG_DIR = process.env.LOCALAPPDATA
-  ? path.join(process.env.LOCALAPPDATA, "Roblox", "logs")
-  : path.join(process.env.HOME, ".roblox", "logs");
-
-// Resolve to absolute path and verify it contains expected Roblox path segments
-const LOG_DIR = path.resolve(RAW_LOG_DIR);
-if (!LOG_DIR.includes("Roblox") || !LOG_DIR.includes("logs")) {
-  // If environment variables were tampered with, fall back to a safe no-op directory
-  logger.error(
-    "Log directory path does not contain expected Roblox path segments",
-    { logDir: LOG_DIR },
-  );
-}
+const platforms = require("./platforms");
+const logMatcher = require("./logMatcher");
 
 // Regex patterns for parsing log lines
 // Format: [FLog::Output] ! Joining game 'jobId' place placeId at IP
 // Only accept single/double quotes (not backticks) to avoid matching unintended log lines
 const JOIN_PATTERN =
-  /\[FLog::Output\]\s*!\s*Joining\s*game\s*['"]([0-9a-f-]+)['"]\s*place\s*(\d+)/i;
+  /\[FLog::Output\]\s*!\s*Joining\s*game\s*['"]([0-9a-f-]+)['"]\s*place\s*(\d+)(?:\s*at\s*([0-9.]+))?/i;
+
+// Logged before the join line when the client is leaving for another server
+// (initiateTeleportToPlace/-ToReservedServer are logged by teleports started from a game)
+const TELEPORT_PATTERN =
+  /\[FLog::(?:SingleSurfaceApp|GameJoinUtil)\].*?initiateTeleport(ToReservedServer)?/i;
+
+// Logged before the join line for private and reserved servers
+const PRIVATE_SERVER_PATTERN =
+  /\[FLog::GameJoinUtil\]\s*GameJoinUtil::joinGamePostPrivateServer/i;
+const ACCESS_CODE_PATTERN = /["']?accessCode["']?\s*[:=]\s*["']?[\w-]{8,}/i;
+const LINK_CODE_PATTERN = /["']?linkCode["']?\s*[:=]\s*["']?\d{6,}/i;
+
+// Logged after the join line: the public address of servers behind Roblox's UDMUX proxy
+// (the join line then shows the internal RCC address)
+const UDMUX_PATTERN =
+  /\[FLog::Network\]\s*UDMUX Address = ([0-9.]+), Port = \d+ \| RCC Server Address = ([0-9.]+)/i;
+
+// Logged once the game has loaded
+const UNIVERSE_PATTERN =
+  /\[FLog::GameJoinLoadTime\].*?placeid:(\d+),\s*universeid:(\d+)/i;
 const SERVER_PATTERN = /gameplacejobid/i;
 const DISCONNECT_PATTERN =
   /\[FLog::[^\]]*\].*?(Disconnected|disconnect|leaving game|HttpRbxApiService stopped|Game has shut down|You have been kicked|Connection lost)/i;
 
+// Disconnect lines logged within this long of a teleport starting belong to the teleport
+const TELEPORT_TIMEOUT_MS = 60000;
+
+/**
+ * Log Monitor
+ * Follows a Roblox player log and reports the servers joined in it. By default the newest
+ * log in the directory is followed; selectLogFile(files) picks another one (the log of a
+ * given client when several run - files are listed newest first, see listLogFiles).
+ */
 class LogMonitor extends EventEmitter {
-  constructor() {
+  constructor({ selectLogFile = null } = {}) {
     super();
+    this.selectLogFile = selectLogFile;
     this.isMonitoring = false;
     this.watchInterval = null;
     this.currentLogFile = null;
     this.lastPosition = 0;
     this.lastServerInfo = null;
+    // What the lines before the next join line said about it
+    this.pendingJoin = null;
+    this.teleportStartedAt = null;
     this.currentStream = null;
     // Directory watcher for detecting new log files
     this.dirWatcher = null;
@@ -44,6 +64,58 @@ class LogMonitor extends EventEmitter {
     this._debounceTimer = null;
     // Lock flag to prevent concurrent file reads
     this.isReading = false;
+    // Log directory: pinned in settings, or found for the detected platform
+    this.customLogDir = null;
+    this.platform = null;
+    this.logDir = null; // { path, source, valid } from platforms.resolveLogDir
+  }
+
+  /**
+   * Resolve the log directory to watch (again while it does not exist yet)
+   */
+  getLogDir() {
+    if (!this.logDir || !this.logDir.valid) {
+      this.logDir = platforms.resolveLogDir({
+        customDir: this.customLogDir,
+        strategy: this.platform,
+      });
+    }
+    return this.logDir.valid ? this.logDir.path : null;
+  }
+
+  /**
+   * Pin a custom log directory (null to find it from the platform again)
+   * Restarts monitoring when running. Returns { success, logDir } or { success, error }.
+   */
+  setCustomLogDir(dir) {
+    let customLogDir = null;
+    if (dir) {
+      const result = platforms.validateLogDir(dir);
+      if (!result.valid) {
+        return { success: false, error: result.error };
+      }
+      customLogDir = result.path;
+    }
+
+    // Every window applies the saved setting when it opens
+    if (customLogDir === this.customLogDir) {
+      return { success: true, logDir: this.getLogDir() };
+    }
+    this.customLogDir = customLogDir;
+
+    logger.info("Log directory setting changed", {
+      custom: Boolean(this.customLogDir),
+    });
+
+    this.logDir = null;
+    if (this.isMonitoring) {
+      this.stopMonitoring();
+      this.currentLogFile = null;
+      this.lastPosition = 0;
+      this.startMonitoring(this.platform);
+    }
+
+    return { success: true, logDir: this.getLogDir() };
   }
 
   /**
@@ -62,18 +134,30 @@ class LogMonitor extends EventEmitter {
 
   /**
    * Start monitoring Roblox log files
+   * platform is the strategy the client was found with (its log directory is used)
    */
-  startMonitoring() {
+  startMonitoring(platform = null) {
     if (this.isMonitoring) {
       logger.warn("Log monitor already running");
       return;
     }
 
-    logger.info("Starting log monitor", { logDir: LOG_DIR });
+    if (platform !== this.platform) {
+      this.platform = platform;
+      this.logDir = null;
+    }
+
+    const logDir = this.getLogDir();
+    logger.info("Starting log monitor", {
+      logDir: this.logDir.path,
+      source: this.logDir.source,
+      exists: Boolean(logDir),
+    });
     this.isMonitoring = true;
 
-    // Restore last log position if exists
-    const savedPos = secureStore.getLogPosition();
+    // Restore last log position if exists (a monitor started again in the same run
+    // still knows where it was - the saved one may be another client's)
+    const savedPos = this.currentLogFile ? null : secureStore.getLogPosition();
     if (savedPos && savedPos.filePath) {
       logger.info("Restoring saved log position", {
         filePath: savedPos.filePath,
@@ -99,15 +183,16 @@ class LogMonitor extends EventEmitter {
    * Start chokidar directory watcher for new log files
    */
   _startDirectoryWatcher() {
-    if (!fs.existsSync(LOG_DIR)) {
+    const logDir = this.getLogDir();
+    if (!logDir) {
       logger.warn("Cannot watch log directory - does not exist", {
-        logDir: LOG_DIR,
+        logDir: this.logDir.path,
       });
       return;
     }
 
     try {
-      this.dirWatcher = chokidar.watch(LOG_DIR, {
+      this.dirWatcher = chokidar.watch(logDir, {
         ignoreInitial: true, // Critical: don't fire 'add' for existing files at startup
         depth: 0, // Only watch top-level directory
         usePolling: false, // Use native fs events (faster on Windows)
@@ -130,7 +215,7 @@ class LogMonitor extends EventEmitter {
         logger.error("Directory watcher error", { error: error.message });
       });
 
-      logger.info("Directory watcher started", { logDir: LOG_DIR });
+      logger.info("Directory watcher started", { logDir });
     } catch (error) {
       logger.error("Failed to start directory watcher", {
         error: error.message,
@@ -199,60 +284,41 @@ class LogMonitor extends EventEmitter {
     }
 
     try {
-      if (!fs.existsSync(LOG_DIR)) {
-        logger.warn("Log directory does not exist", { logDir: LOG_DIR });
+      const logDir = this.getLogDir();
+      if (!logDir) {
+        logger.warn("Log directory does not exist", {
+          logDir: this.logDir.path,
+        });
         return;
       }
 
-      // Get all .log files (exclude Studio/crash logs)
-      const files = fs
-        .readdirSync(LOG_DIR)
-        .filter(
-          (file) =>
-            file.endsWith(".log") && file.toLowerCase().includes("player"),
-        )
-        .map((file) => {
-          try {
-            const filePath = path.join(LOG_DIR, file);
-            // Validate resolved path stays within LOG_DIR (prevent path traversal via symlinks or crafted names)
-            const resolvedPath = path.resolve(filePath);
-            if (!resolvedPath.startsWith(LOG_DIR)) {
-              logger.warn("Log file path traversal blocked", { file });
-              return null;
-            }
-            return {
-              name: file,
-              path: resolvedPath,
-              mtime: fs.statSync(resolvedPath).mtime,
-            };
-          } catch (statError) {
-            logger.debug("Failed to stat log file", {
-              file,
-              error: statError.message,
-            });
-            return null;
-          }
-        })
-        .filter((file) => file !== null)
-        .sort((a, b) => b.mtime - a.mtime);
+      // The directory watcher could not start before the directory existed
+      if (this.isMonitoring && !this.dirWatcher) {
+        this._startDirectoryWatcher();
+      }
 
+      const files = this.listLogFiles(logDir);
       if (files.length === 0) {
         logger.debug("No log files found");
         return;
       }
 
-      // Get the most recent log file
-      const mostRecent = files[0];
+      // The most recent log file, or the one picked for this monitor's client
+      const logFile = this.selectLogFile ? this.selectLogFile(files) : files[0];
+      if (!logFile) {
+        logger.debug("No log file for this client yet");
+        return;
+      }
 
       // Check if log file changed
-      if (this.currentLogFile !== mostRecent.path) {
-        logger.info("New log file detected", { file: mostRecent.name });
-        this.currentLogFile = mostRecent.path;
+      if (this.currentLogFile !== logFile.path) {
+        logger.info("New log file detected", { file: logFile.name });
+        this.currentLogFile = logFile.path;
 
         // Read last ~50 lines to catch recent joins that occurred before file switch
         this.isReading = true;
         try {
-          const stats = fs.statSync(mostRecent.path);
+          const stats = fs.statSync(logFile.path);
           const fileSize = stats.size;
 
           // Calculate tail bytes: ~50 lines at ~200 chars each = 10KB max
@@ -262,7 +328,7 @@ class LogMonitor extends EventEmitter {
             const startOffset = fileSize - TAIL_BYTES;
 
             // Read tail using sync file operations
-            const fd = fs.openSync(mostRecent.path, "r");
+            const fd = fs.openSync(logFile.path, "r");
             const buffer = Buffer.alloc(TAIL_BYTES);
             fs.readSync(fd, buffer, 0, TAIL_BYTES, startOffset);
             fs.closeSync(fd);
@@ -309,6 +375,45 @@ class LogMonitor extends EventEmitter {
     }
   }
 
+  /**
+   * List the player logs in the log directory, newest first
+   * Returns [{ name, path, mtime, startTime }] (Studio and crash logs are left out)
+   */
+  listLogFiles(logDir) {
+    return fs
+      .readdirSync(logDir)
+      .filter(
+        (file) =>
+          file.endsWith(".log") && file.toLowerCase().includes("player"),
+      )
+      .map((file) => {
+        try {
+          const filePath = path.join(logDir, file);
+          // Validate the file stays within the log directory (prevent path traversal via symlinks or crafted names)
+          const resolvedPath = path.resolve(filePath);
+          if (!platforms.isInsideDir(logDir, resolvedPath)) {
+            logger.warn("Log file path traversal blocked", { file });
+            return null;
+          }
+          const stats = fs.statSync(resolvedPath);
+          return {
+            name: file,
+            path: resolvedPath,
+            mtime: stats.mtime,
+            startTime: logMatcher.getLogStartTime(file, stats),
+          };
+        } catch (statError) {
+          logger.debug("Failed to stat log file", {
+            file,
+            error: statError.message,
+          });
+          return null;
+        }
+      })
+      .filter((file) => file !== null)
+      .sort((a, b) => b.mtime - a.mtime);
+  }
+
   /**
    * Read new log entries since last position
    */
@@ -400,13 +505,66 @@ class LogMonitor extends EventEmitter {
 
   /**
    * Parse a single log line and emit events
+   *
+   * Events:
+   * - teleportStarted { fromPlaceId, fromJobId } - leaving for another server
+   * - serverDetected serverInfo - joined a server (after a teleport too)
+   * - teleportFinished serverInfo - the join that ended a teleport
+   * - serverUpdated serverInfo - details logged after the join (universeId, public address)
+   * - disconnected - left the game (not emitted for the disconnect a teleport logs)
+   *
+   * serverInfo: { placeId, jobId, timestamp, universeId, serverIp, serverType, hasAccessCode,
+   * hasLinkCode, isTeleport }. serverType is "public", "private" or "reserved"; private
+   * server codes are never kept, only whether the join used one. The logs carry no region -
+   * serverIp is the address to look it up by.
    */
   parseLine(line) {
-    // Check for disconnect patterns first
+    if (TELEPORT_PATTERN.test(line)) {
+      this.handleTeleport(line);
+      return;
+    }
+
+    if (PRIVATE_SERVER_PATTERN.test(line)) {
+      this.pendingJoin = {
+        ...this.pendingJoin,
+        serverType: "private",
+        hasAccessCode: ACCESS_CODE_PATTERN.test(line),
+        hasLinkCode: LINK_CODE_PATTERN.test(line),
+      };
+      return;
+    }
+
+    const udmuxMatch = line.match(UDMUX_PATTERN);
+    if (udmuxMatch) {
+      // Only for the server just joined (the join line showed its RCC address)
+      if (this.lastServerInfo && this.lastServerInfo.rccIp === udmuxMatch[2]) {
+        this.updateServerInfo({ serverIp: udmuxMatch[1] });
+      }
+      return;
+    }
+
+    const universeMatch = line.match(UNIVERSE_PATTERN);
+    if (universeMatch) {
+      if (
+        this.lastServerInfo &&
+        this.lastServerInfo.placeId === universeMatch[1]
+      ) {
+        this.updateServerInfo({ universeId: universeMatch[2] });
+      }
+      return;
+    }
+
+    // Check for disconnect patterns
     const disconnectMatch = line.match(DISCONNECT_PATTERN);
     if (disconnectMatch) {
+      if (this.isTeleporting()) {
+        logger.debug("Ignoring disconnect logged by a teleport");
+        return;
+      }
+
       logger.info("Disconnect detected in logs");
       this.lastServerInfo = null;
+      this.pendingJoin = null;
       this.emit("disconnected");
       return;
     }
@@ -417,31 +575,116 @@ class LogMonitor extends EventEmitter {
     if (joinMatch) {
       const jobId = joinMatch[1]; // jobId is first (UUID)
       const placeId = joinMatch[2]; // placeId is second (number)
+      const isTeleport = this.isTeleporting();
+      const pendingJoin = this.pendingJoin || {};
       const serverInfo = {
         placeId,
         jobId,
         timestamp: Date.now(),
+        universeId: null,
+        serverIp: joinMatch[3] || null,
+        serverType: pendingJoin.serverType || "public",
+        hasAccessCode: Boolean(pendingJoin.hasAccessCode),
+        hasLinkCode: Boolean(pendingJoin.hasLinkCode),
+        isTeleport,
       };
 
+      // The next join starts from scratch
+      this.pendingJoin = null;
+      this.teleportStartedAt = null;
+
       // Check if server changed
       if (
         !this.lastServerInfo ||
         this.lastServerInfo.placeId !== serverInfo.placeId ||
         this.lastServerInfo.jobId !== serverInfo.jobId
       ) {
-        logger.info("Server detected");
-        this.lastServerInfo = serverInfo;
+        logger.info("Server detected", {
+          serverType: serverInfo.serverType,
+          isTeleport,
+        });
+        this.lastServerInfo = { ...serverInfo, rccIp: serverInfo.serverIp };
         this.emit("serverDetected", serverInfo);
+        if (isTeleport) {
+          this.emit("teleportFinished", serverInfo);
+        }
       }
     }
   }
 
+  /**
+   * Handle a teleport starting - the next join line is its destination
+   */
+  handleTeleport(line) {
+    const reserved = /ToReservedServer/i.test(line);
+    // A teleport logs more than one of these lines
+    const alreadyTeleporting = this.isTeleporting();
+
+    if (reserved) {
+      this.pendingJoin = {
+        serverType: "reserved",
+        hasAccessCode: ACCESS_CODE_PATTERN.test(line),
+        hasLinkCode: false,
+      };
+    } else if (!alreadyTeleporting) {
+      this.pendingJoin = null;
+    }
+
+    this.teleportStartedAt = Date.now();
+    if (alreadyTeleporting) return;
+
+    logger.info("Teleport detected in logs", { reserved });
+    this.emit("teleportStarted", {
+      fromPlaceId: this.lastServerInfo?.placeId || null,
+      fromJobId: this.lastServerInfo?.jobId || null,
+    });
+  }
+
+  /**
+   * Check if a teleport is under way
+   */
+  isTeleporting() {
+    return (
+      this.teleportStartedAt !== null &&
+      Date.now() - this.teleportStartedAt < TELEPORT_TIMEOUT_MS
+    );
+  }
+
+  /**
+   * Add details logged after the join line to the current server
+   */
+  updateServerInfo(details) {
+    const changed = Object.keys(details).some(
+      (key) => this.lastServerInfo[key] !== details[key],
+    );
+    if (!changed) return;
+
+    this.lastServerInfo = { ...this.lastServerInfo, ...details };
+    this.emit("serverUpdated", this.getCurrentServer());
+  }
+
+  /**
+   * Forget what the logs said about the previous client (a new one was started)
+   * Its first join is then always reported, even to the same server
+   */
+  resetSession() {
+    this.lastServerInfo = null;
+    this.pendingJoin = null;
+    this.teleportStartedAt = null;
+  }
+
   /**
    * Get current server information
    */
   getCurrentServer() {
-    return this.lastServerInfo;
+    if (!this.lastServerInfo) return null;
+
+    // The RCC address is only kept to match the UDMUX line
+    const { rccIp, ...serverInfo } = this.lastServerInfo;
+    return serverInfo;
   }
 }
 
+// Export singleton instance (and the class for tests)
 module.exports = new LogMonitor();
+module.exports.LogMonitor = LogMonitor;
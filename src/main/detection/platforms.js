@@ -0,0 +1,251 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Sober is the Flatpak build of the Android client (org.vinegarhq.Sober)
+const SOBER_DATA_DIR = path.join(
+  ".var",
+  "app",
+  "org.vinegarhq.Sober",
+  "data",
+  "sober",
+);
+
+/**
+ * Roblox's log directory inside a Wine prefix
+ */
+function wineLogDir(prefix, username) {
+  return path.join(
+    prefix,
+    "drive_c",
+    "users",
+    username,
+    "AppData",
+    "Local",
+    "Roblox",
+    "logs",
+  );
+}
+
+/**
+ * Wine prefixes Roblox is commonly installed in: $WINEPREFIX, the default prefix and
+ * the prefixes of launchers that manage their own (Grapejuice, Vinegar)
+ */
+function winePrefixes(env, home) {
+  const prefixes = [];
+  if (env.WINEPREFIX) {
+    prefixes.push(env.WINEPREFIX);
+  }
+  prefixes.push(path.join(home, ".wine"));
+
+  const grapejuicePrefixes = path.join(
+    home,
+    ".local",
+    "share",
+    "grapejuice",
+    "prefixes",
+  );
+  try {
+    fs.readdirSync(grapejuicePrefixes).forEach((name) => {
+      prefixes.push(path.join(grapejuicePrefixes, name));
+    });
+  } catch (error) {
+    // Grapejuice not installed
+  }
+  prefixes.push(path.join(home, ".local", "share", "vinegar", "prefix"));
+
+  return prefixes;
+}
+
+/**
+ * Platform strategies, in the order they are tried
+ * - matchProcess(proc): whether a process (from processList) is this client
+ * - logDirs(env, home): where that client writes its logs, most likely first
+ */
+const PLATFORM_STRATEGIES = [
+  {
+    id: "windows",
+    name: "Windows",
+    platforms: ["win32"],
+    matchProcess: (proc) => /^RobloxPlayerBeta\.exe$/i.test(proc.name),
+    logDirs: (env, home) => [
+      path.join(
+        env.LOCALAPPDATA || path.join(home, "AppData", "Local"),
+        "Roblox",
+        "logs",
+      ),
+    ],
+  },
+  {
+    id: "macos",
+    name: "macOS",
+    platforms: ["darwin"],
+    matchProcess: (proc) =>
+      proc.name === "RobloxPlayer" ||
+      /\/RobloxPlayer\.app\/Contents\/MacOS\/RobloxPlayer\b/.test(proc.command),
+    logDirs: (env, home) => [path.join(home, "Library", "Logs", "Roblox")],
+  },
+  {
+    id: "sober",
+    name: "Sober",
+    platforms: ["linux"],
+    matchProcess: (proc) =>
+      proc.name === "sober" || /(^|\/)app\/bin\/sober\b/.test(proc.command),
+    logDirs: (env, home) => [
+      path.join(home, SOBER_DATA_DIR, "appData", "logs"),
+      path.join(home, SOBER_DATA_DIR, "sober_logs"),
+    ],
+  },
+  {
+    id: "wine",
+    name: "Wine",
+    platforms: ["linux", "darwin"],
+    matchProcess: (proc) => /RobloxPlayerBeta\.exe/i.test(proc.command),
+    logDirs: (env, home) => {
+      const username = env.USER || os.userInfo().username;
+      return winePrefixes(env, home).map((prefix) =>
+        wineLogDir(prefix, username),
+      );
+    },
+  },
+];
+
+/**
+ * Strategies that can apply on an OS (process.platform value)
+ */
+function getStrategies(platform = process.platform) {
+  return PLATFORM_STRATEGIES.filter((strategy) =>
+    strategy.platforms.includes(platform),
+  );
+}
+
+/**
+ * Find every running Roblox client among the processes (alts, multi-instance)
+ * Returns [{ strategy, process }], earliest started first
+ */
+function findRunningClients(processes, platform = process.platform) {
+  const found = new Map(); // pid -> { strategy, process } - a process counts once
+
+  for (const strategy of getStrategies(platform)) {
+    processes
+      .filter((proc) => strategy.matchProcess(proc) && !found.has(proc.pid))
+      .forEach((proc) => found.set(proc.pid, { strategy, process: proc }));
+  }
+
+  return [...found.values()].sort(
+    (a, b) => (a.process.startTime || 0) - (b.process.startTime || 0),
+  );
+}
+
+/**
+ * Find the running Roblox client among the processes
+ * Returns { strategy, process } (the earliest started client) or null
+ */
+function findRunningClient(processes, platform = process.platform) {
+  return findRunningClients(processes, platform)[0] || null;
+}
+
+/**
+ * Check a log directory and resolve it to its real location
+ * Returns { valid: true, path } or { valid: false, error }
+ */
+function validateLogDir(dir) {
+  if (typeof dir !== "string" || dir.trim() === "") {
+    return { valid: false, error: "No directory given" };
+  }
+  if (!path.isAbsolute(dir)) {
+    return {
+      valid: false,
+      error: "The log directory must be an absolute path",
+    };
+  }
+
+  let realPath;
+  try {
+    realPath = fs.realpathSync(dir);
+  } catch (error) {
+    return { valid: false, error: "The log directory does not exist" };
+  }
+
+  try {
+    if (!fs.statSync(realPath).isDirectory()) {
+      return { valid: false, error: "The log path is not a directory" };
+    }
+    fs.accessSync(realPath, fs.constants.R_OK);
+  } catch (error) {
+    return { valid: false, error: "The log directory cannot be read" };
+  }
+
+  return { valid: true, path: realPath };
+}
+
+/**
+ * Check that a file really is inside a directory (symlinks resolved)
+ * dir must already be a real path (see validateLogDir)
+ */
+function isInsideDir(dir, filePath) {
+  try {
+    const realFile = fs.realpathSync(filePath);
+    return realFile.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Log directories to try, for a detected strategy or every strategy of the OS
+ */
+function getLogDirCandidates({
+  strategy = null,
+  platform = process.platform,
+  env = process.env,
+  home = os.homedir(),
+} = {}) {
+  const strategies = strategy ? [strategy] : getStrategies(platform);
+  return strategies.flatMap((entry) => entry.logDirs(env, home));
+}
+
+/**
+ * Pick the log directory to watch
+ * A pinned custom directory wins; otherwise the first existing candidate. Returns
+ * { path, source: "custom" | strategy id | null, valid } - when nothing exists yet the
+ * most likely candidate is returned with valid: false, to be checked again later.
+ */
+function resolveLogDir({ customDir = null, strategy = null, ...options } = {}) {
+  if (customDir) {
+    const custom = validateLogDir(customDir);
+    if (custom.valid) {
+      return { path: custom.path, source: "custom", valid: true };
+    }
+  }
+
+  const strategies = strategy
+    ? [strategy]
+    : getStrategies(options.platform || process.platform);
+  let fallback = null;
+
+  for (const entry of strategies) {
+    for (const dir of getLogDirCandidates({ ...options, strategy: entry })) {
+      const candidate = validateLogDir(dir);
+      if (candidate.valid) {
+        return { path: candidate.path, source: entry.id, valid: true };
+      }
+      if (!fallback) {
+        fallback = { path: path.resolve(dir), source: entry.id, valid: false };
+      }
+    }
+  }
+
+  return fallback || { path: null, source: null, valid: false };
+}
+
+module.exports = {
+  PLATFORM_STRATEGIES,
+  getStrategies,
+  findRunningClients,
+  findRunningClient,
+  validateLogDir,
+  isInsideDir,
+  getLogDirCandidates,
+  resolveLogDir,
+};
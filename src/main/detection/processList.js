@@ -0,0 +1,237 @@
+const { exec, execFile } = require("child_process");
+const { promisify } = require("util");
+const fs = require("fs");
+const path = require("path");
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// /proc/<pid>/stat start times are in clock ticks since boot (USER_HZ, 100 on every
+// mainstream Linux build)
+const CLOCK_TICKS_PER_SECOND = 100;
+
+/**
+ * Process enumeration
+ * listProcesses() returns [{ pid, name, command, startTime }] for every process the user
+ * can see (startTime in ms since the epoch, null when the method cannot tell):
+ * - Linux: reads /proc directly
+ * - Windows: tasklist, macOS: ps - run without a shell
+ * - anything else, or when the above fails: the shell fallback (ps / PowerShell)
+ * Processes started by the Roblox client come and go while reading; those are skipped.
+ */
+
+/**
+ * Boot time from /proc/stat (ms since the epoch)
+ */
+async function readBootTime(procDir) {
+  const stat = await fs.promises.readFile(path.join(procDir, "stat"), "utf8");
+  const match = stat.match(/^btime\s+(\d+)/m);
+  if (!match) {
+    throw new Error("No boot time in /proc/stat");
+  }
+  return Number(match[1]) * 1000;
+}
+
+/**
+ * Read one /proc/<pid> entry (null if it is gone or unreadable)
+ */
+async function readProcEntry(procDir, pid, bootTime) {
+  try {
+    const dir = path.join(procDir, String(pid));
+    const [stat, cmdline] = await Promise.all([
+      fs.promises.readFile(path.join(dir, "stat"), "utf8"),
+      fs.promises.readFile(path.join(dir, "cmdline"), "utf8"),
+    ]);
+
+    // "pid (comm) state ppid ..." - comm may itself contain spaces and parentheses
+    const nameStart = stat.indexOf("(");
+    const nameEnd = stat.lastIndexOf(")");
+    const name = stat.slice(nameStart + 1, nameEnd);
+    // Fields after comm start at field 3 (state); starttime is field 22
+    const fields = stat
+      .slice(nameEnd + 2)
+      .trim()
+      .split(/\s+/);
+    const startTicks = Number(fields[19]);
+
+    const command = cmdline.split("\0").filter(Boolean).join(" ");
+    return {
+      pid,
+      name,
+      command: command || name,
+      startTime: Number.isFinite(startTicks)
+        ? bootTime + Math.round((startTicks / CLOCK_TICKS_PER_SECOND) * 1000)
+        : null,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List processes from /proc (Linux)
+ */
+async function listFromProcFs(procDir = "/proc") {
+  const bootTime = await readBootTime(procDir);
+  const pids = (await fs.promises.readdir(procDir))
+    .filter((entry) => /^\d+$/.test(entry))
+    .map(Number);
+
+  const entries = await Promise.all(
+    pids.map((pid) => readProcEntry(procDir, pid, bootTime)),
+  );
+  return entries.filter(Boolean);
+}
+
+/**
+ * Split one CSV line of tasklist output
+ */
+function parseCsvLine(line) {
+  return [...line.matchAll(/"([^"]*)"/g)].map((match) => match[1]);
+}
+
+/**
+ * List processes with tasklist (Windows) - start times are looked up per process
+ */
+async function listFromTasklist(run = execFileAsync) {
+  const { stdout } = await run("tasklist", ["/FO", "CSV", "/NH"], {
+    windowsHide: true,
+    maxBuffer: 4 * 1024 * 1024,
+  });
+
+  return stdout
+    .split(/\r?\n/)
+    .map(parseCsvLine)
+    .filter((fields) => fields.length >= 2 && /^\d+$/.test(fields[1]))
+    .map(([name, pid]) => ({
+      pid: Number(pid),
+      name,
+      command: name,
+      startTime: null,
+    }));
+}
+
+/**
+ * Parse "pid lstart command" lines of ps (lstart is e.g. "Mon Oct 19 15:17:59 2026")
+ */
+function parsePsOutput(stdout) {
+  return stdout
+    .split("\n")
+    .map((line) =>
+      line.match(
+        /^\s*(\d+)\s+(\w{3}\s+\w{3}\s+\d+\s+[\d:]{8}\s+\d{4})\s+(.*)$/,
+      ),
+    )
+    .filter(Boolean)
+    .map(([, pid, lstart, command]) => {
+      const startTime = Date.parse(lstart);
+      return {
+        pid: Number(pid),
+        // The executable's file name (paths may contain spaces, arguments start with -)
+        name: path.basename(command.split(/\s+-/)[0].trim()),
+        command: command.trim(),
+        startTime: Number.isNaN(startTime) ? null : startTime,
+      };
+    });
+}
+
+/**
+ * List processes with ps (macOS and other Unix systems)
+ */
+async function listFromPs(run = execFileAsync) {
+  const { stdout } = await run("ps", ["-axo", "pid=,lstart=,command="], {
+    maxBuffer: 4 * 1024 * 1024,
+  });
+  return parsePsOutput(stdout);
+}
+
+/**
+ * Shell fallback - the way processes were listed before (works wherever a shell does)
+ */
+async function listFromShell(platform, runShell = execAsync) {
+  if (platform === "win32") {
+    const { stdout } = await runShell(
+      `powershell -NoProfile -Command "Get-Process | ForEach-Object { '{0},{1},{2}' -f $_.Id, $_.ProcessName, $(if ($_.StartTime) { $_.StartTime.ToUniversalTime().ToString('o') }) }"`,
+      { windowsHide: true, maxBuffer: 4 * 1024 * 1024 },
+    );
+    return stdout
+      .split(/\r?\n/)
+      .map((line) => line.trim().split(","))
+      .filter(([pid, name]) => /^\d+$/.test(pid) && name)
+      .map(([pid, name, started]) => ({
+        pid: Number(pid),
+        name: `${name}.exe`,
+        command: `${name}.exe`,
+        startTime: started ? Date.parse(started) : null,
+      }));
+  }
+
+  const { stdout } = await runShell("ps -eo pid=,lstart=,args=", {
+    maxBuffer: 4 * 1024 * 1024,
+  });
+  return parsePsOutput(stdout);
+}
+
+/**
+ * List running processes with the best method of the platform
+ * options: { platform, procDir, run (execFile), runShell (exec) } - for tests
+ */
+async function listProcesses({
+  platform = process.platform,
+  procDir = "/proc",
+  run = execFileAsync,
+  runShell = execAsync,
+} = {}) {
+  try {
+    if (platform === "linux") return await listFromProcFs(procDir);
+    if (platform === "win32") return await listFromTasklist(run);
+    if (platform === "darwin") return await listFromPs(run);
+  } catch (error) {
+    // Fall through to the shell
+  }
+  return listFromShell(platform, runShell);
+}
+
+/**
+ * Look up the start time of one process (Windows - tasklist does not show it)
+ */
+async function getProcessStartTime(pid, run = execFileAsync) {
+  if (!Number.isSafeInteger(pid)) return null;
+
+  try {
+    const { stdout } = await run(
+      "powershell",
+      [
+        "-NoProfile",
+        "-Command",
+        `(Get-Process -Id ${pid}).StartTime.ToUniversalTime().ToString('o')`,
+      ],
+      { windowsHide: true },
+    );
+    const startTime = Date.parse(stdout.trim());
+    return Number.isNaN(startTime) ? null : startTime;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check if a process is still running, without listing every process
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to someone else
+    return error.code === "EPERM";
+  }
+}
+
+module.exports = {
+  listProcesses,
+  listFromProcFs,
+  parsePsOutput,
+  getProcessStartTime,
+  isProcessAlive,
+};
@@ -1,24 +1,52 @@
 const { EventEmitter } = require("events");
-const { exec } = require("child_process");
-const { promisify } = require("util");
 const logger = require("../logging/logger");
+const platforms = require("./platforms");
+const processList = require("./processList");
 
-const execAsync = promisify(exec);
+// While Roblox is not running the process list is read every 2s at first, backing off
+// to every 15s - a launch is noticed quickly without listing processes all day
+const POLL_MIN_MS = 2000;
+const POLL_MAX_MS = 15000;
+const POLL_BACKOFF = 1.5;
 
-// Process name to watch (Windows)
-const ROBLOX_PROCESS = "RobloxPlayerBeta.exe";
+// While clients run their PIDs are checked every second (no process listing); the
+// process list is still read on the backoff above to notice more clients being launched
+const EXIT_CHECK_MS = 1000;
 
+// Start times read again for the same process can differ by a rounding (boot time in
+// whole seconds on Linux, lstart in whole seconds with ps)
+const START_TIME_SLACK_MS = 2000;
+
+/**
+ * Process Watcher
+ * Finds the running Roblox clients through processList and the platform strategies, then
+ * watches them exit. Several clients can run at once (alts, multi-instance).
+ *
+ * Emits "processStarted" with each client { pid, startTime, platform } (platform is the
+ * strategy it was found with) and "processStopped" with the client when it exits. pid and
+ * startTime tell a restarted client apart from the same one found again: a known PID that
+ * is no longer a Roblox client in the process list, or is one with another start time, was
+ * reused by the OS - the client is reported stopped (and the new one started).
+ * tasklist has no start times, so on Windows only the first case is noticed.
+ */
 class ProcessWatcher extends EventEmitter {
   constructor() {
     super();
     this.isWatching = false;
-    this.checkInterval = null;
+    this.checkTimer = null;
+    this.pollDelay = POLL_MIN_MS;
+    this.nextListAt = 0; // When the process list is read again while clients run
     this.wasRunning = false;
+    this.clients = new Map(); // pid -> { pid, startTime, platform } while running
+    this.platform = null; // Platform strategy a client was last found with (see platforms.js)
+    // Replaceable for tests
+    this.osPlatform = process.platform;
+    this.listProcesses = processList.listProcesses;
+    this.isProcessAlive = processList.isProcessAlive;
   }
 
   /**
    * Start watching for Roblox process
-   * Checks every 2 seconds
    */
   startWatching() {
     if (this.isWatching) {
@@ -28,18 +56,16 @@ class ProcessWatcher extends EventEmitter {
 
     logger.info("Starting process watcher");
     this.isWatching = true;
+    this.pollDelay = POLL_MIN_MS;
+    this.nextListAt = 0;
 
-    // Initial check
+    // Initial check (schedules the next one)
     this.checkProcess();
-
-    // Set up interval to check every 2 seconds
-    this.checkInterval = setInterval(() => {
-      this.checkProcess();
-    }, 2000);
   }
 
   /**
    * Stop watching for Roblox process
+   * Clients found again after restarting are reported again (with the same pid/startTime)
    */
   stopWatching() {
     if (!this.isWatching) {
@@ -49,76 +75,248 @@ class ProcessWatcher extends EventEmitter {
 
     logger.info("Stopping process watcher");
     this.isWatching = false;
+    this.wasRunning = false;
+    this.clients.clear();
 
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-      this.checkInterval = null;
+    if (this.checkTimer) {
+      clearTimeout(this.checkTimer);
+      this.checkTimer = null;
     }
   }
 
   /**
-   * Check if Roblox is running and emit events on state change
+   * Schedule the next check
+   */
+  scheduleCheck(delay) {
+    if (!this.isWatching) return;
+
+    if (this.checkTimer) {
+      clearTimeout(this.checkTimer);
+    }
+    this.checkTimer = setTimeout(() => {
+      this.checkTimer = null;
+      this.checkProcess();
+    }, delay);
+  }
+
+  /**
+   * Check the processes right away, the process list included
+   * (for a process source that knows when clients come and go, see replay.js)
+   */
+  checkNow() {
+    this.nextListAt = 0;
+    this.scheduleCheck(0);
+  }
+
+  /**
+   * Check which Roblox clients run and emit events on state change
+   * Known clients are checked by PID; the process list is read on the poll backoff
    */
   async checkProcess() {
     try {
-      const isRunning = await this.isRobloxRunning();
-
-      // Emit events only when state changes
-      if (isRunning && !this.wasRunning) {
-        logger.info("Roblox process started");
-        this.emit("processStarted");
-      } else if (!isRunning && this.wasRunning) {
-        logger.info("Roblox process stopped");
-        this.emit("processStopped");
+      if (this.checkExits()) {
+        // A relaunch usually follows soon - look quickly again
+        this.pollDelay = POLL_MIN_MS;
+        this.nextListAt = Math.min(this.nextListAt, Date.now() + POLL_MIN_MS);
+      }
+
+      if (this.clients.size === 0 || Date.now() >= this.nextListAt) {
+        let found = null;
+        try {
+          found = await this.listClients();
+        } catch (error) {
+          // A failed listing says nothing about the known clients
+          logger.debug("Process check failed, assuming no new client", {
+            error: error.message,
+          });
+        }
+        if (!this.isWatching) return;
+
+        // Known clients whose PID the OS handed to another process exited
+        if (found && this.removeMissingClients(found)) {
+          this.pollDelay = POLL_MIN_MS;
+        }
+
+        // Another client is often launched right after the first
+        const added = this.addClients(found || []);
+        if (added) {
+          this.pollDelay = POLL_MIN_MS;
+        }
+        this.nextListAt = Date.now() + this.pollDelay;
+        if (!added) {
+          this.pollDelay = Math.min(this.pollDelay * POLL_BACKOFF, POLL_MAX_MS);
+        }
       }
 
-      this.wasRunning = isRunning;
+      this.wasRunning = this.clients.size > 0;
+      this.scheduleCheck(
+        this.clients.size > 0
+          ? EXIT_CHECK_MS
+          : Math.max(this.nextListAt - Date.now(), 0),
+      );
     } catch (error) {
       logger.error("Error checking Roblox process", { error: error.message });
+      this.scheduleCheck(this.pollDelay);
     }
   }
 
   /**
-   * Check if Roblox process is currently running
+   * Report the known clients that exited (returns whether any did)
    */
-  async isRobloxRunning() {
-    try {
-      const platform = process.platform;
-      let command;
-
-      if (platform === "win32") {
-        // Windows: Use PowerShell Get-Process which is more reliable
-        command = `powershell -Command "Get-Process -Name 'RobloxPlayerBeta' -ErrorAction SilentlyContinue | Select-Object -First 1"`;
-      } else if (platform === "darwin") {
-        // macOS: Use ps
-        command = `ps aux | grep -i "${ROBLOX_PROCESS}" | grep -v grep`;
-      } else {
-        // Linux: Use pgrep
-        command = `pgrep -f "${ROBLOX_PROCESS}"`;
+  checkExits() {
+    let changed = false;
+
+    for (const client of [...this.clients.values()]) {
+      if (this.isProcessAlive(client.pid)) continue;
+
+      logger.info("Roblox process stopped", { pid: client.pid });
+      this.clients.delete(client.pid);
+      changed = true;
+      this.emit("processStopped", client);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Report the known clients missing from a process listing (returns whether any were)
+   * Their PID is alive, but is now another process or another client
+   */
+  removeMissingClients(found) {
+    let changed = false;
+
+    for (const client of [...this.clients.values()]) {
+      if (found.includes(client)) continue;
+
+      logger.info("Roblox process stopped (PID reused)", { pid: client.pid });
+      this.clients.delete(client.pid);
+      changed = true;
+      this.emit("processStopped", client);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Report the clients not seen before (returns whether there were any)
+   */
+  addClients(found) {
+    let changed = false;
+
+    for (const client of found) {
+      if (this.clients.get(client.pid) === client) continue;
+
+      this.clients.set(client.pid, client);
+      this.platform = client.platform;
+      changed = true;
+      logger.info("Roblox process started", {
+        platform: client.platform.id,
+        pid: client.pid,
+      });
+      this.emit("processStarted", client);
+    }
+
+    return changed;
+  }
+
+  /**
+   * List the running Roblox clients, earliest started first (throws if listing fails)
+   * Known clients are returned as the same objects
+   */
+  async listClients() {
+    const processes = await this.listProcesses();
+    const found = platforms.findRunningClients(processes, this.osPlatform);
+
+    const clients = [];
+    for (const { strategy, process: proc } of found) {
+      // Known clients keep the start time they were found with
+      const known = this.clients.get(proc.pid);
+      if (known && this.isSameStart(known.startTime, proc.startTime)) {
+        clients.push(known);
+        continue;
       }
 
-      const { stdout } = await execAsync(command);
+      // tasklist does not show start times
+      let startTime = proc.startTime;
+      if (startTime === null && this.osPlatform === "win32") {
+        startTime = await processList.getProcessStartTime(proc.pid);
+      }
+      clients.push({ pid: proc.pid, startTime, platform: strategy });
+    }
+    return clients;
+  }
 
-      // Check if process name appears in output
-      // PowerShell will return process info if found, empty if not
-      return (
-        stdout.trim().length > 0 && stdout.toLowerCase().includes("roblox")
-      );
+  /**
+   * Check if two start times can be the same process (unknown ones always can)
+   */
+  isSameStart(known, listed) {
+    if (typeof known !== "number" || typeof listed !== "number") return true;
+    return Math.abs(known - listed) <= START_TIME_SLACK_MS;
+  }
+
+  /**
+   * Look for running Roblox clients, earliest started first
+   */
+  async findClients() {
+    try {
+      return await this.listClients();
     } catch (error) {
-      // If command fails, assume process not running
+      // If listing fails, assume process not running
       logger.debug("Process check failed, assuming not running", {
         error: error.message,
       });
-      return false;
+      return [];
     }
   }
 
+  /**
+   * Look for a running Roblox client (null if there is none)
+   */
+  async findClient() {
+    return (await this.findClients())[0] || null;
+  }
+
+  /**
+   * Check if Roblox process is currently running
+   */
+  async isRobloxRunning() {
+    if ([...this.clients.keys()].some((pid) => this.isProcessAlive(pid))) {
+      return true;
+    }
+    return (await this.findClient()) !== null;
+  }
+
   /**
    * Get current running status
    */
   isRunning() {
     return this.wasRunning;
   }
+
+  /**
+   * Get the running clients [{ pid, startTime, platform }], earliest started first
+   */
+  getProcesses() {
+    return [...this.clients.values()].sort(
+      (a, b) => (a.startTime || 0) - (b.startTime || 0),
+    );
+  }
+
+  /**
+   * Get the earliest started running client (null when none runs)
+   */
+  getProcess() {
+    return this.getProcesses()[0] || null;
+  }
+
+  /**
+   * Get the platform strategy a client was last found with (null before that)
+   */
+  getPlatform() {
+    return this.platform;
+  }
 }
 
+// Export singleton instance (and the class for tests)
 module.exports = new ProcessWatcher();
+module.exports.ProcessWatcher = ProcessWatcher;
@@ -0,0 +1,303 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const logger = require("../logging/logger");
+
+// Roblox log lines start with an ISO timestamp, e.g. "2024-05-10T15:00:03.118Z,2.118000,2b3d,6 ..."
+const LINE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z)/;
+
+// A fake client is started this long before its log begins and stopped this long after
+// it ends (in replay time), so the log monitor has read every line by then
+const CLIENT_LEAD_MS = 1000;
+const CLIENT_TAIL_MS = 5000;
+
+/**
+ * Read the replay options from the command line
+ * --replay=<log file or folder>  --replay-speed=<n>  --replay-script=<json file>
+ * Returns { source, speed, script } or null when no replay was asked for
+ */
+function parseReplayArgs(argv = process.argv) {
+  const options = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--replay(?:-(speed|script))?=(.+)$/);
+    if (match) {
+      options[match[1] || "source"] = match[2];
+    }
+  }
+
+  if (!options.source && !options.script) return null;
+
+  const speed = options.speed === undefined ? 1 : Number(options.speed);
+  if (!Number.isFinite(speed) || speed <= 0) {
+    throw new Error("--replay-speed must be a positive number");
+  }
+
+  return {
+    source: options.source ? path.resolve(options.source) : null,
+    speed,
+    script: options.script ? path.resolve(options.script) : null,
+  };
+}
+
+/**
+ * Split a recorded log into lines with their offset from the first timestamped line (ms)
+ * Lines without a timestamp (continuations) keep the offset of the line before
+ */
+function readLogLines(filePath) {
+  const lines = fs.readFileSync(filePath, "utf8").split(/\r?\n/);
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+
+  let first = null;
+  let offset = 0;
+  return lines.map((text) => {
+    const match = text.match(LINE_TIME_PATTERN);
+    if (match) {
+      const time = Date.parse(match[1]);
+      if (first === null) first = time;
+      offset = Math.max(time - first, offset);
+    }
+    return { text, offset };
+  });
+}
+
+/**
+ * Player logs of a source: the file itself, or the folder's logs in name order
+ */
+function listSourceLogs(source) {
+  if (fs.statSync(source).isDirectory()) {
+    return fs
+      .readdirSync(source)
+      .filter((file) => file.endsWith(".log"))
+      .sort()
+      .map((file) => path.join(source, file));
+  }
+  return [source];
+}
+
+/**
+ * A log file name like Roblox's, created now - the log matcher pairs it with the client
+ * started just before (see logMatcher.js)
+ */
+function replayLogName(pid, now) {
+  const stamp = new Date(now)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d+Z$/, "Z");
+  return `0.0.0.0_${stamp}_Player_${pid}_last.log`;
+}
+
+/**
+ * Log Replay (development)
+ * Replays recorded Roblox logs into a temporary log folder, at real or accelerated speed,
+ * and runs fake Roblox clients that stand in for the process list - so the detector and
+ * the chat flow run end to end without Roblox.
+ *
+ * The timeline is a script of client events, times in ms of recorded time:
+ *   [{ "at": 0, "start": 1, "log": "teleport.log" }, { "at": 20000, "stop": 1 }]
+ * "start" runs a fake client (the number is its pid) and replays its log, relative to the
+ * script file; "stop" ends it. Without a script every log of the source is replayed in
+ * turn by a client of its own. Emits "processesChanged" when a client starts or stops
+ * and "finished" once the timeline has run.
+ */
+class LogReplay extends EventEmitter {
+  constructor({ source = null, speed = 1, script = null } = {}) {
+    super();
+    this.source = source;
+    this.speed = speed;
+    this.script = script;
+    this.outputDir = null;
+    this.events = null; // [{ at, start, log } | { at, stop }] in recorded time
+    this.processes = new Map(); // pid -> fake process { pid, name, command, startTime }
+    this.timers = new Set();
+    this.isRunning = false;
+  }
+
+  /**
+   * Load the timeline and create the log folder to watch
+   */
+  prepare() {
+    this.events = this.script ? this.loadScript() : this.buildTimeline();
+    this.outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "rochat-replay-"));
+    logger.info("Log replay prepared", {
+      events: this.events.length,
+      speed: this.speed,
+      logDir: this.outputDir,
+    });
+    return this.outputDir;
+  }
+
+  /**
+   * Read a script file (see the class comment)
+   */
+  loadScript() {
+    const events = JSON.parse(fs.readFileSync(this.script, "utf8"));
+    if (!Array.isArray(events)) {
+      throw new Error("A replay script is a list of events");
+    }
+
+    const baseDir = path.dirname(this.script);
+    return events.map((event, index) => {
+      const pid = event.start ?? event.stop;
+      if (
+        !Number.isFinite(event.at) ||
+        event.at < 0 ||
+        !Number.isSafeInteger(pid) ||
+        pid <= 0
+      ) {
+        throw new Error(`Invalid replay script event #${index + 1}`);
+      }
+      if (event.start !== undefined) {
+        return {
+          at: event.at,
+          start: pid,
+          log: event.log ? path.resolve(baseDir, event.log) : this.source,
+        };
+      }
+      return { at: event.at, stop: pid };
+    });
+  }
+
+  /**
+   * Replay every log of the source in turn, each by its own client
+   */
+  buildTimeline() {
+    const events = [];
+    let at = 0;
+
+    listSourceLogs(this.source).forEach((log, index) => {
+      const lines = readLogLines(log);
+      const duration = lines.length > 0 ? lines[lines.length - 1].offset : 0;
+      const pid = index + 1;
+
+      events.push({ at, start: pid, log });
+      at += CLIENT_LEAD_MS + duration + CLIENT_TAIL_MS;
+      events.push({ at, stop: pid });
+    });
+
+    return events;
+  }
+
+  /**
+   * Run the timeline
+   */
+  start() {
+    if (this.isRunning) return;
+    if (!this.events) {
+      this.prepare();
+    }
+
+    logger.info("Starting log replay", { speed: this.speed });
+    this.isRunning = true;
+
+    let last = 0;
+    this.events.forEach((event) => {
+      last = Math.max(last, event.at);
+      this.schedule(event.at, () => this.runEvent(event));
+    });
+    this.schedule(last, () => {
+      logger.info("Log replay finished");
+      this.emit("finished");
+    });
+  }
+
+  /**
+   * Stop the replay and remove its log folder
+   */
+  stop() {
+    this.isRunning = false;
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.processes.clear();
+
+    if (this.outputDir) {
+      fs.rmSync(this.outputDir, { recursive: true, force: true });
+      this.outputDir = null;
+    }
+  }
+
+  /**
+   * Run a callback after a time in recorded ms (scaled by the speed)
+   */
+  schedule(at, callback) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      if (this.isRunning) callback();
+    }, at / this.speed);
+    this.timers.add(timer);
+  }
+
+  /**
+   * Start or stop a fake client
+   */
+  runEvent(event) {
+    if (event.stop !== undefined) {
+      if (this.processes.delete(event.stop)) {
+        logger.info("Replay client stopped", { pid: event.stop });
+        this.emit("processesChanged");
+      }
+      return;
+    }
+
+    this.processes.set(event.start, {
+      pid: event.start,
+      name: "RobloxPlayerBeta.exe",
+      command: "RobloxPlayerBeta.exe --replay",
+      startTime: Date.now(),
+    });
+    logger.info("Replay client started", { pid: event.start });
+    this.emit("processesChanged");
+
+    if (event.log) {
+      this.schedule(CLIENT_LEAD_MS, () =>
+        this.replayLog(event.start, event.log),
+      );
+    }
+  }
+
+  /**
+   * Write a recorded log into the log folder line by line, at the recorded pace
+   */
+  replayLog(pid, log) {
+    const output = path.join(this.outputDir, replayLogName(pid, Date.now()));
+    fs.writeFileSync(output, "");
+    logger.info("Replaying log", { pid, log: path.basename(log) });
+
+    // Lines logged at the same moment are written together
+    const batches = new Map();
+    for (const line of readLogLines(log)) {
+      if (!batches.has(line.offset)) batches.set(line.offset, []);
+      batches.get(line.offset).push(line.text);
+    }
+
+    for (const [offset, texts] of batches) {
+      this.schedule(offset, () => {
+        // The client may have been stopped by the script meanwhile
+        if (!this.processes.has(pid)) return;
+        fs.appendFileSync(output, texts.map((text) => `${text}\n`).join(""));
+      });
+    }
+  }
+
+  /**
+   * The fake clients, as processList.listProcesses() would list them
+   */
+  async listProcesses() {
+    return [...this.processes.values()];
+  }
+
+  /**
+   * Check if a fake client is still running
+   */
+  isProcessAlive(pid) {
+    return this.processes.has(pid);
+  }
+}
+
+module.exports = {
+  LogReplay,
+  parseReplayArgs,
+  readLogLines,
+};
@@ -8,14 +8,19 @@ const {
   registerHandlers,
   setMainWindow,
   setupDetectorEvents,
+  setupAuthEvents,
+  setupOutboxEvents,
   setupSocketEvents,
 } = require("./ipc/handlers");
+const tokenManager = require("./auth/tokenManager");
 const detector = require("./detection/detector");
 const secureStore = require("./storage/secureStore");
 const { setupAutoUpdater } = require("./updater");
 const socketClient = require("./socket/socketClient");
+const { LogReplay, parseReplayArgs } = require("./detection/replay");
 
 let mainWindow;
+let replay = null; // Log replay standing in for Roblox (npm run dev -- --replay=<log>)
 
 // Configure app-wide command line switches before app is ready
 // These help with SSL/TLS connections and CORS
@@ -146,6 +151,28 @@ function validateEnvironment() {
   }
 }
 
+/**
+ * Detect from recorded logs instead of Roblox when asked on the command line
+ * (development builds only - see detection/replay.js)
+ */
+function setupReplay() {
+  try {
+    const options = parseReplayArgs(process.argv);
+    if (!options) return;
+
+    if (app.isPackaged) {
+      logger.warn("Log replay is only available in development");
+      return;
+    }
+
+    replay = new LogReplay(options);
+    detector.useReplay(replay);
+  } catch (error) {
+    logger.error("Failed to set up log replay", { error: error.message });
+    replay = null;
+  }
+}
+
 /**
  * Initialize application
  */
@@ -182,6 +209,15 @@ app.whenReady().then(() => {
   // Setup detector events forwarding
   setupDetectorEvents();
 
+  // Replay recorded Roblox logs (development)
+  setupReplay();
+
+  // Setup auth events forwarding (session expiry after a rejected refresh)
+  setupAuthEvents();
+
+  // Setup outbox delivery (queued messages are retried when the socket connects)
+  setupOutboxEvents();
+
   // Setup socket events forwarding callback (will be called when socket connects)
   socketClient.setOnConnectedCallback(setupSocketEvents);
 
@@ -203,6 +239,9 @@ app.whenReady().then(() => {
           await robloxAuth.getAccessToken(); // This will refresh if expired
           logger.info("Session restored successfully, starting detector");
 
+          // Keep renewing tokens before they expire
+          tokenManager.startRefreshScheduler();
+
           // Enable always-on-top for authenticated users with screen-saver level
           if (mainWindow) {
             mainWindow.setAlwaysOnTop(true, "screen-saver");
@@ -213,10 +252,21 @@ app.whenReady().then(() => {
           logger.warn("Failed to refresh token on startup", {
             error: refreshError.message,
           });
-          secureStore.clearAuth();
+
+          // Auth is only cleared when the refresh token was rejected.
+          // On a transient failure the scheduler keeps retrying in the background.
+          if (secureStore.getAuth()) {
+            tokenManager.startRefreshScheduler();
+            if (mainWindow) {
+              mainWindow.setAlwaysOnTop(true, "screen-saver");
+            }
+            detector.start();
+            return;
+          }
         }
       } else if (secureStore.isAuthenticated()) {
         logger.info("User is authenticated, starting detector");
+        tokenManager.startRefreshScheduler();
         // Enable always-on-top for authenticated users with screen-saver level
         if (mainWindow) {
           mainWindow.setAlwaysOnTop(true, "screen-saver");
@@ -265,6 +315,10 @@ app.on("before-quit", () => {
     logger.info("Stopping detector");
     detector.stop();
   }
+
+  if (replay) {
+    replay.stop();
+  }
 });
 
 /**
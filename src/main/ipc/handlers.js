@@ -1,12 +1,16 @@
-const { ipcMain, shell } = require("electron");
+const { ipcMain, shell, clipboard, dialog, Notification } = require("electron");
 const axios = require("axios");
 const robloxAuth = require("../auth/robloxAuth");
 const tokenManager = require("../auth/tokenManager");
 const detector = require("../detection/detector");
+const gameInfo = require("../detection/gameInfo");
 const secureStore = require("../storage/secureStore");
 const logger = require("../logging/logger");
 const { sanitizeError } = require("../utils/sanitizer");
 const socketClient = require("../socket/socketClient");
+const outbox = require("../chat/outbox");
+const exporter = require("../chat/exporter");
+const { buildJoinLink } = require("../../shared/utils");
 
 // Backend server configuration
 const BACKEND_URL = "https://ro-chat-zqks.onrender.com";
@@ -18,6 +22,12 @@ let settingsWindow = null;
 // Store socket listener references for cleanup
 const socketListeners = {};
 
+// Desktop notifications for @mentions (toggled from settings)
+let mentionNotificationsEnabled = true;
+
+// In-memory copy of the block list (persisted in secureStore for offline use)
+let blockList = [];
+
 /**
  * Set the main window reference
  */
@@ -35,6 +45,49 @@ function setupDetectorEvents() {
       mainWindow.webContents.send("detection:serverChanged", serverInfo);
     }
   });
+
+  // Roblox clients running (one session each) and which one the server tab follows
+  detector.on("sessionsChanged", (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("detection:sessionsChanged", data);
+    }
+  });
+}
+
+/**
+ * Forward auth events to renderer
+ * auth:tokenExpired is only sent once the refresh token itself was rejected
+ */
+function setupAuthEvents() {
+  tokenManager.onSessionExpired(() => {
+    // Queued messages must not go out under whoever logs in next
+    outbox.clear();
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("auth:tokenExpired");
+    }
+  });
+}
+
+/**
+ * Deliver queued messages through the backend and forward their progress to renderer
+ */
+function setupOutboxEvents() {
+  outbox.configure({
+    send: postQueuedMessage,
+    describeError: (error) => describeSendError(error).errorMessage,
+    storage: {
+      load: secureStore.getOutbox,
+      save: secureStore.saveOutbox,
+    },
+    getUserId: () => robloxAuth.getCurrentUser()?.userId || null,
+  });
+
+  outbox.on("updated", (update) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("outbox:updated", update);
+    }
+  });
 }
 
 function setupSocketEvents() {
@@ -50,14 +103,23 @@ function setupSocketEvents() {
 
   socketListeners.typingIndicator = (data) => {
     if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send("socket:typingIndicator", data);
+      mainWindow.webContents.send("socket:typingIndicator", {
+        ...data,
+        typingUsers: Array.isArray(data?.typingUsers)
+          ? data.typingUsers.filter((name) => !isBlockedUsername(name))
+          : data?.typingUsers,
+      });
     }
   };
   socketClient.socket.on("typingIndicator", socketListeners.typingIndicator);
 
   socketListeners.message = (data) => {
+    // Blocked users' messages (and their mentions) never reach the renderer
+    if (isBlockedUser(data?.userId)) return;
+
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send("socket:message", data);
+      notifyMention(data);
     }
   };
   socketClient.socket.on("message", socketListeners.message);
@@ -69,6 +131,20 @@ function setupSocketEvents() {
   };
   socketClient.socket.on("messageUpdated", socketListeners.messageUpdated);
 
+  socketListeners.messageEdited = (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("socket:messageEdited", data);
+    }
+  };
+  socketClient.socket.on("messageEdited", socketListeners.messageEdited);
+
+  socketListeners.messageDeleted = (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("socket:messageDeleted", data);
+    }
+  };
+  socketClient.socket.on("messageDeleted", socketListeners.messageDeleted);
+
   socketListeners.messageEditError = (data) => {
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send("socket:messageEditError", data);
@@ -85,6 +161,128 @@ function setupSocketEvents() {
     "messageDeleteError",
     socketListeners.messageDeleteError,
   );
+
+  socketListeners.messageReactionsUpdated = (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("socket:messageReactionsUpdated", data);
+    }
+  };
+  socketClient.socket.on(
+    "messageReactionsUpdated",
+    socketListeners.messageReactionsUpdated,
+  );
+
+  socketListeners.reactionError = (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("socket:reactionError", data);
+    }
+  };
+  socketClient.socket.on("reactionError", socketListeners.reactionError);
+
+  socketListeners.presenceSnapshot = (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("socket:presenceSnapshot", data);
+    }
+  };
+  socketClient.socket.on("presenceSnapshot", socketListeners.presenceSnapshot);
+
+  socketListeners.presenceJoined = (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("socket:presenceJoined", data);
+    }
+  };
+  socketClient.socket.on("presenceJoined", socketListeners.presenceJoined);
+
+  socketListeners.presenceLeft = (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("socket:presenceLeft", data);
+    }
+  };
+  socketClient.socket.on("presenceLeft", socketListeners.presenceLeft);
+
+  socketListeners.directMessage = (data) => {
+    // Blocks are enforced by the server, this covers a block made moments ago
+    if (isBlockedUser(data?.userId)) return;
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("socket:directMessage", data);
+    }
+  };
+  socketClient.socket.on("directMessage", socketListeners.directMessage);
+
+  // Party events
+  ["partyUpdated", "partyInvite", "partyMemberLocation"].forEach(
+    (eventName) => {
+      socketListeners[eventName] = (data) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send(`socket:${eventName}`, data);
+        }
+      };
+      socketClient.socket.on(eventName, socketListeners[eventName]);
+    },
+  );
+
+  // Moderation events
+  [
+    "roomRole",
+    "roomJoinRejected",
+    "moderationResult",
+    "moderationNotice",
+    "kicked",
+  ].forEach((eventName) => {
+    socketListeners[eventName] = (data) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(`socket:${eventName}`, data);
+      }
+    };
+    socketClient.socket.on(eventName, socketListeners[eventName]);
+  });
+
+  // Pick up block list changes made on other devices
+  syncBlockList();
+
+  // Back online - deliver messages queued while the connection was down
+  outbox.retryNow();
+
+  // Let the renderer catch up on messages broadcast while it was disconnected
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("socket:connected");
+  }
+}
+
+/**
+ * Raise a desktop notification when a message mentions the logged-in user
+ * Only fires while the overlay is unfocused or minimized - otherwise the
+ * highlighted message is already in front of the user
+ */
+function notifyMention(data) {
+  if (!mentionNotificationsEnabled || !Notification.isSupported()) return;
+  if (mainWindow.isFocused() && !mainWindow.isMinimized()) return;
+
+  const auth = secureStore.getAuth();
+  if (!auth || !Array.isArray(data?.mentions)) return;
+
+  const userId = String(auth.userId);
+  if (String(data.userId) === userId) return;
+  if (!data.mentions.some((mention) => String(mention.userId) === userId)) {
+    return;
+  }
+
+  const notification = new Notification({
+    title: `${data.displayName || data.username} mentioned you`,
+    body: data.message,
+  });
+
+  notification.on("click", () => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      if (mainWindow.isMinimized()) mainWindow.restore();
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  });
+
+  notification.show();
+  logger.info("Mention notification shown", { chatType: data.chatType });
 }
 
 /**
@@ -106,6 +304,15 @@ function cleanupSocketEvents() {
 function registerHandlers() {
   logger.info("Registering IPC handlers");
 
+  blockList = secureStore.getBlockList();
+
+  // Game lookups are cached next to the app's other data
+  const path = require("path");
+  const { app } = require("electron");
+  gameInfo.configure({
+    cacheFile: path.join(app.getPath("userData"), "rochat-game-cache.json"),
+  });
+
   // Auth handlers
   ipcMain.handle("auth:login", handleLogin);
   ipcMain.handle("auth:logout", handleLogout);
@@ -115,6 +322,10 @@ function registerHandlers() {
   ipcMain.handle("detection:getServer", handleGetServer);
   ipcMain.handle("detection:start", handleStartDetection);
   ipcMain.handle("detection:stop", handleStopDetection);
+  ipcMain.handle("detection:getGameInfo", handleGetGameInfo);
+  ipcMain.handle("detection:getPlatform", handleGetPlatform);
+  ipcMain.handle("detection:getSessions", handleGetSessions);
+  ipcMain.handle("detection:selectSession", handleSelectSession);
 
   // Socket handlers
   ipcMain.handle("socket:retry", handleRetryConnection);
@@ -122,9 +333,20 @@ function registerHandlers() {
   // Chat handlers
   ipcMain.handle("chat:send", handleSendMessage);
   ipcMain.handle("chat:history", handleLoadHistory);
+  ipcMain.handle("chat:search", handleSearchMessages);
+  ipcMain.handle("chat:export", handleExportChat);
   ipcMain.handle("chat:emitTyping", handleEmitTyping);
   ipcMain.handle("chat:editMessage", handleEditMessage);
   ipcMain.handle("chat:deleteMessage", handleDeleteMessage);
+  ipcMain.handle("chat:toggleReaction", handleToggleReaction);
+  ipcMain.handle("chat:report", handleReportMessage);
+  ipcMain.handle("chat:moderate", handleModerate);
+
+  // Outbox handlers
+  ipcMain.handle("outbox:list", handleListOutbox);
+  ipcMain.handle("outbox:retry", handleRetryOutbox);
+  ipcMain.handle("outbox:discard", handleDiscardOutbox);
+
   // REMOVED GAME BROWSER FEATURE - chat:getGames handler removed
 
   // Window control handlers
@@ -141,8 +363,35 @@ function registerHandlers() {
   ipcMain.handle("settings:resetPosition", handleResetPosition);
   ipcMain.handle("settings:registerKeybind", handleRegisterKeybind);
   ipcMain.on("settings:setMessageOpacity", handleSetMessageOpacity);
+  ipcMain.handle("settings:setLogDirectory", handleSetLogDirectory);
+  ipcMain.handle("settings:chooseLogDirectory", handleChooseLogDirectory);
   ipcMain.handle("settings:setAutoHideHeader", handleSetAutoHideHeader);
   ipcMain.handle("settings:setAutoHideFooter", handleSetAutoHideFooter);
+  ipcMain.handle(
+    "settings:setMentionNotifications",
+    handleSetMentionNotifications,
+  );
+  ipcMain.handle("settings:setJoinAllSessions", handleSetJoinAllSessions);
+
+  // Block list handlers
+  ipcMain.handle("blocks:list", handleGetBlockList);
+  ipcMain.handle("blocks:block", handleBlockUser);
+  ipcMain.handle("blocks:unblock", handleUnblockUser);
+
+  // Direct message handlers
+  ipcMain.handle("dm:list", handleListConversations);
+  ipcMain.handle("dm:send", handleSendDirectMessage);
+  ipcMain.handle("dm:history", handleLoadDirectMessages);
+  ipcMain.handle("dm:markRead", handleMarkConversationRead);
+
+  // Party handlers
+  ipcMain.handle("party:get", handleGetParty);
+  ipcMain.handle("party:create", handleCreateParty);
+  ipcMain.handle("party:invite", handleInviteToParty);
+  ipcMain.handle("party:respond", handleRespondToPartyInvite);
+  ipcMain.handle("party:leave", handleLeaveParty);
+  ipcMain.handle("party:removeMember", handleRemovePartyMember);
+  ipcMain.handle("party:copyJoinLink", handleCopyJoinLink);
 
   // Shell handlers
   ipcMain.handle("shell:openExternal", handleOpenExternal);
@@ -160,6 +409,9 @@ async function handleLogin(event) {
     logger.info("Login requested");
     const userInfo = await robloxAuth.initiateLogin();
 
+    // Renew tokens in the background so the session survives past the first expiry
+    tokenManager.startRefreshScheduler();
+
     // Enable always-on-top after successful login with screen-saver level
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.setAlwaysOnTop(true, "screen-saver");
@@ -189,6 +441,10 @@ async function handleLogout(event) {
     // Clear authentication
     const result = tokenManager.logout();
 
+    // The block list and queued messages belong to the logged-out account
+    setBlockList([]);
+    outbox.clear();
+
     // Reset window state for login screen
     if (mainWindow && !mainWindow.isDestroyed()) {
       // Disable always-on-top when logging out
@@ -250,6 +506,78 @@ async function handleGetServer(event) {
   }
 }
 
+/**
+ * Handle game info request - name, creator and icon of the game a place belongs to
+ */
+async function handleGetGameInfo(event, placeId) {
+  try {
+    const game = await gameInfo.lookup(placeId);
+    if (!game) {
+      return { success: false, error: "Game info unavailable" };
+    }
+    return { success: true, game };
+  } catch (error) {
+    logger.error(
+      "Failed to get game info",
+      sanitizeError({ error: error.message }),
+    );
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle platform request - detected Roblox client and the log directory watched
+ */
+async function handleGetPlatform(event) {
+  try {
+    return { success: true, ...detector.getPlatformInfo() };
+  } catch (error) {
+    logger.error(
+      "Failed to get platform",
+      sanitizeError({ error: error.message }),
+    );
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle sessions request - the running Roblox clients and their servers
+ */
+async function handleGetSessions(event) {
+  try {
+    return {
+      success: true,
+      sessions: detector.getSessions(),
+      joinAllSessions: detector.joinAllSessions,
+    };
+  } catch (error) {
+    logger.error(
+      "Failed to get sessions",
+      sanitizeError({ error: error.message }),
+    );
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle select session request - make the server tab follow another Roblox client
+ */
+async function handleSelectSession(event, sessionId) {
+  if (!Number.isSafeInteger(sessionId)) {
+    return { success: false, error: "Invalid session" };
+  }
+
+  try {
+    return detector.selectSession(sessionId);
+  } catch (error) {
+    logger.error(
+      "Failed to select session",
+      sanitizeError({ error: error.message }),
+    );
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Handle start detection request
  */
@@ -286,11 +614,103 @@ async function handleStopDetection(event) {
 
 // ==================== CHAT HANDLERS ====================
 
+/**
+ * Run an authenticated backend request
+ * On a 401 the tokens are refreshed once and the request is retried with the new idToken
+ */
+async function requestWithAuthRetry(request, token) {
+  try {
+    return await request(token);
+  } catch (error) {
+    if (error.response?.status !== 401) {
+      throw error;
+    }
+
+    logger.warn("Backend rejected token, refreshing and retrying once");
+    const refreshed = await tokenManager.refreshTokens();
+    if (!refreshed) {
+      throw error;
+    }
+
+    return request(refreshed.idToken);
+  }
+}
+
+/**
+ * Build the response for a request that could not be authenticated
+ * auth:tokenExpired is sent by tokenManager once the refresh token is rejected,
+ * so only report an expired session when the stored auth is actually gone
+ */
+function authFailureResponse(extra = {}) {
+  if (!secureStore.getAuth()) {
+    return {
+      success: false,
+      error: "Session expired. Please log in again.",
+      status: 401,
+      tokenExpired: true,
+      ...extra,
+    };
+  }
+
+  return {
+    success: false,
+    error: "Could not verify your session. Please try again.",
+    ...extra,
+  };
+}
+
+/**
+ * Send an authenticated request to a backend API path (e.g. "/api/dm")
+ * Resolves null when there is no valid token
+ */
+async function backendRequest(method, path, { data, params } = {}) {
+  const token = await tokenManager.getValidToken();
+  if (!token) {
+    return null;
+  }
+
+  return requestWithAuthRetry(
+    (idToken) =>
+      axios({
+        method,
+        url: `${BACKEND_URL}${path}`,
+        data,
+        params,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${idToken}`,
+        },
+        timeout: 10000,
+      }),
+    token,
+  );
+}
+
+/**
+ * Build the response for a failed backend request
+ */
+function requestFailureResponse(error, fallback, extra = {}) {
+  if (error.response?.status === 401) {
+    return authFailureResponse(extra);
+  }
+
+  logger.error(fallback, sanitizeError({ error: error.message }));
+  return {
+    success: false,
+    error: error.response?.data?.error || fallback,
+    status: error.response?.status,
+    ...extra,
+  };
+}
+
 /**
  * Handle send message request
  * Sends message to backend server which then broadcasts via Socket.io
  */
-async function handleSendMessage(event, { jobId, placeId, chatType, message }) {
+async function handleSendMessage(
+  event,
+  { jobId, placeId, partyId, chatType, message, replyTo },
+) {
   try {
     logger.info("Send message requested", {
       chatType,
@@ -307,22 +727,11 @@ async function handleSendMessage(event, { jobId, placeId, chatType, message }) {
       };
     }
 
-    // Get auth token
-    const token = tokenManager.getValidToken();
+    // Get auth token (refreshed first if it is about to expire)
+    const token = await tokenManager.getValidToken();
     if (!token) {
       logger.error("No valid token - getValidToken returned null");
-
-      // Emit token expired event to trigger auto-logout
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send("auth:tokenExpired");
-      }
-
-      return {
-        success: false,
-        error: "Session expired. Please log in again.",
-        status: 401,
-        tokenExpired: true,
-      };
+      return authFailureResponse();
     }
 
     // Log token details for debugging (first 20 chars only for security)
@@ -356,173 +765,707 @@ async function handleSendMessage(event, { jobId, placeId, chatType, message }) {
       logger.warn("Could not parse token for logging", { error: e.message });
     }
 
-    logger.info("Sending message with auth", { hasToken: !!token });
+    // Queued until the backend accepts it - retried in order if the network is down
+    const result = await outbox.send({
+      jobId,
+      placeId,
+      partyId,
+      chatType,
+      message,
+      replyTo,
+    });
 
-    // Send to backend server
-    const response = await axios.post(
-      `${BACKEND_URL}/api/chat/send`,
-      {
-        jobId,
-        placeId,
+    if (result.status === "sent") {
+      logger.info("Message sent successfully", { chatType });
+      return {
+        success: true,
+        clientKey: result.clientKey,
+        message: result.message,
+      };
+    }
+
+    if (result.status === "pending") {
+      logger.warn("Message queued for retry", { chatType });
+      return {
+        success: false,
+        queued: true,
+        clientKey: result.clientKey,
+        error: result.entry.error,
+        // Sent on its own once the cooldown is over
+        rateLimited: result.rateLimited,
+        retryAfter: result.rateLimited
+          ? Math.ceil((result.retryAt - Date.now()) / 1000)
+          : undefined,
+      };
+    }
+
+    throw result.error;
+  } catch (error) {
+    // Handle 401 authentication errors (already retried once with refreshed tokens)
+    if (error.response?.status === 401) {
+      logger.error("Authentication failed - token expired or invalid");
+      return authFailureResponse();
+    }
+
+    const { errorMessage, errorReason } = describeSendError(error);
+
+    logger.error(
+      "Message NOT sent",
+      sanitizeError({
+        error: error.message,
+        status: error.response?.status,
+        responseData: error.response?.data,
         chatType,
-        message,
-        userId: user.userId,
-        username: user.username,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
+        backendUrl: BACKEND_URL,
+        reason: errorReason,
+      }),
+    );
+
+    return {
+      success: false,
+      error: errorMessage,
+      status: error.response?.status,
+    };
+  }
+}
+
+/**
+ * Post a queued message to the backend (used by the outbox)
+ * The idempotency key lets the server drop a message it already accepted.
+ * Throws the request error so the outbox can decide whether to retry.
+ */
+async function postQueuedMessage(entry) {
+  const user = robloxAuth.getCurrentUser();
+  const token = await tokenManager.getValidToken();
+  if (!user || !token) {
+    // Not a rejection of the message - retried once the session is back
+    throw new Error("Not authenticated");
+  }
+
+  logger.info("Sending message with auth", { hasToken: !!token });
+
+  const response = await requestWithAuthRetry(
+    (idToken) =>
+      axios.post(
+        `${BACKEND_URL}/api/chat/send`,
+        {
+          ...entry.payload,
+          clientKey: entry.clientKey,
+          userId: user.userId,
+          username: user.username,
         },
-        timeout: 10000,
-      },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${idToken}`,
+          },
+          timeout: 10000,
+        },
+      ),
+    token,
+  );
+
+  return response.data;
+}
+
+/**
+ * Describe why a message could not be sent
+ * errorMessage is shown to the user, errorReason is logged
+ */
+function describeSendError(error) {
+  let errorMessage = "Failed to send message";
+  let errorReason = "Unknown error";
+
+  if (error.response?.data?.error) {
+    errorMessage = error.response.data.error;
+    errorReason = `Server rejected: ${errorMessage}`;
+  } else if (error.response?.status === 429) {
+    errorMessage = "Slow down! Please wait before sending another message.";
+    errorReason = `Rate limited (HTTP ${error.response?.status}): ${errorMessage}`;
+  } else if (error.response?.status) {
+    errorReason = `HTTP ${error.response?.status}: ${error.response?.statusText || "Server error"}`;
+  } else if (error.code === "ETIMEDOUT" || error.code === "ECONNABORTED") {
+    errorMessage = "Connection timed out. Check your network and try again.";
+    errorReason = "Connection timed out - check your network";
+  } else if (error.code === "ECONNREFUSED") {
+    errorMessage = "Server is unavailable. Please try again later.";
+    errorReason = "Connection refused - server may be down";
+  } else {
+    errorReason = error.message || "Unknown error";
+  }
+
+  return { errorMessage, errorReason };
+}
+
+/**
+ * Handle list outbox request - queued and failed messages
+ */
+function handleListOutbox(event) {
+  return { success: true, entries: outbox.list() };
+}
+
+/**
+ * Handle retry of a failed message
+ */
+function handleRetryOutbox(event, clientKey) {
+  if (!outbox.retry(clientKey)) {
+    return { success: false, error: "Message not found" };
+  }
+  return { success: true };
+}
+
+/**
+ * Handle discard of a queued or failed message
+ */
+function handleDiscardOutbox(event, clientKey) {
+  if (!outbox.discard(clientKey)) {
+    return { success: false, error: "This message is being sent" };
+  }
+  return { success: true };
+}
+
+/**
+ * Handle load chat history request
+ * Fetches messages from backend server for a specific JobId or PlaceId
+ * With afterSeq/beforeSeq only the messages between those sequence numbers are fetched
+ */
+async function handleLoadHistory(
+  event,
+  { jobId, placeId, partyId, chatType, before, since, afterSeq, beforeSeq },
+) {
+  try {
+    logger.info("Load history requested", { chatType });
+
+    // Get auth token (refreshed first if it is about to expire)
+    const token = await tokenManager.getValidToken();
+    if (!token) {
+      logger.error("No valid token for history - getValidToken returned null");
+      return authFailureResponse({ messages: [] });
+    }
+
+    // Fetch from backend server
+    const response = await requestWithAuthRetry(
+      (idToken) =>
+        axios.get(`${BACKEND_URL}/api/chat/history`, {
+          params: {
+            jobId,
+            placeId,
+            partyId,
+            chatType,
+            before,
+            since,
+            afterSeq,
+            beforeSeq,
+            limit: 50,
+          },
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${idToken}`,
+          },
+          timeout: 10000,
+        }),
+      token,
     );
 
-    logger.info("Message sent successfully", { chatType });
-    return { success: true };
+    logger.info("History loaded successfully", {
+      chatType,
+      messageCount: response.data.messages?.length || 0,
+    });
+
+    return {
+      success: true,
+      messages: response.data.messages || [],
+      hasMore: Boolean(response.data.hasMore),
+    };
   } catch (error) {
     // Handle 401 authentication errors
     if (error.response?.status === 401) {
-      logger.error("Authentication failed - token expired or invalid");
+      logger.error(
+        "Authentication failed while loading history - token expired or invalid",
+      );
+      return authFailureResponse({ messages: [] });
+    }
+
+    logger.error(
+      "Failed to load history",
+      sanitizeError({
+        error: error.message,
+        chatType,
+        backendUrl: BACKEND_URL,
+      }),
+    );
+    return {
+      success: false,
+      error: error.response?.data?.error || "Failed to load history",
+      messages: [],
+    };
+  }
+}
+
+/**
+ * Handle search request - messages of a room matching a query, newest first
+ */
+async function handleSearchMessages(
+  event,
+  { jobId, placeId, partyId, chatType, q, before },
+) {
+  try {
+    const response = await backendRequest("get", "/api/chat/search", {
+      params: { jobId, placeId, partyId, chatType, q, before },
+    });
+    if (!response) {
+      return authFailureResponse({ results: [] });
+    }
+
+    return {
+      success: true,
+      results: response.data.results || [],
+      hasMore: Boolean(response.data.hasMore),
+    };
+  } catch (error) {
+    return requestFailureResponse(error, "Failed to search messages", {
+      results: [],
+    });
+  }
+}
+
+/**
+ * Handle export chat request - save a tab's loaded history to a file the user picks
+ * The format (JSON, HTML or text) follows the chosen file type
+ */
+async function handleExportChat(event, session) {
+  const fs = require("fs");
+
+  try {
+    if (!session || !Array.isArray(session.messages)) {
+      return { success: false, error: "Nothing to export" };
+    }
+
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: "Export chat",
+      defaultPath: `${exporter.defaultFileName(session)}.json`,
+      filters: exporter.EXPORT_FORMATS.map(({ name, extensions }) => ({
+        name,
+        extensions,
+      })),
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const format = exporter.formatForFile(filePath);
+    await fs.promises.writeFile(
+      filePath,
+      exporter.formatExport(session, format),
+      "utf8",
+    );
+
+    logger.info("Chat exported", {
+      chatType: session.chatType,
+      format,
+      messageCount: session.messages.length,
+    });
+    return { success: true, filePath, format };
+  } catch (error) {
+    logger.error(
+      "Failed to export chat",
+      sanitizeError({ error: error.message }),
+    );
+    return { success: false, error: "Failed to export chat" };
+  }
+}
+
+/**
+ * Handle report message request
+ */
+async function handleReportMessage(event, { messageId, reason, details }) {
+  try {
+    logger.info("Report message requested", { reason });
+
+    const token = await tokenManager.getValidToken();
+    if (!token) {
+      return authFailureResponse();
+    }
+
+    const response = await requestWithAuthRetry(
+      (idToken) =>
+        axios.post(
+          `${BACKEND_URL}/api/chat/report`,
+          { messageId, reason, details },
+          {
+            headers: {
+              "Content-Type": "application/json",
+              Authorization: `Bearer ${idToken}`,
+            },
+            timeout: 10000,
+          },
+        ),
+      token,
+    );
+
+    return { success: true, reportId: response.data.reportId };
+  } catch (error) {
+    if (error.response?.status === 401) {
+      return authFailureResponse();
+    }
+
+    logger.error(
+      "Failed to report message",
+      sanitizeError({ error: error.message }),
+    );
+    return {
+      success: false,
+      error: error.response?.data?.error || "Failed to report message",
+    };
+  }
+}
+
+// REMOVED GAME BROWSER FEATURE
+// handleGetGames() function removed - violates RoChat's overlay-only design
+
+// ==================== BLOCK LIST HANDLERS ====================
+
+/**
+ * Check if a user ID is on the block list
+ */
+function isBlockedUser(userId) {
+  return blockList.some((entry) => String(entry.userId) === String(userId));
+}
+
+/**
+ * Check if a username is on the block list (typing indicators only carry names)
+ */
+function isBlockedUsername(username) {
+  if (typeof username !== "string") return false;
+  const name = username.toLowerCase();
+  return blockList.some((entry) => entry.username?.toLowerCase() === name);
+}
+
+/**
+ * Replace the block list, persist it and notify open windows
+ */
+function setBlockList(blockedUsers) {
+  blockList = Array.isArray(blockedUsers) ? blockedUsers : [];
+  secureStore.saveBlockList(blockList);
+
+  [mainWindow, settingsWindow].forEach((window) => {
+    if (window && !window.isDestroyed()) {
+      window.webContents.send("blocks:updated", blockList);
+    }
+  });
+}
 
-      // Emit token expired event to trigger auto-logout
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send("auth:tokenExpired");
-      }
+/**
+ * Send an authenticated request to the block list API
+ */
+async function blockListRequest(method, path = "", data) {
+  return backendRequest(method, `/api/blocks${path}`, { data });
+}
 
-      return {
-        success: false,
-        error: "Session expired. Please log in again.",
-        status: 401,
-        tokenExpired: true,
-      };
+/**
+ * Refresh the block list from the server
+ * Keeps the stored copy when the server cannot be reached
+ */
+async function syncBlockList() {
+  try {
+    const response = await blockListRequest("get");
+    if (response) {
+      setBlockList(response.data.blockedUsers);
     }
+    return Boolean(response);
+  } catch (error) {
+    logger.warn(
+      "Failed to sync block list, using stored copy",
+      sanitizeError({ error: error.message }),
+    );
+    return false;
+  }
+}
 
-    // Extract error message from response
-    let errorMessage = "Failed to send message";
-    let errorReason = "Unknown error";
-
-    if (error.response?.data?.error) {
-      errorMessage = error.response.data.error;
-      errorReason = `Server rejected: ${errorMessage}`;
-    } else if (error.response?.status === 429) {
-      errorMessage = "Slow down! Please wait before sending another message.";
-      errorReason = `Rate limited (HTTP ${error.response?.status}): ${errorMessage}`;
-    } else if (error.response?.status) {
-      errorReason = `HTTP ${error.response?.status}: ${error.response?.statusText || "Server error"}`;
-    } else if (error.code === "ETIMEDOUT") {
-      errorMessage = "Connection timed out. Check your network and try again.";
-      errorReason = "Connection timed out - check your network";
-    } else if (error.code === "ECONNREFUSED") {
-      errorMessage = "Server is unavailable. Please try again later.";
-      errorReason = "Connection refused - server may be down";
-    } else {
-      errorReason = error.message || "Unknown error";
+/**
+ * Handle get block list request
+ */
+async function handleGetBlockList(event) {
+  const synced = await syncBlockList();
+  return { success: true, blockedUsers: blockList, offline: !synced };
+}
+
+/**
+ * Handle block user request
+ */
+async function handleBlockUser(event, { userId, username }) {
+  try {
+    const response = await blockListRequest("post", "", {
+      userId: parseInt(userId, 10),
+      username,
+    });
+    if (!response) {
+      return authFailureResponse();
     }
 
+    setBlockList(response.data.blockedUsers);
+    logger.info("User blocked");
+    return { success: true, blockedUsers: blockList };
+  } catch (error) {
     logger.error(
-      "Message NOT sent",
-      sanitizeError({
-        error: error.message,
-        status: error.response?.status,
-        responseData: error.response?.data,
-        chatType,
-        backendUrl: BACKEND_URL,
-        reason: errorReason,
-      }),
+      "Failed to block user",
+      sanitizeError({ error: error.message }),
     );
-
     return {
       success: false,
-      error: errorMessage,
-      status: error.response?.status,
+      error: error.response?.data?.error || "Failed to block user",
     };
   }
 }
 
 /**
- * Handle load chat history request
- * Fetches messages from backend server for a specific JobId or PlaceId
+ * Handle unblock user request
  */
-async function handleLoadHistory(event, { jobId, placeId, chatType }) {
+async function handleUnblockUser(event, userId) {
   try {
-    logger.info("Load history requested", { chatType });
+    const response = await blockListRequest(
+      "delete",
+      `/${encodeURIComponent(userId)}`,
+    );
+    if (!response) {
+      return authFailureResponse();
+    }
 
-    // Get auth token
-    const token = tokenManager.getValidToken();
-    if (!token) {
-      logger.error("No valid token for history - getValidToken returned null");
+    setBlockList(response.data.blockedUsers);
+    logger.info("User unblocked");
+    return { success: true, blockedUsers: blockList };
+  } catch (error) {
+    logger.error(
+      "Failed to unblock user",
+      sanitizeError({ error: error.message }),
+    );
+    return {
+      success: false,
+      error: error.response?.data?.error || "Failed to unblock user",
+    };
+  }
+}
 
-      // Emit token expired event to trigger auto-logout
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send("auth:tokenExpired");
-      }
+// ==================== DIRECT MESSAGE HANDLERS ====================
 
-      return {
-        success: false,
-        error: "Session expired. Please log in again.",
-        messages: [],
-        tokenExpired: true,
-      };
+/**
+ * Handle list conversations request
+ */
+async function handleListConversations(event) {
+  try {
+    const response = await backendRequest("get", "/api/dm");
+    if (!response) {
+      return authFailureResponse({ conversations: [] });
     }
 
-    // Fetch from backend server
-    const response = await axios.get(`${BACKEND_URL}/api/chat/history`, {
-      params: { jobId, placeId, chatType, limit: 50 },
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      timeout: 10000,
+    return {
+      success: true,
+      conversations: response.data.conversations || [],
+      unreadTotal: response.data.unreadTotal || 0,
+    };
+  } catch (error) {
+    return requestFailureResponse(error, "Failed to load conversations", {
+      conversations: [],
     });
+  }
+}
 
-    logger.info("History loaded successfully", {
-      chatType,
-      messageCount: response.data.messages?.length || 0,
+/**
+ * Handle send direct message request
+ */
+async function handleSendDirectMessage(event, { recipientId, message }) {
+  try {
+    logger.info("Direct message send requested", {
+      messageLength: message?.length,
+    });
+
+    const response = await backendRequest("post", "/api/dm/send", {
+      data: { recipientId: parseInt(recipientId, 10), message },
     });
+    if (!response) {
+      return authFailureResponse();
+    }
+
+    return { success: true, message: response.data.message };
+  } catch (error) {
+    return requestFailureResponse(error, "Failed to send direct message");
+  }
+}
+
+/**
+ * Handle load direct messages request (one page, oldest first)
+ */
+async function handleLoadDirectMessages(event, { userId, before }) {
+  try {
+    const response = await backendRequest(
+      "get",
+      `/api/dm/${encodeURIComponent(userId)}/messages`,
+      { params: { before, limit: 50 } },
+    );
+    if (!response) {
+      return authFailureResponse({ messages: [] });
+    }
 
     return {
       success: true,
       messages: response.data.messages || [],
+      hasMore: Boolean(response.data.hasMore),
     };
   } catch (error) {
-    // Handle 401 authentication errors
-    if (error.response?.status === 401) {
-      logger.error(
-        "Authentication failed while loading history - token expired or invalid",
-      );
+    return requestFailureResponse(error, "Failed to load direct messages", {
+      messages: [],
+    });
+  }
+}
 
-      // Emit token expired event to trigger auto-logout
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send("auth:tokenExpired");
-      }
+/**
+ * Handle mark conversation read request
+ */
+async function handleMarkConversationRead(event, userId) {
+  try {
+    const response = await backendRequest(
+      "post",
+      `/api/dm/${encodeURIComponent(userId)}/read`,
+    );
+    if (!response) {
+      return authFailureResponse();
+    }
 
-      return {
-        success: false,
-        error: "Session expired. Please log in again.",
-        messages: [],
-        tokenExpired: true,
-      };
+    return { success: true };
+  } catch (error) {
+    return requestFailureResponse(error, "Failed to mark conversation read");
+  }
+}
+
+// ==================== PARTY HANDLERS ====================
+
+/**
+ * Handle get party request - the user's party and pending invites
+ */
+async function handleGetParty(event) {
+  try {
+    const response = await backendRequest("get", "/api/party");
+    if (!response) {
+      return authFailureResponse({ party: null, invites: [] });
     }
 
-    logger.error(
-      "Failed to load history",
-      sanitizeError({
-        error: error.message,
-        chatType,
-        backendUrl: BACKEND_URL,
-      }),
-    );
     return {
-      success: false,
-      error: error.response?.data?.error || "Failed to load history",
-      messages: [],
+      success: true,
+      party: response.data.party,
+      invites: response.data.invites || [],
     };
+  } catch (error) {
+    return requestFailureResponse(error, "Failed to load party", {
+      party: null,
+      invites: [],
+    });
   }
 }
 
-// REMOVED GAME BROWSER FEATURE
-// handleGetGames() function removed - violates RoChat's overlay-only design
+/**
+ * Handle create party request
+ */
+async function handleCreateParty(event, name) {
+  try {
+    const response = await backendRequest("post", "/api/party", {
+      data: { name },
+    });
+    if (!response) {
+      return authFailureResponse();
+    }
+
+    logger.info("Party created");
+    return { success: true, party: response.data.party };
+  } catch (error) {
+    return requestFailureResponse(error, "Failed to create party");
+  }
+}
+
+/**
+ * Handle invite to party request
+ */
+async function handleInviteToParty(event, username) {
+  try {
+    const response = await backendRequest("post", "/api/party/invites", {
+      data: { username },
+    });
+    if (!response) {
+      return authFailureResponse();
+    }
+
+    return { success: true, party: response.data.party };
+  } catch (error) {
+    return requestFailureResponse(error, "Failed to send invite");
+  }
+}
+
+/**
+ * Handle accept or decline party invite request
+ */
+async function handleRespondToPartyInvite(event, { partyId, accept }) {
+  try {
+    const response = await backendRequest(
+      "post",
+      `/api/party/${encodeURIComponent(partyId)}/${accept ? "accept" : "decline"}`,
+    );
+    if (!response) {
+      return authFailureResponse();
+    }
+
+    return { success: true, party: response.data.party || null };
+  } catch (error) {
+    return requestFailureResponse(error, "Failed to answer invite");
+  }
+}
+
+/**
+ * Handle leave party request
+ */
+async function handleLeaveParty(event) {
+  try {
+    const response = await backendRequest("post", "/api/party/leave");
+    if (!response) {
+      return authFailureResponse();
+    }
+
+    logger.info("Party left");
+    return { success: true };
+  } catch (error) {
+    return requestFailureResponse(error, "Failed to leave party");
+  }
+}
+
+/**
+ * Handle remove party member request (owner only)
+ */
+async function handleRemovePartyMember(event, userId) {
+  try {
+    const response = await backendRequest(
+      "delete",
+      `/api/party/members/${encodeURIComponent(userId)}`,
+    );
+    if (!response) {
+      return authFailureResponse();
+    }
+
+    return { success: true, party: response.data.party };
+  } catch (error) {
+    return requestFailureResponse(error, "Failed to remove member");
+  }
+}
+
+/**
+ * Handle copy join link request - copies a link that joins a member's server
+ */
+function handleCopyJoinLink(event, { placeId, jobId }) {
+  const link = buildJoinLink(placeId, jobId);
+  if (!link) {
+    return { success: false, error: "That server can't be joined" };
+  }
+
+  clipboard.writeText(link);
+  return { success: true, link };
+}
 
 // ==================== WINDOW CONTROL HANDLERS ====================
 
@@ -885,12 +1828,71 @@ function handleSetAutoHideFooter(event, enabled) {
   return { success: true };
 }
 
+/**
+ * Handle log directory setting - pin a custom Roblox log directory (null to detect it)
+ */
+function handleSetLogDirectory(event, dir) {
+  if (dir !== null && typeof dir !== "string") {
+    return { success: false, error: "Invalid log directory" };
+  }
+
+  const result = detector.setCustomLogDir(dir || null);
+  if (!result.success) {
+    return result;
+  }
+  return { success: true, ...detector.getPlatformInfo() };
+}
+
+/**
+ * Handle choose log directory - let the user pick a folder
+ */
+async function handleChooseLogDirectory(event) {
+  const { BrowserWindow } = require("electron");
+
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(
+      BrowserWindow.fromWebContents(event.sender),
+      {
+        title: "Choose the Roblox log folder",
+        properties: ["openDirectory", "showHiddenFiles"],
+      },
+    );
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    return { success: true, path: filePaths[0] };
+  } catch (error) {
+    logger.error(
+      "Failed to choose log directory",
+      sanitizeError({ error: error.message }),
+    );
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle mention notification setting
+ */
+function handleSetMentionNotifications(event, enabled) {
+  mentionNotificationsEnabled = Boolean(enabled);
+  logger.info("Mention notifications setting applied", { enabled });
+  return { success: true };
+}
+
+/**
+ * Handle join all sessions setting - be in every Roblox client's server rooms at once
+ */
+function handleSetJoinAllSessions(event, enabled) {
+  detector.setJoinAllSessions(Boolean(enabled));
+  return { success: true };
+}
+
 /**
  * Handle emit typing indicator request
  */
-async function handleEmitTyping(event, { jobId, username, isTyping }) {
+async function handleEmitTyping(event, { jobId, isTyping }) {
   try {
-    socketClient.emitTyping(jobId, username, isTyping);
+    socketClient.emitTyping(jobId, isTyping);
     return { success: true };
   } catch (error) {
     logger.error(
@@ -949,7 +1951,7 @@ async function handleEditMessage(event, { messageId, newMessage }) {
       return { success: false, error: "Not authenticated" };
     }
 
-    socketClient.emitEditMessage(messageId, user.userId, newMessage);
+    socketClient.emitEditMessage(messageId, newMessage);
     return { success: true };
   } catch (error) {
     logger.error(
@@ -970,7 +1972,7 @@ async function handleDeleteMessage(event, { messageId }) {
       return { success: false, error: "Not authenticated" };
     }
 
-    socketClient.emitDeleteMessage(messageId, user.userId);
+    socketClient.emitDeleteMessage(messageId);
     return { success: true };
   } catch (error) {
     logger.error(
@@ -981,6 +1983,53 @@ async function handleDeleteMessage(event, { messageId }) {
   }
 }
 
+// Moderator actions the renderer may request
+const MODERATION_ACTIONS = ["muteUser", "unmuteUser", "kickUser", "banUser"];
+
+/**
+ * Handle moderator action request
+ * Permissions are enforced by the server, which answers with moderationResult
+ */
+async function handleModerate(event, { action, ...data }) {
+  try {
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return { success: false, error: "Unknown moderation action" };
+    }
+
+    if (!socketClient.emitModerationAction(action, data)) {
+      return { success: false, error: "Not connected" };
+    }
+    return { success: true };
+  } catch (error) {
+    logger.error(
+      "Failed to send moderation action",
+      sanitizeError({ error: error.message }),
+    );
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle reaction toggle request
+ */
+async function handleToggleReaction(event, { messageId, emoji }) {
+  try {
+    const user = robloxAuth.getCurrentUser();
+    if (!user) {
+      return { success: false, error: "Not authenticated" };
+    }
+
+    socketClient.emitToggleReaction(messageId, emoji);
+    return { success: true };
+  } catch (error) {
+    logger.error(
+      "Failed to toggle reaction",
+      sanitizeError({ error: error.message }),
+    );
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Handle socket retry request
  * Manually retry socket connection after persistent failure
@@ -1003,5 +2052,7 @@ module.exports = {
   setMainWindow,
   registerHandlers,
   setupDetectorEvents,
+  setupAuthEvents,
+  setupOutboxEvents,
   setupSocketEvents,
 };
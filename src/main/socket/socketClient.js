@@ -1,5 +1,6 @@
 const { io } = require("socket.io-client");
 const logger = require("../logging/logger");
+const tokenManager = require("../auth/tokenManager");
 const { sanitizeError } = require("../utils/sanitizer");
 
 /**
@@ -11,11 +12,16 @@ class SocketClient {
     this.socket = null;
     this.connected = false;
     this.currentRooms = new Set(); // Track joined rooms
+    this.roomPlaces = new Map(); // roomId -> placeId (server rooms only carry the jobId)
     this.BACKEND_URL =
       process.env.SERVER_URL || "https://ro-chat-zqks.onrender.com";
     this.onConnectedCallback = null; // Callback to execute after socket connects
     this.connectionAttempts = 0; // Track failed connection attempts
     this.maxConnectionAttempts = 3; // Stop detector after 3 failures
+    this.authToken = null; // idToken used for the current handshake
+
+    // Reconnect with the new idToken whenever it is rotated
+    tokenManager.onTokenRotated(() => this.handleTokenRotated());
   }
 
   /**
@@ -34,6 +40,16 @@ class SocketClient {
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
       reconnectionAttempts: Infinity,
+      // Evaluated on every (re)connect so a rotated idToken is always sent
+      auth: (cb) => {
+        tokenManager
+          .getValidToken()
+          .then((token) => {
+            this.authToken = token;
+            cb({ token });
+          })
+          .catch(() => cb({ token: null }));
+      },
     });
 
     this.socket.on("connect", () => {
@@ -56,6 +72,19 @@ class SocketClient {
     });
 
     this.socket.on("connect_error", (error) => {
+      // Handshake rejected by the server's auth middleware.
+      // Socket.io does not retry these on its own, so retry only with a new token.
+      if (error.data?.code === "AUTH_FAILED") {
+        this.handleAuthRejected(error);
+        return;
+      }
+
+      // Banned accounts are refused until the ban ends - retrying cannot help
+      if (error.data?.code === "BANNED") {
+        this.handleBanned(error.message);
+        return;
+      }
+
       this.connectionAttempts++;
       logger.error(
         "Socket connection error",
@@ -78,6 +107,69 @@ class SocketClient {
     this.socket.on("typingIndicator", (data) => {
       logger.info("Typing indicator received", { data });
     });
+
+    // A kicked socket must not rejoin the room on reconnect
+    this.socket.on("kicked", (data) => {
+      logger.warn("Kicked from room by a moderator");
+      this.currentRooms.delete(data?.roomId);
+    });
+
+    this.socket.on("banned", (data) => {
+      this.handleBanned(data?.reason);
+    });
+  }
+
+  /**
+   * Handle a global ban - stop detection and tell the renderer
+   */
+  handleBanned(reason) {
+    logger.warn("Account is banned", { reason });
+    this.currentRooms.clear();
+
+    const detector = require("../detection/detector");
+    if (detector.isRunning) {
+      detector.stop();
+    }
+
+    const { BrowserWindow } = require("electron");
+    const mainWindow = BrowserWindow.getAllWindows()[0];
+    if (mainWindow) {
+      mainWindow.webContents.send("moderation:banned", {
+        reason: reason || "You are banned from RoChat",
+      });
+    }
+  }
+
+  /**
+   * Handle a handshake rejected by server authentication
+   * Retries once with a fresh token, otherwise reports a persistent failure
+   */
+  async handleAuthRejected(error) {
+    logger.warn("Socket authentication rejected", { reason: error.message });
+
+    const freshToken = await tokenManager.getValidToken();
+    if (freshToken && freshToken !== this.authToken && this.socket) {
+      logger.info("Retrying socket connection with refreshed token");
+      this.socket.connect();
+      return;
+    }
+
+    this.handlePersistentFailure();
+  }
+
+  /**
+   * Handle idToken rotation
+   * The server binds identity at handshake, so the socket must reconnect to use the new token
+   */
+  async handleTokenRotated() {
+    if (!this.socket) return;
+
+    const token = await tokenManager.getValidToken();
+    if (!token || token === this.authToken) return;
+
+    logger.info("Auth token rotated, reconnecting socket");
+    this.socket.disconnect();
+    this.socket.connect();
   }
 
   /**
@@ -97,25 +189,56 @@ class SocketClient {
    * Join a room (server or global chat)
    */
   joinRoom(jobId, placeId) {
+    this.joinRooms([{ jobId, placeId }]);
+  }
+
+  /**
+   * Be in the server and global rooms of these servers ({ jobId, placeId }) and no others
+   * (one server per Roblox client followed). Rooms already joined are kept, except for
+   * the last server's - joined again so its roster, role and party location are fresh.
+   */
+  joinRooms(servers) {
+    const wanted = new Map();
+    for (const { jobId, placeId } of servers) {
+      wanted.set(`server:${jobId}`, placeId);
+      wanted.set(`global:${placeId}`, placeId);
+    }
+
     if (!this.socket || !this.connected) {
-      logger.warn("Cannot join room - socket not connected");
+      // Joined once connected (see rejoinRooms)
+      logger.warn("Socket not connected - joining room on connect");
+      this.currentRooms = new Set(wanted.keys());
+      this.roomPlaces = wanted;
       return;
     }
 
-    // Leave old rooms first
-    this.leaveAllRooms();
-
-    // Join both server and global rooms for current game
-    const serverRoom = `server:${jobId}`;
-    const globalRoom = `global:${placeId}`;
-
-    this.socket.emit("join-room", serverRoom);
-    this.socket.emit("join-room", globalRoom);
+    // Leave rooms of servers no longer followed
+    for (const roomId of this.currentRooms) {
+      if (!wanted.has(roomId)) {
+        this.socket.emit("leave-room", roomId);
+        this.currentRooms.delete(roomId);
+        this.roomPlaces.delete(roomId);
+      }
+    }
 
-    this.currentRooms.add(serverRoom);
-    this.currentRooms.add(globalRoom);
+    // The last server's rooms are joined last, so its server room sets the party location
+    const last = servers[servers.length - 1];
+    const refresh = new Set(
+      last ? [`server:${last.jobId}`, `global:${last.placeId}`] : [],
+    );
+    const order = [...wanted.keys()]
+      .filter((roomId) => !refresh.has(roomId))
+      .concat([...refresh]);
+
+    for (const roomId of order) {
+      if (this.currentRooms.has(roomId) && !refresh.has(roomId)) continue;
+
+      this.socket.emit("join-room", roomId, { placeId: wanted.get(roomId) });
+      this.currentRooms.add(roomId);
+      this.roomPlaces.set(roomId, wanted.get(roomId));
+    }
 
-    logger.info("Joined rooms");
+    logger.info("Joined rooms", { servers: servers.length });
   }
 
   /**
@@ -133,6 +256,7 @@ class SocketClient {
     }
 
     this.currentRooms.clear();
+    this.roomPlaces.clear();
   }
 
   /**
@@ -147,7 +271,9 @@ class SocketClient {
     logger.info("Rejoining rooms after reconnection");
 
     for (const roomId of rooms) {
-      this.socket.emit("join-room", roomId);
+      this.socket.emit("join-room", roomId, {
+        placeId: this.roomPlaces.get(roomId),
+      });
     }
   }
 
@@ -161,14 +287,13 @@ class SocketClient {
   /**
    * Emit typing indicator
    */
-  emitTyping(jobId, username, isTyping) {
+  emitTyping(jobId, isTyping) {
     if (!this.socket || !this.connected) {
       return;
     }
 
     this.socket.emit("notifyTyping", {
       jobId,
-      username,
       isTyping,
     });
   }
@@ -176,7 +301,7 @@ class SocketClient {
   /**
    * Emit edit message
    */
-  emitEditMessage(messageId, userId, newContent) {
+  emitEditMessage(messageId, newContent) {
     if (!this.socket || !this.connected) {
       logger.warn("Cannot edit message - socket not connected");
       return;
@@ -184,7 +309,6 @@ class SocketClient {
 
     this.socket.emit("editMessage", {
       messageId,
-      userId,
       newContent,
     });
   }
@@ -192,7 +316,7 @@ class SocketClient {
   /**
    * Emit delete message
    */
-  emitDeleteMessage(messageId, userId) {
+  emitDeleteMessage(messageId) {
     if (!this.socket || !this.connected) {
       logger.warn("Cannot delete message - socket not connected");
       return;
@@ -200,10 +324,37 @@ class SocketClient {
 
     this.socket.emit("deleteMessage", {
       messageId,
-      userId,
     });
   }
 
+  /**
+   * Emit reaction toggle
+   */
+  emitToggleReaction(messageId, emoji) {
+    if (!this.socket || !this.connected) {
+      logger.warn("Cannot react to message - socket not connected");
+      return;
+    }
+
+    this.socket.emit("toggleReaction", {
+      messageId,
+      emoji,
+    });
+  }
+
+  /**
+   * Emit a moderator action (muteUser, unmuteUser, kickUser, banUser)
+   */
+  emitModerationAction(action, data) {
+    if (!this.socket || !this.connected) {
+      logger.warn("Cannot moderate - socket not connected");
+      return false;
+    }
+
+    this.socket.emit(action, data);
+    return true;
+  }
+
   /**
    * Set callback to be called when socket connects
    * This is used to set up event listeners after socket is initialized
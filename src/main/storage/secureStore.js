@@ -26,6 +26,8 @@ function createStore() {
     defaults: {
       auth: null,
       logPosition: null,
+      blockList: [],
+      outbox: [],
     },
   });
 }
@@ -181,6 +183,65 @@ function clearLogPosition() {
   }
 }
 
+// Save the block list (server copy, kept for offline use)
+function saveBlockList(blockedUsers) {
+  try {
+    secureStore.set(
+      "blockList",
+      Array.isArray(blockedUsers) ? blockedUsers : [],
+    );
+    return true;
+  } catch (error) {
+    logger.error(
+      "Failed to save block list",
+      sanitizeError({ error: error.message }),
+    );
+    return false;
+  }
+}
+
+// Get the last synced block list
+function getBlockList() {
+  try {
+    const blockList = secureStore.get("blockList");
+    return Array.isArray(blockList) ? blockList : [];
+  } catch (error) {
+    logger.error(
+      "Failed to get block list",
+      sanitizeError({ error: error.message }),
+    );
+    return [];
+  }
+}
+
+// Save the queued outgoing messages
+function saveOutbox(entries) {
+  try {
+    secureStore.set("outbox", Array.isArray(entries) ? entries : []);
+    return true;
+  } catch (error) {
+    logger.error(
+      "Failed to save outbox",
+      sanitizeError({ error: error.message }),
+    );
+    return false;
+  }
+}
+
+// Get the queued outgoing messages
+function getOutbox() {
+  try {
+    const outbox = secureStore.get("outbox");
+    return Array.isArray(outbox) ? outbox : [];
+  } catch (error) {
+    logger.error(
+      "Failed to get outbox",
+      sanitizeError({ error: error.message }),
+    );
+    return [];
+  }
+}
+
 module.exports = {
   saveAuth,
   getAuth,
@@ -189,4 +250,8 @@ module.exports = {
   saveLogPosition,
   getLogPosition,
   clearLogPosition,
+  saveBlockList,
+  getBlockList,
+  saveOutbox,
+  getOutbox,
 };
@@ -128,6 +128,25 @@ contextBridge.exposeInMainWorld("electronAPI", {
       ipcRenderer.invoke("settings:setAutoHideHeader", enabled),
     setAutoHideFooter: (enabled) =>
       ipcRenderer.invoke("settings:setAutoHideFooter", enabled), // CSS FIX: IPC for footer visibility
+    setMentionNotifications: (enabled) =>
+      ipcRenderer.invoke("settings:setMentionNotifications", enabled),
+    setLogDirectory: (dir) =>
+      ipcRenderer.invoke("settings:setLogDirectory", dir),
+    chooseLogDirectory: () => ipcRenderer.invoke("settings:chooseLogDirectory"),
+    getPlatform: () => ipcRenderer.invoke("detection:getPlatform"),
+    setJoinAllSessions: (enabled) =>
+      ipcRenderer.invoke("settings:setJoinAllSessions", enabled),
+  },
+
+  // Block list (managed from settings)
+  blocks: {
+    list: () => ipcRenderer.invoke("blocks:list"),
+    unblock: (userId) => ipcRenderer.invoke("blocks:unblock", userId),
+    onUpdated: (callback) => {
+      const listener = (event, blockedUsers) => callback(blockedUsers);
+      ipcRenderer.on("blocks:updated", listener);
+      return () => ipcRenderer.removeListener("blocks:updated", listener);
+    },
   },
 
   // Shell methods
@@ -148,8 +167,23 @@ contextBridge.exposeInMainWorld("electron", {
   // Chat methods
   sendMessage: (data) => ipcRenderer.invoke("chat:send", data),
   loadHistory: (data) => ipcRenderer.invoke("chat:history", data),
+  searchMessages: (data) => ipcRenderer.invoke("chat:search", data),
+  exportChat: (session) => ipcRenderer.invoke("chat:export", session),
   emitTyping: (data) => ipcRenderer.invoke("chat:emitTyping", data),
 
+  // Outbox (messages waiting to be delivered)
+  listOutbox: () => ipcRenderer.invoke("outbox:list"),
+  retryOutboxMessage: (clientKey) =>
+    ipcRenderer.invoke("outbox:retry", clientKey),
+  discardOutboxMessage: (clientKey) =>
+    ipcRenderer.invoke("outbox:discard", clientKey),
+
+  onOutboxUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("outbox:updated", listener);
+    return () => ipcRenderer.removeListener("outbox:updated", listener);
+  },
+
   // Event listeners
   onServerChanged: (callback) => {
     const listener = (event, serverInfo) => callback(serverInfo);
@@ -171,6 +205,12 @@ contextBridge.exposeInMainWorld("electron", {
     ipcRenderer.on("socket:message", listener);
     return () => ipcRenderer.removeListener("socket:message", listener);
   },
+
+  onSocketConnected: (callback) => {
+    const listener = () => callback();
+    ipcRenderer.on("socket:connected", listener);
+    return () => ipcRenderer.removeListener("socket:connected", listener);
+  },
   editMessage: (data) => ipcRenderer.invoke("chat:editMessage", data),
   deleteMessage: (data) => ipcRenderer.invoke("chat:deleteMessage", data),
 
@@ -186,6 +226,145 @@ contextBridge.exposeInMainWorld("electron", {
     return () => ipcRenderer.removeListener("socket:messageDeleted", listener);
   },
 
+  toggleReaction: (data) => ipcRenderer.invoke("chat:toggleReaction", data),
+  reportMessage: (data) => ipcRenderer.invoke("chat:report", data),
+
+  onMessageReactionsUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:messageReactionsUpdated", listener);
+    return () =>
+      ipcRenderer.removeListener("socket:messageReactionsUpdated", listener);
+  },
+
+  onReactionError: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:reactionError", listener);
+    return () => ipcRenderer.removeListener("socket:reactionError", listener);
+  },
+
+  onPresenceSnapshot: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:presenceSnapshot", listener);
+    return () =>
+      ipcRenderer.removeListener("socket:presenceSnapshot", listener);
+  },
+
+  onPresenceJoined: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:presenceJoined", listener);
+    return () => ipcRenderer.removeListener("socket:presenceJoined", listener);
+  },
+
+  onPresenceLeft: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:presenceLeft", listener);
+    return () => ipcRenderer.removeListener("socket:presenceLeft", listener);
+  },
+
+  moderate: (data) => ipcRenderer.invoke("chat:moderate", data),
+
+  onRoomRole: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:roomRole", listener);
+    return () => ipcRenderer.removeListener("socket:roomRole", listener);
+  },
+
+  onRoomJoinRejected: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:roomJoinRejected", listener);
+    return () =>
+      ipcRenderer.removeListener("socket:roomJoinRejected", listener);
+  },
+
+  onModerationResult: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:moderationResult", listener);
+    return () =>
+      ipcRenderer.removeListener("socket:moderationResult", listener);
+  },
+
+  onModerationNotice: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:moderationNotice", listener);
+    return () =>
+      ipcRenderer.removeListener("socket:moderationNotice", listener);
+  },
+
+  onKicked: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:kicked", listener);
+    return () => ipcRenderer.removeListener("socket:kicked", listener);
+  },
+
+  onBanned: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("moderation:banned", listener);
+    return () => ipcRenderer.removeListener("moderation:banned", listener);
+  },
+
+  getBlockList: () => ipcRenderer.invoke("blocks:list"),
+  blockUser: (data) => ipcRenderer.invoke("blocks:block", data),
+
+  onBlockListUpdated: (callback) => {
+    const listener = (event, blockedUsers) => callback(blockedUsers);
+    ipcRenderer.on("blocks:updated", listener);
+    return () => ipcRenderer.removeListener("blocks:updated", listener);
+  },
+
+  listConversations: () => ipcRenderer.invoke("dm:list"),
+  sendDirectMessage: (data) => ipcRenderer.invoke("dm:send", data),
+  loadDirectMessages: (data) => ipcRenderer.invoke("dm:history", data),
+  markConversationRead: (userId) => ipcRenderer.invoke("dm:markRead", userId),
+
+  onDirectMessage: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:directMessage", listener);
+    return () => ipcRenderer.removeListener("socket:directMessage", listener);
+  },
+
+  getParty: () => ipcRenderer.invoke("party:get"),
+  createParty: (name) => ipcRenderer.invoke("party:create", name),
+  inviteToParty: (username) => ipcRenderer.invoke("party:invite", username),
+  respondToPartyInvite: (data) => ipcRenderer.invoke("party:respond", data),
+  leaveParty: () => ipcRenderer.invoke("party:leave"),
+  removePartyMember: (userId) =>
+    ipcRenderer.invoke("party:removeMember", userId),
+  copyJoinLink: (data) => ipcRenderer.invoke("party:copyJoinLink", data),
+
+  onPartyUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:partyUpdated", listener);
+    return () => ipcRenderer.removeListener("socket:partyUpdated", listener);
+  },
+
+  onPartyInvite: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:partyInvite", listener);
+    return () => ipcRenderer.removeListener("socket:partyInvite", listener);
+  },
+
+  onPartyMemberLocation: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("socket:partyMemberLocation", listener);
+    return () =>
+      ipcRenderer.removeListener("socket:partyMemberLocation", listener);
+  },
+
+  getGameInfo: (placeId) =>
+    ipcRenderer.invoke("detection:getGameInfo", placeId),
+
+  // Roblox clients running at once (one session each)
+  getSessions: () => ipcRenderer.invoke("detection:getSessions"),
+  selectSession: (sessionId) =>
+    ipcRenderer.invoke("detection:selectSession", sessionId),
+
+  onSessionsChanged: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on("detection:sessionsChanged", listener);
+    return () =>
+      ipcRenderer.removeListener("detection:sessionsChanged", listener);
+  },
+
   startDetection: () => ipcRenderer.invoke("detection:start"),
   stopDetection: () => ipcRenderer.invoke("detection:stop"),
 
@@ -1,10 +1,15 @@
-// Chat UI logic for RoChat - Updated with Server/Global tabs
+// Chat UI logic for RoChat - Server/Global/Party room tabs and a DMs tab
 
 class ChatManager {
   constructor() {
     this.editingMessageId = null;
     this.editingOriginalMessage = null;
-    this.messages = { server: [], global: [] };
+    this.replyingTo = null; // Message being replied to (active tab only)
+    this.messages = { server: [], global: [], party: [], dm: [] }; // dm: open conversation
+    // Highest sequence number seen in each room tab (gaps mean missed messages)
+    this.lastSeq = { server: 0, global: 0, party: 0 };
+    // Where messages fetched after a reconnect start: { messageId, count } per tab
+    this.missedDivider = { server: null, global: null, party: null };
     this.messageInput = null;
     this.sendButton = null;
     this.messagesContainer = null;
@@ -12,9 +17,27 @@ class ChatManager {
     this.gameNameDisplay = null;
     this.currentJobId = null;
     this.currentPlaceId = null;
-    this.activeTab = "server"; // 'server' or 'global'
+    this.currentServer = null; // Latest serverInfo from the detector (serverType, universeId...)
+    this.currentGame = null; // { placeId, universeId, name, creator, iconUrl } once looked up
+    this.activeTab = "server"; // 'server', 'global', 'party' or 'dm'
+    // Tabs backed by a chat room (messages, presence, reactions...)
+    this.ROOM_TABS = ["server", "global", "party"];
     this.isInitialized = false;
-    this.MAX_MESSAGES = 50;
+    this.MAX_MESSAGES = 50; // Kept per tab while following the chat at the bottom
+    this.MAX_LOADED_MESSAGES = 1000; // Kept per tab at most, however far back the user scrolls
+    // Older pages of each room tab loaded by scrolling up
+    this.history = {
+      server: { hasMore: false, loading: false },
+      global: { hasMore: false, loading: false },
+      party: { hasMore: false, loading: false },
+    };
+    // Messages further than this off-screen are emptied (their height is kept)
+    this.VIRTUALIZE_MARGIN_PX = 1500;
+    this.virtualizer = null;
+    this.renderedMessages = new WeakMap(); // element -> message
+    this.messageElements = new WeakMap(); // message -> element
+    // Must match ALLOWED_REACTIONS on the server
+    this.REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🔥"];
     this.serverWakeupWarningShown = false;
     this.SLOW_REQUEST_THRESHOLD = 3000; // 3 seconds
     this.cooldownTimer = null;
@@ -27,6 +50,39 @@ class ChatManager {
     this.connectCooldownTimer = null;
     this.connectCooldownEndTime = null;
     this.CONNECT_COOLDOWN_SECONDS = 10;
+    // Room rosters per tab: Map<userId, member> (party: members with their location)
+    this.presence = { server: new Map(), global: new Map(), party: new Map() };
+    // Blocked user IDs (the list itself lives in the main process)
+    this.blockedUserIds = new Set();
+    // Local temporary mutes: Map<userId, mutedUntil>
+    this.mutedUsers = new Map();
+    this.muteTimers = new Map();
+    this.MUTE_DURATIONS = [5, 15, 60, 1440]; // minutes
+    // Direct message conversations ({ conversationId, user, unreadCount, lastMessage })
+    this.conversations = [];
+    this.openConversation = null; // Other user ({ userId, username }) while a conversation is open
+    this.dmHasMore = false;
+    // Room search of the active tab ({ chatType, query, results, hasMore, loading })
+    this.search = null;
+    // Pages of older messages loaded at most to reach a search result
+    this.MAX_JUMP_PAGES = 20;
+    // Party we are in ({ partyId, name, ownerId, members, invites }) and invites to other parties
+    this.party = null;
+    this.partyInvites = [];
+    // Roblox clients running at once (see detector sessions) - the server tab follows one
+    this.sessions = [];
+    this.sessionUnread = new Map(); // jobId -> messages in that client's server not seen
+    this.sessionGameNames = new Map(); // placeId -> game name shown in the switcher
+    // Our role in each tab's room - moderators get extra message actions
+    this.roomRoles = { server: "user", global: "user", party: "user" };
+    // Must match REPORT_REASONS on the server
+    this.REPORT_REASONS = [
+      { value: "spam", label: "Spam" },
+      { value: "harassment", label: "Harassment" },
+      { value: "hate", label: "Hate speech" },
+      { value: "inappropriate", label: "Inappropriate" },
+      { value: "other", label: "Other" },
+    ];
   }
 
   /**
@@ -40,7 +96,7 @@ class ChatManager {
     this.sendButton = document.getElementById("send-btn");
     this.messagesContainer = document.getElementById("chat-messages");
     this.jobIdDisplay = document.getElementById("server-text");
-    this.gameNameDisplay = document.getElementById("user-name");
+    this.gameNameDisplay = document.getElementById("game-name");
 
     // Get current user ID
     await this.loadCurrentUserId();
@@ -54,12 +110,41 @@ class ChatManager {
     // Listen for server detection changes
     this.setupServerListener();
 
+    // Switch between Roblox clients when several run
+    this.setupSessionSwitcher();
+
     // Setup typing indicator listeners
     this.setupTypingListener();
 
     // Setup message update listeners
     this.setupMessageUpdateListeners();
 
+    // Setup scrolling back through history
+    this.setupHistoryScroll();
+
+    // Setup room search in the header
+    this.setupSearch();
+
+    // Setup member panel and presence listeners
+    this.setupMemberPanel();
+    this.setupPresenceListeners();
+
+    // Setup block list and local mutes
+    this.loadMutedUsers();
+    this.setupBlockListListeners();
+
+    // Setup moderation listeners (roles, notices, kicks, bans)
+    this.setupModerationListeners();
+
+    // Setup direct messages (unread counts show on the DMs tab)
+    this.setupDirectMessageListeners();
+
+    // Setup party (members, locations and invites)
+    this.setupPartyListeners();
+
+    // Setup outbox (delivery of messages sent while offline)
+    this.setupOutboxListeners();
+
     // Apply message opacity from settings
     this.applyMessageOpacity();
 
@@ -146,36 +231,53 @@ class ChatManager {
    */
   createTabUI() {
     // Tab HTML is already in index.html, just setup click handlers
-    const serverTab = document.getElementById("tab-server");
-    const globalTab = document.getElementById("tab-global");
-
-    if (serverTab) {
-      serverTab.onclick = () => this.switchTab("server");
-    }
-
-    if (globalTab) {
-      globalTab.onclick = () => this.switchTab("global");
-    }
+    [...this.ROOM_TABS, "dm"].forEach((tab) => {
+      const tabEl = document.getElementById(`tab-${tab}`);
+      if (tabEl) {
+        tabEl.onclick = () => this.switchTab(tab);
+      }
+    });
   }
 
   /**
-   * Switch between Server and Global tabs
+   * Switch between Server, Global, Party and DMs tabs
    */
   switchTab(tab) {
     if (this.activeTab === tab) return;
 
     this.activeTab = tab;
 
-    // Update tab buttons
-    document.getElementById("tab-server").className =
-      tab === "server" ? "chat-tab active" : "chat-tab";
-    document.getElementById("tab-global").className =
-      tab === "global" ? "chat-tab active" : "chat-tab";
+    // Reply targets and search results belong to the previous tab's room
+    this.cancelReply();
+    this.closeSearch();
+
+    // Update tab buttons (opening a tab clears its mention flash)
+    [...this.ROOM_TABS, "dm"].forEach((name) => {
+      const tabEl = document.getElementById(`tab-${name}`);
+      if (tabEl) {
+        tabEl.classList.toggle("active", name === tab);
+      }
+    });
+    document.getElementById(`tab-${tab}`)?.classList.remove("has-mention");
+    if (tab === "party") {
+      document.getElementById("tab-party")?.classList.remove("has-unread");
+    }
+
+    // Conversations may have changed while the tab was closed
+    if (tab === "dm") {
+      this.loadConversations();
+      if (this.openConversation) {
+        this.markConversationRead(this.openConversation.userId);
+      }
+    }
 
     // Clear typing indicators when switching tabs
     this.typingUsers.clear();
     this.updateTypingIndicator();
 
+    // Show the roster for the new tab
+    this.renderMemberPanel();
+
     // Render messages for active tab
     this.renderAllMessages();
 
@@ -224,6 +326,12 @@ class ChatManager {
       btnSettings.addEventListener("click", () => this.showSettings());
     }
 
+    // Export button (saves the active tab's loaded history)
+    const exportBtn = document.getElementById("export-btn");
+    if (exportBtn) {
+      exportBtn.addEventListener("click", () => this.exportChat());
+    }
+
     // History feature removed - users only see messages sent after they join
     // const btnHistory = document.getElementById('btnHistory');
     // if (btnHistory) {
@@ -358,6 +466,101 @@ class ChatManager {
     }
   }
 
+  /**
+   * Setup the session switcher in the header (shown while several Roblox clients run)
+   */
+  setupSessionSwitcher() {
+    const select = document.getElementById("session-select");
+    if (!select || !window.electron?.getSessions) return;
+
+    select.addEventListener("change", async () => {
+      const result = await window.electron.selectSession(Number(select.value));
+      if (!result?.success) {
+        this.showErrorMessage(result?.error || "Failed to switch client");
+        this.renderSessions();
+      }
+    });
+
+    window.electron.onSessionsChanged((data) => {
+      this.sessions = data?.sessions || [];
+      this.renderSessions();
+    });
+
+    window.electron.getSessions().then((result) => {
+      if (result?.success) {
+        this.sessions = result.sessions;
+        this.renderSessions();
+      }
+    });
+  }
+
+  /**
+   * Show the running clients in the session switcher
+   */
+  renderSessions() {
+    const select = document.getElementById("session-select");
+    if (!select) return;
+
+    select.classList.toggle("hidden", this.sessions.length < 2);
+    select.innerHTML = "";
+
+    this.sessions.forEach((session, index) => {
+      const jobId = session.server?.jobId;
+      // The followed client's messages are on screen
+      if (session.followed && jobId) {
+        this.sessionUnread.delete(jobId);
+      }
+
+      const placeId = session.server?.placeId;
+      if (placeId && !this.sessionGameNames.has(placeId)) {
+        this.loadSessionGameName(placeId);
+      }
+
+      let label = `Client ${index + 1}: `;
+      label += placeId
+        ? this.sessionGameNames.get(placeId) || "In game"
+        : "Not in a game";
+      const unread = (jobId && this.sessionUnread.get(jobId)) || 0;
+      if (unread > 0) {
+        label += ` (${unread} new)`;
+      }
+
+      const option = document.createElement("option");
+      option.value = String(session.id);
+      option.textContent = label;
+      option.selected = session.followed;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Look up the game name of a client's server for the session switcher
+   */
+  async loadSessionGameName(placeId) {
+    // Only looked up once, even while the lookup runs
+    this.sessionGameNames.set(placeId, null);
+
+    const result = await window.electron.getGameInfo(placeId);
+    if (result?.success && result.game?.name) {
+      this.sessionGameNames.set(placeId, result.game.name);
+      this.renderSessions();
+    }
+  }
+
+  /**
+   * Check if a room message belongs to the followed client's server
+   * (with every client's server joined, messages of the others arrive too)
+   */
+  isFollowedRoomMessage(data) {
+    if (data.chatType === "server" && data.jobId) {
+      return data.jobId === this.currentJobId;
+    }
+    if (data.chatType === "global" && data.placeId) {
+      return String(data.placeId) === String(this.currentPlaceId);
+    }
+    return true;
+  }
+
   /**
    * Setup typing indicator listener
    */
@@ -379,6 +582,13 @@ class ChatManager {
       });
     }
 
+    // Messages broadcast while the socket was down are fetched by sequence number
+    if (window.electron && window.electron.onSocketConnected) {
+      window.electron.onSocketConnected(() => {
+        this.catchUpAfterReconnect();
+      });
+    }
+
     // Add edit/delete listeners
     if (window.electron && window.electron.onMessageEdited) {
       window.electron.onMessageEdited((data) => {
@@ -391,346 +601,1069 @@ class ChatManager {
         this.handleMessageDeleted(data);
       });
     }
-  }
 
-  handleIncomingMessage(data) {
-    const chatType = data.chatType || this.activeTab;
+    if (window.electron && window.electron.onMessageReactionsUpdated) {
+      window.electron.onMessageReactionsUpdated((data) => {
+        this.handleReactionsUpdated(data);
+      });
+    }
 
-    // Check if this is our own message (deduplication)
-    if (parseInt(data.userId) === this.userId) {
-      const messages = this.messages[chatType];
+    if (window.electron && window.electron.onReactionError) {
+      window.electron.onReactionError((data) => {
+        this.showErrorMessage(data?.error || "Failed to update reaction");
+      });
+    }
+  }
 
-      // Find ANY pending optimistic message (no messageId yet) with matching content
-      // Normalize whitespace to match server sanitization
-      const normalizedIncoming = data.message.replace(/\s+/g, " ").trim();
+  /**
+   * Setup presence listeners (room roster snapshot and deltas)
+   */
+  setupPresenceListeners() {
+    if (window.electron && window.electron.onPresenceSnapshot) {
+      window.electron.onPresenceSnapshot((data) => {
+        this.handlePresenceSnapshot(data);
+      });
+    }
 
-      const pendingIndex = messages.findIndex(
-        (m) =>
-          !m.messageId &&
-          m.userId === this.userId &&
-          m.message.replace(/\s+/g, " ").trim() === normalizedIncoming,
-      );
+    if (window.electron && window.electron.onPresenceJoined) {
+      window.electron.onPresenceJoined((data) => {
+        this.handlePresenceJoined(data);
+      });
+    }
 
-      if (pendingIndex !== -1) {
-        console.log("📝 Updating optimistic message with server data");
-        messages[pendingIndex].messageId = data.messageId;
-        messages[pendingIndex].timestamp = new Date(data.timestamp).getTime();
+    if (window.electron && window.electron.onPresenceLeft) {
+      window.electron.onPresenceLeft((data) => {
+        this.handlePresenceLeft(data);
+      });
+    }
+  }
 
-        if (chatType === this.activeTab) {
-          this.renderAllMessages();
-        }
-        return;
-      }
+  /**
+   * Get the tab a room belongs to, or null for rooms we are no longer in
+   */
+  getTabForRoom(roomId) {
+    if (this.currentJobId && roomId === `server:${this.currentJobId}`) {
+      return "server";
+    }
+    if (this.currentPlaceId && roomId === `global:${this.currentPlaceId}`) {
+      return "global";
+    }
+    if (this.party && roomId === `party:${this.party.partyId}`) {
+      return "party";
     }
+    return null;
+  }
 
-    // Not our message or no matching optimistic message - add normally
-    this.addMessage({
-      messageId: data.messageId,
-      userId: data.userId,
-      username: data.username,
-      displayName: data.displayName,
-      picture: data.picture,
-      message: data.message,
-      timestamp: new Date(data.timestamp).getTime(),
-      isLocal: false,
-      chatType: chatType,
-    });
+  /**
+   * Replace a tab's roster with the server's snapshot
+   */
+  handlePresenceSnapshot(data) {
+    const tab = this.getTabForRoom(data?.roomId);
+    if (!tab || !Array.isArray(data.members)) return;
+
+    this.presence[tab] = new Map(
+      data.members.map((member) => [String(member.userId), member]),
+    );
+    this.updatePresenceUI();
   }
 
   /**
-   * Handle typing indicator from server
+   * Add a user who joined one of our rooms
    */
-  handleTypingIndicator(data) {
-    const { typingUsers } = data;
+  handlePresenceJoined(data) {
+    const tab = this.getTabForRoom(data?.roomId);
+    if (!tab || !data.member) return;
 
-    if (!Array.isArray(typingUsers)) return;
+    this.presence[tab].set(String(data.member.userId), data.member);
+    this.updatePresenceUI();
+  }
 
-    // Update typing users set with server's list
-    this.typingUsers.clear();
+  /**
+   * Remove a user who left one of our rooms
+   */
+  handlePresenceLeft(data) {
+    const tab = this.getTabForRoom(data?.roomId);
+    if (!tab) return;
 
-    // Filter out current user from typing list
-    const currentUser = this.userId;
-    typingUsers.forEach((username) => {
-      if (username !== currentUser) {
-        this.typingUsers.add(username);
-      }
-    });
+    this.presence[tab].delete(String(data.userId));
+    this.updatePresenceUI();
+  }
 
-    this.updateTypingIndicator();
+  /**
+   * Clear all rosters (server changed or disconnected)
+   */
+  clearPresence() {
+    // The party roster follows the party, not the game
+    this.presence = {
+      server: new Map(),
+      global: new Map(),
+      party: this.presence.party,
+    };
+    this.updatePresenceUI();
   }
 
   /**
-   * Handle user typing in input field
+   * Setup the search box: opened from the header, Enter searches, Escape closes
    */
-  handleTyping() {
-    if (!this.currentJobId && !this.currentPlaceId) return;
+  setupSearch() {
+    const searchBtn = document.getElementById("search-btn");
+    const closeBtn = document.getElementById("search-close-btn");
+    const input = document.getElementById("search-input");
+    if (!searchBtn || !input) return;
+
+    searchBtn.addEventListener("click", () => {
+      const panel = document.getElementById("search-panel");
+      if (panel && !panel.classList.contains("hidden")) {
+        this.closeSearch();
+      } else {
+        this.openSearch();
+      }
+    });
+    closeBtn?.addEventListener("click", () => this.closeSearch());
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.runSearch(input.value.trim());
+      } else if (e.key === "Escape") {
+        this.closeSearch();
+      }
+    });
+  }
 
-    if (!this.currentlyTyping) {
-      this.currentlyTyping = true;
-      this.emitTypingStatus(true);
+  /**
+   * Show the search box (room tabs only)
+   */
+  openSearch() {
+    if (!this.ROOM_TABS.includes(this.activeTab)) {
+      this.showErrorMessage("Search is available in room tabs");
+      return;
     }
 
-    if (this.typingTimeout) {
-      clearTimeout(this.typingTimeout);
-    }
+    document.getElementById("search-panel")?.classList.remove("hidden");
+    document.getElementById("search-input")?.focus();
+  }
 
-    this.typingTimeout = setTimeout(() => {
-      this.currentlyTyping = false;
-      this.emitTypingStatus(false);
-    }, 2000);
+  /**
+   * Hide the search box and forget its results
+   */
+  closeSearch() {
+    this.search = null;
+    document.getElementById("search-panel")?.classList.add("hidden");
+
+    const input = document.getElementById("search-input");
+    if (input) input.value = "";
+    const resultsEl = document.getElementById("search-results");
+    if (resultsEl) resultsEl.innerHTML = "";
   }
 
   /**
-   * Emit typing status to server
+   * Search the active room tab (a new query, or the next page of the current one)
    */
-  async emitTypingStatus(isTyping) {
+  async runSearch(query, nextPage = false) {
+    const chatType = this.activeTab;
+    if (
+      !this.ROOM_TABS.includes(chatType) ||
+      !window.electron?.searchMessages
+    ) {
+      return;
+    }
+    if (query.length < 2) {
+      this.showErrorMessage("Type at least 2 characters to search");
+      return;
+    }
+
+    const previous = nextPage ? this.search : null;
+    const last = previous?.results[previous.results.length - 1];
+    const search = {
+      chatType,
+      query,
+      results: previous ? previous.results : [],
+      hasMore: false,
+      loading: true,
+    };
+    this.search = search;
+    this.renderSearchResults();
+
     try {
-      const currentUser = await this.getCurrentUser();
-      if (!currentUser) return;
+      const result = await window.electron.searchMessages({
+        jobId: this.currentJobId,
+        placeId: this.currentPlaceId,
+        partyId: this.party?.partyId,
+        chatType,
+        q: query,
+        before: last ? last.timestamp : undefined,
+      });
 
-      // Only emit typing for server tab (global tab not supported by server)
-      if (this.activeTab !== "server" || !this.currentJobId) return;
+      // A newer search (or closing the box) replaced this one
+      if (this.search !== search) return;
 
-      if (window.electron && window.electron.emitTyping) {
-        await window.electron.emitTyping({
-          jobId: this.currentJobId,
-          username: currentUser.username,
-          isTyping,
-        });
+      if (!result.success) {
+        this.showErrorMessage(result.error || "Search failed");
+      } else {
+        search.results = [...search.results, ...result.results];
+        search.hasMore = result.hasMore;
       }
     } catch (error) {
-      console.error("Failed to emit typing status:", error);
+      console.error("Failed to search messages:", error);
+      this.showErrorMessage("Search failed");
+    }
+
+    search.loading = false;
+    if (this.search === search) {
+      this.renderSearchResults();
     }
   }
 
   /**
-   * Update typing indicator display
+   * Render the results of the current search
    */
-  updateTypingIndicator() {
-    let typingIndicator = document.getElementById("typing-indicator");
-
-    if (this.typingUsers.size === 0) {
-      if (typingIndicator) {
-        typingIndicator.remove();
-      }
-      return;
-    }
+  renderSearchResults() {
+    const resultsEl = document.getElementById("search-results");
+    if (!resultsEl) return;
+    resultsEl.innerHTML = "";
+
+    const search = this.search;
+    if (!search) return;
+
+    search.results.forEach((result) => {
+      const itemEl = document.createElement("button");
+      itemEl.className = "search-result";
+      itemEl.onclick = () => this.jumpToMessage(search.chatType, result);
+
+      const headerEl = document.createElement("div");
+      headerEl.className = "search-result-header";
+
+      const nameEl = document.createElement("span");
+      nameEl.className = "search-result-name";
+      nameEl.textContent = result.username;
+
+      const timeEl = document.createElement("span");
+      timeEl.className = "search-result-time";
+      timeEl.textContent = new Date(result.timestamp).toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
 
-    if (!typingIndicator) {
-      typingIndicator = document.createElement("div");
-      typingIndicator.id = "typing-indicator";
-      typingIndicator.className = "typing-indicator";
+      headerEl.appendChild(nameEl);
+      headerEl.appendChild(timeEl);
 
-      const chatContainer = document.querySelector(".chat-container");
-      const messagesContainer = document.getElementById("chat-messages");
-      if (chatContainer && messagesContainer) {
-        chatContainer.insertBefore(
-          typingIndicator,
-          messagesContainer.nextSibling,
-        );
-      }
-    }
+      const textEl = document.createElement("div");
+      textEl.className = "search-result-text";
+      this.renderHighlightedText(textEl, result.message, result.highlights);
 
-    const userArray = Array.from(this.typingUsers);
-    let text = "";
+      itemEl.appendChild(headerEl);
+      itemEl.appendChild(textEl);
+      resultsEl.appendChild(itemEl);
+    });
 
-    if (userArray.length === 1) {
-      text = `${userArray[0]} is typing...`;
-    } else if (userArray.length === 2) {
-      text = `${userArray[0]} and ${userArray[1]} are typing...`;
-    } else {
-      text = `${userArray[0]} and ${userArray.length - 1} others are typing...`;
+    if (search.loading) {
+      const loadingEl = document.createElement("div");
+      loadingEl.className = "search-status";
+      loadingEl.textContent = "Searching...";
+      resultsEl.appendChild(loadingEl);
+    } else if (search.results.length === 0) {
+      const emptyEl = document.createElement("div");
+      emptyEl.className = "search-status";
+      emptyEl.textContent = "No messages found";
+      resultsEl.appendChild(emptyEl);
+    } else if (search.hasMore) {
+      const moreBtn = document.createElement("button");
+      moreBtn.className = "search-more-btn";
+      moreBtn.textContent = "More results";
+      moreBtn.onclick = () => this.runSearch(search.query, true);
+      resultsEl.appendChild(moreBtn);
     }
+  }
 
-    typingIndicator.textContent = text;
+  /**
+   * Fill an element with text, wrapping the highlighted ranges in <mark>
+   */
+  renderHighlightedText(element, text, highlights) {
+    let position = 0;
+    (highlights || []).forEach(({ start, end }) => {
+      if (start < position || end > text.length) return;
+
+      element.appendChild(document.createTextNode(text.slice(position, start)));
+      const markEl = document.createElement("mark");
+      markEl.textContent = text.slice(start, end);
+      element.appendChild(markEl);
+      position = end;
+    });
+    element.appendChild(document.createTextNode(text.slice(position)));
   }
 
   /**
-   * Handle server change event
+   * Export the active tab's loaded history to a file (JSON, HTML or text)
    */
-  handleServerChanged(serverInfo) {
-    if (!serverInfo) {
-      // No server detected
-      this.currentJobId = null;
-      this.currentPlaceId = null;
-      this.updateJobIdDisplay("Detecting...");
-      this.clearMessages();
-      this.addSystemMessage("Waiting for Roblox game...", "server");
-      this.addSystemMessage("Waiting for Roblox game...", "global");
+  async exportChat() {
+    if (!window.electron?.exportChat) return;
+
+    const chatType = this.activeTab;
+    const messages = this.messages[chatType] || [];
+    if (messages.filter((m) => !m.isRejected).length === 0) {
+      this.showErrorMessage("There are no messages to export");
       return;
     }
 
-    // Server detected
-    const { placeId, jobId } = serverInfo;
-    const isServerChange = this.currentJobId && this.currentJobId !== jobId;
+    try {
+      const result = await window.electron.exportChat({
+        chatType,
+        placeId: this.currentPlaceId,
+        gameName:
+          chatType === "server" || chatType === "global"
+            ? this.currentGame?.name
+            : null,
+        jobId: this.currentJobId,
+        partyId: chatType === "party" ? this.party?.partyId : null,
+        conversationWith:
+          chatType === "dm" ? this.openConversation?.username : null,
+        messages: messages.map((m) => ({
+          messageId: m.messageId,
+          seq: m.seq,
+          userId: m.userId,
+          username: m.username,
+          displayName: m.displayName,
+          message: m.message,
+          timestamp: m.timestamp,
+          editedAt: m.editedAt,
+          deletedAt: m.deletedAt,
+          replyTo: m.replyTo,
+          status: m.status,
+          isRejected: m.isRejected,
+        })),
+      });
 
-    this.currentJobId = jobId;
-    this.currentPlaceId = placeId;
+      if (result.success) {
+        this.addSystemMessage(`Chat exported to ${result.filePath}`);
+      } else if (!result.canceled) {
+        this.showErrorMessage(result.error || "Failed to export chat");
+      }
+    } catch (error) {
+      console.error("Failed to export chat:", error);
+      this.showErrorMessage("Failed to export chat");
+    }
+  }
 
-    // Clear typing indicators on server change
-    this.typingUsers.clear();
-    this.updateTypingIndicator();
+  /**
+   * Scroll to a message of a room tab, loading older history until it is reached
+   */
+  async jumpToMessage(chatType, result) {
+    if (this.activeTab !== chatType) return;
 
-    // Update UI
-    this.updateJobIdDisplay(jobId);
-    this.clearMessages();
+    const isLoaded = () =>
+      this.messages[chatType].some((m) => m.messageId === result.messageId);
 
-    // Show server spinoff warning if switching servers
-    if (isServerChange) {
-      this.addSystemMessage(
-        `⚠️ Server changed. Loading messages may take a moment...`,
-        "server",
-      );
-    } else {
-      this.addSystemMessage(`Connected to server!`, "server");
-    }
+    for (let page = 0; page < this.MAX_JUMP_PAGES && !isLoaded(); page++) {
+      const oldest = this.messages[chatType].find((m) => m.messageId);
+      if (!oldest || !this.history[chatType].hasMore) break;
+      if (oldest.timestamp < new Date(result.timestamp).getTime()) break;
 
-    this.addSystemMessage(`Connected to game!`, "global");
+      const count = this.messages[chatType].length;
+      await this.loadOlderMessages(chatType);
+      if (this.messages[chatType].length === count) break;
+    }
 
-    // No history loading - users only see messages sent after they join
+    if (!isLoaded()) {
+      this.showErrorMessage("That message is no longer available");
+      return;
+    }
 
-    console.log("Server changed:", { placeId, jobId, isServerChange });
+    this.scrollToMessage(result.messageId);
   }
 
   /**
-   * Update status display
+   * Setup member panel collapse toggle (collapsed state is remembered)
    */
-  updateJobIdDisplay(jobId) {
-    if (this.jobIdDisplay) {
-      const statusDot = document.getElementById("status-dot");
+  setupMemberPanel() {
+    const panel = document.getElementById("member-panel");
+    const toggle = document.getElementById("member-panel-toggle");
+    if (!panel || !toggle) return;
+
+    const collapsed =
+      localStorage.getItem("member-panel-collapsed") !== "false";
+    panel.classList.toggle("collapsed", collapsed);
+
+    toggle.addEventListener("click", () => {
+      const isCollapsed = panel.classList.toggle("collapsed");
+      localStorage.setItem("member-panel-collapsed", String(isCollapsed));
+    });
 
-      if (jobId === "Detecting...") {
-        this.jobIdDisplay.textContent = "Not connected";
-        if (statusDot) statusDot.className = "status-dot";
-      } else {
-        this.jobIdDisplay.textContent = "Connected";
-        if (statusDot) statusDot.className = "status-dot connected";
+    this.updatePresenceUI();
+  }
+
+  /**
+   * Update tab member counts and the member panel
+   */
+  updatePresenceUI() {
+    this.ROOM_TABS.forEach((tab) => {
+      const countEl = document.getElementById(`tab-${tab}-count`);
+      if (countEl) {
+        const count = this.presence[tab].size;
+        countEl.textContent = count > 0 ? `(${count})` : "";
       }
+    });
+
+    this.renderMemberPanel();
+  }
+
+  /**
+   * Render the roster for the active tab
+   */
+  renderMemberPanel() {
+    const panel = document.getElementById("member-panel");
+    const titleEl = document.getElementById("member-panel-title");
+    const listEl = document.getElementById("member-list");
+    if (!titleEl || !listEl) return;
+
+    // DMs have no room roster
+    const roster = this.presence[this.activeTab];
+    if (panel) {
+      panel.classList.toggle("hidden", !roster);
+    }
+    if (!roster) return;
+
+    const members = Array.from(this.presence[this.activeTab].values()).sort(
+      (a, b) =>
+        (a.displayName || a.username).localeCompare(
+          b.displayName || b.username,
+        ),
+    );
+
+    titleEl.textContent = `Members (${members.length})`;
+    listEl.innerHTML = "";
+
+    if (members.length === 0) {
+      const emptyEl = document.createElement("div");
+      emptyEl.className = "member-empty";
+      emptyEl.textContent = "No one here yet";
+      listEl.appendChild(emptyEl);
+      return;
+    }
+
+    members.forEach((member) => {
+      listEl.appendChild(this.renderMember(member));
+    });
+
+    if (this.activeTab === "party" && this.party) {
+      listEl.appendChild(this.renderPartyControls());
     }
   }
 
   /**
-   * Send a message
+   * Render a single roster entry with avatar
    */
-  async sendMessage() {
-    const message = this.messageInput.value.trim();
+  renderMember(member) {
+    const displayName =
+      member.displayName && member.displayName.trim()
+        ? member.displayName
+        : member.username;
 
-    if (!message) return;
+    const itemEl = document.createElement("div");
+    itemEl.className = "member-item";
 
-    // Check if in edit mode
-    if (this.editingMessageId) {
-      await this.saveEdit(message);
+    const avatarEl = document.createElement("div");
+    avatarEl.className = "member-avatar";
+    const initial = displayName.charAt(0).toUpperCase();
+
+    if (member.picture && member.picture.trim()) {
+      const imgEl = document.createElement("img");
+      imgEl.src = member.picture;
+      imgEl.alt = displayName;
+      imgEl.onerror = () => {
+        avatarEl.innerHTML = "";
+        avatarEl.textContent = initial;
+      };
+      avatarEl.appendChild(imgEl);
+    } else {
+      avatarEl.textContent = initial;
+    }
+
+    const nameEl = document.createElement("span");
+    nameEl.className = "member-name";
+    nameEl.textContent = displayName;
+
+    const usernameEl = document.createElement("span");
+    usernameEl.className = "member-username";
+    usernameEl.textContent =
+      parseInt(member.userId) === this.userId
+        ? "(you)"
+        : `(${member.username})`;
+
+    itemEl.appendChild(avatarEl);
+    itemEl.appendChild(nameEl);
+    itemEl.appendChild(usernameEl);
+
+    // Party members show where they are, with a link to join them
+    if (this.activeTab === "party") {
+      this.renderPartyMemberLocation(itemEl, member);
+    }
+    return itemEl;
+  }
+
+  handleIncomingMessage(data) {
+    // Another client's server - counted in the session switcher
+    if (!this.isFollowedRoomMessage(data)) {
+      if (data.chatType === "server") {
+        this.sessionUnread.set(
+          data.jobId,
+          (this.sessionUnread.get(data.jobId) || 0) + 1,
+        );
+        this.renderSessions();
+      }
       return;
     }
 
-    // CLIENT-SIDE validation for immediate feedback (can be bypassed, server is authoritative)
-    if (window.messageValidator) {
-      const validation = window.messageValidator.validate(message);
-      if (!validation.valid) {
-        this.showValidationError(validation.error, validation.highlightWord);
+    const chatType = data.chatType || this.activeTab;
+    const messages = this.messages[chatType];
+
+    // Already shown (send response, outbox or a gap fetch)
+    if (messages.some((m) => m.messageId === data.messageId)) {
+      this.trackSequence(chatType, data.seq);
+      return;
+    }
+
+    // Our own message - match the local bubble by the nonce the server echoed
+    if (data.clientKey && parseInt(data.userId) === this.userId) {
+      const local = messages.find((m) => m.clientKey === data.clientKey);
+      if (local) {
+        local.messageId = data.messageId;
+        local.seq = data.seq;
+        local.status = "sent";
+        local.mentions = data.mentions || [];
+        local.timestamp = new Date(data.timestamp).getTime();
+        this.trackSequence(chatType, data.seq);
+
+        if (chatType === this.activeTab) {
+          this.renderAllMessages();
+        }
         return;
       }
     }
 
-    // Check if connected
-    if (this.activeTab === "server" && !this.currentJobId) {
-      this.addSystemMessage(
-        "No game server connected. Please join a Roblox game.",
-        "server",
-      );
-      return;
+    // Messages between the last one we saw and this one were missed
+    this.checkSequenceGap(chatType, data.seq);
+
+    this.addMessage({
+      messageId: data.messageId,
+      seq: data.seq,
+      clientKey: data.clientKey,
+      userId: data.userId,
+      username: data.username,
+      displayName: data.displayName,
+      picture: data.picture,
+      message: data.message,
+      replyTo: data.replyTo,
+      mentions: data.mentions,
+      reactions: data.reactions,
+      timestamp: new Date(data.timestamp).getTime(),
+      isLocal: false,
+      chatType: chatType,
+    });
+
+    // Desktop notifications are raised by the main process
+    if (
+      parseInt(data.userId) !== this.userId &&
+      this.mentionsMe(data) &&
+      chatType !== this.activeTab
+    ) {
+      this.flashTabMention(chatType);
     }
+  }
 
-    if (this.activeTab === "global" && !this.currentPlaceId) {
-      this.addSystemMessage(
-        "No game connected. Please join a Roblox game.",
-        "global",
-      );
+  /**
+   * Check if a message mentions the logged-in user
+   */
+  mentionsMe(message) {
+    return (
+      Array.isArray(message.mentions) &&
+      message.mentions.some((m) => parseInt(m.userId) === this.userId)
+    );
+  }
+
+  /**
+   * Flash a tab's badge until the tab is opened
+   */
+  flashTabMention(chatType) {
+    const tabEl = document.getElementById(`tab-${chatType}`);
+    if (tabEl) {
+      tabEl.classList.add("has-mention");
+    }
+  }
+
+  /**
+   * Fill a message bubble, highlighting @mentions of room members
+   */
+  renderMessageText(bubbleEl, message) {
+    const mentioned = new Map(
+      (message.mentions || []).map((m) => [m.username.toLowerCase(), m]),
+    );
+
+    if (mentioned.size === 0) {
+      bubbleEl.textContent = message.message;
       return;
     }
 
-    // Get current user for the message
-    const currentUser = await this.getCurrentUser();
+    // Split around @word tokens, keeping the tokens
+    message.message.split(/(@\w+)/).forEach((part) => {
+      const mention = part.startsWith("@")
+        ? mentioned.get(part.slice(1).toLowerCase())
+        : null;
+
+      if (mention) {
+        const mentionEl = document.createElement("span");
+        mentionEl.className = "msg-mention";
+        if (parseInt(mention.userId) === this.userId) {
+          mentionEl.classList.add("self");
+        }
+        mentionEl.textContent = part;
+        bubbleEl.appendChild(mentionEl);
+      } else if (part) {
+        bubbleEl.appendChild(document.createTextNode(part));
+      }
+    });
+  }
 
-    // Clear input BEFORE sending (better UX)
-    const sentMessage = message;
-    this.messageInput.value = "";
+  /**
+   * Handle typing indicator from server
+   */
+  handleTypingIndicator(data) {
+    const { typingUsers } = data;
+
+    if (!Array.isArray(typingUsers)) return;
+    // Typing in the rooms of another client's server
+    if (data.roomId && !this.getTabForRoom(data.roomId)) return;
+
+    // Update typing users set with server's list
+    this.typingUsers.clear();
+
+    // Filter out current user from typing list
+    const currentUser = this.userId;
+    typingUsers.forEach((username) => {
+      if (username !== currentUser) {
+        this.typingUsers.add(username);
+      }
+    });
+
+    this.updateTypingIndicator();
+  }
+
+  /**
+   * Handle user typing in input field
+   */
+  handleTyping() {
+    if (!this.currentJobId && !this.currentPlaceId) return;
+
+    if (!this.currentlyTyping) {
+      this.currentlyTyping = true;
+      this.emitTypingStatus(true);
+    }
 
-    // Stop typing indicator
     if (this.typingTimeout) {
       clearTimeout(this.typingTimeout);
     }
-    if (this.currentlyTyping) {
+
+    this.typingTimeout = setTimeout(() => {
       this.currentlyTyping = false;
       this.emitTypingStatus(false);
-    }
+    }, 2000);
+  }
 
-    // Send to backend via IPC - NO OPTIMISTIC UPDATE YET
+  /**
+   * Emit typing status to server
+   */
+  async emitTypingStatus(isTyping) {
     try {
-      if (window.electron && window.electron.sendMessage) {
-        const startTime = Date.now();
-        let warningTimeout = null;
+      const currentUser = await this.getCurrentUser();
+      if (!currentUser) return;
 
-        // Show server wakeup warning if request takes too long
-        if (!this.serverWakeupWarningShown) {
-          warningTimeout = setTimeout(() => {
-            this.showServerWakeupWarning();
-          }, this.SLOW_REQUEST_THRESHOLD);
-        }
+      // Only emit typing for server tab (global tab not supported by server)
+      if (this.activeTab !== "server" || !this.currentJobId) return;
 
-        const result = await window.electron.sendMessage({
-          jobId: this.activeTab === "server" ? this.currentJobId : undefined,
-          placeId: this.currentPlaceId,
-          chatType: this.activeTab,
-          message: sentMessage,
+      if (window.electron && window.electron.emitTyping) {
+        await window.electron.emitTyping({
+          jobId: this.currentJobId,
+          username: currentUser.username,
+          isTyping,
         });
+      }
+    } catch (error) {
+      console.error("Failed to emit typing status:", error);
+    }
+  }
 
-        // Clear warning timeout
-        if (warningTimeout) {
-          clearTimeout(warningTimeout);
-        }
+  /**
+   * Update typing indicator display
+   */
+  updateTypingIndicator() {
+    let typingIndicator = document.getElementById("typing-indicator");
 
-        const elapsed = Date.now() - startTime;
+    if (this.typingUsers.size === 0) {
+      if (typingIndicator) {
+        typingIndicator.remove();
+      }
+      return;
+    }
 
-        // If request was slow (server cold start), mark warning as shown
-        if (elapsed > this.SLOW_REQUEST_THRESHOLD) {
-          this.serverWakeupWarningShown = true;
-          this.hideServerWakeupWarning();
-        }
+    if (!typingIndicator) {
+      typingIndicator = document.createElement("div");
+      typingIndicator.id = "typing-indicator";
+      typingIndicator.className = "typing-indicator";
 
-        if (result.success) {
-          // SUCCESS: Add message to UI (will be updated when server broadcasts back)
-          this.addMessage({
-            userId: currentUser?.userId
-              ? parseInt(currentUser.userId)
-              : "local",
-            username: currentUser?.username || "You",
-            displayName: currentUser?.displayName,
-            picture: currentUser?.picture,
-            message: sentMessage,
-            timestamp: Date.now(),
-            isLocal: true,
-            chatType: this.activeTab,
-          });
-        } else {
-          // FAILURE: Server rejected the message
-          console.log("Server rejected message:", result);
+      const chatContainer = document.querySelector(".chat-container");
+      const messagesContainer = document.getElementById("chat-messages");
+      if (chatContainer && messagesContainer) {
+        chatContainer.insertBefore(
+          typingIndicator,
+          messagesContainer.nextSibling,
+        );
+      }
+    }
 
-          // Check if it's an authentication error (401)
-          if (result.status === 401 || result.tokenExpired) {
-            this.addSystemMessage(
-              "⚠️ Session expired. Returning to login...",
-              this.activeTab,
-            );
-            return;
-          }
+    const userArray = Array.from(this.typingUsers);
+    let text = "";
 
-          // Check if it's a rate limit error (429)
-          if (
-            result.status === 429 ||
-            (result.error &&
-              ((result.error.includes("Wait") &&
-                result.error.includes("seconds")) ||
+    if (userArray.length === 1) {
+      text = `${userArray[0]} is typing...`;
+    } else if (userArray.length === 2) {
+      text = `${userArray[0]} and ${userArray[1]} are typing...`;
+    } else {
+      text = `${userArray[0]} and ${userArray.length - 1} others are typing...`;
+    }
+
+    typingIndicator.textContent = text;
+  }
+
+  /**
+   * Handle server change event
+   */
+  handleServerChanged(serverInfo) {
+    if (!serverInfo) {
+      // No server detected
+      this.currentJobId = null;
+      this.currentPlaceId = null;
+      this.currentServer = null;
+      this.updateJobIdDisplay("Detecting...");
+      this.updateGameDisplay(null);
+      this.clearMessages();
+      this.clearPresence();
+      this.roomRoles = { ...this.roomRoles, server: "user", global: "user" };
+      this.addSystemMessage("Waiting for Roblox game...", "server");
+      this.addSystemMessage("Waiting for Roblox game...", "global");
+      return;
+    }
+
+    // Server detected
+    const { placeId, jobId, isTeleport, serverType } = serverInfo;
+
+    // Details of the current server logged after joining it - the rooms stay the same
+    if (this.currentJobId === jobId && this.currentPlaceId === placeId) {
+      this.currentServer = serverInfo;
+      return;
+    }
+
+    const isServerChange = this.currentJobId && this.currentJobId !== jobId;
+
+    const isGameChange = this.currentPlaceId !== placeId;
+
+    this.currentJobId = jobId;
+    this.currentPlaceId = placeId;
+    this.currentServer = serverInfo;
+
+    // Name and icon of the game (unchanged when hopping servers of the same place)
+    if (isGameChange) {
+      this.updateGameDisplay(null);
+      this.loadGameInfo(placeId);
+    }
+
+    // Clear typing indicators on server change
+    this.typingUsers.clear();
+    this.updateTypingIndicator();
+
+    // Rosters and roles arrive fresh once the new rooms are joined
+    this.clearPresence();
+    this.roomRoles = { ...this.roomRoles, server: "user", global: "user" };
+
+    // Reply targets belong to the previous rooms
+    this.cancelReply();
+
+    // Update UI
+    this.updateJobIdDisplay(jobId);
+    this.clearMessages();
+
+    // Show server spinoff warning if switching servers
+    if (isTeleport) {
+      this.addSystemMessage(
+        `Teleported to a new server. Loading messages may take a moment...`,
+        "server",
+      );
+    } else if (isServerChange) {
+      this.addSystemMessage(
+        `⚠️ Server changed. Loading messages may take a moment...`,
+        "server",
+      );
+    } else {
+      const serverLabel =
+        serverType === "private" || serverType === "reserved"
+          ? `${serverType} server`
+          : "server";
+      this.addSystemMessage(`Connected to ${serverLabel}!`, "server");
+    }
+
+    this.addSystemMessage(`Connected to game!`, "global");
+
+    // No history loading - users only see messages sent after they join
+
+    console.log("Server changed:", {
+      placeId,
+      jobId,
+      isServerChange,
+      isTeleport,
+      serverType,
+    });
+  }
+
+  /**
+   * Look up the name and icon of the detected game
+   */
+  async loadGameInfo(placeId) {
+    if (!window.electron?.getGameInfo) return;
+
+    try {
+      const result = await window.electron.getGameInfo(placeId);
+
+      // Ignore a lookup that finished after leaving the game
+      if (result.success && this.currentPlaceId === placeId) {
+        this.updateGameDisplay(result.game);
+      }
+    } catch (error) {
+      console.error("Failed to load game info:", error);
+    }
+  }
+
+  /**
+   * Show the game's name and icon in the header and on the Global tab (null clears them)
+   */
+  updateGameDisplay(game) {
+    this.currentGame = game;
+
+    const name = game?.name || "";
+    const creator = game?.creator?.name;
+    const title = name && creator ? `${name} by ${creator}` : name;
+
+    if (this.gameNameDisplay) {
+      this.gameNameDisplay.textContent = name;
+      this.gameNameDisplay.title = title;
+    }
+
+    const tabGameName = document.getElementById("tab-global-game");
+    if (tabGameName) {
+      tabGameName.textContent = name;
+    }
+    const globalTab = document.getElementById("tab-global");
+    if (globalTab) {
+      globalTab.title = name ? `Everyone playing ${name}` : "";
+    }
+
+    ["game-icon", "tab-global-icon"].forEach((id) => {
+      const icon = document.getElementById(id);
+      if (!icon) return;
+
+      if (game?.iconUrl) {
+        icon.src = game.iconUrl;
+        icon.alt = name;
+        icon.classList.remove("hidden");
+      } else {
+        icon.removeAttribute("src");
+        icon.alt = "";
+        icon.classList.add("hidden");
+      }
+    });
+  }
+
+  /**
+   * Update status display
+   */
+  updateJobIdDisplay(jobId) {
+    if (this.jobIdDisplay) {
+      const statusDot = document.getElementById("status-dot");
+
+      if (jobId === "Detecting...") {
+        this.jobIdDisplay.textContent = "Not connected";
+        if (statusDot) statusDot.className = "status-dot";
+      } else {
+        this.jobIdDisplay.textContent = "Connected";
+        if (statusDot) statusDot.className = "status-dot connected";
+      }
+    }
+  }
+
+  /**
+   * Send a message
+   */
+  async sendMessage() {
+    const message = this.messageInput.value.trim();
+
+    if (!message) return;
+
+    // Check if in edit mode
+    if (this.editingMessageId) {
+      await this.saveEdit(message);
+      return;
+    }
+
+    // CLIENT-SIDE validation for immediate feedback (can be bypassed, server is authoritative)
+    if (window.messageValidator) {
+      const validation = window.messageValidator.validate(message);
+      if (!validation.valid) {
+        this.showValidationError(validation.error, validation.highlightWord);
+        return;
+      }
+    }
+
+    // Direct messages have their own endpoint and don't need a game
+    if (this.activeTab === "dm") {
+      await this.sendDirectMessage(message);
+      return;
+    }
+
+    // Check if connected
+    if (this.activeTab === "server" && !this.currentJobId) {
+      this.addSystemMessage(
+        "No game server connected. Please join a Roblox game.",
+        "server",
+      );
+      return;
+    }
+
+    if (this.activeTab === "global" && !this.currentPlaceId) {
+      this.addSystemMessage(
+        "No game connected. Please join a Roblox game.",
+        "global",
+      );
+      return;
+    }
+
+    if (this.activeTab === "party" && !this.party) {
+      this.addSystemMessage("Create or join a party first.", "party");
+      return;
+    }
+
+    // Get current user for the message
+    const currentUser = await this.getCurrentUser();
+
+    // Clear input BEFORE sending (better UX)
+    const sentMessage = message;
+    const replyTarget = this.replyingTo;
+    this.messageInput.value = "";
+
+    // Stop typing indicator
+    if (this.typingTimeout) {
+      clearTimeout(this.typingTimeout);
+    }
+    if (this.currentlyTyping) {
+      this.currentlyTyping = false;
+      this.emitTypingStatus(false);
+    }
+
+    // Send to backend via IPC - NO OPTIMISTIC UPDATE YET
+    try {
+      if (window.electron && window.electron.sendMessage) {
+        const startTime = Date.now();
+        let warningTimeout = null;
+
+        // Show server wakeup warning if request takes too long
+        if (!this.serverWakeupWarningShown) {
+          warningTimeout = setTimeout(() => {
+            this.showServerWakeupWarning();
+          }, this.SLOW_REQUEST_THRESHOLD);
+        }
+
+        const result = await window.electron.sendMessage({
+          jobId: this.activeTab === "server" ? this.currentJobId : undefined,
+          placeId: this.currentPlaceId,
+          partyId: this.activeTab === "party" ? this.party.partyId : undefined,
+          chatType: this.activeTab,
+          message: sentMessage,
+          replyTo: replyTarget?.messageId,
+        });
+
+        // Clear warning timeout
+        if (warningTimeout) {
+          clearTimeout(warningTimeout);
+        }
+
+        const elapsed = Date.now() - startTime;
+
+        // If request was slow (server cold start), mark warning as shown
+        if (elapsed > this.SLOW_REQUEST_THRESHOLD) {
+          this.serverWakeupWarningShown = true;
+          this.hideServerWakeupWarning();
+        }
+
+        if (result.success || result.queued) {
+          if (replyTarget) {
+            this.cancelReply();
+          }
+
+          // Kept and sent once the cooldown is over - no more messages until then
+          if (result.rateLimited) {
+            this.startCooldown(result.retryAfter || 10);
+          }
+
+          // The broadcast may have come back before the response
+          const messageId = result.message?.messageId;
+          const existing = messageId && this.findMessageById(messageId);
+          if (existing) {
+            existing.isLocal = true;
+            existing.status = "sent";
+            this.renderAllMessages();
+            return;
+          }
+
+          // SUCCESS: Add message to UI (will be updated when server broadcasts back)
+          // QUEUED: Shown as pending until the outbox delivers it
+          this.checkSequenceGap(this.activeTab, result.message?.seq);
+          this.addMessage({
+            messageId,
+            seq: result.message?.seq,
+            clientKey: result.clientKey,
+            status: result.success ? "sent" : "pending",
+            error: result.error,
+            userId: currentUser?.userId
+              ? parseInt(currentUser.userId)
+              : "local",
+            username: currentUser?.username || "You",
+            displayName: currentUser?.displayName,
+            picture: currentUser?.picture,
+            message: sentMessage,
+            mentions: result.message?.mentions,
+            replyTo: replyTarget ? this.buildReplyPreview(replyTarget) : null,
+            timestamp: Date.now(),
+            isLocal: true,
+            chatType: this.activeTab,
+          });
+        } else {
+          // FAILURE: Server rejected the message
+          console.log("Server rejected message:", result);
+
+          // Check if it's an authentication error (401)
+          if (result.status === 401 || result.tokenExpired) {
+            this.addSystemMessage(
+              "⚠️ Session expired. Returning to login...",
+              this.activeTab,
+            );
+            return;
+          }
+
+          // Check if it's a rate limit error (429)
+          if (
+            result.status === 429 ||
+            (result.error &&
+              ((result.error.includes("Wait") &&
+                result.error.includes("seconds")) ||
                 (result.error.includes("seconds") &&
                   (result.error.includes("slow") ||
                     result.error.includes("spam") ||
@@ -764,915 +1697,3151 @@ class ChatManager {
   }
 
   /**
-   * Save edited message
+   * Save edited message
+   */
+  async saveEdit(newMessage) {
+    // Validate message
+    if (window.messageValidator) {
+      const validation = window.messageValidator.validate(newMessage);
+      if (!validation.valid) {
+        this.showValidationError(validation.error, validation.highlightWord);
+        return;
+      }
+    }
+
+    try {
+      if (window.electron && window.electron.editMessage) {
+        const result = await window.electron.editMessage({
+          messageId: this.editingMessageId,
+          newMessage,
+        });
+
+        if (!result.success) {
+          alert(result.error || "Failed to edit message");
+          return;
+        }
+
+        // Success - cancel edit mode
+        this.cancelEdit();
+      }
+    } catch (error) {
+      console.error("Failed to edit message:", error);
+      alert("Failed to edit message");
+    }
+  }
+
+  /**
+   * Get current user info
+   */
+  async getCurrentUser() {
+    try {
+      if (window.electron && window.electron.getAuthStatus) {
+        const status = await window.electron.getAuthStatus();
+        return status.user;
+      }
+    } catch (error) {
+      console.error("Failed to get user:", error);
+    }
+    return null;
+  }
+
+  /**
+   * Add a message to the chat
+   */
+  addMessage(messageData) {
+    const chatType = messageData.chatType || this.activeTab;
+    const message = {
+      messageId: messageData.messageId || null,
+      seq: messageData.seq || null,
+      userId: messageData.userId,
+      username: messageData.username,
+      displayName: messageData.displayName || messageData.username,
+      picture: messageData.picture || null,
+      message: messageData.message,
+      replyTo: messageData.replyTo || null,
+      mentions: messageData.mentions || [],
+      reactions: messageData.reactions || [],
+      timestamp: messageData.timestamp || Date.now(),
+      isLocal: messageData.isLocal || false,
+      chatType,
+      // Own messages sent through the outbox: idempotency key and delivery status
+      clientKey: messageData.clientKey || null,
+      status: messageData.status || null,
+      error: messageData.error || null,
+    };
+
+    const inOrder = this.insertBySequence(this.messages[chatType], message);
+
+    if (chatType !== this.activeTab) {
+      this.trimMessages(chatType);
+      return;
+    }
+
+    // Don't pull the view down while the user is reading older messages
+    const following = this.isScrolledToBottom() || message.isLocal;
+    if (inOrder) {
+      this.renderMessage(message);
+    } else {
+      this.renderAllMessages();
+    }
+
+    if (following) {
+      this.trimMessages(chatType);
+      this.scrollToBottom();
+    } else {
+      this.trimMessages(chatType, this.MAX_LOADED_MESSAGES);
+    }
+  }
+
+  /**
+   * Insert a message in sequence order (messages fetched to fill a gap arrive late)
+   * Returns true when it went at the end
+   */
+  insertBySequence(messages, message) {
+    const index = message.seq
+      ? messages.findIndex((m) => m.seq && m.seq > message.seq)
+      : -1;
+
+    if (index === -1) {
+      messages.push(message);
+      return true;
+    }
+
+    messages.splice(index, 0, message);
+    return false;
+  }
+
+  /**
+   * Remember the highest sequence number seen in a room tab
+   */
+  trackSequence(chatType, seq) {
+    if (seq && seq > (this.lastSeq[chatType] || 0)) {
+      this.lastSeq[chatType] = seq;
+    }
+  }
+
+  /**
+   * Fetch the messages missed before a new one, if its sequence number skips ahead
+   */
+  checkSequenceGap(chatType, seq) {
+    const lastSeq = this.lastSeq[chatType];
+    if (seq && lastSeq && seq > lastSeq + 1) {
+      this.fetchMissingMessages(chatType, lastSeq, seq);
+    }
+    this.trackSequence(chatType, seq);
+  }
+
+  /**
+   * Fetch the messages of a room tab after afterSeq (and before beforeSeq, if set)
+   */
+  async fetchMissingMessages(chatType, afterSeq, beforeSeq) {
+    const merged = await this.mergeMissedMessages(chatType, {
+      afterSeq,
+      beforeSeq,
+    });
+
+    if (merged.length > 0 && chatType === this.activeTab) {
+      this.renderAllMessages();
+    }
+  }
+
+  /**
+   * Fetch every message of a room tab after a cursor - { since } (message ID) or
+   * { afterSeq, beforeSeq } - and merge them in order, skipping any already shown
+   * Returns the messages that were added
+   */
+  async mergeMissedMessages(chatType, cursor) {
+    if (!window.electron || !window.electron.loadHistory) return [];
+
+    const roomId = this.getRoomIdForTab(chatType);
+    const merged = [];
+    let { since, afterSeq } = cursor;
+
+    try {
+      while (true) {
+        const result = await window.electron.loadHistory({
+          jobId: this.currentJobId,
+          placeId: this.currentPlaceId,
+          partyId: this.party?.partyId,
+          chatType,
+          since,
+          afterSeq,
+          beforeSeq: cursor.beforeSeq,
+        });
+
+        // The tab moved to another room meanwhile
+        if (!result.success || this.getRoomIdForTab(chatType) !== roomId) {
+          return [];
+        }
+
+        const messages = this.messages[chatType];
+        result.messages.forEach((msg) => {
+          this.trackSequence(chatType, msg.seq);
+          if (messages.some((m) => m.messageId === msg.messageId)) return;
+
+          const message = this.toChatMessage(msg, chatType);
+          this.insertBySequence(messages, message);
+          merged.push(message);
+        });
+
+        if (!result.hasMore || result.messages.length === 0) break;
+
+        // Next page starts after the last message of this one
+        const last = result.messages[result.messages.length - 1];
+        if (since) since = last.messageId;
+        if (afterSeq) afterSeq = Math.max(afterSeq, last.seq || 0);
+      }
+    } catch (error) {
+      console.error(`Failed to fetch missed ${chatType} messages:`, error);
+    }
+
+    if (chatType !== this.activeTab || this.isScrolledToBottom()) {
+      this.trimMessages(chatType);
+    } else {
+      this.trimMessages(chatType, this.MAX_LOADED_MESSAGES);
+    }
+    return merged;
+  }
+
+  /**
+   * Last message of a room tab the server confirmed (the cursor to resume from)
+   */
+  getLastSeenMessageId(chatType) {
+    const messages = this.messages[chatType] || [];
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (messages[i].messageId) return messages[i].messageId;
+    }
+    return null;
+  }
+
+  /**
+   * Catch up on every room tab after the socket reconnects and rejoins its rooms
+   * Messages broadcast while we were disconnected are fetched from the last one seen
+   * and marked with a "you missed N messages" divider
+   */
+  catchUpAfterReconnect() {
+    this.ROOM_TABS.forEach(async (chatType) => {
+      const since = this.getLastSeenMessageId(chatType);
+      if (!since) return;
+
+      const merged = await this.mergeMissedMessages(chatType, { since });
+      const missed = merged.filter((m) => parseInt(m.userId) !== this.userId);
+      if (missed.length === 0) return;
+
+      this.missedDivider[chatType] = {
+        messageId: missed[0].messageId,
+        count: missed.length,
+      };
+
+      if (chatType === this.activeTab) {
+        this.renderAllMessages();
+      }
+    });
+  }
+
+  /**
+   * Render the "you missed N messages" divider
+   */
+  renderMissedDivider(count) {
+    const divider = document.createElement("div");
+    divider.className = "msg-divider msg-divider-missed";
+
+    const label = document.createElement("span");
+    label.textContent =
+      count === 1 ? "You missed 1 message" : `You missed ${count} messages`;
+    divider.appendChild(label);
+
+    this.messagesContainer.appendChild(divider);
+  }
+
+  /**
+   * Add system message
+   */
+  addSystemMessage(text, chatType) {
+    const targetType = chatType || this.activeTab;
+
+    // Only render if this is the active tab
+    if (targetType === this.activeTab) {
+      // Wrapper ensures true centering via text-align: center
+      const wrapper = document.createElement("div");
+      wrapper.className = "system-msg-wrapper";
+
+      const messageEl = document.createElement("div");
+      messageEl.className = "system-msg";
+      messageEl.textContent = text;
+
+      wrapper.appendChild(messageEl);
+      this.messagesContainer.appendChild(wrapper);
+      this.scrollToBottom();
+    }
+  }
+
+  renderMessage(message) {
+    const messageEl = this.createMessageElement(message);
+    this.messagesContainer.appendChild(messageEl);
+    this.trackRenderedMessage(messageEl, message);
+  }
+
+  createMessageElement(message) {
+    const messageEl = document.createElement("div");
+    messageEl.className = `chat-msg ${message.isLocal ? "local" : "remote"}`;
+    const muted = !message.isLocal && this.isMuted(message.userId);
+    if (!message.isLocal && this.mentionsMe(message)) {
+      messageEl.classList.add("mentioned");
+    }
+    if (message.messageId) {
+      messageEl.setAttribute("data-message-id", message.messageId);
+    }
+
+    // Replies, reactions, edits and reports only exist for room messages
+    const isDirect = message.chatType === "dm";
+
+    const timestamp = new Date(message.timestamp).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+    const displayName =
+      message.displayName && message.displayName.trim()
+        ? message.displayName
+        : message.username;
+    const username = message.username;
+    const picture = message.picture;
+
+    const profilePicEl = document.createElement("div");
+    profilePicEl.className = "msg-profile-pic";
+
+    if (picture && picture.trim()) {
+      const imgEl = document.createElement("img");
+      imgEl.src = picture;
+      imgEl.alt = displayName;
+      imgEl.onerror = () => {
+        profilePicEl.innerHTML = "";
+        profilePicEl.textContent = displayName.charAt(0).toUpperCase();
+      };
+      profilePicEl.appendChild(imgEl);
+    } else {
+      profilePicEl.textContent = displayName.charAt(0).toUpperCase();
+    }
+
+    const contentColumnEl = document.createElement("div");
+    contentColumnEl.className = "msg-content-column";
+
+    const headerEl = document.createElement("div");
+    headerEl.className = "msg-header";
+
+    const displayNameEl = document.createElement("span");
+    displayNameEl.className = "msg-display-name";
+    displayNameEl.textContent = displayName;
+
+    const usernameEl = document.createElement("span");
+    usernameEl.className = "msg-username";
+    usernameEl.textContent = `(${username})`;
+
+    const timeEl = document.createElement("span");
+    timeEl.className = "msg-time";
+    timeEl.textContent = timestamp;
+
+    headerEl.appendChild(displayNameEl);
+    headerEl.appendChild(usernameEl);
+    headerEl.appendChild(timeEl);
+
+    const bubbleEl = document.createElement("div");
+    bubbleEl.className = "msg-bubble";
+    this.renderMessageText(bubbleEl, message);
+
+    contentColumnEl.appendChild(headerEl);
+
+    // Muted users' messages are collapsed until clicked
+    if (muted) {
+      messageEl.classList.add("collapsed");
+      const mutedNoteEl = document.createElement("div");
+      mutedNoteEl.className = "msg-muted-note";
+      mutedNoteEl.textContent = "Message from a muted user - click to show";
+      mutedNoteEl.onclick = () => messageEl.classList.remove("collapsed");
+      contentColumnEl.appendChild(mutedNoteEl);
+    }
+
+    if (message.replyTo) {
+      contentColumnEl.appendChild(this.renderReplyQuote(message.replyTo));
+    }
+    contentColumnEl.appendChild(bubbleEl);
+
+    // Delivery status of our own messages (retry/discard once it failed)
+    if (message.isLocal && message.status) {
+      contentColumnEl.appendChild(this.renderDeliveryStatus(message));
+    }
+
+    // Reaction bar sits directly under the bubble
+    if (message.messageId && !isDirect) {
+      contentColumnEl.appendChild(this.renderReactionBar(message));
+    }
+
+    // Add action buttons AFTER the bubble, not inside it
+    const actionsEl = document.createElement("div");
+    actionsEl.className = "msg-actions";
+
+    if (message.messageId && !isDirect) {
+      const replyBtn = document.createElement("button");
+      replyBtn.className = "msg-action-btn reply-btn";
+      replyBtn.title = "Reply";
+      replyBtn.onclick = () => this.startReply(message);
+      const replyIcon = document.createElement("i");
+      replyIcon.className = "fas fa-reply";
+      replyBtn.appendChild(replyIcon);
+      actionsEl.appendChild(replyBtn);
+
+      const reactBtn = document.createElement("button");
+      reactBtn.className = "msg-action-btn react-btn";
+      reactBtn.title = "Add reaction";
+      reactBtn.onclick = (e) => {
+        e.stopPropagation();
+        this.showReactionPicker(message, reactBtn);
+      };
+      const reactIcon = document.createElement("i");
+      reactIcon.className = "fas fa-smile";
+      reactBtn.appendChild(reactIcon);
+      actionsEl.appendChild(reactBtn);
+    }
+
+    if (message.isLocal && message.messageId && !isDirect) {
+      const editBtn = document.createElement("button");
+      editBtn.className = "msg-action-btn edit-btn";
+      editBtn.title = "Edit message";
+      editBtn.onclick = () =>
+        this.handleEditMessage(message.messageId, message.message);
+      const editIcon = document.createElement("i");
+      editIcon.className = "fas fa-edit";
+      editBtn.appendChild(editIcon);
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "msg-action-btn delete-btn";
+      deleteBtn.title = "Delete message";
+      deleteBtn.onclick = () => this.handleDeleteMessage(message.messageId);
+      const deleteIcon = document.createElement("i");
+      deleteIcon.className = "fas fa-trash";
+      deleteBtn.appendChild(deleteIcon);
+
+      actionsEl.appendChild(editBtn);
+      actionsEl.appendChild(deleteBtn);
+    }
+
+    if (!message.isLocal && parseInt(message.userId) !== this.userId) {
+      const muteBtn = document.createElement("button");
+      muteBtn.className = "msg-action-btn mute-btn";
+      muteBtn.title = muted ? "Unmute user" : "Mute user";
+      muteBtn.onclick = (e) => {
+        e.stopPropagation();
+        if (muted) {
+          this.unmuteUser(message.userId);
+        } else {
+          this.showMutePicker(message, muteBtn);
+        }
+      };
+      const muteIcon = document.createElement("i");
+      muteIcon.className = muted ? "fas fa-volume-up" : "fas fa-volume-mute";
+      muteBtn.appendChild(muteIcon);
+      actionsEl.appendChild(muteBtn);
+
+      if (!isDirect) {
+        const dmBtn = document.createElement("button");
+        dmBtn.className = "msg-action-btn dm-btn";
+        dmBtn.title = "Send direct message";
+        dmBtn.onclick = () =>
+          this.startDirectMessage({
+            userId: parseInt(message.userId),
+            username: message.username,
+          });
+        const dmIcon = document.createElement("i");
+        dmIcon.className = "fas fa-envelope";
+        dmBtn.appendChild(dmIcon);
+        actionsEl.appendChild(dmBtn);
+      }
+
+      const blockBtn = document.createElement("button");
+      blockBtn.className = "msg-action-btn block-btn";
+      blockBtn.title = "Block user";
+      blockBtn.onclick = () => this.blockUser(message);
+      const blockIcon = document.createElement("i");
+      blockIcon.className = "fas fa-ban";
+      blockBtn.appendChild(blockIcon);
+      actionsEl.appendChild(blockBtn);
+
+      if (
+        message.messageId &&
+        !isDirect &&
+        this.canModerate(message.chatType)
+      ) {
+        const modBtn = document.createElement("button");
+        modBtn.className = "msg-action-btn mod-btn";
+        modBtn.title = "Moderate";
+        modBtn.onclick = (e) => {
+          e.stopPropagation();
+          this.showModerationPicker(message, modBtn);
+        };
+        const modIcon = document.createElement("i");
+        modIcon.className = "fas fa-shield-alt";
+        modBtn.appendChild(modIcon);
+        actionsEl.appendChild(modBtn);
+      }
+
+      if (message.messageId && !isDirect) {
+        const reportBtn = document.createElement("button");
+        reportBtn.className = "msg-action-btn report-btn";
+        reportBtn.title = "Report message";
+        reportBtn.onclick = (e) => {
+          e.stopPropagation();
+          this.showReportPicker(message, reportBtn);
+        };
+        const reportIcon = document.createElement("i");
+        reportIcon.className = "fas fa-flag";
+        reportBtn.appendChild(reportIcon);
+        actionsEl.appendChild(reportBtn);
+      }
+    }
+
+    if (actionsEl.childElementCount > 0) {
+      contentColumnEl.appendChild(actionsEl); // Append to column, not bubble
+    }
+
+    messageEl.appendChild(profilePicEl);
+    messageEl.appendChild(contentColumnEl);
+
+    return messageEl;
+  }
+
+  /**
+   * Render all messages for active tab
+   */
+  renderAllMessages() {
+    // A user reading older messages stays on them (out of order inserts, gap fills...)
+    const anchor = this.isScrolledToBottom() ? null : this.getScrollAnchor();
+
+    this.virtualizer?.disconnect();
+    this.messagesContainer.innerHTML = "";
+
+    if (this.activeTab === "dm") {
+      if (!this.openConversation) {
+        this.renderConversationList();
+        return;
+      }
+      this.messagesContainer.appendChild(this.renderConversationHeader());
+    }
+
+    if (this.activeTab === "party" && !this.party) {
+      this.renderPartySetup();
+      return;
+    }
+
+    const messagesForTab = this.messages[this.activeTab] || [];
+    if (this.ROOM_TABS.includes(this.activeTab) && messagesForTab.length > 0) {
+      this.renderHistoryStart(this.activeTab);
+    }
+
+    const divider = this.missedDivider[this.activeTab];
+    messagesForTab.forEach((msg) => {
+      if (divider && msg.messageId === divider.messageId) {
+        this.renderMissedDivider(divider.count);
+      }
+
+      if (msg.isRejected) {
+        const rejectedEl = this.renderRejectedMessage(msg);
+        if (rejectedEl) {
+          this.messagesContainer.appendChild(rejectedEl);
+          this.messageElements.set(msg, rejectedEl);
+        }
+      } else {
+        this.renderMessage(msg);
+      }
+    });
+
+    if (!anchor || !this.restoreScrollAnchor(anchor)) {
+      this.scrollToBottom();
+    }
+  }
+
+  /**
+   * First message visible at the top of the chat and how far below the top it is
+   */
+  getScrollAnchor() {
+    const containerTop = this.messagesContainer.getBoundingClientRect().top;
+
+    for (const element of this.messagesContainer.children) {
+      const message = this.renderedMessages.get(element);
+      if (!message) continue;
+
+      const rect = element.getBoundingClientRect();
+      if (rect.bottom > containerTop) {
+        return { message, offset: rect.top - containerTop };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Scroll the anchor message back to where it was
+   * Returns false when it is not shown anymore (another tab or room)
+   */
+  restoreScrollAnchor({ message, offset }) {
+    const element = this.messageElements.get(message);
+    if (!element || !element.isConnected) return false;
+
+    const containerTop = this.messagesContainer.getBoundingClientRect().top;
+    this.messagesContainer.scrollTop +=
+      element.getBoundingClientRect().top - containerTop - offset;
+    return true;
+  }
+
+  /**
+   * Clear all messages
+   */
+  clearMessages() {
+    // Party and direct messages don't belong to the game
+    this.messages = {
+      server: [],
+      global: [],
+      party: this.messages.party,
+      dm: this.messages.dm,
+    };
+    this.lastSeq = { ...this.lastSeq, server: 0, global: 0 };
+    this.missedDivider = { ...this.missedDivider, server: null, global: null };
+    this.history.server = { hasMore: false, loading: false };
+    this.history.global = { hasMore: false, loading: false };
+    if (this.activeTab === "server" || this.activeTab === "global") {
+      this.messagesContainer.innerHTML = "";
+    }
+  }
+
+  /**
+   * Load chat history from backend
+   */
+  async loadHistory() {
+    try {
+      // Load both server and global history
+      await Promise.all([
+        this.loadHistoryForTab("server"),
+        this.loadHistoryForTab("global"),
+      ]);
+    } catch (error) {
+      console.error("Failed to load history:", error);
+    }
+  }
+
+  /**
+   * Load history for specific tab
+   */
+  async loadHistoryForTab(chatType) {
+    const isCurrentTab = chatType === this.activeTab;
+
+    if (chatType === "server" && !this.currentJobId) {
+      if (isCurrentTab) {
+        this.addSystemMessage("No server connected.", chatType);
+      }
+      return;
+    }
+
+    if (chatType === "global" && !this.currentPlaceId) {
+      if (isCurrentTab) {
+        this.addSystemMessage("No game connected.", chatType);
+      }
+      return;
+    }
+
+    if (chatType === "party" && !this.party) {
+      return;
+    }
+
+    try {
+      if (isCurrentTab) {
+        this.messagesContainer.innerHTML = "";
+        this.addSystemMessage("Loading chat history...", chatType);
+      }
+
+      if (window.electron && window.electron.loadHistory) {
+        const result = await window.electron.loadHistory({
+          jobId: this.currentJobId,
+          placeId: this.currentPlaceId,
+          partyId: this.party?.partyId,
+          chatType,
+        });
+
+        if (result.success && result.messages) {
+          // Clear tab messages
+          this.messages[chatType] = [];
+
+          // Add all messages
+          this.history[chatType] = {
+            hasMore: Boolean(result.hasMore),
+            loading: false,
+          };
+          this.lastSeq[chatType] = 0;
+          result.messages.forEach((msg) => {
+            this.messages[chatType].push(this.toChatMessage(msg, chatType));
+            this.trackSequence(chatType, msg.seq);
+          });
+
+          // Messages still waiting in the outbox go after the history
+          await this.restoreQueuedMessages(chatType);
+
+          // Render if active tab
+          if (isCurrentTab) {
+            this.renderAllMessages();
+
+            if (this.messages[chatType].length === 0) {
+              this.addSystemMessage("No previous messages.", chatType);
+            }
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to load ${chatType} history:`, error);
+      if (isCurrentTab) {
+        this.messagesContainer.innerHTML = "";
+        this.addSystemMessage("Failed to load chat history.", chatType);
+      }
+    }
+  }
+
+  /**
+   * Load older pages when the user scrolls to the top of a room tab, and drop them
+   * again once they are back at the bottom
+   */
+  setupHistoryScroll() {
+    if (!this.messagesContainer) return;
+
+    if (window.IntersectionObserver) {
+      this.virtualizer = new IntersectionObserver(
+        (entries) =>
+          entries.forEach((entry) => this.updateVirtualizedMessage(entry)),
+        {
+          root: this.messagesContainer,
+          rootMargin: `${this.VIRTUALIZE_MARGIN_PX}px 0px`,
+        },
+      );
+    }
+
+    this.messagesContainer.addEventListener("scroll", () => {
+      const chatType = this.activeTab;
+      if (!this.ROOM_TABS.includes(chatType)) return;
+
+      if (this.messagesContainer.scrollTop < 80) {
+        this.loadOlderMessages(chatType);
+      } else if (this.isScrolledToBottom()) {
+        this.trimMessages(chatType);
+      }
+    });
+  }
+
+  /**
+   * Check if the chat is scrolled (nearly) to the bottom
+   */
+  isScrolledToBottom() {
+    const container = this.messagesContainer;
+    if (!container) return true;
+    return (
+      container.scrollHeight - container.scrollTop - container.clientHeight < 40
+    );
+  }
+
+  /**
+   * Prepend the page of messages before the oldest one loaded
+   * The view stays on the message the user was looking at
+   */
+  async loadOlderMessages(chatType) {
+    const state = this.history[chatType];
+    const oldest = this.messages[chatType].find((m) => m.messageId);
+    if (!state.hasMore || state.loading || !oldest) return;
+    if (this.messages[chatType].length >= this.MAX_LOADED_MESSAGES) return;
+    if (!window.electron || !window.electron.loadHistory) return;
+
+    const roomId = this.getRoomIdForTab(chatType);
+    state.loading = true;
+    if (chatType === this.activeTab) {
+      this.renderHistoryStart(chatType);
+    }
+
+    try {
+      const result = await window.electron.loadHistory({
+        jobId: this.currentJobId,
+        placeId: this.currentPlaceId,
+        partyId: this.party?.partyId,
+        chatType,
+        before: new Date(oldest.timestamp).toISOString(),
+      });
+
+      // The tab moved to another room meanwhile
+      if (!result.success || this.getRoomIdForTab(chatType) !== roomId) {
+        return;
+      }
+
+      const known = new Set(this.messages[chatType].map((m) => m.messageId));
+      const page = result.messages
+        .filter((msg) => !known.has(msg.messageId))
+        .map((msg) => this.toChatMessage(msg, chatType));
+
+      this.messages[chatType] = [...page, ...this.messages[chatType]];
+      state.hasMore = Boolean(result.hasMore);
+    } catch (error) {
+      console.error(`Failed to load older ${chatType} messages:`, error);
+    } finally {
+      state.loading = false;
+    }
+
+    // The view stays on the same message when older ones are added above
+    if (chatType === this.activeTab) {
+      this.renderAllMessages();
+    }
+  }
+
+  /**
+   * Drop the oldest messages of a tab beyond a limit (they can be loaded again by
+   * scrolling up) - MAX_MESSAGES while following the chat, MAX_LOADED_MESSAGES otherwise
+   */
+  trimMessages(chatType, limit = this.MAX_MESSAGES) {
+    const messages = this.messages[chatType];
+    const excess = messages.length - limit;
+    if (excess <= 0) return;
+
+    const removed = messages.splice(0, excess);
+    if (this.history[chatType]) {
+      this.history[chatType].hasMore = true;
+    }
+
+    if (chatType === this.activeTab) {
+      // Content removed above the view must not move what the user is reading
+      const previousHeight = this.messagesContainer.scrollHeight;
+      removed.forEach((message) => {
+        const messageEl = this.messageElements.get(message);
+        if (!messageEl) return;
+        this.virtualizer?.unobserve(messageEl);
+        messageEl.remove();
+      });
+      this.renderHistoryStart(chatType);
+      this.messagesContainer.scrollTop -=
+        previousHeight - this.messagesContainer.scrollHeight;
+    }
+  }
+
+  /**
+   * Show the loading spinner, the beginning of the room or the history limit above
+   * the oldest message
+   */
+  renderHistoryStart(chatType) {
+    this.messagesContainer.querySelector(".history-start")?.remove();
+
+    const state = this.history[chatType];
+    const atLimit =
+      state.hasMore &&
+      this.messages[chatType].length >= this.MAX_LOADED_MESSAGES;
+    if (!state.loading && state.hasMore && !atLimit) return;
+
+    const startEl = document.createElement("div");
+    startEl.className = "history-start";
+
+    if (state.loading) {
+      startEl.classList.add("loading");
+      const spinnerEl = document.createElement("div");
+      spinnerEl.className = "spinner";
+      startEl.appendChild(spinnerEl);
+    } else if (atLimit) {
+      startEl.classList.add("limit");
+      startEl.textContent = `History limit reached: only the latest ${this.MAX_LOADED_MESSAGES} messages can be loaded`;
+    } else {
+      startEl.textContent = "This is the beginning of the room";
+    }
+
+    this.messagesContainer.prepend(startEl);
+  }
+
+  /**
+   * Remember which message a rendered element shows, for virtualization
+   */
+  trackRenderedMessage(messageEl, message) {
+    this.renderedMessages.set(messageEl, message);
+    this.messageElements.set(message, messageEl);
+    this.virtualizer?.observe(messageEl);
+  }
+
+  /**
+   * Empty a message element far off-screen, or render it again when it comes back
+   */
+  updateVirtualizedMessage({ target, isIntersecting }) {
+    const message = this.renderedMessages.get(target);
+    if (!message || !target.isConnected) return;
+
+    const virtualized = target.classList.contains("virtualized");
+    if (!isIntersecting && !virtualized) {
+      // Keep its height so nothing around it moves
+      target.style.height = `${target.offsetHeight}px`;
+      target.replaceChildren();
+      target.classList.add("virtualized");
+    } else if (isIntersecting && virtualized) {
+      this.virtualizer.unobserve(target);
+      const messageEl = this.createMessageElement(message);
+      messageEl.classList.add("restored");
+      target.replaceWith(messageEl);
+      this.trackRenderedMessage(messageEl, message);
+    }
+  }
+
+  /**
+   * Convert a message from history to a chat message
+   */
+  toChatMessage(msg, chatType) {
+    return {
+      messageId: msg.messageId,
+      seq: msg.seq || null,
+      userId: msg.userId,
+      username: msg.username,
+      displayName: msg.displayName || msg.username,
+      picture: msg.picture || null,
+      message: msg.message,
+      replyTo: msg.replyTo || null,
+      mentions: msg.mentions || [],
+      reactions: msg.reactions || [],
+      timestamp: new Date(msg.timestamp).getTime(),
+      isLocal: false,
+      chatType,
+      editedAt: msg.editedAt,
+      deletedAt: msg.deletedAt,
+    };
+  }
+
+  /**
+   * Scroll chat to bottom
+   */
+  scrollToBottom() {
+    if (this.messagesContainer) {
+      this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    }
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Show validation error
+   */
+  showValidationError(error, highlightWord) {
+    // Show error message
+    const errorEl = document.createElement("div");
+    errorEl.className = "validation-error";
+    errorEl.textContent = error;
+    errorEl.style.cssText = `
+      position: absolute;
+      bottom: 70px;
+      left: 20px;
+      right: 20px;
+      background: rgba(254, 107, 139, 0.2);
+      border: 2px solid rgba(254, 107, 139, 0.4);
+      border-radius: 0; /* Changed from 8px for sharp corners - UI consistency */
+      padding: 12px;
+      color: #fe6b8b;
+      font-size: 14px;
+      font-weight: 600;
+      z-index: 1000;
+      animation: slideUp 0.3s ease;
+    `;
+
+    // Add to chat area
+    const chatArea = document.querySelector(".chat-area");
+    if (chatArea) {
+      chatArea.appendChild(errorEl);
+
+      // Highlight problematic word in input if applicable
+      if (highlightWord) {
+        this.messageInput.style.borderColor = "#fe6b8b";
+        this.messageInput.style.boxShadow =
+          "0 0 0 2px rgba(254, 107, 139, 0.2)";
+      }
+
+      // Remove error after 4 seconds
+      setTimeout(() => {
+        errorEl.remove();
+        this.messageInput.style.borderColor = "";
+        this.messageInput.style.boxShadow = "";
+      }, 4000);
+    }
+  }
+  /**
+   * Show error message to user
+   */
+  showErrorMessage(errorText) {
+    const errorEl = document.createElement("div");
+    errorEl.className = "error-message";
+    errorEl.textContent = errorText;
+    errorEl.style.cssText = `
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    background: rgba(254, 107, 139, 0.95);
+    border: 2px solid rgba(254, 107, 139, 0.6);
+    border-radius: 0; /* Changed from 12px for sharp corners - UI consistency */
+    padding: 16px 20px;
+    color: white;
+    font-size: 14px;
+    font-weight: 600;
+    z-index: 10001;
+    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+    animation: slideIn 0.3s ease;
+  `;
+
+    document.body.appendChild(errorEl);
+
+    setTimeout(() => {
+      errorEl.style.animation = "slideOut 0.3s ease";
+      setTimeout(() => errorEl.remove(), 300);
+    }, 3000);
+  }
+
+  /**
+   * Show server wakeup warning (Render free tier cold start)
+   */
+  showServerWakeupWarning() {
+    // Remove any existing warning
+    const existing = document.getElementById("server-wakeup-warning");
+    if (existing) return;
+
+    const warningEl = document.createElement("div");
+    warningEl.id = "server-wakeup-warning";
+    warningEl.className = "server-wakeup-warning";
+    warningEl.innerHTML = `
+      <div class="spinner"></div>
+      <div>
+        <div style="font-weight: 700; margin-bottom: 4px;">Server is waking up...</div>
+        <div style="font-size: 12px; opacity: 0.8;">This may take 30-60 seconds (free tier cold start)</div>
+      </div>
+    `;
+
+    const chatArea = document.querySelector(".chat-area");
+    if (chatArea) {
+      chatArea.appendChild(warningEl);
+    }
+  }
+
+  /**
+   * Hide server wakeup warning
+   */
+  hideServerWakeupWarning() {
+    const warningEl = document.getElementById("server-wakeup-warning");
+    if (warningEl) {
+      // Add success message briefly before removing
+      warningEl.innerHTML = `
+        <div style="color: #4ade80;">✓</div>
+        <div style="font-weight: 700;">Server is ready!</div>
+      `;
+      warningEl.style.background = "rgba(74, 222, 128, 0.2)";
+      warningEl.style.borderColor = "rgba(74, 222, 128, 0.4)";
+
+      setTimeout(() => {
+        warningEl.remove();
+      }, 2000);
+    }
+  }
+
+  /**
+   * Handle logout
+   */
+  async handleLogout() {
+    if (!confirm("Are you sure you want to logout?")) return;
+
+    try {
+      if (window.electron && window.electron.logout) {
+        const result = await window.electron.logout();
+        if (result.success) {
+          window.location.href = "login.html";
+        }
+      }
+    } catch (error) {
+      console.error("Logout error:", error);
+      alert("Failed to logout");
+    }
+  }
+
+  /**
+   * Show settings
+   */
+  showSettings() {
+    window.location.href = "settings.html";
+  }
+
+  /**
+   * Start cooldown timer with red countdown display
+   * @param {number} seconds - Cooldown duration in seconds (always 10)
+   */
+  startCooldown(seconds) {
+    // Clear any existing cooldown
+    if (this.cooldownTimer) {
+      clearInterval(this.cooldownTimer);
+    }
+
+    console.log(`Starting ${seconds} second cooldown`);
+
+    // Set cooldown end time
+    this.cooldownEndTime = Date.now() + seconds * 1000;
+
+    // Get or create cooldown overlay
+    let cooldownOverlay = document.getElementById("cooldown-overlay");
+    if (!cooldownOverlay) {
+      cooldownOverlay = this.createCooldownOverlay();
+    }
+
+    const countdownEl = document.getElementById("cooldown-countdown");
+    const progressBar = document.getElementById("cooldown-progress-bar");
+
+    // Show overlay
+    cooldownOverlay.classList.add("active");
+
+    // Disable input and send button
+    if (this.messageInput) {
+      this.messageInput.disabled = true;
+      this.messageInput.classList.add("cooldown-disabled");
+    }
+    if (this.sendButton) {
+      this.sendButton.disabled = true;
+      this.sendButton.classList.add("cooldown-disabled");
+    }
+
+    // Update countdown every 100ms for smooth animation
+    const totalMs = seconds * 1000;
+    this.cooldownTimer = setInterval(() => {
+      const remaining = this.cooldownEndTime - Date.now();
+      const remainingSeconds = Math.ceil(remaining / 1000);
+
+      if (remaining <= 0) {
+        this.endCooldown();
+      } else {
+        // Update countdown text
+        if (countdownEl) {
+          countdownEl.textContent = remainingSeconds;
+        }
+
+        // Update progress bar
+        if (progressBar) {
+          const progress = ((totalMs - remaining) / totalMs) * 100;
+          progressBar.style.width = `${progress}%`;
+        }
+      }
+    }, 100);
+  }
+
+  /**
+   * End cooldown timer
+   */
+  endCooldown() {
+    // Clear timer
+    if (this.cooldownTimer) {
+      clearInterval(this.cooldownTimer);
+      this.cooldownTimer = null;
+    }
+
+    this.cooldownEndTime = null;
+
+    // Hide overlay with animation
+    const cooldownOverlay = document.getElementById("cooldown-overlay");
+    if (cooldownOverlay) {
+      cooldownOverlay.classList.remove("active");
+      cooldownOverlay.classList.add("ending");
+
+      setTimeout(() => {
+        cooldownOverlay.classList.remove("ending");
+      }, 300);
+    }
+
+    // Re-enable input and send button
+    if (this.messageInput) {
+      this.messageInput.disabled = false;
+      this.messageInput.classList.remove("cooldown-disabled");
+      this.messageInput.focus();
+    }
+    if (this.sendButton) {
+      this.sendButton.disabled = false;
+      this.sendButton.classList.remove("cooldown-disabled");
+    }
+
+    console.log("Cooldown ended - you can send messages again");
+  }
+
+  /**
+   * Create cooldown overlay element
+   */
+  createCooldownOverlay() {
+    const overlay = document.createElement("div");
+    overlay.id = "cooldown-overlay";
+    overlay.className = "cooldown-overlay";
+    overlay.innerHTML = `
+      <div class="cooldown-content">
+        <div class="cooldown-icon">
+          <i class="fas fa-clock"></i>
+        </div>
+        <div class="cooldown-text">
+          <span class="cooldown-label">Slow down!</span>
+          <span class="cooldown-timer">
+            <span id="cooldown-countdown">10</span>s remaining
+          </span>
+        </div>
+        <div class="cooldown-progress">
+          <div id="cooldown-progress-bar" class="cooldown-progress-bar"></div>
+        </div>
+      </div>
+    `;
+
+    // Insert before the chat input
+    const chatContainer = document.querySelector(".chat-container");
+    const chatInput = document.querySelector(".chat-input");
+    if (chatContainer && chatInput) {
+      chatContainer.insertBefore(overlay, chatInput);
+    } else if (chatContainer) {
+      chatContainer.appendChild(overlay);
+    }
+
+    return overlay;
+  }
+
+  /**
+   * Show a rejected message (only visible to sender)
+   * Displayed in a gray box with rejection reason
+   */
+  showRejectedMessage(messageText, reason) {
+    const messageEl = document.createElement("div");
+    messageEl.className = "chat-msg local rejected";
+
+    const timestamp = new Date().toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+    // Create rejection notice
+    const rejectionEl = document.createElement("div");
+    rejectionEl.className = "msg-rejected-notice";
+    rejectionEl.innerHTML = `
+      <div class="rejected-header">
+        <i class="fas fa-ban"></i>
+        <span>Message Not Sent</span>
+      </div>
+      <div class="rejected-reason">${this.escapeHtml(reason)}</div>
+    `;
+
+    // Create content column with the original message shown muted
+    const contentColumnEl = document.createElement("div");
+    contentColumnEl.className = "msg-content-column";
+
+    const bubbleEl = document.createElement("div");
+    bubbleEl.className = "msg-bubble rejected-bubble";
+    bubbleEl.textContent = messageText;
+
+    contentColumnEl.appendChild(rejectionEl);
+    contentColumnEl.appendChild(bubbleEl);
+
+    // Minimal profile area (just for alignment)
+    const profilePicEl = document.createElement("div");
+    profilePicEl.className = "msg-profile-pic rejected-avatar";
+    profilePicEl.innerHTML = '<i class="fas fa-times"></i>';
+
+    messageEl.appendChild(profilePicEl);
+    messageEl.appendChild(contentColumnEl);
+
+    this.messagesContainer.appendChild(messageEl);
+    this.scrollToBottom();
+
+    // Store in messages array so it persists during tab switches (but only for sender)
+    this.messages[this.activeTab].push({
+      id: `rejected-${Date.now()}`,
+      userId: "system",
+      username: "System",
+      message: messageText,
+      timestamp: Date.now(),
+      isLocal: true,
+      isRejected: true,
+      rejectionReason: reason,
+      chatType: this.activeTab,
+    });
+  }
+
+  /**
+   * Render a previously rejected message (for tab switch persistence)
+   */
+  renderRejectedMessage(message) {
+    const messageEl = document.createElement("div");
+    messageEl.className = "chat-msg local rejected";
+    messageEl.setAttribute("data-message-id", message.id);
+
+    const rejectionEl = document.createElement("div");
+    rejectionEl.className = "msg-rejected-notice";
+    rejectionEl.innerHTML = `
+      <div class="rejected-header">
+        <i class="fas fa-ban"></i>
+        <span>Message Not Sent</span>
+      </div>
+      <div class="rejected-reason">${this.escapeHtml(message.rejectionReason)}</div>
+    `;
+
+    const contentColumnEl = document.createElement("div");
+    contentColumnEl.className = "msg-content-column";
+
+    const bubbleEl = document.createElement("div");
+    bubbleEl.className = "msg-bubble rejected-bubble";
+    bubbleEl.textContent = message.message;
+
+    contentColumnEl.appendChild(rejectionEl);
+    contentColumnEl.appendChild(bubbleEl);
+
+    const profilePicEl = document.createElement("div");
+    profilePicEl.className = "msg-profile-pic rejected-avatar";
+    profilePicEl.innerHTML = '<i class="fas fa-times"></i>';
+
+    messageEl.appendChild(profilePicEl);
+    messageEl.appendChild(contentColumnEl);
+
+    return messageEl;
+  }
+
+  /**
+   * Setup outbox listeners (queued messages delivered or given up on in the background)
+   */
+  setupOutboxListeners() {
+    if (!window.electron || !window.electron.onOutboxUpdated) return;
+
+    window.electron.onOutboxUpdated((data) => {
+      this.handleOutboxUpdate(data);
+    });
+  }
+
+  /**
+   * Find one of our messages by its outbox idempotency key
+   */
+  findMessageByClientKey(clientKey) {
+    for (const chatType of this.ROOM_TABS) {
+      const found = this.messages[chatType].find(
+        (m) => m.clientKey === clientKey,
+      );
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Update the delivery status of a queued message
+   */
+  handleOutboxUpdate(data) {
+    const message = data && this.findMessageByClientKey(data.clientKey);
+    if (!message) return;
+
+    if (data.status === "sent" && data.message) {
+      // The broadcast may already have added it
+      const duplicate = this.messages[message.chatType].find(
+        (m) => m !== message && m.messageId === data.message.messageId,
+      );
+      if (duplicate) {
+        this.messages[message.chatType] = this.messages[
+          message.chatType
+        ].filter((m) => m !== duplicate);
+      }
+
+      message.messageId = data.message.messageId;
+      message.seq = data.message.seq || null;
+      message.mentions = data.message.mentions || [];
+      message.timestamp = new Date(data.message.timestamp).getTime();
+
+      // Queued messages are shown last; move it to where the room received it
+      const messages = this.messages[message.chatType].filter(
+        (m) => m !== message,
+      );
+      this.insertBySequence(messages, message);
+      this.messages[message.chatType] = messages;
+      this.trackSequence(message.chatType, message.seq);
+    }
+
+    message.status = data.status;
+    message.error = data.error || null;
+
+    if (message.chatType === this.activeTab) {
+      this.renderAllMessages();
+    }
+  }
+
+  /**
+   * Check if a queued message belongs to the room a tab currently shows
+   */
+  isQueuedForTab(entry, chatType) {
+    if (entry.chatType !== chatType) return false;
+    if (chatType === "server") return entry.jobId === this.currentJobId;
+    if (chatType === "party") return entry.partyId === this.party?.partyId;
+    return String(entry.placeId) === String(this.currentPlaceId);
+  }
+
+  /**
+   * Add messages still waiting in the outbox (e.g. from before a restart) to a tab
+   */
+  async restoreQueuedMessages(chatType) {
+    if (!window.electron || !window.electron.listOutbox) return;
+
+    try {
+      const result = await window.electron.listOutbox();
+      if (!result.success) return;
+
+      const currentUser = await this.getCurrentUser();
+      result.entries
+        .filter((entry) => this.isQueuedForTab(entry, chatType))
+        .filter((entry) => !this.findMessageByClientKey(entry.clientKey))
+        .forEach((entry) => {
+          const parent = entry.replyTo && this.findMessageById(entry.replyTo);
+          this.messages[chatType].push({
+            messageId: null,
+            clientKey: entry.clientKey,
+            status: entry.status,
+            error: entry.error,
+            userId: currentUser?.userId
+              ? parseInt(currentUser.userId)
+              : "local",
+            username: currentUser?.username || "You",
+            displayName: currentUser?.displayName || currentUser?.username,
+            picture: currentUser?.picture || null,
+            message: entry.message,
+            replyTo: parent ? this.buildReplyPreview(parent) : null,
+            mentions: [],
+            reactions: [],
+            timestamp: entry.createdAt,
+            isLocal: true,
+            chatType,
+          });
+        });
+    } catch (error) {
+      console.error("Failed to load queued messages:", error);
+    }
+  }
+
+  /**
+   * Status line under one of our messages: sending, sent or failed with retry/discard
+   */
+  renderDeliveryStatus(message) {
+    const statusEl = document.createElement("div");
+    statusEl.className = `msg-delivery ${message.status}`;
+
+    const iconEl = document.createElement("i");
+    const textEl = document.createElement("span");
+
+    if (message.status === "sent") {
+      iconEl.className = "fas fa-check";
+      statusEl.title = "Sent";
+    } else if (message.status === "failed") {
+      iconEl.className = "fas fa-exclamation-circle";
+      textEl.textContent = message.error
+        ? `Not sent: ${message.error}`
+        : "Not sent";
+    } else {
+      iconEl.className = "fas fa-clock";
+      textEl.textContent = message.error
+        ? `Sending... (${message.error})`
+        : "Sending...";
+    }
+
+    statusEl.appendChild(iconEl);
+    statusEl.appendChild(textEl);
+
+    if (message.status === "failed") {
+      const retryBtn = document.createElement("button");
+      retryBtn.className = "msg-delivery-btn";
+      retryBtn.textContent = "Retry";
+      retryBtn.onclick = () => this.retryQueuedMessage(message);
+      statusEl.appendChild(retryBtn);
+    }
+
+    if (message.status !== "sent") {
+      const discardBtn = document.createElement("button");
+      discardBtn.className = "msg-delivery-btn";
+      discardBtn.textContent = "Discard";
+      discardBtn.onclick = () => this.discardQueuedMessage(message);
+      statusEl.appendChild(discardBtn);
+    }
+
+    return statusEl;
+  }
+
+  /**
+   * Send a failed message again
+   */
+  async retryQueuedMessage(message) {
+    const result = await window.electron.retryOutboxMessage(message.clientKey);
+    if (!result.success) {
+      this.showErrorMessage(result.error || "Failed to retry message");
+    }
+  }
+
+  /**
+   * Drop a queued or failed message
+   */
+  async discardQueuedMessage(message) {
+    const result = await window.electron.discardOutboxMessage(
+      message.clientKey,
+    );
+    if (!result.success) {
+      this.showErrorMessage(result.error || "Failed to discard message");
+      return;
+    }
+
+    this.messages[message.chatType] = this.messages[message.chatType].filter(
+      (m) => m !== message,
+    );
+    if (message.chatType === this.activeTab) {
+      this.renderAllMessages();
+    }
+  }
+
+  /**
+   * Handle edit message click
+   */
+  /**
+   * Handle edit message click
+   */
+  async handleEditMessage(messageId, currentMessage) {
+    // Editing and replying share the input
+    this.cancelReply();
+
+    // Set edit mode
+    this.editingMessageId = messageId;
+    this.editingOriginalMessage = currentMessage;
+
+    // Populate input with current message
+    this.messageInput.value = currentMessage;
+    this.messageInput.focus();
+
+    // Show edit banner
+    this.showEditBanner();
+
+    // Change send button to "Save"
+    this.sendButton.textContent = "Save";
+  }
+
+  /**
+   * Show edit message banner
+   */
+  showEditBanner() {
+    // Remove existing banner if any
+    const existing = document.querySelector(".edit-message-banner");
+    if (existing) existing.remove();
+
+    const banner = document.createElement("div");
+    banner.className = "edit-message-banner";
+
+    const bannerText = document.createElement("span");
+    bannerText.className = "edit-banner-text";
+    bannerText.textContent = "Editing message";
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "edit-banner-cancel";
+    const cancelIcon = document.createElement("i");
+    cancelIcon.className = "fas fa-times";
+    cancelBtn.appendChild(cancelIcon);
+    cancelBtn.onclick = () => {
+      this.cancelEdit();
+    };
+
+    banner.appendChild(bannerText);
+    banner.appendChild(cancelBtn);
+
+    // Insert before chat input
+    const chatContainer = document.querySelector(".chat-container");
+    const chatInput = document.querySelector(".chat-input");
+    if (chatContainer && chatInput) {
+      chatContainer.insertBefore(banner, chatInput);
+    }
+  }
+
+  /**
+   * Cancel edit mode
+   */
+  cancelEdit() {
+    this.editingMessageId = null;
+    this.editingOriginalMessage = null;
+    this.messageInput.value = "";
+    this.sendButton.textContent = "Send";
+
+    const banner = document.querySelector(".edit-message-banner");
+    if (banner) banner.remove();
+  }
+
+  /**
+   * Handle delete message click
+   */
+  async handleDeleteMessage(messageId) {
+    // Find the message to show in popup
+    const message = this.findMessageById(messageId);
+    const messageText = message ? message.message : "this message";
+
+    this.showDeleteConfirmation(messageId, messageText);
+  }
+
+  /**
+   * Find message by ID in current messages
+   */
+  findMessageById(messageId) {
+    for (const chatType of this.ROOM_TABS) {
+      const found = this.messages[chatType].find(
+        (m) => m.messageId === messageId,
+      );
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Show delete confirmation popup
    */
-  async saveEdit(newMessage) {
-    // Validate message
-    if (window.messageValidator) {
-      const validation = window.messageValidator.validate(newMessage);
-      if (!validation.valid) {
-        this.showValidationError(validation.error, validation.highlightWord);
-        return;
+  showDeleteConfirmation(messageId, messageText) {
+    const popup = document.createElement("div");
+    popup.className = "delete-confirmation";
+    popup.innerHTML = `
+    <div class="delete-popup">
+      <div class="delete-popup-title">Delete Message</div>
+      <div class="delete-popup-message">${this.escapeHtml(messageText)}</div>
+      <div style="color: var(--text-muted); font-size: 13px; margin-bottom: 16px;">
+        Are you sure you want to delete this message? This cannot be undone.
+      </div>
+      <div class="delete-popup-actions">
+        <button class="delete-popup-btn delete-popup-cancel">Cancel</button>
+        <button class="delete-popup-btn delete-popup-confirm">Delete</button>
+      </div>
+    </div>
+  `;
+
+    document.body.appendChild(popup);
+
+    // Cancel button
+    popup.querySelector(".delete-popup-cancel").onclick = () => {
+      popup.remove();
+    };
+
+    // Confirm button
+    popup.querySelector(".delete-popup-confirm").onclick = async () => {
+      popup.remove();
+      await this.confirmDelete(messageId);
+    };
+
+    // Click outside to close
+    popup.onclick = (e) => {
+      if (e.target === popup) {
+        popup.remove();
       }
-    }
+    };
+  }
 
+  /**
+   * Confirm and execute delete
+   */
+  async confirmDelete(messageId) {
     try {
-      if (window.electron && window.electron.editMessage) {
-        const result = await window.electron.editMessage({
-          messageId: this.editingMessageId,
-          newMessage,
-        });
+      if (window.electron && window.electron.deleteMessage) {
+        const result = await window.electron.deleteMessage({ messageId });
 
         if (!result.success) {
-          alert(result.error || "Failed to edit message");
-          return;
+          alert(result.error || "Failed to delete message");
         }
-
-        // Success - cancel edit mode
-        this.cancelEdit();
       }
     } catch (error) {
-      console.error("Failed to edit message:", error);
-      alert("Failed to edit message");
+      console.error("Failed to delete message:", error);
+      alert("Failed to delete message");
     }
   }
 
   /**
-   * Get current user info
+   * Handle message edited event from server
    */
-  async getCurrentUser() {
-    try {
-      if (window.electron && window.electron.getAuthStatus) {
-        const status = await window.electron.getAuthStatus();
-        return status.user;
+  handleMessageEdited(data) {
+    const { messageId, newContent, mentions } = data;
+
+    // Find message in every room tab
+    for (const chatType of this.ROOM_TABS) {
+      const messages = this.messages[chatType];
+      const messageIndex = messages.findIndex((m) => m.messageId === messageId);
+
+      if (messageIndex !== -1) {
+        messages[messageIndex].message = newContent;
+        messages[messageIndex].mentions = mentions || [];
+        messages[messageIndex].editedAt = Date.now();
+      }
+
+      // Keep quotes of the edited message in sync
+      const quoted = this.updateReplyPreviews(messages, messageId, (preview) =>
+        this.buildReplyPreview({ ...preview, message: newContent }),
+      );
+
+      // Re-render if this is the active tab
+      if ((messageIndex !== -1 || quoted) && chatType === this.activeTab) {
+        this.renderAllMessages();
       }
-    } catch (error) {
-      console.error("Failed to get user:", error);
     }
-    return null;
   }
 
   /**
-   * Add a message to the chat
+   * Handle message deleted event from server
    */
-  addMessage(messageData) {
-    const chatType = messageData.chatType || this.activeTab;
-    const message = {
-      messageId: messageData.messageId || null,
-      userId: messageData.userId,
-      username: messageData.username,
-      displayName: messageData.displayName || messageData.username,
-      picture: messageData.picture || null,
-      message: messageData.message,
-      timestamp: messageData.timestamp || Date.now(),
-      isLocal: messageData.isLocal || false,
-      chatType,
-    };
+  handleMessageDeleted(data) {
+    const { messageId } = data;
+
+    // Remove message from every room tab
+    for (const chatType of this.ROOM_TABS) {
+      const messages = this.messages[chatType];
+      const messageIndex = messages.findIndex((m) => m.messageId === messageId);
+
+      if (messageIndex !== -1) {
+        messages.splice(messageIndex, 1);
+      }
 
-    this.messages[chatType].push(message);
+      // Quotes of the deleted message now point nowhere
+      const quoted = this.updateReplyPreviews(messages, messageId, () => ({
+        messageId,
+        deleted: true,
+      }));
 
-    if (this.messages[chatType].length > this.MAX_MESSAGES) {
-      this.messages[chatType].shift();
+      // Re-render if this is the active tab
+      if ((messageIndex !== -1 || quoted) && chatType === this.activeTab) {
+        this.renderAllMessages();
+      }
     }
 
-    if (chatType === this.activeTab) {
-      this.renderMessage(message);
-      this.scrollToBottom();
+    if (this.replyingTo?.messageId === messageId) {
+      this.cancelReply();
     }
   }
 
   /**
-   * Add system message
+   * Handle aggregated reaction counts from server
    */
-  addSystemMessage(text, chatType) {
-    const targetType = chatType || this.activeTab;
-
-    // Only render if this is the active tab
-    if (targetType === this.activeTab) {
-      // Wrapper ensures true centering via text-align: center
-      const wrapper = document.createElement("div");
-      wrapper.className = "system-msg-wrapper";
+  handleReactionsUpdated(data) {
+    const { messageId, reactions } = data || {};
+    if (!messageId || !Array.isArray(reactions)) return;
 
-      const messageEl = document.createElement("div");
-      messageEl.className = "system-msg";
-      messageEl.textContent = text;
-
-      wrapper.appendChild(messageEl);
-      this.messagesContainer.appendChild(wrapper);
-      this.scrollToBottom();
+    for (const chatType of this.ROOM_TABS) {
+      const message = this.messages[chatType].find(
+        (m) => m.messageId === messageId,
+      );
+      if (!message) continue;
+
+      message.reactions = reactions;
+
+      // Update the bar in place so the scroll position is kept
+      if (chatType === this.activeTab) {
+        const messageEl = Array.from(
+          this.messagesContainer.querySelectorAll("[data-message-id]"),
+        ).find((el) => el.getAttribute("data-message-id") === messageId);
+        const barEl = messageEl?.querySelector(".msg-reactions");
+        if (barEl) {
+          barEl.replaceWith(this.renderReactionBar(message));
+        }
+      }
     }
   }
 
-  renderMessage(message) {
-    const messageEl = document.createElement("div");
-    messageEl.className = `chat-msg ${message.isLocal ? "local" : "remote"}`;
-    if (message.messageId) {
-      messageEl.setAttribute("data-message-id", message.messageId);
-    }
+  /**
+   * Render the reaction bar under a message bubble
+   * Reactions made by the current user are highlighted
+   */
+  renderReactionBar(message) {
+    const barEl = document.createElement("div");
+    barEl.className = "msg-reactions";
+
+    (message.reactions || []).forEach((reaction) => {
+      const chipEl = document.createElement("button");
+      chipEl.className = "reaction-chip";
+      if (reaction.userIds?.includes(this.userId)) {
+        chipEl.classList.add("own");
+      }
+      chipEl.title = `React with ${reaction.emoji}`;
+      chipEl.onclick = () =>
+        this.toggleReaction(message.messageId, reaction.emoji);
 
-    const timestamp = new Date(message.timestamp).toLocaleTimeString([], {
-      hour: "2-digit",
-      minute: "2-digit",
+      const emojiEl = document.createElement("span");
+      emojiEl.className = "reaction-emoji";
+      emojiEl.textContent = reaction.emoji;
+
+      const countEl = document.createElement("span");
+      countEl.className = "reaction-count";
+      countEl.textContent = reaction.count;
+
+      chipEl.appendChild(emojiEl);
+      chipEl.appendChild(countEl);
+      barEl.appendChild(chipEl);
     });
 
-    const displayName =
-      message.displayName && message.displayName.trim()
-        ? message.displayName
-        : message.username;
-    const username = message.username;
-    const picture = message.picture;
+    return barEl;
+  }
 
-    const profilePicEl = document.createElement("div");
-    profilePicEl.className = "msg-profile-pic";
+  /**
+   * Show the reaction picker next to a message's react button
+   */
+  showReactionPicker(message, anchorEl) {
+    const existing = document.querySelector(".reaction-picker");
+    if (existing) existing.remove();
 
-    if (picture && picture.trim()) {
-      const imgEl = document.createElement("img");
-      imgEl.src = picture;
-      imgEl.alt = displayName;
-      imgEl.onerror = () => {
-        profilePicEl.innerHTML = "";
-        profilePicEl.textContent = this.escapeHtml(
-          displayName.charAt(0).toUpperCase(),
-        );
+    const picker = document.createElement("div");
+    picker.className = "reaction-picker";
+
+    this.REACTIONS.forEach((emoji) => {
+      const optionEl = document.createElement("button");
+      optionEl.className = "reaction-option";
+      optionEl.textContent = emoji;
+      optionEl.onclick = () => {
+        picker.remove();
+        this.toggleReaction(message.messageId, emoji);
       };
-      profilePicEl.appendChild(imgEl);
-    } else {
-      profilePicEl.textContent = this.escapeHtml(
-        displayName.charAt(0).toUpperCase(),
-      );
-    }
+      picker.appendChild(optionEl);
+    });
 
-    const contentColumnEl = document.createElement("div");
-    contentColumnEl.className = "msg-content-column";
+    anchorEl.parentElement.appendChild(picker);
 
-    const headerEl = document.createElement("div");
-    headerEl.className = "msg-header";
+    // Close when clicking anywhere else
+    const closePicker = (e) => {
+      if (!picker.contains(e.target)) {
+        picker.remove();
+        document.removeEventListener("click", closePicker);
+      }
+    };
+    setTimeout(() => document.addEventListener("click", closePicker), 0);
+  }
 
-    const displayNameEl = document.createElement("span");
-    displayNameEl.className = "msg-display-name";
-    displayNameEl.textContent = this.escapeHtml(displayName);
+  /**
+   * Toggle the current user's reaction on a message
+   */
+  async toggleReaction(messageId, emoji) {
+    try {
+      if (window.electron && window.electron.toggleReaction) {
+        const result = await window.electron.toggleReaction({
+          messageId,
+          emoji,
+        });
 
-    const usernameEl = document.createElement("span");
-    usernameEl.className = "msg-username";
-    usernameEl.textContent = `(${this.escapeHtml(username)})`;
+        if (!result.success) {
+          this.showErrorMessage(result.error || "Failed to update reaction");
+        }
+      }
+    } catch (error) {
+      console.error("Failed to toggle reaction:", error);
+      this.showErrorMessage("Failed to update reaction");
+    }
+  }
 
-    const timeEl = document.createElement("span");
-    timeEl.className = "msg-time";
-    timeEl.textContent = timestamp;
+  /**
+   * Setup block list listeners
+   * Blocked users' live messages and typing are dropped by the main process;
+   * this only clears what is already on screen when the list changes
+   */
+  async setupBlockListListeners() {
+    if (!window.electron) return;
 
-    headerEl.appendChild(displayNameEl);
-    headerEl.appendChild(usernameEl);
-    headerEl.appendChild(timeEl);
+    if (window.electron.onBlockListUpdated) {
+      window.electron.onBlockListUpdated((blockedUsers) => {
+        this.applyBlockList(blockedUsers);
+      });
+    }
 
-    const bubbleEl = document.createElement("div");
-    bubbleEl.className = "msg-bubble";
-    bubbleEl.textContent = this.escapeHtml(message.message);
+    if (window.electron.getBlockList) {
+      try {
+        const result = await window.electron.getBlockList();
+        if (result.success) {
+          this.applyBlockList(result.blockedUsers);
+        }
+      } catch (error) {
+        console.error("Failed to load block list:", error);
+      }
+    }
+  }
 
-    contentColumnEl.appendChild(headerEl);
-    contentColumnEl.appendChild(bubbleEl);
+  /**
+   * Apply a new block list, removing blocked users' messages from every room tab
+   */
+  applyBlockList(blockedUsers) {
+    this.blockedUserIds = new Set(
+      (blockedUsers || []).map((entry) => parseInt(entry.userId)),
+    );
+
+    for (const chatType of this.ROOM_TABS) {
+      const before = this.messages[chatType].length;
+      this.messages[chatType] = this.messages[chatType].filter(
+        (m) => !this.blockedUserIds.has(parseInt(m.userId)),
+      );
 
-    // Add edit/delete buttons AFTER the bubble, not inside it
-    if (message.isLocal && message.messageId) {
-      const actionsEl = document.createElement("div");
-      actionsEl.className = "msg-actions";
+      if (
+        this.messages[chatType].length !== before &&
+        chatType === this.activeTab
+      ) {
+        this.renderAllMessages();
+      }
+    }
 
-      const editBtn = document.createElement("button");
-      editBtn.className = "msg-action-btn edit-btn";
-      editBtn.title = "Edit message";
-      editBtn.onclick = () =>
-        this.handleEditMessage(message.messageId, message.message);
-      const editIcon = document.createElement("i");
-      editIcon.className = "fas fa-edit";
-      editBtn.appendChild(editIcon);
+    // Conversations with blocked users disappear from the DMs tab
+    this.conversations = this.conversations.filter(
+      (c) => !this.blockedUserIds.has(parseInt(c.user.userId)),
+    );
+    if (
+      this.openConversation &&
+      this.blockedUserIds.has(parseInt(this.openConversation.userId))
+    ) {
+      this.openConversation = null;
+      this.messages.dm = [];
+    }
+    this.updateDmBadge();
+    if (this.activeTab === "dm") {
+      this.renderAllMessages();
+    }
+  }
 
-      const deleteBtn = document.createElement("button");
-      deleteBtn.className = "msg-action-btn delete-btn";
-      deleteBtn.title = "Delete message";
-      deleteBtn.onclick = () => this.handleDeleteMessage(message.messageId);
-      const deleteIcon = document.createElement("i");
-      deleteIcon.className = "fas fa-trash";
-      deleteBtn.appendChild(deleteIcon);
+  /**
+   * Block a message's author after confirmation
+   */
+  async blockUser(message) {
+    const name = message.displayName || message.username;
+    if (
+      !confirm(
+        `Block ${name}? You will no longer see their messages. You can unblock them in Settings.`,
+      )
+    ) {
+      return;
+    }
 
-      actionsEl.appendChild(editBtn);
-      actionsEl.appendChild(deleteBtn);
-      contentColumnEl.appendChild(actionsEl); // Append to column, not bubble
+    try {
+      if (window.electron && window.electron.blockUser) {
+        const result = await window.electron.blockUser({
+          userId: message.userId,
+          username: message.username,
+        });
+
+        if (!result.success) {
+          this.showErrorMessage(result.error || "Failed to block user");
+        }
+      }
+    } catch (error) {
+      console.error("Failed to block user:", error);
+      this.showErrorMessage("Failed to block user");
     }
+  }
 
-    messageEl.appendChild(profilePicEl);
-    messageEl.appendChild(contentColumnEl);
+  /**
+   * Load local mutes, dropping expired ones
+   */
+  loadMutedUsers() {
+    try {
+      const saved = JSON.parse(localStorage.getItem("muted-users") || "{}");
+      Object.entries(saved).forEach(([userId, mutedUntil]) => {
+        if (mutedUntil > Date.now()) {
+          this.mutedUsers.set(parseInt(userId), mutedUntil);
+          this.scheduleMuteExpiry(parseInt(userId), mutedUntil);
+        }
+      });
+    } catch (error) {
+      console.error("Failed to load muted users:", error);
+    }
+  }
 
-    this.messagesContainer.appendChild(messageEl);
+  /**
+   * Persist local mutes
+   */
+  saveMutedUsers() {
+    localStorage.setItem(
+      "muted-users",
+      JSON.stringify(Object.fromEntries(this.mutedUsers)),
+    );
   }
 
   /**
-   * Render all messages for active tab
+   * Check if a user is temporarily muted
    */
-  renderAllMessages() {
-    this.messagesContainer.innerHTML = "";
+  isMuted(userId) {
+    const mutedUntil = this.mutedUsers.get(parseInt(userId));
+    return Boolean(mutedUntil && mutedUntil > Date.now());
+  }
 
-    const messagesForTab = this.messages[this.activeTab] || [];
-    messagesForTab.forEach((msg) => {
-      if (msg.isRejected) {
-        const rejectedEl = this.renderRejectedMessage(msg);
-        if (rejectedEl) {
-          this.messagesContainer.appendChild(rejectedEl);
-        }
-      } else {
-        this.renderMessage(msg);
-      }
-    });
+  /**
+   * Mute a user locally for a number of minutes
+   */
+  muteUser(userId, minutes) {
+    const id = parseInt(userId);
+    const mutedUntil = Date.now() + minutes * 60 * 1000;
 
-    this.scrollToBottom();
+    this.mutedUsers.set(id, mutedUntil);
+    this.saveMutedUsers();
+    this.scheduleMuteExpiry(id, mutedUntil);
+    this.renderAllMessages();
   }
 
   /**
-   * Clear all messages
+   * Lift a local mute early
    */
-  clearMessages() {
-    this.messages = { server: [], global: [] };
-    this.messagesContainer.innerHTML = "";
+  unmuteUser(userId) {
+    const id = parseInt(userId);
+
+    clearTimeout(this.muteTimers.get(id));
+    this.muteTimers.delete(id);
+    this.mutedUsers.delete(id);
+    this.saveMutedUsers();
+    this.renderAllMessages();
   }
 
   /**
-   * Load chat history from backend
+   * Expand a user's messages again once their mute runs out
    */
-  async loadHistory() {
-    try {
-      // Load both server and global history
-      await Promise.all([
-        this.loadHistoryForTab("server"),
-        this.loadHistoryForTab("global"),
-      ]);
-    } catch (error) {
-      console.error("Failed to load history:", error);
-    }
+  scheduleMuteExpiry(userId, mutedUntil) {
+    clearTimeout(this.muteTimers.get(userId));
+    this.muteTimers.set(
+      userId,
+      setTimeout(() => this.unmuteUser(userId), mutedUntil - Date.now()),
+    );
   }
 
   /**
-   * Load history for specific tab
+   * Show the mute duration picker next to a message's mute button
    */
-  async loadHistoryForTab(chatType) {
-    const isCurrentTab = chatType === this.activeTab;
+  showMutePicker(message, anchorEl) {
+    const existing = document.querySelector(".mute-picker");
+    if (existing) existing.remove();
 
-    if (chatType === "server" && !this.currentJobId) {
-      if (isCurrentTab) {
-        this.addSystemMessage("No server connected.", chatType);
-      }
-      return;
-    }
+    const picker = document.createElement("div");
+    picker.className = "mute-picker";
+
+    this.MUTE_DURATIONS.forEach((minutes) => {
+      const optionEl = document.createElement("button");
+      optionEl.className = "mute-option";
+      optionEl.textContent = minutes >= 60 ? `${minutes / 60}h` : `${minutes}m`;
+      optionEl.title = `Mute for ${optionEl.textContent}`;
+      optionEl.onclick = () => {
+        picker.remove();
+        this.muteUser(message.userId, minutes);
+      };
+      picker.appendChild(optionEl);
+    });
 
-    if (chatType === "global" && !this.currentPlaceId) {
-      if (isCurrentTab) {
-        this.addSystemMessage("No game connected.", chatType);
-      }
-      return;
-    }
+    anchorEl.parentElement.appendChild(picker);
 
-    try {
-      if (isCurrentTab) {
-        this.messagesContainer.innerHTML = "";
-        this.addSystemMessage("Loading chat history...", chatType);
+    // Close when clicking anywhere else
+    const closePicker = (e) => {
+      if (!picker.contains(e.target)) {
+        picker.remove();
+        document.removeEventListener("click", closePicker);
       }
+    };
+    setTimeout(() => document.addEventListener("click", closePicker), 0);
+  }
 
-      if (window.electron && window.electron.loadHistory) {
-        const result = await window.electron.loadHistory({
-          jobId: this.currentJobId,
-          placeId: this.currentPlaceId,
-          chatType,
-        });
+  /**
+   * Setup direct message listeners and load the conversation list
+   */
+  setupDirectMessageListeners() {
+    if (!window.electron) return;
 
-        if (result.success && result.messages) {
-          // Clear tab messages
-          this.messages[chatType] = [];
+    if (window.electron.onDirectMessage) {
+      window.electron.onDirectMessage((data) => {
+        this.handleDirectMessage(data);
+      });
+    }
 
-          // Add all messages
-          result.messages.forEach((msg) => {
-            this.messages[chatType].push({
-              messageId: msg.messageId,
-              userId: msg.userId,
-              username: msg.username,
-              displayName: msg.displayName || msg.username,
-              picture: msg.picture || null,
-              message: msg.message,
-              timestamp: new Date(msg.timestamp).getTime(),
-              isLocal: false,
-              chatType,
-              editedAt: msg.editedAt,
-              deletedAt: msg.deletedAt,
-            });
-          });
+    this.loadConversations();
+  }
 
-          // Render if active tab
-          if (isCurrentTab) {
-            this.renderAllMessages();
+  /**
+   * Load conversations from the server
+   */
+  async loadConversations() {
+    try {
+      if (window.electron && window.electron.listConversations) {
+        const result = await window.electron.listConversations();
+        if (!result.success) return;
 
-            if (result.messages.length === 0) {
-              this.addSystemMessage("No previous messages.", chatType);
-            }
-          }
+        this.conversations = result.conversations.filter(
+          (c) => !this.blockedUserIds.has(parseInt(c.user.userId)),
+        );
+        this.updateDmBadge();
+
+        if (this.activeTab === "dm" && !this.openConversation) {
+          this.renderAllMessages();
         }
       }
     } catch (error) {
-      console.error(`Failed to load ${chatType} history:`, error);
-      if (isCurrentTab) {
-        this.messagesContainer.innerHTML = "";
-        this.addSystemMessage("Failed to load chat history.", chatType);
-      }
+      console.error("Failed to load conversations:", error);
     }
   }
 
   /**
-   * Scroll chat to bottom
+   * Show the total unread direct messages on the DMs tab
    */
-  scrollToBottom() {
-    if (this.messagesContainer) {
-      this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+  updateDmBadge() {
+    const total = this.conversations.reduce(
+      (sum, c) => sum + (c.unreadCount || 0),
+      0,
+    );
+
+    const countEl = document.getElementById("tab-dm-count");
+    if (countEl) {
+      countEl.textContent = total > 0 ? `(${total})` : "";
     }
+    document
+      .getElementById("tab-dm")
+      ?.classList.toggle("has-unread", total > 0);
   }
 
   /**
-   * Escape HTML to prevent XSS
+   * Convert a server direct message to a chat message
    */
-  escapeHtml(text) {
-    const div = document.createElement("div");
-    div.textContent = text;
-    return div.innerHTML;
+  toDirectMessage(data) {
+    return {
+      messageId: data.messageId,
+      userId: parseInt(data.userId),
+      username: data.username,
+      displayName: data.displayName || data.username,
+      picture: null,
+      message: data.message,
+      replyTo: null,
+      mentions: [],
+      reactions: [],
+      timestamp: new Date(data.timestamp).getTime(),
+      isLocal: parseInt(data.userId) === this.userId,
+      chatType: "dm",
+    };
   }
 
   /**
-   * Show validation error
+   * Handle a direct message sent or received on any of our clients
    */
-  showValidationError(error, highlightWord) {
-    // Show error message
-    const errorEl = document.createElement("div");
-    errorEl.className = "validation-error";
-    errorEl.textContent = error;
-    errorEl.style.cssText = `
-      position: absolute;
-      bottom: 70px;
-      left: 20px;
-      right: 20px;
-      background: rgba(254, 107, 139, 0.2);
-      border: 2px solid rgba(254, 107, 139, 0.4);
-      border-radius: 0; /* Changed from 8px for sharp corners - UI consistency */
-      padding: 12px;
-      color: #fe6b8b;
-      font-size: 14px;
-      font-weight: 600;
-      z-index: 1000;
-      animation: slideUp 0.3s ease;
-    `;
-
-    // Add to chat area
-    const chatArea = document.querySelector(".chat-area");
-    if (chatArea) {
-      chatArea.appendChild(errorEl);
-
-      // Highlight problematic word in input if applicable
-      if (highlightWord) {
-        this.messageInput.style.borderColor = "#fe6b8b";
-        this.messageInput.style.boxShadow =
-          "0 0 0 2px rgba(254, 107, 139, 0.2)";
+  handleDirectMessage(data) {
+    if (!data || !data.messageId) return;
+
+    const fromMe = parseInt(data.userId) === this.userId;
+    const otherId = parseInt(fromMe ? data.recipientId : data.userId);
+    const isOpen =
+      this.openConversation &&
+      parseInt(this.openConversation.userId) === otherId;
+    const isVisible = isOpen && this.activeTab === "dm";
+
+    // Move the conversation to the top of the list
+    const index = this.conversations.findIndex(
+      (c) => parseInt(c.user.userId) === otherId,
+    );
+    if (index === -1) {
+      // New conversation - the server has the full entry
+      this.loadConversations();
+    } else {
+      const [conversation] = this.conversations.splice(index, 1);
+      conversation.lastMessage = {
+        userId: data.userId,
+        message: data.message,
+        timestamp: data.timestamp,
+      };
+      if (!fromMe && !isVisible) {
+        conversation.unreadCount = (conversation.unreadCount || 0) + 1;
       }
+      this.conversations.unshift(conversation);
+      this.updateDmBadge();
+    }
 
-      // Remove error after 4 seconds
-      setTimeout(() => {
-        errorEl.remove();
-        this.messageInput.style.borderColor = "";
-        this.messageInput.style.boxShadow = "";
-      }, 4000);
+    if (isOpen) {
+      this.appendDirectMessage(data);
+      if (!fromMe && isVisible) {
+        this.markConversationRead(otherId);
+      }
+    } else if (this.activeTab === "dm" && !this.openConversation) {
+      this.renderAllMessages();
     }
   }
+
   /**
-   * Show error message to user
+   * Add a direct message to the open conversation (once - the sender also gets an echo)
    */
-  showErrorMessage(errorText) {
-    const errorEl = document.createElement("div");
-    errorEl.className = "error-message";
-    errorEl.textContent = errorText;
-    errorEl.style.cssText = `
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    background: rgba(254, 107, 139, 0.95);
-    border: 2px solid rgba(254, 107, 139, 0.6);
-    border-radius: 0; /* Changed from 12px for sharp corners - UI consistency */
-    padding: 16px 20px;
-    color: white;
-    font-size: 14px;
-    font-weight: 600;
-    z-index: 10001;
-    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
-    animation: slideIn 0.3s ease;
-  `;
+  appendDirectMessage(data) {
+    if (this.messages.dm.some((m) => m.messageId === data.messageId)) return;
 
-    document.body.appendChild(errorEl);
+    const message = this.toDirectMessage(data);
+    this.messages.dm.push(message);
 
-    setTimeout(() => {
-      errorEl.style.animation = "slideOut 0.3s ease";
-      setTimeout(() => errorEl.remove(), 300);
-    }, 3000);
+    if (this.activeTab === "dm") {
+      this.renderMessage(message);
+      this.scrollToBottom();
+    }
   }
 
   /**
-   * Show server wakeup warning (Render free tier cold start)
+   * Open the DMs tab on a conversation with a user
    */
-  showServerWakeupWarning() {
-    // Remove any existing warning
-    const existing = document.getElementById("server-wakeup-warning");
-    if (existing) return;
+  startDirectMessage(user) {
+    if (!user || !user.userId || parseInt(user.userId) === this.userId) {
+      return;
+    }
 
-    const warningEl = document.createElement("div");
-    warningEl.id = "server-wakeup-warning";
-    warningEl.className = "server-wakeup-warning";
-    warningEl.innerHTML = `
-      <div class="spinner"></div>
-      <div>
-        <div style="font-weight: 700; margin-bottom: 4px;">Server is waking up...</div>
-        <div style="font-size: 12px; opacity: 0.8;">This may take 30-60 seconds (free tier cold start)</div>
-      </div>
-    `;
+    this.switchTab("dm");
+    this.openDirectConversation(user);
+    this.messageInput?.focus();
+  }
 
-    const chatArea = document.querySelector(".chat-area");
-    if (chatArea) {
-      chatArea.appendChild(warningEl);
-    }
+  /**
+   * Open a conversation and load its latest messages
+   */
+  async openDirectConversation(user) {
+    this.openConversation = {
+      userId: parseInt(user.userId),
+      username: user.username,
+    };
+    this.messages.dm = [];
+    this.dmHasMore = false;
+    this.renderAllMessages();
+
+    await this.loadDirectMessages();
+    this.markConversationRead(this.openConversation.userId);
   }
 
   /**
-   * Hide server wakeup warning
+   * Close the open conversation and show the list again
    */
-  hideServerWakeupWarning() {
-    const warningEl = document.getElementById("server-wakeup-warning");
-    if (warningEl) {
-      // Add success message briefly before removing
-      warningEl.innerHTML = `
-        <div style="color: #4ade80;">✓</div>
-        <div style="font-weight: 700;">Server is ready!</div>
-      `;
-      warningEl.style.background = "rgba(74, 222, 128, 0.2)";
-      warningEl.style.borderColor = "rgba(74, 222, 128, 0.4)";
+  closeDirectConversation() {
+    this.openConversation = null;
+    this.messages.dm = [];
+    this.dmHasMore = false;
+    this.renderAllMessages();
+  }
 
-      setTimeout(() => {
-        warningEl.remove();
-      }, 2000);
+  /**
+   * Load a page of the open conversation (older messages when before is set)
+   */
+  async loadDirectMessages(before) {
+    const conversation = this.openConversation;
+    if (!conversation || !window.electron?.loadDirectMessages) return;
+
+    try {
+      const result = await window.electron.loadDirectMessages({
+        userId: conversation.userId,
+        before,
+      });
+
+      // The user may have opened another conversation meanwhile
+      if (this.openConversation !== conversation) return;
+
+      if (!result.success) {
+        this.showErrorMessage(result.error || "Failed to load messages");
+        return;
+      }
+
+      const known = new Set(this.messages.dm.map((m) => m.messageId));
+      const page = result.messages
+        .filter((m) => !known.has(m.messageId))
+        .map((m) => this.toDirectMessage(m));
+
+      this.messages.dm = before
+        ? [...page, ...this.messages.dm]
+        : [...this.messages.dm, ...page].sort(
+            (a, b) => a.timestamp - b.timestamp,
+          );
+      this.dmHasMore = result.hasMore;
+
+      if (this.activeTab === "dm") {
+        const previousHeight = this.messagesContainer.scrollHeight;
+        const previousTop = this.messagesContainer.scrollTop;
+        this.renderAllMessages();
+
+        // Keep the view on the same message when older ones are added above
+        if (before) {
+          this.messagesContainer.scrollTop =
+            this.messagesContainer.scrollHeight - previousHeight + previousTop;
+        }
+      }
+    } catch (error) {
+      console.error("Failed to load direct messages:", error);
+      this.showErrorMessage("Failed to load messages");
     }
   }
 
   /**
-   * Handle logout
+   * Clear a conversation's unread count locally and on the server
    */
-  async handleLogout() {
-    if (!confirm("Are you sure you want to logout?")) return;
+  async markConversationRead(userId) {
+    const conversation = this.conversations.find(
+      (c) => parseInt(c.user.userId) === parseInt(userId),
+    );
+    if (conversation && !conversation.unreadCount) return;
+
+    if (conversation) {
+      conversation.unreadCount = 0;
+      this.updateDmBadge();
+    }
 
     try {
-      if (window.electron && window.electron.logout) {
-        const result = await window.electron.logout();
-        if (result.success) {
-          window.location.href = "login.html";
-        }
+      if (window.electron && window.electron.markConversationRead) {
+        await window.electron.markConversationRead(userId);
       }
     } catch (error) {
-      console.error("Logout error:", error);
-      alert("Failed to logout");
+      console.error("Failed to mark conversation read:", error);
     }
   }
 
   /**
-   * Show settings
+   * Send a direct message to the open conversation
    */
-  showSettings() {
-    window.location.href = "settings.html";
+  async sendDirectMessage(message) {
+    if (!this.openConversation) {
+      this.addSystemMessage(
+        "Open a conversation first, or use the envelope button on a message to start one.",
+        "dm",
+      );
+      return;
+    }
+
+    const sentMessage = message;
+    this.messageInput.value = "";
+
+    try {
+      if (window.electron && window.electron.sendDirectMessage) {
+        const result = await window.electron.sendDirectMessage({
+          recipientId: this.openConversation.userId,
+          message: sentMessage,
+        });
+
+        if (result.success) {
+          // The socket echo may arrive first - appendDirectMessage ignores the duplicate
+          this.handleDirectMessage(result.message);
+          return;
+        }
+
+        if (result.status === 401 || result.tokenExpired) {
+          this.addSystemMessage(
+            "⚠️ Session expired. Returning to login...",
+            "dm",
+          );
+          return;
+        }
+
+        if (result.status === 429) {
+          const match = result.error?.match(/(\d+)\s*seconds?/i);
+          this.startCooldown(match ? parseInt(match[1]) : 10);
+          this.messageInput.value = sentMessage;
+          return;
+        }
+
+        // Blocked, unknown user or validation error - keep the text for editing
+        this.messageInput.value = sentMessage;
+        this.showErrorMessage(result.error || "Failed to send message");
+      }
+    } catch (error) {
+      console.error("Failed to send direct message:", error);
+      this.messageInput.value = sentMessage;
+      this.addSystemMessage(
+        "⚠️ Failed to send message. Please try again.",
+        "dm",
+      );
+    }
   }
 
   /**
-   * Start cooldown timer with red countdown display
-   * @param {number} seconds - Cooldown duration in seconds (always 10)
+   * Render the conversation list into the messages area
    */
-  startCooldown(seconds) {
-    // Clear any existing cooldown
-    if (this.cooldownTimer) {
-      clearInterval(this.cooldownTimer);
+  renderConversationList() {
+    if (this.conversations.length === 0) {
+      this.addSystemMessage(
+        "No conversations yet. Use the envelope button on a message to start one.",
+        "dm",
+      );
+      return;
     }
 
-    console.log(`Starting ${seconds} second cooldown`);
+    const listEl = document.createElement("div");
+    listEl.className = "dm-list";
 
-    // Set cooldown end time
-    this.cooldownEndTime = Date.now() + seconds * 1000;
+    this.conversations.forEach((conversation) => {
+      const { user, lastMessage, unreadCount } = conversation;
 
-    // Get or create cooldown overlay
-    let cooldownOverlay = document.getElementById("cooldown-overlay");
-    if (!cooldownOverlay) {
-      cooldownOverlay = this.createCooldownOverlay();
-    }
+      const itemEl = document.createElement("button");
+      itemEl.className = unreadCount
+        ? "dm-conversation unread"
+        : "dm-conversation";
+      itemEl.onclick = () => this.openDirectConversation(user);
 
-    const countdownEl = document.getElementById("cooldown-countdown");
-    const progressBar = document.getElementById("cooldown-progress-bar");
+      const avatarEl = document.createElement("div");
+      avatarEl.className = "member-avatar";
+      avatarEl.textContent = user.username.charAt(0).toUpperCase();
 
-    // Show overlay
-    cooldownOverlay.classList.add("active");
+      const textEl = document.createElement("div");
+      textEl.className = "dm-conversation-text";
 
-    // Disable input and send button
-    if (this.messageInput) {
-      this.messageInput.disabled = true;
-      this.messageInput.classList.add("cooldown-disabled");
-    }
-    if (this.sendButton) {
-      this.sendButton.disabled = true;
-      this.sendButton.classList.add("cooldown-disabled");
-    }
+      const nameEl = document.createElement("span");
+      nameEl.className = "dm-conversation-name";
+      nameEl.textContent = user.username;
 
-    // Update countdown every 100ms for smooth animation
-    const totalMs = seconds * 1000;
-    this.cooldownTimer = setInterval(() => {
-      const remaining = this.cooldownEndTime - Date.now();
-      const remainingSeconds = Math.ceil(remaining / 1000);
+      const previewEl = document.createElement("span");
+      previewEl.className = "dm-conversation-preview";
+      if (lastMessage) {
+        const prefix =
+          parseInt(lastMessage.userId) === this.userId ? "You: " : "";
+        previewEl.textContent = prefix + lastMessage.message;
+      }
 
-      if (remaining <= 0) {
-        this.endCooldown();
-      } else {
-        // Update countdown text
-        if (countdownEl) {
-          countdownEl.textContent = remainingSeconds;
-        }
+      textEl.appendChild(nameEl);
+      textEl.appendChild(previewEl);
+      itemEl.appendChild(avatarEl);
+      itemEl.appendChild(textEl);
 
-        // Update progress bar
-        if (progressBar) {
-          const progress = ((totalMs - remaining) / totalMs) * 100;
-          progressBar.style.width = `${progress}%`;
-        }
+      if (unreadCount) {
+        const badgeEl = document.createElement("span");
+        badgeEl.className = "dm-unread-badge";
+        badgeEl.textContent = unreadCount > 99 ? "99+" : String(unreadCount);
+        itemEl.appendChild(badgeEl);
       }
-    }, 100);
+
+      listEl.appendChild(itemEl);
+    });
+
+    this.messagesContainer.appendChild(listEl);
   }
 
   /**
-   * End cooldown timer
+   * Header above an open conversation: back button, name and "load older" button
    */
-  endCooldown() {
-    // Clear timer
-    if (this.cooldownTimer) {
-      clearInterval(this.cooldownTimer);
-      this.cooldownTimer = null;
+  renderConversationHeader() {
+    const headerEl = document.createElement("div");
+    headerEl.className = "dm-header";
+
+    const backBtn = document.createElement("button");
+    backBtn.className = "dm-back-btn";
+    backBtn.title = "All conversations";
+    backBtn.onclick = () => this.closeDirectConversation();
+    const backIcon = document.createElement("i");
+    backIcon.className = "fas fa-arrow-left";
+    backBtn.appendChild(backIcon);
+
+    const nameEl = document.createElement("span");
+    nameEl.className = "dm-header-name";
+    nameEl.textContent = this.openConversation.username;
+
+    headerEl.appendChild(backBtn);
+    headerEl.appendChild(nameEl);
+
+    if (this.dmHasMore) {
+      const olderBtn = document.createElement("button");
+      olderBtn.className = "dm-older-btn";
+      olderBtn.textContent = "Load older";
+      olderBtn.onclick = () => {
+        const oldest = this.messages.dm[0];
+        if (oldest) {
+          this.loadDirectMessages(new Date(oldest.timestamp).toISOString());
+        }
+      };
+      headerEl.appendChild(olderBtn);
     }
 
-    this.cooldownEndTime = null;
+    return headerEl;
+  }
 
-    // Hide overlay with animation
-    const cooldownOverlay = document.getElementById("cooldown-overlay");
-    if (cooldownOverlay) {
-      cooldownOverlay.classList.remove("active");
-      cooldownOverlay.classList.add("ending");
+  /**
+   * Setup party listeners and load the current party
+   */
+  setupPartyListeners() {
+    if (!window.electron) return;
 
-      setTimeout(() => {
-        cooldownOverlay.classList.remove("ending");
-      }, 300);
+    if (window.electron.onPartyUpdated) {
+      window.electron.onPartyUpdated((data) => {
+        this.applyParty(data.party);
+      });
     }
 
-    // Re-enable input and send button
-    if (this.messageInput) {
-      this.messageInput.disabled = false;
-      this.messageInput.classList.remove("cooldown-disabled");
-      this.messageInput.focus();
+    if (window.electron.onPartyInvite) {
+      window.electron.onPartyInvite((data) => {
+        if (!data || !data.partyId) return;
+        if (this.blockedUserIds.has(parseInt(data.invitedBy?.userId))) return;
+
+        this.partyInvites = this.partyInvites.filter(
+          (invite) => invite.partyId !== data.partyId,
+        );
+        this.partyInvites.push(data);
+
+        this.addSystemMessage(
+          `${data.invitedBy?.username || "Someone"} invited you to the party "${data.name}"`,
+          "party",
+        );
+        if (this.activeTab !== "party") {
+          document.getElementById("tab-party")?.classList.add("has-unread");
+        } else if (!this.party) {
+          this.renderAllMessages();
+        }
+      });
     }
-    if (this.sendButton) {
-      this.sendButton.disabled = false;
-      this.sendButton.classList.remove("cooldown-disabled");
+
+    if (window.electron.onPartyMemberLocation) {
+      window.electron.onPartyMemberLocation((data) => {
+        if (!this.party || data.partyId !== this.party.partyId) return;
+
+        const member = this.presence.party.get(parseInt(data.userId));
+        if (member) {
+          member.location = data.location;
+          this.updatePresenceUI();
+        }
+      });
     }
 
-    console.log("Cooldown ended - you can send messages again");
+    this.loadParty();
   }
 
   /**
-   * Create cooldown overlay element
+   * Load our party and pending invites from the server
    */
-  createCooldownOverlay() {
-    const overlay = document.createElement("div");
-    overlay.id = "cooldown-overlay";
-    overlay.className = "cooldown-overlay";
-    overlay.innerHTML = `
-      <div class="cooldown-content">
-        <div class="cooldown-icon">
-          <i class="fas fa-clock"></i>
-        </div>
-        <div class="cooldown-text">
-          <span class="cooldown-label">Slow down!</span>
-          <span class="cooldown-timer">
-            <span id="cooldown-countdown">10</span>s remaining
-          </span>
-        </div>
-        <div class="cooldown-progress">
-          <div id="cooldown-progress-bar" class="cooldown-progress-bar"></div>
-        </div>
-      </div>
-    `;
+  async loadParty() {
+    try {
+      if (window.electron && window.electron.getParty) {
+        const result = await window.electron.getParty();
+        if (!result.success) return;
 
-    // Insert before the chat input
-    const chatContainer = document.querySelector(".chat-container");
-    const chatInput = document.querySelector(".chat-input");
-    if (chatContainer && chatInput) {
-      chatContainer.insertBefore(overlay, chatInput);
-    } else if (chatContainer) {
-      chatContainer.appendChild(overlay);
+        this.partyInvites = result.invites;
+        this.applyParty(result.party);
+      }
+    } catch (error) {
+      console.error("Failed to load party:", error);
     }
-
-    return overlay;
   }
 
   /**
-   * Show a rejected message (only visible to sender)
-   * Displayed in a gray box with rejection reason
+   * Show a party (null when we are not in one)
    */
-  showRejectedMessage(messageText, reason) {
-    const messageEl = document.createElement("div");
-    messageEl.className = "chat-msg local rejected";
+  applyParty(party) {
+    const previousId = this.party?.partyId;
+    this.party = party || null;
+
+    this.presence.party = new Map(
+      (this.party?.members || []).map((member) => [
+        parseInt(member.userId),
+        {
+          userId: parseInt(member.userId),
+          username: member.username,
+          displayName: member.username,
+          location: member.location,
+        },
+      ]),
+    );
+
+    // Joined, left or switched party - the old messages don't apply
+    if (this.party?.partyId !== previousId) {
+      this.messages.party = [];
+      this.lastSeq.party = 0;
+      this.missedDivider.party = null;
+      this.history.party = { hasMore: false, loading: false };
+      this.partyInvites = this.partyInvites.filter(
+        (invite) => invite.partyId !== this.party?.partyId,
+      );
+      if (this.party) {
+        this.loadHistoryForTab("party");
+      }
+    }
 
-    const timestamp = new Date().toLocaleTimeString([], {
-      hour: "2-digit",
-      minute: "2-digit",
-    });
+    this.updatePresenceUI();
+    if (this.activeTab === "party") {
+      this.renderAllMessages();
+    }
+  }
 
-    // Create rejection notice
-    const rejectionEl = document.createElement("div");
-    rejectionEl.className = "msg-rejected-notice";
-    rejectionEl.innerHTML = `
-      <div class="rejected-header">
-        <i class="fas fa-ban"></i>
-        <span>Message Not Sent</span>
-      </div>
-      <div class="rejected-reason">${this.escapeHtml(reason)}</div>
-    `;
+  /**
+   * Party tab without a party: create one or answer an invite
+   */
+  renderPartySetup() {
+    const setupEl = document.createElement("div");
+    setupEl.className = "party-setup";
+
+    const titleEl = document.createElement("div");
+    titleEl.className = "party-setup-title";
+    titleEl.textContent =
+      "Parties keep a chat with your friends whatever server you are in.";
+    setupEl.appendChild(titleEl);
+
+    const formEl = document.createElement("div");
+    formEl.className = "party-form";
+
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.className = "party-input";
+    nameInput.placeholder = "Party name";
+    nameInput.maxLength = 50;
+
+    const createBtn = document.createElement("button");
+    createBtn.className = "party-btn";
+    createBtn.textContent = "Create party";
+    createBtn.onclick = async () => {
+      const name = nameInput.value.trim();
+      if (!name) return;
+
+      const result = await window.electron.createParty(name);
+      if (result.success) {
+        this.applyParty(result.party);
+      } else {
+        this.showErrorMessage(result.error || "Failed to create party");
+      }
+    };
 
-    // Create content column with the original message shown muted
-    const contentColumnEl = document.createElement("div");
-    contentColumnEl.className = "msg-content-column";
+    formEl.appendChild(nameInput);
+    formEl.appendChild(createBtn);
+    setupEl.appendChild(formEl);
 
-    const bubbleEl = document.createElement("div");
-    bubbleEl.className = "msg-bubble rejected-bubble";
-    bubbleEl.textContent = messageText;
+    this.partyInvites.forEach((invite) => {
+      const inviteEl = document.createElement("div");
+      inviteEl.className = "party-invite";
 
-    contentColumnEl.appendChild(rejectionEl);
-    contentColumnEl.appendChild(bubbleEl);
+      const textEl = document.createElement("span");
+      textEl.className = "party-invite-text";
+      textEl.textContent = `${invite.name} (${invite.memberCount} ${invite.memberCount === 1 ? "member" : "members"})`;
 
-    // Minimal profile area (just for alignment)
-    const profilePicEl = document.createElement("div");
-    profilePicEl.className = "msg-profile-pic rejected-avatar";
-    profilePicEl.innerHTML = '<i class="fas fa-times"></i>';
+      const respond = async (accept) => {
+        const result = await window.electron.respondToPartyInvite({
+          partyId: invite.partyId,
+          accept,
+        });
+        this.partyInvites = this.partyInvites.filter(
+          (i) => i.partyId !== invite.partyId,
+        );
+        if (!result.success) {
+          this.showErrorMessage(result.error || "Failed to answer invite");
+        }
+        if (result.party) {
+          this.applyParty(result.party);
+        } else {
+          this.renderAllMessages();
+        }
+      };
 
-    messageEl.appendChild(profilePicEl);
-    messageEl.appendChild(contentColumnEl);
+      const acceptBtn = document.createElement("button");
+      acceptBtn.className = "party-btn";
+      acceptBtn.textContent = "Join";
+      acceptBtn.onclick = () => respond(true);
 
-    this.messagesContainer.appendChild(messageEl);
-    this.scrollToBottom();
+      const declineBtn = document.createElement("button");
+      declineBtn.className = "party-btn secondary";
+      declineBtn.textContent = "Decline";
+      declineBtn.onclick = () => respond(false);
 
-    // Store in messages array so it persists during tab switches (but only for sender)
-    this.messages[this.activeTab].push({
-      id: `rejected-${Date.now()}`,
-      userId: "system",
-      username: "System",
-      message: messageText,
-      timestamp: Date.now(),
-      isLocal: true,
-      isRejected: true,
-      rejectionReason: reason,
-      chatType: this.activeTab,
+      inviteEl.appendChild(textEl);
+      inviteEl.appendChild(acceptBtn);
+      inviteEl.appendChild(declineBtn);
+      setupEl.appendChild(inviteEl);
     });
+
+    this.messagesContainer.appendChild(setupEl);
   }
 
   /**
-   * Render a previously rejected message (for tab switch persistence)
+   * Invite and leave controls under the party roster
    */
-  renderRejectedMessage(message) {
-    const messageEl = document.createElement("div");
-    messageEl.className = "chat-msg local rejected";
-    messageEl.setAttribute("data-message-id", message.id);
-
-    const rejectionEl = document.createElement("div");
-    rejectionEl.className = "msg-rejected-notice";
-    rejectionEl.innerHTML = `
-      <div class="rejected-header">
-        <i class="fas fa-ban"></i>
-        <span>Message Not Sent</span>
-      </div>
-      <div class="rejected-reason">${this.escapeHtml(message.rejectionReason)}</div>
-    `;
-
-    const contentColumnEl = document.createElement("div");
-    contentColumnEl.className = "msg-content-column";
+  renderPartyControls() {
+    const controlsEl = document.createElement("div");
+    controlsEl.className = "party-controls";
+
+    const inviteInput = document.createElement("input");
+    inviteInput.type = "text";
+    inviteInput.className = "party-input";
+    inviteInput.placeholder = "Invite by username";
+    inviteInput.maxLength = 20;
+
+    const inviteBtn = document.createElement("button");
+    inviteBtn.className = "party-btn";
+    inviteBtn.textContent = "Invite";
+    inviteBtn.onclick = async () => {
+      const username = inviteInput.value.trim();
+      if (!username) return;
+
+      const result = await window.electron.inviteToParty(username);
+      if (result.success) {
+        this.addSystemMessage(`Invited ${username}`, "party");
+        this.applyParty(result.party);
+      } else {
+        this.showErrorMessage(result.error || "Failed to send invite");
+      }
+    };
 
-    const bubbleEl = document.createElement("div");
-    bubbleEl.className = "msg-bubble rejected-bubble";
-    bubbleEl.textContent = message.message;
+    controlsEl.appendChild(inviteInput);
+    controlsEl.appendChild(inviteBtn);
 
-    contentColumnEl.appendChild(rejectionEl);
-    contentColumnEl.appendChild(bubbleEl);
+    if (this.party.invites.length > 0) {
+      const pendingEl = document.createElement("div");
+      pendingEl.className = "party-pending";
+      pendingEl.textContent = `Invited: ${this.party.invites.map((i) => i.username).join(", ")}`;
+      controlsEl.appendChild(pendingEl);
+    }
 
-    const profilePicEl = document.createElement("div");
-    profilePicEl.className = "msg-profile-pic rejected-avatar";
-    profilePicEl.innerHTML = '<i class="fas fa-times"></i>';
+    const leaveBtn = document.createElement("button");
+    leaveBtn.className = "party-btn secondary";
+    leaveBtn.textContent = "Leave party";
+    leaveBtn.onclick = async () => {
+      if (!confirm(`Leave ${this.party.name}?`)) return;
 
-    messageEl.appendChild(profilePicEl);
-    messageEl.appendChild(contentColumnEl);
+      const result = await window.electron.leaveParty();
+      if (result.success) {
+        this.applyParty(null);
+      } else {
+        this.showErrorMessage(result.error || "Failed to leave party");
+      }
+    };
+    controlsEl.appendChild(leaveBtn);
 
-    return messageEl;
+    return controlsEl;
   }
 
   /**
-   * Handle edit message click
-   */
-  /**
-   * Handle edit message click
+   * Where a party member is, with buttons to copy a join link or remove them
    */
-  async handleEditMessage(messageId, currentMessage) {
-    // Set edit mode
-    this.editingMessageId = messageId;
-    this.editingOriginalMessage = currentMessage;
-
-    // Populate input with current message
-    this.messageInput.value = currentMessage;
-    this.messageInput.focus();
+  renderPartyMemberLocation(itemEl, member) {
+    const isMe = parseInt(member.userId) === this.userId;
+    const location = member.location;
+
+    const locationEl = document.createElement("span");
+    locationEl.className = "member-location";
+    if (!location) {
+      locationEl.textContent = "Not in game";
+    } else if (location.jobId === this.currentJobId) {
+      locationEl.textContent = "In your server";
+    } else if (String(location.placeId) === String(this.currentPlaceId)) {
+      locationEl.textContent = "Same game, other server";
+    } else {
+      locationEl.textContent = `Place ${location.placeId}`;
+    }
+    itemEl.appendChild(locationEl);
+
+    if (location && !isMe && location.jobId !== this.currentJobId) {
+      const linkBtn = document.createElement("button");
+      linkBtn.className = "member-action-btn";
+      linkBtn.title = "Copy join link";
+      linkBtn.onclick = async () => {
+        const result = await window.electron.copyJoinLink(location);
+        if (result.success) {
+          this.addSystemMessage(
+            `Join link for ${member.username}'s server copied`,
+            "party",
+          );
+        } else {
+          this.showErrorMessage(result.error || "Failed to copy join link");
+        }
+      };
+      const linkIcon = document.createElement("i");
+      linkIcon.className = "fas fa-link";
+      linkBtn.appendChild(linkIcon);
+      itemEl.appendChild(linkBtn);
+    }
 
-    // Show edit banner
-    this.showEditBanner();
+    if (!isMe && this.party?.ownerId === this.userId) {
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "member-action-btn";
+      removeBtn.title = "Remove from party";
+      removeBtn.onclick = async () => {
+        if (!confirm(`Remove ${member.username} from the party?`)) return;
 
-    // Change send button to "Save"
-    this.sendButton.textContent = "Save";
+        const result = await window.electron.removePartyMember(member.userId);
+        if (result.success) {
+          this.applyParty(result.party);
+        } else {
+          this.showErrorMessage(result.error || "Failed to remove member");
+        }
+      };
+      const removeIcon = document.createElement("i");
+      removeIcon.className = "fas fa-user-minus";
+      removeBtn.appendChild(removeIcon);
+      itemEl.appendChild(removeBtn);
+    }
   }
 
   /**
-   * Show edit message banner
+   * Setup moderation listeners
    */
-  showEditBanner() {
-    // Remove existing banner if any
-    const existing = document.querySelector(".edit-message-banner");
-    if (existing) existing.remove();
+  setupModerationListeners() {
+    if (!window.electron) return;
 
-    const banner = document.createElement("div");
-    banner.className = "edit-message-banner";
+    if (window.electron.onRoomRole) {
+      window.electron.onRoomRole((data) => {
+        const tab = this.getTabForRoom(data?.roomId);
+        if (!tab) return;
 
-    const bannerText = document.createElement("span");
-    bannerText.className = "edit-banner-text";
-    bannerText.textContent = "Editing message";
+        this.roomRoles[tab] = data.role || "user";
+        if (tab === this.activeTab) {
+          this.renderAllMessages();
+        }
+      });
+    }
 
-    const cancelBtn = document.createElement("button");
-    cancelBtn.className = "edit-banner-cancel";
-    const cancelIcon = document.createElement("i");
-    cancelIcon.className = "fas fa-times";
-    cancelBtn.appendChild(cancelIcon);
-    cancelBtn.onclick = () => {
-      this.cancelEdit();
-    };
+    if (window.electron.onModerationResult) {
+      window.electron.onModerationResult((data) => {
+        if (data?.success) {
+          const done = {
+            muteUser: "User muted.",
+            unmuteUser: "User unmuted.",
+            kickUser: "User kicked from the room.",
+            banUser: "User banned.",
+          };
+          this.addSystemMessage(done[data.action] || "Done.");
+        } else {
+          this.showErrorMessage(data?.error || "Moderation action failed");
+        }
+      });
+    }
 
-    banner.appendChild(bannerText);
-    banner.appendChild(cancelBtn);
+    if (window.electron.onModerationNotice) {
+      window.electron.onModerationNotice((data) => {
+        const tab = this.getTabForRoom(data?.roomId);
+        if (!tab) return;
 
-    // Insert before chat input
-    const chatContainer = document.querySelector(".chat-container");
-    const chatInput = document.querySelector(".chat-input");
-    if (chatContainer && chatInput) {
-      chatContainer.insertBefore(banner, chatInput);
+        if (data.action === "muted") {
+          const until = new Date(data.until).toLocaleTimeString([], {
+            hour: "2-digit",
+            minute: "2-digit",
+          });
+          const reason = data.reason ? ` Reason: ${data.reason}` : "";
+          this.addSystemMessage(
+            `A moderator muted you in this chat until ${until}.${reason}`,
+            tab,
+          );
+        } else if (data.action === "unmuted") {
+          this.addSystemMessage("A moderator lifted your mute.", tab);
+        }
+      });
+    }
+
+    if (window.electron.onKicked) {
+      window.electron.onKicked((data) => {
+        const tab = this.getTabForRoom(data?.roomId);
+        if (!tab) return;
+
+        this.presence[tab].clear();
+        this.updatePresenceUI();
+        const reason = data.reason ? ` Reason: ${data.reason}` : "";
+        this.addSystemMessage(
+          `A moderator removed you from this chat.${reason}`,
+          tab,
+        );
+      });
+    }
+
+    if (window.electron.onRoomJoinRejected) {
+      window.electron.onRoomJoinRejected((data) => {
+        const tab = this.getTabForRoom(data?.roomId);
+        if (tab) {
+          this.addSystemMessage(data.error || "Could not join this chat", tab);
+        }
+      });
+    }
+
+    if (window.electron.onBanned) {
+      window.electron.onBanned((data) => {
+        this.clearPresence();
+        this.showErrorMessage(data?.reason || "You are banned from RoChat");
+      });
     }
   }
 
   /**
-   * Cancel edit mode
+   * Check if we moderate the room of a tab
    */
-  cancelEdit() {
-    this.editingMessageId = null;
-    this.editingOriginalMessage = null;
-    this.messageInput.value = "";
-    this.sendButton.textContent = "Send";
+  canModerate(chatType) {
+    const role = this.roomRoles[chatType || this.activeTab];
+    return role === "moderator" || role === "admin";
+  }
 
-    const banner = document.querySelector(".edit-message-banner");
-    if (banner) banner.remove();
+  /**
+   * Room ID of a tab
+   */
+  getRoomIdForTab(chatType) {
+    if (chatType === "party") return `party:${this.party?.partyId}`;
+    return chatType === "server"
+      ? `server:${this.currentJobId}`
+      : `global:${this.currentPlaceId}`;
   }
 
   /**
-   * Handle delete message click
+   * Show moderator actions for a message's author
    */
-  async handleDeleteMessage(messageId) {
-    // Find the message to show in popup
-    const message = this.findMessageById(messageId);
-    const messageText = message ? message.message : "this message";
+  showModerationPicker(message, anchorEl) {
+    const existing = document.querySelector(".moderation-picker");
+    if (existing) existing.remove();
 
-    this.showDeleteConfirmation(messageId, messageText);
+    const picker = document.createElement("div");
+    picker.className = "moderation-picker";
+
+    const name = message.displayName || message.username;
+    const roomId = this.getRoomIdForTab(message.chatType);
+    const userId = parseInt(message.userId);
+
+    const options = [
+      {
+        label: "Delete message",
+        run: () => this.handleDeleteMessage(message.messageId),
+      },
+      ...[10, 60, 1440].map((minutes) => ({
+        label: `Mute ${minutes >= 60 ? `${minutes / 60}h` : `${minutes}m`}`,
+        run: () =>
+          this.moderate({
+            action: "muteUser",
+            roomId,
+            userId,
+            durationMinutes: minutes,
+          }),
+      })),
+      {
+        label: "Kick from chat",
+        run: () => {
+          if (confirm(`Kick ${name} from this chat?`)) {
+            this.moderate({ action: "kickUser", roomId, userId });
+          }
+        },
+      },
+      {
+        label: "Ban from RoChat",
+        danger: true,
+        run: () => {
+          if (confirm(`Ban ${name} from RoChat? This applies everywhere.`)) {
+            this.moderate({ action: "banUser", userId });
+          }
+        },
+      },
+    ];
+
+    options.forEach(({ label, danger, run }) => {
+      const optionEl = document.createElement("button");
+      optionEl.className = danger
+        ? "moderation-option danger"
+        : "moderation-option";
+      optionEl.textContent = label;
+      optionEl.onclick = () => {
+        picker.remove();
+        run();
+      };
+      picker.appendChild(optionEl);
+    });
+
+    anchorEl.parentElement.appendChild(picker);
+
+    // Close when clicking anywhere else
+    const closePicker = (e) => {
+      if (!picker.contains(e.target)) {
+        picker.remove();
+        document.removeEventListener("click", closePicker);
+      }
+    };
+    setTimeout(() => document.addEventListener("click", closePicker), 0);
   }
 
   /**
-   * Find message by ID in current messages
+   * Send a moderator action (the result arrives as moderationResult)
    */
-  findMessageById(messageId) {
-    for (const chatType of ["server", "global"]) {
-      const found = this.messages[chatType].find(
-        (m) => m.messageId === messageId,
-      );
-      if (found) return found;
+  async moderate(data) {
+    try {
+      if (window.electron && window.electron.moderate) {
+        const result = await window.electron.moderate(data);
+        if (!result.success) {
+          this.showErrorMessage(result.error || "Moderation action failed");
+        }
+      }
+    } catch (error) {
+      console.error("Failed to send moderation action:", error);
+      this.showErrorMessage("Moderation action failed");
     }
-    return null;
   }
 
   /**
-   * Show delete confirmation popup
+   * Show the report reason picker next to a message's report button
    */
-  showDeleteConfirmation(messageId, messageText) {
-    const popup = document.createElement("div");
-    popup.className = "delete-confirmation";
-    popup.innerHTML = `
-    <div class="delete-popup">
-      <div class="delete-popup-title">Delete Message</div>
-      <div class="delete-popup-message">${this.escapeHtml(messageText)}</div>
-      <div style="color: var(--text-muted); font-size: 13px; margin-bottom: 16px;">
-        Are you sure you want to delete this message? This cannot be undone.
-      </div>
-      <div class="delete-popup-actions">
-        <button class="delete-popup-btn delete-popup-cancel">Cancel</button>
-        <button class="delete-popup-btn delete-popup-confirm">Delete</button>
-      </div>
-    </div>
-  `;
-
-    document.body.appendChild(popup);
+  showReportPicker(message, anchorEl) {
+    const existing = document.querySelector(".report-picker");
+    if (existing) existing.remove();
 
-    // Cancel button
-    popup.querySelector(".delete-popup-cancel").onclick = () => {
-      popup.remove();
-    };
+    const picker = document.createElement("div");
+    picker.className = "report-picker";
+
+    const titleEl = document.createElement("div");
+    titleEl.className = "report-picker-title";
+    titleEl.textContent = "Report for...";
+    picker.appendChild(titleEl);
+
+    this.REPORT_REASONS.forEach(({ value, label }) => {
+      const optionEl = document.createElement("button");
+      optionEl.className = "report-option";
+      optionEl.textContent = label;
+      optionEl.onclick = () => {
+        picker.remove();
+        this.reportMessage(message, value);
+      };
+      picker.appendChild(optionEl);
+    });
 
-    // Confirm button
-    popup.querySelector(".delete-popup-confirm").onclick = async () => {
-      popup.remove();
-      await this.confirmDelete(messageId);
-    };
+    anchorEl.parentElement.appendChild(picker);
 
-    // Click outside to close
-    popup.onclick = (e) => {
-      if (e.target === popup) {
-        popup.remove();
+    // Close when clicking anywhere else
+    const closePicker = (e) => {
+      if (!picker.contains(e.target)) {
+        picker.remove();
+        document.removeEventListener("click", closePicker);
       }
     };
+    setTimeout(() => document.addEventListener("click", closePicker), 0);
   }
 
   /**
-   * Confirm and execute delete
+   * Report a message to the moderators
    */
-  async confirmDelete(messageId) {
+  async reportMessage(message, reason) {
     try {
-      if (window.electron && window.electron.deleteMessage) {
-        const result = await window.electron.deleteMessage({ messageId });
+      if (window.electron && window.electron.reportMessage) {
+        const result = await window.electron.reportMessage({
+          messageId: message.messageId,
+          reason,
+        });
 
-        if (!result.success) {
-          alert(result.error || "Failed to delete message");
+        if (result.success) {
+          this.addSystemMessage(
+            "Report sent. A moderator will review it.",
+            message.chatType,
+          );
+        } else {
+          this.showErrorMessage(result.error || "Failed to report message");
         }
       }
     } catch (error) {
-      console.error("Failed to delete message:", error);
-      alert("Failed to delete message");
+      console.error("Failed to report message:", error);
+      this.showErrorMessage("Failed to report message");
     }
   }
 
   /**
-   * Handle message edited event from server
+   * Replace the reply preview on every message quoting the given parent
+   * Returns true if any message was updated
    */
-  handleMessageEdited(data) {
-    const { messageId, newContent } = data;
+  updateReplyPreviews(messages, parentId, buildPreview) {
+    let updated = false;
+    messages.forEach((m) => {
+      if (m.replyTo?.messageId === parentId) {
+        m.replyTo = buildPreview(m.replyTo);
+        updated = true;
+      }
+    });
+    return updated;
+  }
 
-    // Find message in both tabs
-    for (const chatType of ["server", "global"]) {
-      const messages = this.messages[chatType];
-      const messageIndex = messages.findIndex((m) => m.messageId === messageId);
+  /**
+   * Build a compact parent preview, matching the server's reply previews
+   */
+  buildReplyPreview(message) {
+    const text = message.message || "";
+    return {
+      messageId: message.messageId,
+      userId: message.userId,
+      username: message.username,
+      message: text.length > 80 ? text.substring(0, 80) + "…" : text,
+    };
+  }
 
-      if (messageIndex !== -1) {
-        messages[messageIndex].message = newContent;
-        messages[messageIndex].editedAt = Date.now();
+  /**
+   * Render the quoted parent shown above a reply
+   * Clicking it scrolls to and highlights the parent
+   */
+  renderReplyQuote(replyTo) {
+    const quoteEl = document.createElement("div");
+    quoteEl.className = "msg-reply-quote";
+
+    const icon = document.createElement("i");
+    icon.className = "fas fa-reply";
+    quoteEl.appendChild(icon);
+
+    if (replyTo.deleted) {
+      quoteEl.classList.add("deleted");
+      const textEl = document.createElement("span");
+      textEl.className = "msg-reply-text";
+      textEl.textContent = "Original message was deleted";
+      quoteEl.appendChild(textEl);
+      return quoteEl;
+    }
 
-        // Re-render if this is the active tab
-        if (chatType === this.activeTab) {
-          this.renderAllMessages();
-        }
-      }
+    const authorEl = document.createElement("span");
+    authorEl.className = "msg-reply-author";
+    authorEl.textContent = replyTo.username;
+
+    const textEl = document.createElement("span");
+    textEl.className = "msg-reply-text";
+    textEl.textContent = replyTo.message;
+
+    quoteEl.appendChild(authorEl);
+    quoteEl.appendChild(textEl);
+    quoteEl.title = "Jump to message";
+    quoteEl.onclick = () => this.scrollToMessage(replyTo.messageId);
+
+    return quoteEl;
+  }
+
+  /**
+   * Scroll to a message in the active tab and highlight it briefly
+   */
+  scrollToMessage(messageId) {
+    const targetEl = Array.from(
+      this.messagesContainer.querySelectorAll("[data-message-id]"),
+    ).find((el) => el.getAttribute("data-message-id") === messageId);
+
+    if (!targetEl) {
+      this.showErrorMessage("Original message is no longer loaded");
+      return;
     }
+
+    targetEl.scrollIntoView({ behavior: "smooth", block: "center" });
+    targetEl.classList.remove("highlighted");
+    // Force reflow so the highlight animation restarts on repeated clicks
+    void targetEl.offsetWidth;
+    targetEl.classList.add("highlighted");
+    setTimeout(() => targetEl.classList.remove("highlighted"), 2000);
   }
 
   /**
-   * Handle message deleted event from server
+   * Start replying to a message
    */
-  handleMessageDeleted(data) {
-    const { messageId } = data;
+  startReply(message) {
+    if (this.editingMessageId) {
+      this.cancelEdit();
+    }
 
-    // Remove message from both tabs
-    for (const chatType of ["server", "global"]) {
-      const messages = this.messages[chatType];
-      const messageIndex = messages.findIndex((m) => m.messageId === messageId);
+    this.replyingTo = message;
+    this.showReplyBanner(message);
+    this.messageInput.focus();
+  }
 
-      if (messageIndex !== -1) {
-        messages.splice(messageIndex, 1);
+  /**
+   * Show reply banner above the input
+   */
+  showReplyBanner(message) {
+    const existing = document.querySelector(".reply-message-banner");
+    if (existing) existing.remove();
 
-        // Re-render if this is the active tab
-        if (chatType === this.activeTab) {
-          this.renderAllMessages();
-        }
-      }
+    const banner = document.createElement("div");
+    banner.className = "reply-message-banner";
+
+    const bannerText = document.createElement("span");
+    bannerText.className = "edit-banner-text";
+    bannerText.textContent = `Replying to ${message.displayName || message.username}`;
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "edit-banner-cancel";
+    const cancelIcon = document.createElement("i");
+    cancelIcon.className = "fas fa-times";
+    cancelBtn.appendChild(cancelIcon);
+    cancelBtn.onclick = () => {
+      this.cancelReply();
+    };
+
+    banner.appendChild(bannerText);
+    banner.appendChild(cancelBtn);
+
+    // Insert before chat input
+    const chatContainer = document.querySelector(".chat-container");
+    const chatInput = document.querySelector(".chat-input");
+    if (chatContainer && chatInput) {
+      chatContainer.insertBefore(banner, chatInput);
     }
   }
+
+  /**
+   * Cancel reply mode
+   */
+  cancelReply() {
+    this.replyingTo = null;
+
+    const banner = document.querySelector(".reply-message-banner");
+    if (banner) banner.remove();
+  }
 }
 
 // Initialize chat manager when DOM is ready
@@ -12,6 +12,9 @@ class SettingsManager {
       chatKeybind: null,
       autoHideHeader: false,
       autoHideFooter: false,
+      mentionNotifications: true,
+      logDirectory: null, // Pinned Roblox log folder (null = detect it)
+      joinAllSessions: false, // Join every Roblox client's server rooms, not only the followed one's
     };
     this.isInitialized = false;
     this.capturingKeybind = false;
@@ -38,6 +41,12 @@ class SettingsManager {
     // Setup event listeners
     this.setupEventListeners();
 
+    // Show the block list (settings window only)
+    this.setupBlockedUsers();
+
+    // Show the log folder in use (settings window only)
+    this.setupLogDirectory();
+
     this.isInitialized = true;
     console.log("Settings manager initialized");
   }
@@ -121,6 +130,16 @@ class SettingsManager {
     if (autoHideHeader) autoHideHeader.checked = this.settings.autoHideHeader;
     if (autoHideFooter) autoHideFooter.checked = this.settings.autoHideFooter;
 
+    const mentionNotifications = document.getElementById(
+      "mention-notifications",
+    );
+    if (mentionNotifications)
+      mentionNotifications.checked = this.settings.mentionNotifications;
+
+    const joinAllSessions = document.getElementById("join-all-sessions");
+    if (joinAllSessions)
+      joinAllSessions.checked = this.settings.joinAllSessions;
+
     // Apply draggable setting
     localStorage.setItem(
       "draggable",
@@ -145,6 +164,15 @@ class SettingsManager {
 
     // Apply auto-hide footer setting
     this.applyAutoHideFooter(this.settings.autoHideFooter);
+
+    // Apply mention notification setting
+    this.applyMentionNotifications(this.settings.mentionNotifications);
+
+    // Apply pinned log folder
+    this.applyLogDirectory(this.settings.logDirectory);
+
+    // Apply joining every client's server
+    this.applyJoinAllSessions(this.settings.joinAllSessions);
   }
 
   /**
@@ -167,6 +195,41 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Apply mention notification setting
+   */
+  applyMentionNotifications(enabled) {
+    // Notifications are raised by the main process
+    if (window.electronAPI?.settings?.setMentionNotifications) {
+      window.electronAPI.settings.setMentionNotifications(enabled);
+    }
+  }
+
+  /**
+   * Apply join all sessions setting
+   */
+  applyJoinAllSessions(enabled) {
+    // Rooms are joined by the main process
+    if (window.electronAPI?.settings?.setJoinAllSessions) {
+      window.electronAPI.settings.setJoinAllSessions(enabled);
+    }
+  }
+
+  /**
+   * Apply log directory setting
+   * Resolves with the main process result ({ success, error, platform, logDir... })
+   */
+  async applyLogDirectory(dir) {
+    if (!window.electronAPI?.settings?.setLogDirectory) return null;
+
+    try {
+      return await window.electronAPI.settings.setLogDirectory(dir);
+    } catch (error) {
+      console.error("Failed to apply log directory:", error);
+      return { success: false, error: "Failed to apply log folder" };
+    }
+  }
+
   /**
    * Apply theme to the application
    */
@@ -330,6 +393,28 @@ class SettingsManager {
       });
     }
 
+    // Mention notifications checkbox
+    const mentionNotifications = document.getElementById(
+      "mention-notifications",
+    );
+    if (mentionNotifications) {
+      mentionNotifications.addEventListener("change", (e) => {
+        this.settings.mentionNotifications = e.target.checked;
+        this.saveSettings();
+        this.applyMentionNotifications(e.target.checked);
+      });
+    }
+
+    // Join all sessions checkbox
+    const joinAllSessions = document.getElementById("join-all-sessions");
+    if (joinAllSessions) {
+      joinAllSessions.addEventListener("change", (e) => {
+        this.settings.joinAllSessions = e.target.checked;
+        this.saveSettings();
+        this.applyJoinAllSessions(e.target.checked);
+      });
+    }
+
     // Keybind capture
     const keybindBtn = document.getElementById("keybind-btn");
     if (keybindBtn) {
@@ -357,6 +442,134 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Load the block list and keep it in sync with changes from the chat window
+   */
+  async setupBlockedUsers() {
+    const listEl = document.getElementById("blocked-users-list");
+    if (!listEl || !window.electronAPI?.blocks) return;
+
+    window.electronAPI.blocks.onUpdated((blockedUsers) => {
+      this.renderBlockedUsers(blockedUsers);
+    });
+
+    try {
+      const result = await window.electronAPI.blocks.list();
+      this.renderBlockedUsers(result.blockedUsers);
+    } catch (error) {
+      console.error("Failed to load block list:", error);
+      this.renderBlockedUsers([]);
+    }
+  }
+
+  /**
+   * Setup the log folder setting: choose a folder or go back to detecting it
+   */
+  async setupLogDirectory() {
+    const statusEl = document.getElementById("log-dir-status");
+    const chooseBtn = document.getElementById("log-dir-choose-btn");
+    const resetBtn = document.getElementById("log-dir-reset-btn");
+    if (!statusEl || !window.electronAPI?.settings?.getPlatform) return;
+
+    chooseBtn?.addEventListener("click", async () => {
+      const choice = await window.electronAPI.settings.chooseLogDirectory();
+      if (!choice.success) return;
+
+      const result = await this.applyLogDirectory(choice.path);
+      if (result?.success) {
+        this.settings.logDirectory = result.customLogDir;
+        this.saveSettings();
+      }
+      this.renderLogDirectory(result);
+    });
+
+    resetBtn?.addEventListener("click", async () => {
+      const result = await this.applyLogDirectory(null);
+      if (result?.success) {
+        this.settings.logDirectory = null;
+        this.saveSettings();
+      }
+      this.renderLogDirectory(result);
+    });
+
+    try {
+      this.renderLogDirectory(await window.electronAPI.settings.getPlatform());
+    } catch (error) {
+      console.error("Failed to load log folder:", error);
+    }
+  }
+
+  /**
+   * Show which log folder is watched (or why the chosen one was refused)
+   */
+  renderLogDirectory(info) {
+    const statusEl = document.getElementById("log-dir-status");
+    if (!statusEl || !info) return;
+
+    statusEl.classList.toggle("error", !info.success || !info.logDirExists);
+
+    if (!info.success) {
+      statusEl.textContent = info.error || "Failed to use this folder";
+      return;
+    }
+
+    if (!info.logDir) {
+      statusEl.textContent = "No Roblox log folder found - choose it manually.";
+      return;
+    }
+
+    const source = info.customLogDir
+      ? "Custom folder"
+      : info.platform
+        ? `Detected (${info.platform.name})`
+        : "Detected";
+    statusEl.textContent = info.logDirExists
+      ? `${source}: ${info.logDir}`
+      : `${source}: ${info.logDir} (not found yet - start Roblox or choose the folder)`;
+  }
+
+  /**
+   * Render the block list with unblock buttons
+   */
+  renderBlockedUsers(blockedUsers) {
+    const listEl = document.getElementById("blocked-users-list");
+    if (!listEl) return;
+
+    listEl.innerHTML = "";
+
+    if (!blockedUsers || blockedUsers.length === 0) {
+      const emptyEl = document.createElement("span");
+      emptyEl.className = "blocked-users-empty";
+      emptyEl.textContent = "You have not blocked anyone.";
+      listEl.appendChild(emptyEl);
+      return;
+    }
+
+    blockedUsers.forEach((entry) => {
+      const itemEl = document.createElement("div");
+      itemEl.className = "blocked-user";
+
+      const nameEl = document.createElement("span");
+      nameEl.textContent = entry.username || `User ${entry.userId}`;
+
+      const unblockBtn = document.createElement("button");
+      unblockBtn.className = "btn btn-secondary";
+      unblockBtn.textContent = "Unblock";
+      unblockBtn.addEventListener("click", async () => {
+        unblockBtn.disabled = true;
+        const result = await window.electronAPI.blocks.unblock(entry.userId);
+        if (!result.success) {
+          unblockBtn.disabled = false;
+          alert(result.error || "Failed to unblock user");
+        }
+      });
+
+      itemEl.appendChild(nameEl);
+      itemEl.appendChild(unblockBtn);
+      listEl.appendChild(itemEl);
+    });
+  }
+
   /**
    * Capture keybind
    */
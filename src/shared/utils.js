@@ -226,6 +226,17 @@ function isValidPlaceId(placeId) {
   return /^\d+$/.test(placeId);
 }
 
+/**
+ * Build a link that launches Roblox into a specific server
+ * Returns null unless both IDs are valid
+ */
+function buildJoinLink(placeId, jobId) {
+  if (!isValidPlaceId(String(placeId)) || !isValidJobId(String(jobId))) {
+    return null;
+  }
+  return `roblox://experiences/start?placeId=${placeId}&gameInstanceId=${jobId}`;
+}
+
 module.exports = {
   formatTimestamp,
   formatTime,
@@ -244,5 +255,6 @@ module.exports = {
   parseJobId,
   parsePlaceId,
   isValidJobId,
-  isValidPlaceId
+  isValidPlaceId,
+  buildJoinLink
 };
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test exporter.js - chat export formats and escaping
+ */
+
+const require = createRequire(import.meta.url);
+const { formatExport, formatForFile, defaultFileName } = require('../../src/main/chat/exporter');
+
+const exportedAt = new Date('2024-05-01T12:00:00Z');
+
+const session = {
+  chatType: 'server',
+  placeId: '606849621',
+  jobId: 'a1b2c3d4-0000-4000-8000-000000000000',
+  messages: [
+    {
+      messageId: '65f000000000000000000001',
+      seq: 7,
+      userId: 1,
+      username: 'builder',
+      displayName: 'Builder <3',
+      message: 'see <script>alert(1)</script> & join',
+      timestamp: Date.parse('2024-05-01T11:58:00Z'),
+      editedAt: '2024-05-01T11:59:00Z'
+    },
+    { isRejected: true, message: 'not sent', timestamp: Date.parse('2024-05-01T11:59:30Z') }
+  ]
+};
+
+describe('Chat export', () => {
+  it('should pick the format from the chosen file name', () => {
+    expect(formatForFile('/tmp/chat.HTML')).toBe('html');
+    expect(formatForFile('/tmp/chat.txt')).toBe('text');
+    expect(formatForFile('/tmp/chat')).toBe('json');
+    expect(defaultFileName(session, exportedAt)).toBe(`rochat-server-${session.jobId}-2024-05-01`);
+  });
+
+  it('should export IDs, timestamps and edit markers as JSON, with the text as sent', () => {
+    const data = JSON.parse(formatExport(session, 'json', exportedAt));
+
+    expect(data).toMatchObject({
+      chatType: 'server',
+      placeId: '606849621',
+      jobId: session.jobId,
+      exportedAt: '2024-05-01T12:00:00.000Z'
+    });
+    expect(data.messages).toEqual([
+      expect.objectContaining({
+        messageId: '65f000000000000000000001',
+        seq: 7,
+        displayName: 'Builder <3',
+        message: 'see <script>alert(1)</script> & join',
+        timestamp: '2024-05-01T11:58:00.000Z',
+        editedAt: '2024-05-01T11:59:00.000Z'
+      })
+    ]);
+  });
+
+  it('should never put message text into the HTML page as markup', () => {
+    const html = formatExport(session, 'html', exportedAt);
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('see &lt;script&gt;alert(1)&lt;/script&gt; &amp; join');
+    expect(html).toContain('<span class="name">Builder &lt;3</span>');
+    expect(html).toContain('<span class="marker">(edited)</span>');
+    expect(html).toContain(`Job ID:</span> ${session.jobId}`);
+  });
+
+  it('should write one line per message as plain text', () => {
+    const text = formatExport(session, 'text', exportedAt);
+
+    expect(text).toContain('Place ID: 606849621');
+    expect(text).toContain(
+      '[2024-05-01T11:58:00.000Z] Builder <3 (@builder): see <script>alert(1)</script> & join (edited)'
+    );
+    expect(text).not.toContain('not sent');
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test gameInfo.js - place lookups against a local mock of Roblox's game APIs, disk cache and TTL
+ */
+
+const require = createRequire(import.meta.url);
+
+// Mock the logger module (it needs a running Electron app)
+const loggerPath = require.resolve('../../src/main/logging/logger');
+require.cache[loggerPath] = {
+  id: loggerPath,
+  filename: loggerPath,
+  loaded: true,
+  exports: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }
+};
+
+const axios = require('axios');
+const { GameInfo } = require('../../src/main/detection/gameInfo');
+
+const ICON_URL = 'https://tr.rbxcdn.com/icon/150/150/Image/Png';
+
+// Responses of the mock Roblox APIs, by path
+const routes = {
+  '/universes/v1/places/606849621/universe': { universeId: 245662005 },
+  '/universes/v1/places/1/universe': { universeId: null },
+  '/v1/games': {
+    data: [{
+      id: 245662005,
+      rootPlaceId: 606849621,
+      name: 'Jailbreak',
+      creator: { id: 1848960, name: 'Badimo', type: 'Group', hasVerifiedBadge: true },
+      maxPlayers: 30
+    }]
+  },
+  '/v1/games/icons': {
+    data: [{ targetId: 245662005, state: 'Completed', imageUrl: ICON_URL }]
+  }
+};
+
+describe('GameInfo', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let cacheFile;
+  let gameInfo;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url);
+
+      const body = routes[url.pathname];
+      res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body || { errors: [{ message: 'NotFound' }] }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    cacheFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'game-info-')), 'cache.json');
+
+    gameInfo = new GameInfo();
+    gameInfo.configure({
+      httpClient: axios.create(),
+      apiUrls: { apis: baseUrl, games: baseUrl, thumbnails: baseUrl },
+      cacheFile
+    });
+  });
+
+  it('should resolve a place to its universe, name, creator and icon', async () => {
+    const game = await gameInfo.lookup('606849621');
+
+    expect(game).toEqual({
+      placeId: '606849621',
+      universeId: '245662005',
+      rootPlaceId: '606849621',
+      name: 'Jailbreak',
+      creator: { id: '1848960', name: 'Badimo', type: 'Group', hasVerifiedBadge: true },
+      maxPlayers: 30,
+      iconUrl: ICON_URL
+    });
+    expect(requests.map(url => url.pathname)).toEqual([
+      '/universes/v1/places/606849621/universe',
+      '/v1/games',
+      '/v1/games/icons'
+    ]);
+    expect(requests[1].searchParams.get('universeIds')).toBe('245662005');
+  });
+
+  it('should serve repeated lookups from the disk cache until the TTL runs out', async () => {
+    await Promise.all([gameInfo.lookup('606849621'), gameInfo.lookup('606849621')]);
+    expect(requests).toHaveLength(3);
+
+    // A new instance (next app start) reads the cache file
+    const restarted = new GameInfo();
+    restarted.configure({ apiUrls: { apis: baseUrl, games: baseUrl, thumbnails: baseUrl }, cacheFile });
+    expect((await restarted.lookup('606849621')).name).toBe('Jailbreak');
+    expect(requests).toHaveLength(3);
+
+    restarted.configure({ ttlMs: 0 });
+    await restarted.lookup('606849621');
+    expect(requests).toHaveLength(6);
+  });
+
+  it('should fall back to an expired entry when Roblox cannot be reached', async () => {
+    await gameInfo.lookup('606849621');
+
+    const httpClient = { get: vi.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) };
+    gameInfo.configure({ httpClient, ttlMs: 0 });
+
+    expect((await gameInfo.lookup('606849621')).name).toBe('Jailbreak');
+    expect(httpClient.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return null for invalid or unknown places', async () => {
+    expect(await gameInfo.lookup('../../users')).toBeNull();
+    expect(requests).toHaveLength(0);
+
+    expect(await gameInfo.lookup('1')).toBeNull();
+    expect(await gameInfo.lookup('2')).toBeNull();
+    expect(fs.existsSync(cacheFile)).toBe(false);
+  });
+});
@@ -2,12 +2,18 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import fs from 'fs';
 import path from 'path';
 import { EventEmitter } from 'events';
+import { createRequire } from 'module';
 
 /**
  * Test logMonitor.js - Roblox log file parsing and monitoring
  * Tests join/disconnect detection, file watching, and state management
  */
 
+const require = createRequire(import.meta.url);
+
+const readFixture = (name) =>
+  fs.readFileSync(path.join(__dirname, '../fixtures/roblox-logs', name), 'utf8');
+
 describe('LogMonitor', () => {
   let logMonitor;
   let mockLogger;
@@ -545,3 +551,111 @@ describe('LogMonitor', () => {
     });
   });
 });
+
+describe('LogMonitor - Roblox log fixtures', () => {
+  let monitor;
+  let events;
+
+  beforeEach(() => {
+    // Mock the logger and secureStore modules (they need a running Electron app)
+    const mocks = {
+      '../../src/main/logging/logger': { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+      '../../src/main/storage/secureStore': { getLogPosition: vi.fn(() => null), saveLogPosition: vi.fn() }
+    };
+    Object.entries(mocks).forEach(([modulePath, exports]) => {
+      const resolved = require.resolve(modulePath);
+      require.cache[resolved] = { id: resolved, filename: resolved, loaded: true, exports };
+    });
+
+    const { LogMonitor } = require('../../src/main/detection/logMonitor');
+    monitor = new LogMonitor();
+
+    events = [];
+    ['serverDetected', 'serverUpdated', 'teleportStarted', 'teleportFinished', 'disconnected'].forEach((name) => {
+      monitor.on(name, (data) => events.push([name, data]));
+    });
+  });
+
+  it('should follow a teleport without a disconnect in between', () => {
+    monitor.parseLogs(readFixture('teleport.log'));
+
+    expect(events.map(([name]) => name)).toEqual([
+      'serverDetected',
+      'serverUpdated',
+      'serverUpdated',
+      'teleportStarted',
+      'serverDetected',
+      'teleportFinished',
+      'serverUpdated',
+      'disconnected'
+    ]);
+
+    expect(events[3][1]).toEqual({ fromPlaceId: '920587237', fromJobId: '1e7a6c7e-5d0b-4c6a-9a55-3f6d9d1f7b20' });
+    expect(events[4][1]).toMatchObject({
+      placeId: '4924922222',
+      jobId: '6f2b0f0c-97e3-4b8e-8a51-7c8e0e3d2a11',
+      serverType: 'public',
+      isTeleport: true,
+      serverIp: '128.116.21.9'
+    });
+    expect(events[6][1]).toMatchObject({ placeId: '4924922222', universeId: '383310974' });
+  });
+
+  it('should use the public UDMUX address and the universe logged after the join', () => {
+    monitor.parseLogs(readFixture('teleport.log').split('\n').slice(0, 5).join('\n'));
+
+    expect(events[0][1]).toMatchObject({ serverIp: '10.185.9.44', universeId: null, isTeleport: false });
+    expect(monitor.getCurrentServer()).toEqual({
+      placeId: '920587237',
+      jobId: '1e7a6c7e-5d0b-4c6a-9a55-3f6d9d1f7b20',
+      timestamp: expect.any(Number),
+      universeId: '383310974',
+      serverIp: '128.116.50.3',
+      serverType: 'public',
+      hasAccessCode: false,
+      hasLinkCode: false,
+      isTeleport: false
+    });
+  });
+
+  it('should detect private servers without keeping their codes', () => {
+    monitor.parseLogs(readFixture('private-server.log'));
+
+    const [, serverInfo] = events.find(([name]) => name === 'serverDetected');
+    expect(serverInfo).toMatchObject({
+      placeId: '606849621',
+      serverType: 'private',
+      hasAccessCode: true,
+      hasLinkCode: true,
+      isTeleport: false
+    });
+    expect(JSON.stringify(monitor.getCurrentServer())).not.toContain('e2c8b6d4');
+  });
+
+  it('should detect teleports into reserved servers', () => {
+    monitor.parseLogs(readFixture('reserved-server.log'));
+
+    const joins = events.filter(([name]) => name === 'serverDetected').map(([, info]) => info);
+    expect(joins).toHaveLength(2);
+    expect(joins[0]).toMatchObject({ serverType: 'public', isTeleport: false });
+    expect(joins[1]).toMatchObject({
+      placeId: '6872274481',
+      serverType: 'reserved',
+      hasAccessCode: true,
+      isTeleport: true
+    });
+    expect(events.some(([name]) => name === 'disconnected')).toBe(false);
+  });
+
+  it('should treat a disconnect long after a teleport started as leaving', () => {
+    vi.useFakeTimers();
+    monitor.parseLogs(readFixture('teleport.log').split('\n').slice(0, 6).join('\n'));
+
+    vi.advanceTimersByTime(61000);
+    monitor.parseLine('[FLog::Network] Time to disconnect replication data: 0.002');
+
+    expect(events[events.length - 1][0]).toBe('disconnected');
+    expect(monitor.getCurrentServer()).toBeNull();
+    vi.useRealTimers();
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test outbox.js - queued message delivery, retries and per-room ordering
+ */
+
+const require = createRequire(import.meta.url);
+
+// Mock the logger module (it needs a running Electron app)
+const loggerPath = require.resolve('../../src/main/logging/logger');
+require.cache[loggerPath] = {
+  id: loggerPath,
+  filename: loggerPath,
+  loaded: true,
+  exports: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }
+};
+
+const { Outbox } = require('../../src/main/chat/outbox');
+
+const networkError = () => Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+const rejectedError = (status, error) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: { success: false, error } }
+  });
+
+const serverMessage = (entry) => ({
+  success: true,
+  message: { messageId: `id-${entry.payload.message}`, message: entry.payload.message }
+});
+
+const payload = (message, jobId = 'job-1') => ({ chatType: 'server', jobId, placeId: '1', message });
+
+describe('Outbox', () => {
+  let outbox;
+  let saved;
+  let send;
+  let userId;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    saved = [];
+    send = vi.fn(async (entry) => serverMessage(entry));
+    userId = 100;
+
+    outbox = new Outbox();
+    outbox.configure({
+      send: (entry) => send(entry),
+      storage: {
+        load: () => [],
+        save: (entries) => { saved = entries.map(entry => ({ ...entry })); }
+      },
+      getUserId: () => userId
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should send straight away with an idempotency key', async () => {
+    const result = await outbox.send(payload('hello'));
+
+    expect(result.status).toBe('sent');
+    expect(result.message.messageId).toBe('id-hello');
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ clientKey: result.clientKey }));
+    expect(outbox.list()).toEqual([]);
+    expect(saved).toEqual([]);
+  });
+
+  it('should drop messages the backend rejects', async () => {
+    send.mockRejectedValueOnce(rejectedError(400, 'Message contains inappropriate language'));
+
+    const result = await outbox.send(payload('bad'));
+
+    expect(result.status).toBe('rejected');
+    expect(result.error.response.status).toBe(400);
+    expect(outbox.list()).toEqual([]);
+  });
+
+  it('should keep messages while offline and retry with the same key', async () => {
+    send.mockRejectedValueOnce(networkError());
+    const updates = [];
+    outbox.on('updated', update => updates.push(update));
+
+    const result = await outbox.send(payload('offline'));
+    expect(result.status).toBe('pending');
+    expect(saved).toHaveLength(1);
+
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[1][0].clientKey).toBe(result.clientKey);
+    expect(updates.at(-1)).toEqual({
+      clientKey: result.clientKey,
+      status: 'sent',
+      message: expect.objectContaining({ messageId: 'id-offline' })
+    });
+    expect(saved).toEqual([]);
+  });
+
+  it('should deliver messages to a room in the order they were sent', async () => {
+    send.mockRejectedValueOnce(networkError());
+
+    const first = await outbox.send(payload('first'));
+    const second = await outbox.send(payload('second'));
+    const otherRoom = await outbox.send(payload('other', 'job-2'));
+
+    // Waits behind the first message; other rooms are not held up
+    expect(first.status).toBe('pending');
+    expect(second.status).toBe('pending');
+    expect(otherRoom.status).toBe('sent');
+
+    outbox.retryNow();
+    await vi.runAllTimersAsync();
+
+    const delivered = send.mock.calls.map(([entry]) => entry.payload.message);
+    expect(delivered).toEqual(['first', 'other', 'first', 'second']);
+    expect(outbox.list()).toEqual([]);
+  });
+
+  it('should mark messages failed when a retry is rejected, then allow retry and discard', async () => {
+    send.mockRejectedValueOnce(networkError());
+    send.mockRejectedValueOnce(rejectedError(403, 'You are muted in this room'));
+
+    const result = await outbox.send(payload('muted'));
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(outbox.list()).toEqual([
+      expect.objectContaining({ clientKey: result.clientKey, status: 'failed', error: 'You are muted in this room' })
+    ]);
+
+    expect(outbox.retry(result.clientKey)).toBe(true);
+    await vi.runAllTimersAsync();
+    expect(outbox.list()).toEqual([]);
+    expect(send).toHaveBeenCalledTimes(3);
+
+    send.mockRejectedValueOnce(rejectedError(403, 'You are muted in this room'));
+    send.mockRejectedValueOnce(networkError());
+    await outbox.send(payload('again'));
+    const pending = await outbox.send(payload('queued'));
+
+    expect(outbox.discard(pending.clientKey)).toBe(true);
+    expect(outbox.list()).toEqual([]);
+  });
+
+  it('should keep rate limited messages until the cooldown is over', async () => {
+    const cooldown = rejectedError(429, 'Please wait 5 seconds');
+    cooldown.response.data.retryAfter = 5;
+    send.mockRejectedValueOnce(cooldown);
+
+    const result = await outbox.send(payload('too fast'));
+    expect(result).toMatchObject({ status: 'pending', rateLimited: true, retryAt: Date.now() + 5000 });
+
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(send).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(outbox.list()).toEqual([]);
+  });
+
+  it('should only send and show the messages of the logged-in account', async () => {
+    send.mockRejectedValueOnce(networkError());
+    await outbox.send(payload('from 100'));
+    expect(saved[0].userId).toBe('100');
+
+    // Another account logs in: the message is neither shown nor sent with its session
+    userId = 200;
+    expect(outbox.list()).toEqual([]);
+    outbox.retryNow();
+    await vi.runAllTimersAsync();
+    expect(send).toHaveBeenCalledTimes(1);
+
+    userId = 100;
+    expect(outbox.list()).toHaveLength(1);
+    outbox.clear();
+    expect(outbox.list()).toEqual([]);
+    expect(saved).toEqual([]);
+  });
+
+  it('should drop saved messages that do not say which account queued them', () => {
+    const stored = new Outbox();
+    stored.configure({
+      send,
+      storage: {
+        load: () => [
+          { clientKey: 'a', roomKey: 'server:job-1', status: 'pending', createdAt: Date.now() },
+          { clientKey: 'b', userId: '100', roomKey: 'server:job-1', status: 'pending', createdAt: Date.now(), payload: {} }
+        ],
+        save: () => {}
+      },
+      getUserId: () => 100
+    });
+
+    expect(stored.list().map(entry => entry.clientKey)).toEqual(['b']);
+  });
+
+  it('should give up after too many attempts', async () => {
+    send.mockRejectedValue(networkError());
+
+    await outbox.send(payload('never'));
+    await vi.runAllTimersAsync();
+
+    expect(send).toHaveBeenCalledTimes(8);
+    expect(outbox.list()[0].status).toBe('failed');
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test platforms.js - platform strategies, log directory discovery and validation
+ */
+
+const require = createRequire(import.meta.url);
+const {
+  getStrategies,
+  findRunningClient,
+  validateLogDir,
+  isInsideDir,
+  resolveLogDir
+} = require('../../src/main/detection/platforms');
+
+describe('Platform detection', () => {
+  let home;
+
+  beforeEach(() => {
+    home = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'platforms-')));
+  });
+
+  it('should try Sober before Wine on Linux and only the native client on Windows', () => {
+    expect(getStrategies('linux').map(s => s.id)).toEqual(['sober', 'wine']);
+    expect(getStrategies('win32').map(s => s.id)).toEqual(['windows']);
+
+    const processes = [
+      { pid: 10, name: 'bash', command: '/bin/bash', startTime: 1000 },
+      { pid: 4243, name: 'RobloxPlayerBet', command: 'C:\\Roblox\\RobloxPlayerBeta.exe --app', startTime: 3000 },
+      { pid: 4242, name: 'RobloxPlayerBet', command: 'C:\\Roblox\\RobloxPlayerBeta.exe --app', startTime: 2000 }
+    ];
+    const found = findRunningClient(processes, 'linux');
+    expect(found.strategy.id).toBe('wine');
+    expect(found.process.pid).toBe(4242);
+
+    expect(findRunningClient([{ pid: 7, name: 'sober', command: '/app/bin/sober', startTime: 1 }], 'linux').strategy.id).toBe('sober');
+    expect(findRunningClient(processes.slice(0, 1), 'linux')).toBeNull();
+  });
+
+  it('should find the logs of a Wine prefix and let a custom folder win', () => {
+    const prefix = path.join(home, 'games', 'roblox-prefix');
+    const logs = path.join(prefix, 'drive_c', 'users', 'player', 'AppData', 'Local', 'Roblox', 'logs');
+    const env = { WINEPREFIX: prefix, USER: 'player' };
+    const wine = getStrategies('linux').find(s => s.id === 'wine');
+
+    expect(resolveLogDir({ strategy: wine, env, home })).toEqual({ path: logs, source: 'wine', valid: false });
+
+    fs.mkdirSync(logs, { recursive: true });
+    expect(resolveLogDir({ platform: 'linux', env, home })).toEqual({ path: logs, source: 'wine', valid: true });
+
+    const custom = path.join(home, 'my-logs');
+    fs.mkdirSync(custom);
+    expect(resolveLogDir({ customDir: custom, strategy: wine, env, home })).toEqual({
+      path: custom,
+      source: 'custom',
+      valid: true
+    });
+  });
+
+  it('should only accept existing absolute directories, resolved to their real path', () => {
+    const logs = path.join(home, 'logs');
+    fs.mkdirSync(logs);
+    fs.writeFileSync(path.join(home, 'file.log'), '');
+    fs.symlinkSync(logs, path.join(home, 'link'));
+
+    expect(validateLogDir('relative/logs').valid).toBe(false);
+    expect(validateLogDir(path.join(home, 'missing')).valid).toBe(false);
+    expect(validateLogDir(path.join(home, 'file.log')).valid).toBe(false);
+    expect(validateLogDir(path.join(home, 'link'))).toEqual({ valid: true, path: logs });
+  });
+
+  it('should not let a log file link outside the log directory', () => {
+    const logs = path.join(home, 'logs');
+    fs.mkdirSync(logs);
+    fs.writeFileSync(path.join(logs, 'Player.log'), '');
+    fs.writeFileSync(path.join(home, 'secret.log'), '');
+    fs.symlinkSync(path.join(home, 'secret.log'), path.join(logs, 'escape_Player.log'));
+    fs.mkdirSync(path.join(home, 'logs-other'));
+
+    expect(isInsideDir(logs, path.join(logs, 'Player.log'))).toBe(true);
+    expect(isInsideDir(logs, path.join(logs, 'escape_Player.log'))).toBe(false);
+    expect(isInsideDir(logs, path.join(home, 'logs-other'))).toBe(false);
+  });
+});
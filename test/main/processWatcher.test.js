@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test processWatcher.js and processList.js - process enumeration, adaptive polling and exit watching
+ */
+
+const require = createRequire(import.meta.url);
+
+// Mock the logger module (it needs a running Electron app)
+const loggerPath = require.resolve('../../src/main/logging/logger');
+require.cache[loggerPath] = {
+  id: loggerPath,
+  filename: loggerPath,
+  loaded: true,
+  exports: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }
+};
+
+const { listFromProcFs, parsePsOutput } = require('../../src/main/detection/processList');
+const { ProcessWatcher } = require('../../src/main/detection/processWatcher');
+
+/**
+ * Write a fake /proc entry (starttime is field 22 of stat, in 1/100s since boot)
+ */
+function writeProcEntry(procDir, pid, comm, args, startTicks) {
+  const dir = path.join(procDir, String(pid));
+  fs.mkdirSync(dir);
+  const fields = ['S', '1', ...Array(17).fill('0'), String(startTicks), '0'];
+  fs.writeFileSync(path.join(dir, 'stat'), `${pid} (${comm}) ${fields.join(' ')}\n`);
+  fs.writeFileSync(path.join(dir, 'cmdline'), args.map(arg => `${arg}\0`).join(''));
+}
+
+const wineClient = (pid, startTime) => ({
+  pid,
+  name: 'RobloxPlayerBet',
+  command: 'C:\\Program Files\\Roblox\\RobloxPlayerBeta.exe --app',
+  startTime
+});
+
+describe('Process enumeration', () => {
+  it('should read names, command lines and start times from /proc', async () => {
+    const procDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proc-'));
+    fs.writeFileSync(path.join(procDir, 'stat'), 'cpu 1 2 3\nbtime 1700000000\nprocesses 42\n');
+    writeProcEntry(procDir, 1, 'systemd', ['/sbin/init'], 1);
+    writeProcEntry(procDir, 4242, 'Roblox (Player)', ['C:\\Roblox\\RobloxPlayerBeta.exe', '--app'], 12345);
+    fs.mkdirSync(path.join(procDir, 'self'));
+
+    const processes = await listFromProcFs(procDir);
+
+    expect(processes.find(proc => proc.pid === 4242)).toEqual({
+      pid: 4242,
+      name: 'Roblox (Player)',
+      command: 'C:\\Roblox\\RobloxPlayerBeta.exe --app',
+      startTime: 1700000000000 + 123450
+    });
+    expect(processes).toHaveLength(2);
+  });
+
+  it('should parse ps output with spaces in executable paths', () => {
+    const [proc] = parsePsOutput(
+      '  812 Mon Oct 19 15:17:59 2026     /Applications/Roblox.app/Contents/MacOS/RobloxPlayer -launchEvent\n'
+    );
+
+    expect(proc.pid).toBe(812);
+    expect(proc.name).toBe('RobloxPlayer');
+    expect(proc.startTime).toBe(new Date('Mon Oct 19 15:17:59 2026').getTime());
+  });
+});
+
+describe('ProcessWatcher', () => {
+  let watcher;
+  let processes;
+  let alive;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    processes = [];
+    alive = new Set();
+
+    watcher = new ProcessWatcher();
+    watcher.osPlatform = 'linux';
+    watcher.listProcesses = vi.fn(async () => processes);
+    watcher.isProcessAlive = (pid) => alive.has(pid);
+  });
+
+  afterEach(() => {
+    if (watcher.isWatching) watcher.stopWatching();
+    vi.useRealTimers();
+  });
+
+  it('should poll less often while Roblox is not running', async () => {
+    watcher.startWatching();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(watcher.listProcesses).toHaveBeenCalledTimes(1);
+
+    // 2s, 3s, 4.5s, 6.75s... capped at 15s
+    await vi.advanceTimersByTimeAsync(2000 + 3000 + 4500);
+    expect(watcher.listProcesses).toHaveBeenCalledTimes(4);
+
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(watcher.listProcesses.mock.calls.length).toBeLessThan(12);
+  });
+
+  it('should watch the found client exit by PID while listing processes less often', async () => {
+    const started = vi.fn();
+    const stopped = vi.fn();
+    watcher.on('processStarted', started);
+    watcher.on('processStopped', stopped);
+
+    processes = [wineClient(4242, 1000)];
+    alive.add(4242);
+    watcher.startWatching();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(started).toHaveBeenCalledWith(expect.objectContaining({ pid: 4242, startTime: 1000 }));
+    expect(started.mock.calls[0][0].platform.id).toBe('wine');
+
+    // Still listed on the backoff (2s, 3s, 4.5s...) to find more clients
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(watcher.listProcesses).toHaveBeenCalledTimes(4);
+    expect(started).toHaveBeenCalledTimes(1);
+    expect(stopped).not.toHaveBeenCalled();
+
+    alive.delete(4242);
+    processes = [];
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(stopped).toHaveBeenCalledTimes(1);
+    expect(watcher.getProcess()).toBeNull();
+
+    // A relaunch is picked up quickly, as a different client
+    processes = [wineClient(5000, 90000)];
+    alive.add(5000);
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(started).toHaveBeenCalledTimes(2);
+    expect(started.mock.calls[1][0]).toMatchObject({ pid: 5000, startTime: 90000 });
+  });
+
+  it('should track several clients and report each one exiting', async () => {
+    const started = vi.fn();
+    const stopped = vi.fn();
+    watcher.on('processStarted', started);
+    watcher.on('processStopped', stopped);
+
+    processes = [wineClient(4242, 1000)];
+    alive.add(4242);
+    watcher.startWatching();
+    await vi.advanceTimersByTimeAsync(0);
+
+    // An alt launched a little later
+    processes = [wineClient(4242, 1000), wineClient(4300, 5000)];
+    alive.add(4300);
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(started).toHaveBeenCalledTimes(2);
+    expect(watcher.getProcesses().map(client => client.pid)).toEqual([4242, 4300]);
+
+    alive.delete(4242);
+    processes = [wineClient(4300, 5000)];
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(stopped).toHaveBeenCalledTimes(1);
+    expect(stopped.mock.calls[0][0].pid).toBe(4242);
+    expect(watcher.getProcess()).toMatchObject({ pid: 4300 });
+    expect(watcher.isRunning()).toBe(true);
+  });
+
+  it('should tell a reused PID apart from the client that had it', async () => {
+    const started = vi.fn();
+    const stopped = vi.fn();
+    watcher.on('processStarted', started);
+    watcher.on('processStopped', stopped);
+
+    processes = [wineClient(4242, 1000)];
+    alive.add(4242);
+    watcher.startWatching();
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Relaunched between two exit checks and given the same PID
+    processes = [wineClient(4242, 60000)];
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(stopped).toHaveBeenCalledWith(expect.objectContaining({ pid: 4242, startTime: 1000 }));
+    expect(started).toHaveBeenCalledTimes(2);
+    expect(watcher.getProcess()).toMatchObject({ pid: 4242, startTime: 60000 });
+
+    // The PID now belongs to something else
+    processes = [{ pid: 4242, name: 'bash', command: 'bash', startTime: 90000 }];
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(stopped).toHaveBeenCalledTimes(2);
+    expect(watcher.getProcess()).toBeNull();
+  });
+});
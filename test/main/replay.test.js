@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Test replay.js - replaying recorded Roblox logs with fake clients, through the detector
+ */
+
+const require = createRequire(import.meta.url);
+
+// Mock the modules that need a running Electron app or a server
+const mocks = {
+  '../../src/main/logging/logger': { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  '../../src/main/storage/secureStore': { getLogPosition: vi.fn(() => null), saveLogPosition: vi.fn() },
+  '../../src/main/socket/socketClient': { connect: vi.fn(), disconnect: vi.fn(), joinRooms: vi.fn(), leaveAllRooms: vi.fn() }
+};
+Object.entries(mocks).forEach(([modulePath, exports]) => {
+  const resolved = require.resolve(modulePath);
+  require.cache[resolved] = { id: resolved, filename: resolved, loaded: true, exports };
+});
+
+const { LogReplay, parseReplayArgs, readLogLines } = require('../../src/main/detection/replay');
+const { LogMonitor } = require('../../src/main/detection/logMonitor');
+const { Detector } = require('../../src/main/detection/detector');
+
+const FIXTURES = path.join(__dirname, '../fixtures/roblox-logs');
+
+describe('Log replay', () => {
+  let replay;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    if (replay) replay.stop();
+    replay = null;
+    vi.useRealTimers();
+  });
+
+  it('should read the replay options from the command line', () => {
+    expect(parseReplayArgs(['electron', '.', '--development'])).toBeNull();
+    expect(parseReplayArgs(['electron', '.', '--replay=logs/a.log', '--replay-speed=20'])).toEqual({
+      source: path.resolve('logs/a.log'),
+      speed: 20,
+      script: null
+    });
+    expect(() => parseReplayArgs(['--replay=a.log', '--replay-speed=0'])).toThrow('positive');
+  });
+
+  it('should give every log of a folder a client of its own, one after the other', () => {
+    const lines = readLogLines(path.join(FIXTURES, 'private-server.log'));
+    expect(lines[0].offset).toBe(0);
+    expect(lines[lines.length - 1].offset).toBe(7065);
+
+    replay = new LogReplay({ source: FIXTURES });
+    replay.prepare();
+
+    const starts = replay.events.filter(event => event.start);
+    expect(starts.map(event => path.basename(event.log))).toEqual([
+      'private-server.log',
+      'reserved-server.log',
+      'sample-malformed.log',
+      'sample-multiple-joins.log',
+      'teleport.log'
+    ]);
+    // The second client starts after the first one stopped
+    const firstStop = replay.events.find(event => event.stop === 1);
+    expect(starts[1].at).toBe(firstStop.at);
+    expect(firstStop.at).toBeGreaterThan(7065);
+  });
+
+  it('should write the log at the recorded pace, scaled by the speed', async () => {
+    replay = new LogReplay({ source: path.join(FIXTURES, 'private-server.log'), speed: 2 });
+    const logDir = replay.prepare();
+    replay.start();
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(await replay.listProcesses()).toEqual([expect.objectContaining({ pid: 1, name: 'RobloxPlayerBeta.exe' })]);
+
+    // Started 1s of recorded time after the client, the join line is 1.69s into the log
+    await vi.advanceTimersByTimeAsync(500 + 800);
+    const [logName] = fs.readdirSync(logDir);
+    expect(logName).toMatch(/^0\.0\.0\.0_\d{8}T\d{6}Z_Player_1_last\.log$/);
+    expect(fs.readFileSync(path.join(logDir, logName), 'utf8')).not.toContain('Joining game');
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(fs.readFileSync(path.join(logDir, logName), 'utf8')).toContain('Joining game');
+
+    // Stopped 5s after the last line, then finished
+    const finished = vi.fn();
+    replay.on('finished', finished);
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(replay.isProcessAlive(1)).toBe(false);
+    expect(finished).toHaveBeenCalled();
+  });
+
+  it('should run a scripted timeline through the detector like real clients', async () => {
+    // Monitors read the replayed logs when asked (no file watchers or polling)
+    vi.spyOn(LogMonitor.prototype, 'startMonitoring').mockImplementation(function () {
+      this.isMonitoring = true;
+    });
+    vi.spyOn(LogMonitor.prototype, 'stopMonitoring').mockImplementation(function () {
+      this.isMonitoring = false;
+    });
+
+    // Log names only carry whole seconds: the two clients' logs (10ms and 110ms in) are
+    // created in different seconds, as two real launches 10s apart would be
+    vi.setSystemTime(new Date('2026-10-19T12:00:00.950Z'));
+
+    replay = new LogReplay({ script: path.join(FIXTURES, 'replay-two-clients.json'), speed: 100 });
+    const detector = new Detector();
+    detector.useReplay(replay);
+    const servers = [];
+    detector.on('serverChanged', server => servers.push(server && server.serverType));
+
+    detector.start();
+    await vi.advanceTimersByTimeAsync(200);
+    expect(detector.getSessions().map(session => session.pid)).toEqual([1, 2]);
+
+    // Each client reads its own log
+    detector.sessions.forEach(session => session.monitor.checkLogFile());
+    const sessions = detector.getSessions();
+    expect(sessions[0].server.isTeleport).toBe(false);
+    expect(sessions[1].server.serverType).toBe('private');
+    expect(sessions[0].logFile).not.toBe(sessions[1].logFile);
+    // Client 1 is followed: joined, then its public address and universe were logged
+    expect(servers).toEqual([null, 'public', 'public', 'public']);
+
+    // Client 1 outlives client 2
+    await vi.advanceTimersByTimeAsync(6000);
+    expect(detector.getSessions().map(session => session.pid)).toEqual([1]);
+    await vi.advanceTimersByTimeAsync(13000);
+    expect(detector.getSessions()).toEqual([]);
+
+    detector.stop();
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test logMatcher.js and the detector's sessions - one per Roblox client running at once
+ */
+
+const require = createRequire(import.meta.url);
+
+// Mock the modules that need a running Electron app or a server
+const socketClient = { connect: vi.fn(), disconnect: vi.fn(), joinRooms: vi.fn(), leaveAllRooms: vi.fn() };
+const mocks = {
+  '../../src/main/logging/logger': { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  '../../src/main/storage/secureStore': { getLogPosition: vi.fn(() => null), saveLogPosition: vi.fn() },
+  '../../src/main/socket/socketClient': socketClient
+};
+Object.entries(mocks).forEach(([modulePath, exports]) => {
+  const resolved = require.resolve(modulePath);
+  require.cache[resolved] = { id: resolved, filename: resolved, loaded: true, exports };
+});
+
+const { getLogStartTime, matchLogFile } = require('../../src/main/detection/logMatcher');
+const { LogMonitor } = require('../../src/main/detection/logMonitor');
+const { Detector } = require('../../src/main/detection/detector');
+const { getStrategies } = require('../../src/main/detection/platforms');
+
+const windows = getStrategies('win32')[0];
+const JOB_A = 'aaaaaaaa-0000-0000-0000-000000000001';
+const JOB_B = 'bbbbbbbb-0000-0000-0000-000000000002';
+
+const joinLine = (jobId, placeId) =>
+  `2026-10-19T12:00:10.000Z,1.0,1a2b,6 [FLog::Output] ! Joining game '${jobId}' place ${placeId} at 10.0.0.1`;
+
+const logFile = (name) => ({ name, path: `/logs/${name}`, mtime: new Date(), startTime: getLogStartTime(name) });
+
+describe('Log matching', () => {
+  const first = logFile('0.640.0.6400591_20261019T120000Z_Player_8E0C1_last.log');
+  const second = logFile('0.640.0.6400591_20261019T120500Z_Player_1F2A3_last.log');
+  // Newest first, as the log monitor lists them
+  const files = [second, first];
+
+  it('should read when a log was created from its name', () => {
+    expect(first.startTime).toBe(Date.UTC(2026, 9, 19, 12, 0, 0));
+    expect(getLogStartTime('Player_unnamed.log', { birthtimeMs: 0, mtimeMs: 42 })).toBe(42);
+  });
+
+  it('should give each client the first log created after it started', () => {
+    const procDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proc-'));
+    const started = (minute) => Date.UTC(2026, 9, 19, 12, minute, 0) - 800;
+
+    expect(matchLogFile({ pid: 1, startTime: started(0) }, files, { procDir })).toBe(first);
+    expect(matchLogFile({ pid: 2, startTime: started(5) }, files, { procDir })).toBe(second);
+    // Nothing written yet by a client started after both logs
+    expect(matchLogFile({ pid: 3, startTime: started(9) }, files, { procDir })).toBeNull();
+    // Logs followed for other clients are skipped
+    expect(matchLogFile({ pid: 4, startTime: null }, files, { procDir, claimed: new Set([second.path]) })).toBe(first);
+  });
+
+  it('should prefer the log file the process has open', () => {
+    const procDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proc-'));
+    fs.mkdirSync(path.join(procDir, '4242', 'fd'), { recursive: true });
+    fs.symlinkSync('/dev/null', path.join(procDir, '4242', 'fd', '0'));
+    fs.symlinkSync(first.path, path.join(procDir, '4242', 'fd', '7'));
+
+    const client = { pid: 4242, startTime: Date.UTC(2026, 9, 19, 12, 5, 0) };
+    expect(matchLogFile(client, files, { procDir })).toBe(first);
+  });
+});
+
+describe('Detector sessions', () => {
+  let detector;
+  let serverChanges;
+
+  const client = (pid, startTime) => ({ pid, startTime, platform: windows });
+  const join = (pid, jobId, placeId) => detector.sessions.get(pid).monitor.parseLine(joinLine(jobId, placeId));
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // Monitors are driven with log lines directly
+    vi.spyOn(LogMonitor.prototype, 'startMonitoring').mockImplementation(function () {
+      this.isMonitoring = true;
+    });
+    vi.spyOn(LogMonitor.prototype, 'stopMonitoring').mockImplementation(function () {
+      this.isMonitoring = false;
+    });
+
+    detector = new Detector();
+    serverChanges = [];
+    detector.on('serverChanged', (server) => serverChanges.push(server && server.jobId));
+
+    detector.handleProcessStarted(client(100, 1000));
+    detector.handleProcessStarted(client(200, 2000));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should follow the first client and keep the servers of the others in the session list', () => {
+    join(100, JOB_A, '111');
+    join(200, JOB_B, '222');
+
+    expect(serverChanges).toEqual([null, JOB_A]);
+    expect(detector.getCurrentServer().jobId).toBe(JOB_A);
+    expect(detector.getSessions().map(session => [session.pid, session.server.jobId, session.followed])).toEqual([
+      [100, JOB_A, true],
+      [200, JOB_B, false]
+    ]);
+    expect(socketClient.joinRooms).toHaveBeenLastCalledWith([expect.objectContaining({ jobId: JOB_A })]);
+  });
+
+  it('should switch the followed client and join every client\'s rooms on request', () => {
+    join(100, JOB_A, '111');
+    join(200, JOB_B, '222');
+
+    expect(detector.selectSession(200)).toEqual({ success: true });
+    expect(serverChanges[serverChanges.length - 1]).toBe(JOB_B);
+    expect(socketClient.joinRooms).toHaveBeenLastCalledWith([expect.objectContaining({ jobId: JOB_B })]);
+    expect(detector.selectSession(300).success).toBe(false);
+
+    // The followed server goes last
+    detector.setJoinAllSessions(true);
+    expect(socketClient.joinRooms.mock.lastCall[0].map(server => server.jobId)).toEqual([JOB_A, JOB_B]);
+  });
+
+  it('should follow another client in a game when the followed one exits', () => {
+    detector.handleProcessStarted(client(300, 3000));
+    join(300, JOB_B, '222');
+    expect(serverChanges).toEqual([null]);
+
+    detector.handleProcessStopped(client(100, 1000));
+    expect(serverChanges).toEqual([null, JOB_B]);
+    expect(detector.getClient().pid).toBe(300);
+
+    // Leaving the game, then following client 200 (not in a game) until it exits too
+    detector.sessions.get(300).monitor.parseLine('[FLog::Network] Disconnected from server');
+    detector.handleProcessStopped(client(300, 3000));
+    expect(detector.getClient().pid).toBe(200);
+    detector.handleProcessStopped(client(200, 2000));
+    expect(serverChanges).toEqual([null, JOB_B, null, null]);
+    expect(detector.getClient()).toBeNull();
+    expect(detector.getSessions()).toEqual([]);
+    expect(socketClient.leaveAllRooms).toHaveBeenCalled();
+  });
+});
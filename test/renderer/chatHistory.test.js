@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Test chat.js room history - gap fills, older pages and virtualization
+ */
+
+const MESSAGE_HEIGHT = 50;
+
+describe('ChatManager history', () => {
+  let dom;
+  let chat;
+  let container;
+  let scrollTop;
+
+  const historyMessage = (seq) => ({
+    messageId: `m${seq}`,
+    seq,
+    userId: '200',
+    username: 'builder',
+    displayName: 'Builder',
+    message: `message ${seq}`,
+    timestamp: new Date(Date.UTC(2024, 4, 1, 12, 0, seq)).toISOString()
+  });
+
+  const seqs = (chatType = 'global') => chat.messages[chatType].map((m) => m.seq);
+  const rows = () => Array.from(container.children).filter((el) => el.classList.contains('chat-msg'));
+
+  beforeEach(() => {
+    const chatCode = fs.readFileSync(
+      path.join(__dirname, '../../src/renderer/js/chat.js'),
+      'utf8'
+    );
+
+    dom = new JSDOM('<!DOCTYPE html><html><body><div id="messages"></div></body></html>', {
+      runScripts: 'dangerously',
+      url: 'http://localhost'
+    });
+    dom.window.eval(`${chatCode}\nwindow.ChatManager = ChatManager;`);
+    dom.window.electron = { loadHistory: vi.fn() };
+
+    // Messages are MESSAGE_HEIGHT tall, stacked from the top (nothing else takes room)
+    container = dom.window.document.getElementById('messages');
+    scrollTop = 0;
+    Object.defineProperty(container, 'scrollTop', {
+      get: () => scrollTop,
+      set: (value) => {
+        scrollTop = value;
+      }
+    });
+    Object.defineProperty(container, 'clientHeight', { get: () => 100 });
+    Object.defineProperty(container, 'scrollHeight', {
+      get: () => rows().length * MESSAGE_HEIGHT
+    });
+    dom.window.HTMLElement.prototype.getBoundingClientRect = function () {
+      if (this === container) return { top: 0, bottom: 100 };
+      const top = rows().indexOf(this) * MESSAGE_HEIGHT - scrollTop;
+      return { top, bottom: top + MESSAGE_HEIGHT };
+    };
+
+    chat = new dom.window.ChatManager();
+    chat.messagesContainer = container;
+    chat.activeTab = 'global';
+    chat.currentPlaceId = '606849621';
+    chat.userId = 100;
+  });
+
+  describe('mergeMissedMessages', () => {
+    it('should fill a sequence gap in order and page through the missing messages', async () => {
+      chat.messages.global = [1, 2, 6].map((seq) => chat.toChatMessage(historyMessage(seq), 'global'));
+      chat.lastSeq.global = 6;
+      dom.window.electron.loadHistory
+        .mockResolvedValueOnce({ success: true, messages: [historyMessage(3), historyMessage(4)], hasMore: true })
+        .mockResolvedValueOnce({ success: true, messages: [historyMessage(4), historyMessage(5)], hasMore: false });
+
+      const merged = await chat.mergeMissedMessages('global', { afterSeq: 2, beforeSeq: 6 });
+
+      expect(merged.map((m) => m.seq)).toEqual([3, 4, 5]);
+      expect(seqs()).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(dom.window.electron.loadHistory).toHaveBeenNthCalledWith(
+        1,
+        expect.objectContaining({ chatType: 'global', afterSeq: 2, beforeSeq: 6 })
+      );
+      expect(dom.window.electron.loadHistory).toHaveBeenNthCalledWith(
+        2,
+        expect.objectContaining({ afterSeq: 4, beforeSeq: 6 })
+      );
+    });
+
+    it('should drop the fetched messages when the tab moved to another room', async () => {
+      chat.messages.global = [chat.toChatMessage(historyMessage(1), 'global')];
+      dom.window.electron.loadHistory.mockImplementationOnce(async () => {
+        chat.currentPlaceId = '920587237';
+        return { success: true, messages: [historyMessage(2)], hasMore: false };
+      });
+
+      const merged = await chat.mergeMissedMessages('global', { since: 'm1' });
+
+      expect(merged).toEqual([]);
+      expect(seqs()).toEqual([1]);
+    });
+  });
+
+  describe('loadOlderMessages', () => {
+    beforeEach(() => {
+      chat.messages.global = [4, 5, 6, 7].map((seq) => chat.toChatMessage(historyMessage(seq), 'global'));
+      chat.history.global.hasMore = true;
+      chat.renderAllMessages();
+    });
+
+    it('should keep the message being read in place when older ones are added above', async () => {
+      // Reading message 5 at the top of the view
+      scrollTop = MESSAGE_HEIGHT;
+      dom.window.electron.loadHistory.mockResolvedValueOnce({
+        success: true,
+        messages: [historyMessage(2), historyMessage(3)],
+        hasMore: false
+      });
+
+      await chat.loadOlderMessages('global');
+
+      expect(dom.window.electron.loadHistory).toHaveBeenCalledWith(
+        expect.objectContaining({ chatType: 'global', before: historyMessage(4).timestamp })
+      );
+      expect(seqs()).toEqual([2, 3, 4, 5, 6, 7]);
+      // Messages 2 to 4 are now above message 5
+      expect(scrollTop).toBe(3 * MESSAGE_HEIGHT);
+      expect(container.firstElementChild.textContent).toBe('This is the beginning of the room');
+    });
+
+    it('should stop at the history limit and say so', async () => {
+      chat.MAX_LOADED_MESSAGES = 4;
+      scrollTop = MESSAGE_HEIGHT;
+
+      await chat.loadOlderMessages('global');
+      chat.renderHistoryStart('global');
+
+      expect(dom.window.electron.loadHistory).not.toHaveBeenCalled();
+      expect(container.firstElementChild.textContent).toBe(
+        'History limit reached: only the latest 4 messages can be loaded'
+      );
+    });
+  });
+
+  describe('virtualization', () => {
+    beforeEach(() => {
+      chat.virtualizer = { observe: vi.fn(), unobserve: vi.fn(), disconnect: vi.fn() };
+      chat.messages.global = [1, 2, 3].map((seq) => chat.toChatMessage(historyMessage(seq), 'global'));
+      chat.renderAllMessages();
+    });
+
+    it('should empty a message far off-screen and render it again when it comes back', () => {
+      const message = chat.messages.global[0];
+      const messageEl = chat.messageElements.get(message);
+      Object.defineProperty(messageEl, 'offsetHeight', { get: () => 48 });
+
+      chat.updateVirtualizedMessage({ target: messageEl, isIntersecting: false });
+
+      expect(messageEl.classList.contains('virtualized')).toBe(true);
+      expect(messageEl.childElementCount).toBe(0);
+      expect(messageEl.style.height).toBe('48px');
+
+      chat.updateVirtualizedMessage({ target: messageEl, isIntersecting: true });
+
+      const restoredEl = chat.messageElements.get(message);
+      expect(messageEl.isConnected).toBe(false);
+      expect(restoredEl.classList.contains('restored')).toBe(true);
+      expect(restoredEl.textContent).toContain('message 1');
+      expect(rows()[0]).toBe(restoredEl);
+      expect(chat.virtualizer.unobserve.mock.calls[0][0]).toBe(messageEl);
+      expect(chat.virtualizer.observe).toHaveBeenLastCalledWith(restoredEl);
+    });
+
+    it('should stop observing trimmed messages and keep the view where it was', () => {
+      const [first, second] = chat.messages.global;
+      const firstEl = chat.messageElements.get(first);
+      const secondEl = chat.messageElements.get(second);
+      scrollTop = 2 * MESSAGE_HEIGHT;
+
+      chat.trimMessages('global', 1);
+
+      expect(seqs()).toEqual([3]);
+      expect(firstEl.isConnected).toBe(false);
+      expect(secondEl.isConnected).toBe(false);
+      expect(chat.virtualizer.unobserve).toHaveBeenCalledWith(firstEl);
+      expect(chat.virtualizer.unobserve).toHaveBeenCalledWith(secondEl);
+      expect(chat.history.global.hasMore).toBe(true);
+      expect(scrollTop).toBe(0);
+    });
+  });
+});
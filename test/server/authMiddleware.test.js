@@ -514,6 +514,46 @@ describe('AuthMiddleware - JWT Verification', () => {
       expect(supportedAlgorithms).toContain('ES256');
     });
   });
+
+  describe('Socket.io Handshake Authentication', () => {
+    it('should reject sockets without a handshake token', async () => {
+      const { socketAuthMiddleware } = await import(
+        '../../server/middleware/authMiddleware.js'
+      );
+
+      const socket = { id: 'socket-1', handshake: { auth: {} }, data: {} };
+      const socketNext = vi.fn();
+
+      await socketAuthMiddleware(socket, socketNext);
+
+      expect(socketNext).toHaveBeenCalledTimes(1);
+      const error = socketNext.mock.calls[0][0];
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toBe('No authorization token provided');
+      expect(error.data).toEqual({ code: 'AUTH_FAILED' });
+      expect(socket.data.user).toBeUndefined();
+    });
+
+    it('should reject malformed handshake tokens', async () => {
+      const { socketAuthMiddleware } = await import(
+        '../../server/middleware/authMiddleware.js'
+      );
+
+      const socket = {
+        id: 'socket-2',
+        handshake: { auth: { token: 'not.a-jwt' } },
+        data: {},
+      };
+      const socketNext = vi.fn();
+
+      await socketAuthMiddleware(socket, socketNext);
+
+      const error = socketNext.mock.calls[0][0];
+      expect(error.message).toBe('Invalid token format');
+      expect(error.data.code).toBe('AUTH_FAILED');
+      expect(socket.data.user).toBeUndefined();
+    });
+  });
 });
 
 /**
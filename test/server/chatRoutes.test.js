@@ -0,0 +1,281 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test routes/chat.js - request handling against mocked models
+ * Queries are checked as they are handed to MongoDB
+ */
+
+const require = createRequire(import.meta.url);
+
+const loggerPath = require.resolve('../../server/logging/logger');
+require.cache[loggerPath] = {
+  id: loggerPath,
+  filename: loggerPath,
+  loaded: true,
+  exports: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }
+};
+
+const Message = require('../../server/models/Message');
+const Report = require('../../server/models/Report');
+const Party = require('../../server/models/Party');
+const RoomSequence = require('../../server/models/RoomSequence');
+const { MemoryStateStore, setStateStore } = require('../../server/utils/stateStore');
+const router = require('../../server/routes/chat');
+
+const PARTY_ID = '65f0000000000000000000aa';
+
+/**
+ * Last handler of a route (after its middleware)
+ */
+function routeHandler(method, path) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  const handlers = layer.route.stack;
+  return handlers[handlers.length - 1].handle;
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  return res;
+}
+
+/**
+ * Chainable stand-in for a Mongoose query resolving to results
+ */
+function mockQuery(results) {
+  const query = {
+    sort: vi.fn(() => query),
+    limit: vi.fn(() => query),
+    select: vi.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(results).then(resolve, reject)
+  };
+  return query;
+}
+
+function storedMessage(fields) {
+  const id = fields.id || `65f0000000000000000000${String(fields.seq).padStart(2, '0')}`;
+  return {
+    _id: { toString: () => id },
+    userId: 200,
+    username: 'builder',
+    message: `message ${fields.seq}`,
+    mentions: [],
+    reactions: [],
+    replyTo: null,
+    createdAt: new Date(Date.UTC(2024, 4, 1, 12, 0, fields.seq)),
+    ...fields
+  };
+}
+
+describe('Chat routes', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStateStore();
+    setStateStore(store);
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await store.close();
+    setStateStore(null);
+  });
+
+  describe('POST /send', () => {
+    const send = routeHandler('post', '/send');
+    const emit = vi.fn();
+    const app = { get: () => ({ to: () => ({ emit }) }) };
+    const user = { userId: 100, username: 'sender' };
+    const globalBody = { chatType: 'global', placeId: '606849621', message: 'agreed' };
+
+    beforeEach(() => {
+      emit.mockClear();
+      vi.spyOn(RoomSequence, 'findOneAndUpdate').mockResolvedValue({ seq: 8 });
+      vi.spyOn(Message.prototype, 'save').mockResolvedValue();
+      vi.spyOn(Message, 'countDocuments').mockResolvedValue(0);
+    });
+
+    it('should reject reply targets that are not message IDs', async () => {
+      const findById = vi.spyOn(Message, 'findById');
+      const res = mockResponse();
+
+      await send({ body: { ...globalBody, replyTo: { $ne: null } }, user, app }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Invalid reply target' });
+      expect(findById).not.toHaveBeenCalled();
+    });
+
+    it('should reject replies to a message of another room', async () => {
+      const parent = storedMessage({ seq: 3, chatType: 'global', placeId: '920587237' });
+      vi.spyOn(Message, 'findById').mockResolvedValue(parent);
+      const res = mockResponse();
+
+      await send({ body: { ...globalBody, replyTo: parent._id.toString() }, user, app }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Message.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject replies to a message that is gone', async () => {
+      vi.spyOn(Message, 'findById').mockResolvedValue(null);
+      const res = mockResponse();
+
+      await send({ body: { ...globalBody, replyTo: '65f000000000000000000003' }, user, app }, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'The message you are replying to is no longer available'
+      });
+    });
+
+    it('should send replies with a truncated preview of the parent', async () => {
+      const parent = storedMessage({ seq: 3, chatType: 'global', placeId: '606849621', message: 'x'.repeat(100) });
+      vi.spyOn(Message, 'findById').mockResolvedValue(parent);
+      const res = mockResponse();
+
+      await send({ body: { ...globalBody, replyTo: parent._id.toString() }, user, app }, res);
+
+      const preview = {
+        messageId: parent._id.toString(),
+        userId: 200,
+        username: 'builder',
+        message: `${'x'.repeat(80)}…`
+      };
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: expect.objectContaining({ seq: 8, message: 'agreed', replyTo: preview })
+      });
+      expect(emit).toHaveBeenCalledWith('message', expect.objectContaining({ seq: 8, replyTo: preview }));
+    });
+  });
+
+  describe('GET /history', () => {
+    const history = routeHandler('get', '/history');
+    const globalQuery = { chatType: 'global', placeId: '606849621' };
+
+    it('should leave out messages from blocked users', async () => {
+      const find = vi.spyOn(Message, 'find').mockImplementation(() => mockQuery([storedMessage({ seq: 2 })]));
+      const res = mockResponse();
+      const user = { userId: 100, blockedUsers: [{ userId: 5, username: 'spammer' }, { userId: 6 }] };
+
+      await history({ query: globalQuery, user }, res);
+
+      expect(find).toHaveBeenCalledWith({ chatType: 'global', placeId: '606849621', userId: { $nin: [5, 6] } });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should not filter by author without a block list', async () => {
+      const find = vi.spyOn(Message, 'find').mockImplementation(() => mockQuery([]));
+
+      await history({ query: globalQuery, user: { userId: 100, blockedUsers: [] } }, mockResponse());
+
+      expect(find).toHaveBeenCalledWith({ chatType: 'global', placeId: '606849621' });
+    });
+
+    it('should return the latest page oldest first', async () => {
+      const page = mockQuery([storedMessage({ seq: 9 }), storedMessage({ seq: 8 })]);
+      vi.spyOn(Message, 'find').mockImplementation(() => page);
+      const res = mockResponse();
+
+      await history({ query: { ...globalQuery, limit: '2' }, user: { userId: 100 } }, res);
+
+      expect(page.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      const { messages, hasMore } = res.json.mock.calls[0][0];
+      expect(messages.map(m => m.seq)).toEqual([8, 9]);
+      expect(hasMore).toBe(true);
+    });
+
+    it('should read forwards in sequence order after a since cursor', async () => {
+      const findOne = vi.spyOn(Message, 'findOne').mockImplementation(() => mockQuery({ seq: 7 }));
+      const page = mockQuery([storedMessage({ seq: 8 }), storedMessage({ seq: 9 })]);
+      const find = vi.spyOn(Message, 'find').mockImplementation(() => page);
+      const res = mockResponse();
+      const since = '65f000000000000000000007';
+
+      await history({ query: { ...globalQuery, since }, user: { userId: 100 } }, res);
+
+      expect(findOne).toHaveBeenCalledWith({ chatType: 'global', placeId: '606849621', _id: since });
+      expect(find).toHaveBeenCalledWith({ chatType: 'global', placeId: '606849621', seq: { $gt: 7 } });
+      expect(page.sort).toHaveBeenCalledWith({ seq: 1 });
+      const { messages, hasMore } = res.json.mock.calls[0][0];
+      expect(messages.map(m => m.seq)).toEqual([8, 9]);
+      expect(hasMore).toBe(false);
+    });
+
+    it('should read the whole room when the since cursor is gone', async () => {
+      vi.spyOn(Message, 'findOne').mockImplementation(() => mockQuery(null));
+      const find = vi.spyOn(Message, 'find').mockImplementation(() => mockQuery([]));
+
+      await history({ query: { ...globalQuery, since: '65f000000000000000000007' }, user: { userId: 100 } }, mockResponse());
+
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({ seq: { $gt: 0 } }));
+    });
+
+    it('should fetch a gap between two sequence numbers', async () => {
+      const page = mockQuery([]);
+      const find = vi.spyOn(Message, 'find').mockImplementation(() => page);
+
+      await history({ query: { ...globalQuery, afterSeq: '3', beforeSeq: '9' }, user: { userId: 100 } }, mockResponse());
+
+      expect(find).toHaveBeenCalledWith({ chatType: 'global', placeId: '606849621', seq: { $gt: 3, $lt: 9 } });
+      expect(page.sort).toHaveBeenCalledWith({ seq: 1 });
+    });
+
+    it('should reject invalid cursors', async () => {
+      const find = vi.spyOn(Message, 'find');
+
+      for (const cursor of [{ afterSeq: '-1' }, { beforeSeq: '3.5' }, { afterSeq: ['1', '2'] }, { since: 'abc' }]) {
+        const res = mockResponse();
+        await history({ query: { ...globalQuery, ...cursor }, user: { userId: 100 } }, res);
+        expect(res.status).toHaveBeenCalledWith(400);
+      }
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /report', () => {
+    const report = routeHandler('post', '/report');
+    const partyMessage = storedMessage({ seq: 4, chatType: 'party', partyId: PARTY_ID });
+
+    beforeEach(() => {
+      vi.spyOn(Message, 'findById').mockResolvedValue(partyMessage);
+      vi.spyOn(Message, 'find').mockImplementation(() => mockQuery([]));
+    });
+
+    it('should not let users outside a party report (and copy) its messages', async () => {
+      const exists = vi.spyOn(Party, 'exists').mockResolvedValue(null);
+      const save = vi.spyOn(Report.prototype, 'save');
+      const res = mockResponse();
+
+      await report(
+        { body: { messageId: partyMessage._id.toString(), reason: 'spam' }, user: { userId: 300, username: 'outsider' } },
+        res
+      );
+
+      expect(exists).toHaveBeenCalledWith({ _id: PARTY_ID, 'members.userId': 300 });
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(Message.find).not.toHaveBeenCalled();
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should snapshot the message and its context for party members', async () => {
+      vi.spyOn(Party, 'exists').mockResolvedValue({ _id: PARTY_ID });
+      const save = vi.spyOn(Report.prototype, 'save').mockResolvedValue();
+      const res = mockResponse();
+
+      await report(
+        { body: { messageId: partyMessage._id.toString(), reason: 'spam' }, user: { userId: 100, username: 'member' } },
+        res
+      );
+
+      expect(save).toHaveBeenCalled();
+      expect(Message.find).toHaveBeenCalledWith(
+        expect.objectContaining({ chatType: 'party', partyId: PARTY_ID, createdAt: { $lt: partyMessage.createdAt } })
+      );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+});
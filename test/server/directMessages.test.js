@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test directMessages.js - conversation keys and per-member formatting
+ */
+
+const require = createRequire(import.meta.url);
+const {
+  conversationKey,
+  hasBlocked,
+  formatConversation
+} = require('../../server/utils/directMessages');
+
+describe('conversationKey', () => {
+  it('should give the same key whichever user asks', () => {
+    expect(conversationKey(42, 7)).toBe('7:42');
+    expect(conversationKey(7, 42)).toBe('7:42');
+  });
+
+  it('should order IDs numerically rather than as strings', () => {
+    expect(conversationKey(100, 99)).toBe('99:100');
+  });
+});
+
+describe('hasBlocked', () => {
+  it('should match blocked user IDs', () => {
+    const blockedUsers = [{ userId: 5, username: 'spammer' }];
+    expect(hasBlocked(blockedUsers, 5)).toBe(true);
+    expect(hasBlocked(blockedUsers, 6)).toBe(false);
+    expect(hasBlocked(undefined, 5)).toBe(false);
+  });
+});
+
+describe('formatConversation', () => {
+  const conversation = {
+    _id: { toString: () => 'conv-1' },
+    members: [
+      { userId: 7, username: 'alice', unreadCount: 0 },
+      { userId: 42, username: 'bob', unreadCount: 3 }
+    ],
+    lastMessage: { userId: 7, message: 'hi bob', createdAt: new Date(1000) },
+    updatedAt: new Date(1000)
+  };
+
+  it('should describe the other member and the viewer\'s unread count', () => {
+    expect(formatConversation(conversation, 42)).toEqual({
+      conversationId: 'conv-1',
+      user: { userId: 7, username: 'alice' },
+      unreadCount: 3,
+      lastMessage: { userId: 7, message: 'hi bob', timestamp: new Date(1000) },
+      updatedAt: new Date(1000)
+    });
+
+    const fromAlice = formatConversation(conversation, 7);
+    expect(fromAlice.user).toEqual({ userId: 42, username: 'bob' });
+    expect(fromAlice.unreadCount).toBe(0);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test mentions.js - @username parsing against the room roster
+ */
+
+const require = createRequire(import.meta.url);
+const { parseMentions, MAX_MENTIONS } = require('../../server/utils/mentions');
+
+const members = [
+  { userId: 1, username: 'Builder_01', displayName: 'Builder' },
+  { userId: 2, username: 'noob123', displayName: 'Noob' }
+];
+
+describe('parseMentions', () => {
+  it('should match present users case-insensitively and once each', () => {
+    expect(parseMentions('hey @builder_01 and @NOOB123, @Builder_01!', members)).toEqual([
+      { userId: 1, username: 'Builder_01' },
+      { userId: 2, username: 'noob123' }
+    ]);
+  });
+
+  it('should ignore users who are not in the room', () => {
+    expect(parseMentions('@someone_else hi', members)).toEqual([]);
+  });
+
+  it('should not treat email-like text as a mention', () => {
+    expect(parseMentions('mail me at me@noob123', members)).toEqual([]);
+    expect(parseMentions('@@noob123', members)).toEqual([]);
+  });
+
+  it('should cap the number of mentions per message', () => {
+    const crowd = Array.from({ length: MAX_MENTIONS + 5 }, (_, i) => ({
+      userId: i,
+      username: `player${i}`
+    }));
+    const text = crowd.map(member => `@${member.username}`).join(' ');
+
+    expect(parseMentions(text, crowd)).toHaveLength(MAX_MENTIONS);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test sessionManager.js presence rosters - who is in each room
+ */
+
+const require = createRequire(import.meta.url);
+
+const loggerPath = require.resolve('../../server/logging/logger');
+require.cache[loggerPath] = {
+  id: loggerPath,
+  filename: loggerPath,
+  loaded: true,
+  exports: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }
+};
+
+const { MemoryStateStore, setStateStore } = require('../../server/utils/stateStore');
+const { SessionManager } = require('../../server/utils/sessionManager');
+const { getRoomMembers } = require('../../server/utils/rooms');
+const Message = require('../../server/models/Message');
+const Party = require('../../server/models/Party');
+
+const SERVER_ROOM = 'server:aaaaaaaa-0000-0000-0000-000000000001';
+const GLOBAL_ROOM = 'global:606849621';
+
+describe('Presence rosters', () => {
+  let store;
+  let sessions;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    store = new MemoryStateStore();
+    setStateStore(store);
+    sessions = new SessionManager();
+    vi.spyOn(Message, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await store.close();
+    setStateStore(null);
+    vi.useRealTimers();
+  });
+
+  it('should count sockets without a user but leave them off the roster', async () => {
+    await sessions.joinRoom('socket-anon', SERVER_ROOM);
+    const { joined, member } = await sessions.joinRoom('socket-a', SERVER_ROOM, { userId: 42, username: 'builder' });
+
+    expect(joined).toBe(true);
+    expect(member).toEqual({ userId: 42, username: 'builder', displayName: 'builder', picture: null });
+    expect(await sessions.getRoomUserCount(SERVER_ROOM)).toBe(2);
+    expect(await sessions.getRoster(SERVER_ROOM)).toEqual([member]);
+  });
+
+  it('should show the profile from the latest join', async () => {
+    await sessions.joinRoom('socket-a', SERVER_ROOM, { userId: 42, username: 'builder', displayName: 'Builder' });
+    await sessions.joinRoom('socket-b', GLOBAL_ROOM, { userId: 42, username: 'builder', displayName: 'Master Builder' });
+
+    expect(await sessions.getRoster(SERVER_ROOM)).toEqual([
+      { userId: 42, username: 'builder', displayName: 'Master Builder', picture: null }
+    ]);
+  });
+
+  it('should only report the rooms a disconnect took the user out of', async () => {
+    const user = { userId: 42, username: 'builder' };
+    await sessions.joinRoom('socket-a', SERVER_ROOM, user);
+    await sessions.joinRoom('socket-a', GLOBAL_ROOM, user);
+    // Still in the global room from another window
+    await sessions.joinRoom('socket-b', GLOBAL_ROOM, user);
+
+    expect(await sessions.handleDisconnect('socket-a', 42)).toEqual([SERVER_ROOM]);
+    expect(await sessions.getRoster(SERVER_ROOM)).toEqual([]);
+    expect(await sessions.getRoster(GLOBAL_ROOM)).toHaveLength(1);
+  });
+
+  it('should not change the roster when a socket leaves a room it was not in', async () => {
+    await sessions.joinRoom('socket-a', SERVER_ROOM, { userId: 42, username: 'builder' });
+
+    expect(await sessions.leaveRoom('socket-b', SERVER_ROOM, 42)).toEqual({ left: false });
+    expect(await sessions.getRoster(SERVER_ROOM)).toHaveLength(1);
+  });
+
+  it('should take mentionable members from the roster, or the party', async () => {
+    const sessionManager = require('../../server/utils/sessionManager');
+    const builder = { userId: 42, username: 'builder', displayName: 'builder', picture: null };
+    await sessionManager.joinRoom('socket-a', SERVER_ROOM, builder);
+    const members = [{ userId: 7, username: 'alice' }];
+    const findById = vi.spyOn(Party, 'findById').mockReturnValue({ select: vi.fn().mockResolvedValue({ members }) });
+
+    expect(await getRoomMembers(SERVER_ROOM)).toEqual([builder]);
+    expect(await getRoomMembers('party:65f0000000000000000000aa')).toEqual(members);
+    expect(findById).toHaveBeenCalledWith('65f0000000000000000000aa');
+
+    await sessionManager.handleDisconnect('socket-a', 42);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test reactions.js - whitelist and client aggregation
+ */
+
+const require = createRequire(import.meta.url);
+const { isAllowedReaction, formatReactions } = require('../../server/utils/reactions');
+
+describe('reactions', () => {
+  it('should only accept whitelisted emoji', () => {
+    expect(isAllowedReaction('👍')).toBe(true);
+    expect(isAllowedReaction('💩')).toBe(false);
+    expect(isAllowedReaction(null)).toBe(false);
+  });
+
+  it('should aggregate counts, drop empty reactions and keep whitelist order', () => {
+    const formatted = formatReactions([
+      { emoji: '🔥', userIds: [1, 2] },
+      { emoji: '😂', userIds: [] },
+      { emoji: '👍', userIds: [3] }
+    ]);
+
+    expect(formatted).toEqual([
+      { emoji: '👍', count: 1, userIds: [3] },
+      { emoji: '🔥', count: 2, userIds: [1, 2] }
+    ]);
+  });
+
+  it('should return an empty list for messages without reactions', () => {
+    expect(formatReactions(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test requireModerator.js - global role gatekeeping (stored roles and MODERATOR_USER_IDS)
+ */
+
+const require = createRequire(import.meta.url);
+const requireModerator = require('../../server/middleware/requireModerator');
+const { getRoomRole } = require('../../server/utils/roles');
+
+function mockResponse() {
+  const res = {};
+  res.status = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  return res;
+}
+
+describe('requireModerator', () => {
+  let previousIds;
+
+  beforeEach(() => {
+    previousIds = process.env.MODERATOR_USER_IDS;
+    process.env.MODERATOR_USER_IDS = '100, 200,not-a-number';
+  });
+
+  afterEach(() => {
+    if (previousIds === undefined) {
+      delete process.env.MODERATOR_USER_IDS;
+    } else {
+      process.env.MODERATOR_USER_IDS = previousIds;
+    }
+  });
+
+  it('should let listed moderators through', () => {
+    const next = vi.fn();
+    requireModerator({ user: { userId: 200 } }, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should reject everyone else with 403', () => {
+    const next = vi.fn();
+    const res = mockResponse();
+    requireModerator({ user: { userId: 300 }, path: '/reports' }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('should reject everyone when no moderators are configured', () => {
+    delete process.env.MODERATOR_USER_IDS;
+    expect(requireModerator.isModerator({ userId: 100 })).toBe(false);
+  });
+
+  it('should accept users whose stored role is moderator or higher', () => {
+    expect(requireModerator.isModerator({ userId: 300, role: 'admin' })).toBe(true);
+  });
+
+  it('should not treat place moderators as global moderators', () => {
+    const user = { userId: 300, role: 'user', placeRoles: [{ placeId: '42', role: 'moderator' }] };
+    expect(requireModerator.isModerator(user)).toBe(false);
+  });
+
+  it('should only apply place roles in the place\'s global room', async () => {
+    const user = { userId: 300, role: 'user', placeRoles: [{ placeId: '42', role: 'moderator' }] };
+    expect(await getRoomRole(user, 'global:42')).toBe('moderator');
+    // A server room's place is whatever its clients claim
+    expect(await getRoomRole(user, 'server:aaaaaaaa-0000-0000-0000-000000000001')).toBe('user');
+    expect(await getRoomRole({ userId: 100, role: 'user' }, 'server:aaaaaaaa-0000-0000-0000-000000000001')).toBe('moderator');
+  });
+});
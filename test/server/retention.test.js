@@ -0,0 +1,92 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test retention.js - policy defaults, environment and file overrides, per-place policies
+ */
+
+const require = createRequire(import.meta.url);
+const {
+  DEFAULT_POLICIES,
+  loadRetentionConfig,
+  setRetentionConfig,
+  getRetentionPolicy,
+  messageExpiry
+} = require('../../server/config/retention');
+
+function writeConfigFile(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+  const file = path.join(dir, 'retention.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+describe('Retention policy', () => {
+  afterEach(() => {
+    setRetentionConfig(null);
+  });
+
+  it('should use the defaults without any configuration', () => {
+    const config = loadRetentionConfig({});
+
+    expect(config.defaults).toEqual(DEFAULT_POLICIES);
+    expect(config.places).toEqual({});
+  });
+
+  it('should let environment variables win over the config file', () => {
+    const file = writeConfigFile({
+      server: { maxMessages: 100, emptyRoomGraceSeconds: 300 },
+      global: { maxAgeSeconds: 3600 }
+    });
+
+    const config = loadRetentionConfig({
+      RETENTION_CONFIG: file,
+      RETENTION_SERVER_MAX_MESSAGES: '200',
+      RETENTION_GLOBAL_MAX_AGE_SECONDS: 'none'
+    });
+
+    expect(config.defaults.server).toEqual({ maxMessages: 200, maxAgeSeconds: null, emptyRoomGraceSeconds: 300 });
+    expect(config.defaults.global.maxAgeSeconds).toBeNull();
+  });
+
+  it('should ignore invalid values and keep the previous setting', () => {
+    const config = loadRetentionConfig({
+      RETENTION_SERVER_MAX_MESSAGES: '-5',
+      RETENTION_PARTY_MAX_AGE_SECONDS: 'soon'
+    });
+
+    expect(config.defaults.server.maxMessages).toBe(DEFAULT_POLICIES.server.maxMessages);
+    expect(config.defaults.party.maxAgeSeconds).toBe(DEFAULT_POLICIES.party.maxAgeSeconds);
+  });
+
+  it('should apply per-place overrides on top of the room type defaults', () => {
+    const file = writeConfigFile({
+      places: {
+        606849621: { global: { maxMessages: 500, maxAgeSeconds: 86400 } },
+        'not-a-place': { global: { maxMessages: 1 } }
+      }
+    });
+    setRetentionConfig(loadRetentionConfig({ RETENTION_CONFIG: file }));
+
+    expect(getRetentionPolicy('global', '606849621')).toEqual({
+      maxMessages: 500,
+      maxAgeSeconds: 86400,
+      emptyRoomGraceSeconds: DEFAULT_POLICIES.global.emptyRoomGraceSeconds
+    });
+    expect(getRetentionPolicy('server', '606849621')).toEqual(DEFAULT_POLICIES.server);
+    expect(getRetentionPolicy('global', '123')).toEqual(DEFAULT_POLICIES.global);
+  });
+
+  it('should only set an expiry when the policy has a max age', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+
+    expect(messageExpiry({ maxAgeSeconds: 60 })).toEqual(new Date('2024-01-01T00:01:00Z'));
+    expect(messageExpiry({ maxAgeSeconds: null })).toBeNull();
+
+    vi.useRealTimers();
+  });
+});
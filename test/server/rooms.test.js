@@ -0,0 +1,86 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test rooms.js - room IDs, room queries and sequence numbers
+ */
+
+const require = createRequire(import.meta.url);
+const RoomSequence = require('../../server/models/RoomSequence');
+const { roomIdFor, roomQuery, nextSequence, parseSeq } = require('../../server/utils/rooms');
+
+describe('Rooms', () => {
+  it('should give each message its room ID and query', () => {
+    const message = { chatType: 'global', placeId: 606849621, jobId: 'ignored' };
+    expect(roomIdFor(message)).toBe('global:606849621');
+    expect(roomQuery(message)).toEqual({ chatType: 'global', placeId: '606849621' });
+    expect(roomIdFor({ chatType: 'party', partyId: '65f0000000000000000000aa' })).toBe('party:65f0000000000000000000aa');
+  });
+});
+
+describe('nextSequence', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * RoomSequence counters kept in memory, incremented one update at a time
+   */
+  function mockCounters() {
+    const counters = new Map();
+    return vi.spyOn(RoomSequence, 'findOneAndUpdate').mockImplementation(async ({ roomId }, update) => {
+      counters.set(roomId, (counters.get(roomId) || 0) + update.$inc.seq);
+      return { roomId, seq: counters.get(roomId) };
+    });
+  }
+
+  it('should number each room\'s messages from 1 without reusing numbers', async () => {
+    const findOneAndUpdate = mockCounters();
+
+    const numbers = await Promise.all([
+      nextSequence('global:1'),
+      nextSequence('global:1'),
+      nextSequence('server:abc'),
+      nextSequence('global:1')
+    ]);
+
+    expect(numbers).toEqual([1, 2, 1, 3]);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { roomId: 'global:1' },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+  });
+
+  it('should retry once when another first message created the counter meanwhile', async () => {
+    vi.spyOn(RoomSequence, 'findOneAndUpdate')
+      .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+      .mockResolvedValueOnce({ seq: 2 });
+
+    expect(await nextSequence('global:1')).toBe(2);
+  });
+
+  it('should pass on other database errors', async () => {
+    vi.spyOn(RoomSequence, 'findOneAndUpdate').mockRejectedValue(new Error('connection lost'));
+
+    await expect(nextSequence('global:1')).rejects.toThrow('connection lost');
+  });
+});
+
+describe('parseSeq', () => {
+  it('should accept whole non-negative numbers', () => {
+    expect(parseSeq('0')).toBe(0);
+    expect(parseSeq('42')).toBe(42);
+    expect(parseSeq(7)).toBe(7);
+  });
+
+  it('should reject anything else', () => {
+    expect(parseSeq('-1')).toBeNull();
+    expect(parseSeq('3.5')).toBeNull();
+    expect(parseSeq('12abc')).toBeNull();
+    expect(parseSeq('007')).toBeNull();
+    expect(parseSeq('99999999999999999999')).toBeNull();
+    expect(parseSeq(['1'])).toBeNull();
+    expect(parseSeq(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test search.js - query validation and highlight ranges
+ */
+
+const require = createRequire(import.meta.url);
+const { isValidSearchQuery, parseSearchTerms, findHighlights } = require('../../server/utils/search');
+
+describe('Message search', () => {
+  it('should only accept queries of a sensible length', () => {
+    expect(isValidSearchQuery('link')).toBe(true);
+    expect(isValidSearchQuery(' a ')).toBe(false);
+    expect(isValidSearchQuery('x'.repeat(101))).toBe(false);
+    expect(isValidSearchQuery(['link'])).toBe(false);
+  });
+
+  it('should highlight every term without quotes or negated terms', () => {
+    expect(parseSearchTerms('"Discord" link -spam')).toEqual(['discord', 'link']);
+    expect(findHighlights('Link to the discord: discord.gg/abc', '"Discord" link -spam')).toEqual([
+      { start: 0, end: 4 },
+      { start: 12, end: 19 },
+      { start: 21, end: 28 }
+    ]);
+  });
+
+  it('should merge overlapping matches', () => {
+    expect(findHighlights('codes', 'code codes')).toEqual([{ start: 0, end: 5 }]);
+  });
+
+  it('should return no ranges for stemmed matches', () => {
+    expect(findHighlights('running late', 'runs')).toEqual([]);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+/**
+ * Test stateStore.js - in-memory backend and cross-instance session tracking
+ * Two SessionManager instances sharing one store stand in for two server processes
+ */
+
+const require = createRequire(import.meta.url);
+const { MemoryStateStore, setStateStore } = require('../../server/utils/stateStore');
+const { SessionManager } = require('../../server/utils/sessionManager');
+const Message = require('../../server/models/Message');
+const { getRetentionPolicy } = require('../../server/config/retention');
+
+// Empty server rooms are cleaned up after the default grace period
+const CLEANUP_DELAY = getRetentionPolicy('server').emptyRoomGraceSeconds * 1000;
+
+describe('MemoryStateStore', () => {
+  let store;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    store = new MemoryStateStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+    vi.useRealTimers();
+  });
+
+  it('should expire keys after their TTL', async () => {
+    await store.set('key', 'value', 1000);
+    expect(await store.get('key')).toBe('value');
+
+    vi.advanceTimersByTime(1001);
+    expect(await store.get('key')).toBeNull();
+  });
+
+  it('should only set a key once while it is alive', async () => {
+    expect(await store.setIfAbsent('cooldown', '1', 1000)).toBe(true);
+    expect(await store.setIfAbsent('cooldown', '1', 1000)).toBe(false);
+
+    vi.advanceTimersByTime(1001);
+    expect(await store.setIfAbsent('cooldown', '1', 1000)).toBe(true);
+  });
+
+  it('should reset counters when the window expires', async () => {
+    expect(await store.incr('counter', 500)).toBe(1);
+    expect(await store.incr('counter', 500)).toBe(2);
+
+    vi.advanceTimersByTime(501);
+    expect(await store.incr('counter', 500)).toBe(1);
+  });
+
+  it('should remove sets once their last member is removed', async () => {
+    await store.sAdd('set', 'a');
+    await store.sAdd('set', 'b');
+    expect(await store.sCard('set')).toBe(2);
+
+    expect(await store.sRem('set', 'a')).toBe(1);
+    expect(await store.sRem('set', 'missing')).toBe(0);
+    await store.sRem('set', 'b');
+
+    expect(store.entries.has('set')).toBe(false);
+    expect(await store.sMembers('set')).toEqual([]);
+  });
+
+  it('should reject sliding window hits over the limit without recording them', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await store.slidingWindowHit('window', 1000, 3)).allowed).toBe(true);
+    }
+
+    const rejected = await store.slidingWindowHit('window', 1000, 3);
+    expect(rejected).toEqual({ allowed: false, count: 3 });
+
+    vi.advanceTimersByTime(1001);
+    expect(await store.slidingWindowCount('window', 1000)).toBe(0);
+    expect((await store.slidingWindowHit('window', 1000, 3)).allowed).toBe(true);
+  });
+});
+
+describe('SessionManager across instances', () => {
+  let store;
+  let instanceA;
+  let instanceB;
+  let deleteMany;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    store = new MemoryStateStore();
+    setStateStore(store);
+
+    instanceA = new SessionManager();
+    instanceB = new SessionManager();
+
+    deleteMany = vi.spyOn(Message, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(async () => {
+    deleteMany.mockRestore();
+    await store.close();
+    setStateStore(null);
+    vi.useRealTimers();
+  });
+
+  it('should count room occupancy from every instance', async () => {
+    await instanceA.joinRoom('socket-a', 'global:123');
+    await instanceB.joinRoom('socket-b', 'global:123');
+
+    expect(await instanceA.getRoomUserCount('global:123')).toBe(2);
+    expect(await instanceB.getRoomUserCount('global:123')).toBe(2);
+
+    await instanceB.handleDisconnect('socket-b');
+    expect(await instanceA.getRoomUserCount('global:123')).toBe(1);
+  });
+
+  it('should list each user once in the roster across sockets and instances', async () => {
+    const user = { userId: 42, username: 'builder', displayName: 'Builder' };
+
+    const first = await instanceA.joinRoom('socket-a', 'server:abc', user);
+    const second = await instanceB.joinRoom('socket-b', 'server:abc', user);
+
+    expect(first.joined).toBe(true);
+    expect(second.joined).toBe(false);
+    expect(await instanceA.getRoster('server:abc')).toEqual([
+      { userId: 42, username: 'builder', displayName: 'Builder', picture: null }
+    ]);
+
+    // Only the user's last socket leaving removes them from the roster
+    expect((await instanceA.leaveRoom('socket-a', 'server:abc', 42)).left).toBe(false);
+    expect(await instanceB.handleDisconnect('socket-b', 42)).toEqual(['server:abc']);
+    expect(await instanceA.getRoster('server:abc')).toEqual([]);
+  });
+
+  it('should not clean up a room that was rejoined on another instance', async () => {
+    await instanceA.joinRoom('socket-a', 'server:abc');
+    await instanceA.leaveRoom('socket-a', 'server:abc');
+
+    await instanceB.joinRoom('socket-b', 'server:abc');
+    await vi.advanceTimersByTimeAsync(CLEANUP_DELAY);
+
+    expect(deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('should leave cleanup to the instance that saw the room empty last', async () => {
+    await instanceA.joinRoom('socket-a', 'server:abc');
+    await instanceA.leaveRoom('socket-a', 'server:abc');
+
+    // Room refills and empties again on B halfway through A's timer
+    await vi.advanceTimersByTimeAsync(CLEANUP_DELAY / 2);
+    await instanceB.joinRoom('socket-b', 'server:abc');
+    await instanceB.leaveRoom('socket-b', 'server:abc');
+
+    // A's timer fires but B's marker is current - nothing deleted yet
+    await vi.advanceTimersByTimeAsync(CLEANUP_DELAY / 2);
+    expect(deleteMany).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(CLEANUP_DELAY / 2);
+    expect(deleteMany).toHaveBeenCalledTimes(1);
+    expect(deleteMany).toHaveBeenCalledWith({ chatType: 'server', jobId: 'abc' });
+  });
+});
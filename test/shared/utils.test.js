@@ -16,6 +16,7 @@ import {
   parsePlaceId,
   isValidJobId,
   isValidPlaceId,
+  buildJoinLink,
 } from '../../src/shared/utils.js';
 
 describe('utils.js - Shared Utilities', () => {
@@ -480,4 +481,18 @@ describe('utils.js - Shared Utilities', () => {
       expect(isValidPlaceId(placeId)).toBe(expected);
     });
   });
+
+  describe('buildJoinLink', () => {
+    it('should link to a specific server', () => {
+      expect(buildJoinLink('123456', '12345678-1234-1234-1234-123456789abc')).toBe(
+        'roblox://experiences/start?placeId=123456&gameInstanceId=12345678-1234-1234-1234-123456789abc'
+      );
+    });
+
+    it('should return null for invalid IDs', () => {
+      expect(buildJoinLink('abc', '12345678-1234-1234-1234-123456789abc')).toBeNull();
+      expect(buildJoinLink('123456', 'not-a-job-id')).toBeNull();
+      expect(buildJoinLink(undefined, undefined)).toBeNull();
+    });
+  });
 });